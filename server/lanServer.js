@@ -0,0 +1,193 @@
+/**
+ * lanServer.js
+ * =============
+ * Self-hosted room server for games on a shared hotspot / local network.
+ *
+ * One laptop runs `npm run lan-server`; everyone else picks "LAN server" in
+ * the app and enters the address it prints. It implements the same
+ * semantics as the Supabase backend — `rooms` / `players` / `rounds` rows and the
+ * atomic player actions (src/lib/memoryStore.js), postgres_changes-style
+ * player updates and room broadcasts such as `prompt_tie` — over a
+ * WebSocket. The wire protocol is described in src/lib/lanBackend.js.
+ *
+ * If the app has been built (`npm run build`), the server also serves it,
+ * so phones can open http://<laptop-ip>:8787 with no internet at all.
+ *
+ * Rooms live in memory: restarting the server ends every game.
+ */
+
+import { createServer } from 'node:http';
+import { readFile } from 'node:fs/promises';
+import { networkInterfaces } from 'node:os';
+import { extname, join, normalize } from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { WebSocketServer } from 'ws';
+import { createMemoryStore } from '../src/lib/memoryStore.js';
+
+const PORT = Number(process.env.PORT) || 8787;
+const DIST_DIR = fileURLToPath(new URL('../dist/', import.meta.url));
+
+const CONTENT_TYPES = {
+  '.html': 'text/html; charset=utf-8',
+  '.js': 'text/javascript; charset=utf-8',
+  '.css': 'text/css; charset=utf-8',
+  '.json': 'application/json',
+  '.png': 'image/png',
+  '.gif': 'image/gif',
+  '.ico': 'image/x-icon',
+  '.svg': 'image/svg+xml',
+};
+
+// ---------------------------------------------------------------------------
+// Data: one in-memory store shared by every connection
+// ---------------------------------------------------------------------------
+const store = createMemoryStore();
+
+/** Backend interface method → store call (see src/lib/backend.js) */
+const METHODS = {
+  getRoom: (roomId) => store.getRoom(roomId),
+  createRoom: (row) => store.insertRoom(row),
+  updateRoom: (roomId, patch) => store.updateRoom(roomId, patch),
+  markTransferPaid: (roomId, transferId, uuid) => store.markTransferPaid(roomId, transferId, uuid),
+  getPlayer: (roomId, uuid) => store.getPlayer(roomId, uuid),
+  listPlayers: (roomId) => store.listPlayers(roomId),
+  countPlayers: (roomId) => store.listPlayers(roomId).filter((p) => p.role !== 'spectator').length,
+  upsertPlayer: (row) => store.upsertPlayer(row),
+  updatePlayer: (roomId, uuid, patch) => store.updatePlayer(roomId, uuid, patch),
+  applyPlayerAction: (roomId, uuid, entry) => store.applyPlayerAction(roomId, uuid, entry),
+  undoPlayerAction: (roomId, uuid, entryId) => store.undoPlayerAction(roomId, uuid, entryId),
+  recordMassTie: (roomId, uuid, entry) => store.recordMassTie(roomId, uuid, entry),
+  editPlayerAction: (roomId, uuid, entry, edit) => store.editPlayerAction(roomId, uuid, entry, edit),
+  disputePlayerAction: (roomId, uuid, entryId, dispute) => store.disputePlayerAction(roomId, uuid, entryId, dispute),
+  resolveDispute: (roomId, uuid, entryId, resolution) => store.resolveDispute(roomId, uuid, entryId, resolution),
+  setSittingOut: (roomId, uuid, since, entry) => store.setSittingOut(roomId, uuid, since, entry),
+  listRounds: (roomId, options) => store.listRounds(roomId, options),
+  listRoundEdits: (roomId, options) => store.listRoundEdits(roomId, options),
+};
+
+// ---------------------------------------------------------------------------
+// HTTP: serve the built app, if there is one
+// ---------------------------------------------------------------------------
+async function serveStatic(req, res) {
+  let path;
+  try {
+    path = normalize(decodeURIComponent(new URL(req.url, 'http://lan').pathname));
+  } catch {
+    res.writeHead(400, { 'Content-Type': 'text/plain' });
+    res.end('Bad request');
+    return;
+  }
+  const file = join(DIST_DIR, path === '/' ? 'index.html' : path);
+  try {
+    if (!file.startsWith(DIST_DIR)) throw new Error('Outside dist');
+    const body = await readFile(file);
+    res.writeHead(200, { 'Content-Type': CONTENT_TYPES[extname(file)] || 'application/octet-stream' });
+    res.end(body);
+  } catch {
+    // Single-page app: unknown paths get index.html
+    try {
+      const body = await readFile(join(DIST_DIR, 'index.html'));
+      res.writeHead(200, { 'Content-Type': CONTENT_TYPES['.html'] });
+      res.end(body);
+    } catch {
+      res.writeHead(404, { 'Content-Type': 'text/plain' });
+      res.end('LAN room server is running. Build the app (npm run build) to serve it from here.');
+    }
+  }
+}
+
+const httpServer = createServer(serveStatic);
+
+// ---------------------------------------------------------------------------
+// WebSocket: calls, subscriptions and broadcasts
+// ---------------------------------------------------------------------------
+const wss = new WebSocketServer({ server: httpServer });
+const clients = new Set(); // { socket, subs: Map<subId, { roomId, playerChanges }> }
+
+const send = (socket, msg) => {
+  if (socket.readyState === socket.OPEN) socket.send(JSON.stringify(msg));
+};
+
+// Player row changes fan out to every subscription on that room — and on
+// the room the row was in before, so deletes and players who moved away
+// reach it too
+store.onChange((change) => {
+  if (change.table !== 'players') return;
+  for (const client of clients) {
+    for (const [subId, sub] of client.subs) {
+      if (sub.playerChanges && (sub.roomId === change.new.room_id || sub.roomId === change.old.room_id)) {
+        send(client.socket, { type: 'player_change', subId, change });
+      }
+    }
+  }
+});
+
+function handleMessage(client, msg) {
+  switch (msg.type) {
+    case 'call': {
+      const method = METHODS[msg.method];
+      let reply;
+      try {
+        if (!method) throw Object.assign(new Error(`Unknown method ${msg.method}`), { code: '42883' });
+        reply = { data: method(...(msg.args || [])), error: null };
+      } catch (err) {
+        reply = { data: null, error: { code: err.code || 'XX000', message: err.message } };
+      }
+      send(client.socket, { type: 'result', id: msg.id, ...reply });
+      break;
+    }
+    case 'subscribe':
+      client.subs.set(msg.subId, { roomId: msg.roomId, playerChanges: !!msg.playerChanges });
+      send(client.socket, { type: 'subscribed', subId: msg.subId });
+      break;
+    case 'unsubscribe':
+      client.subs.delete(msg.subId);
+      break;
+    case 'broadcast':
+      // Like Supabase broadcast: everyone in the room except the sender
+      for (const other of clients) {
+        if (other === client) continue;
+        for (const [subId, sub] of other.subs) {
+          if (sub.roomId === msg.roomId) {
+            send(other.socket, { type: 'broadcast', subId, event: msg.event, payload: msg.payload });
+          }
+        }
+      }
+      break;
+    default:
+      break;
+  }
+}
+
+wss.on('connection', (socket) => {
+  const client = { socket, subs: new Map() };
+  clients.add(client);
+
+  socket.on('message', (raw) => {
+    let msg;
+    try {
+      msg = JSON.parse(raw);
+    } catch {
+      return;
+    }
+    // Anything but a { type, ... } object is not part of the protocol
+    if (!msg || typeof msg !== 'object' || typeof msg.type !== 'string') return;
+    handleMessage(client, msg);
+  });
+  socket.on('close', () => clients.delete(client));
+});
+
+// ---------------------------------------------------------------------------
+// Start
+// ---------------------------------------------------------------------------
+httpServer.listen(PORT, () => {
+  const addresses = Object.values(networkInterfaces())
+    .flat()
+    .filter((iface) => iface && iface.family === 'IPv4' && !iface.internal)
+    .map((iface) => iface.address);
+
+  console.log(`LAN room server listening on port ${PORT}`);
+  for (const address of addresses) {
+    console.log(`  Players join with server address: ${address}:${PORT}`);
+  }
+});
@@ -2,17 +2,30 @@
  * App.jsx
  * ========
  * Root component that orchestrates mode selection and renders the
- * appropriate board (PlayerBoard or BankerBoard) based on game state.
+ * appropriate board (PlayerBoard, BankerBoard or SpectatorBoard) based on
+ * game state, or the Past Games browser.
+ *
+ * Text goes through useTranslation(); the language is picked on the home
+ * screen and amounts are formatted with its locale.
  */
 
 import { useState } from 'react';
 import { useGameSession } from './hooks/useGameSession';
 import PlayerBoard from './components/PlayerBoard';
 import BankerBoard from './components/BankerBoard';
+import SpectatorBoard from './components/SpectatorBoard';
+import PastGames from './components/PastGames';
+import PresetPicker from './components/PresetPicker';
+import { describePreset } from './lib/presets';
+import { CURRENCIES, currencyInfo } from './lib/money';
+import { LANGUAGES } from './lib/i18n';
+import { useTranslation } from './hooks/useTranslation';
 
 export default function App() {
   const game = useGameSession();
+  const { t, language, setLanguage, locale } = useTranslation();
   const [joinCode, setJoinCode] = useState('');
+  const [showPresets, setShowPresets] = useState(false);
 
   // =========================================================================
   // MODE: Single-player → PlayerBoard
@@ -21,16 +34,27 @@ export default function App() {
     return (
       <PlayerBoard
         mode="single"
+        preset={game.singlePreset}
+        money={{ ...game.singleMoney, locale }}
         baseAmount={game.singleBase}
         currentNet={game.singleNet}
-        lastActionAmount={game.singleLastAction}
+        bankroll={game.singleBankroll}
+        history={game.singleActionLog}
+        roundCount={game.singleRoundCount}
+        canUndo={game.singleCanUndo}
+        canRedo={game.singleCanRedo}
         onSetBase={game.setSinglePlayerBase}
         onAction={game.singlePlayerAction}
+        onLedger={game.singleLedger}
         onUndo={game.singlePlayerUndo}
+        onRedo={game.singlePlayerRedo}
         onExit={game.singlePlayerExit}
+        onExport={game.snapshotSession}
         roomId={null}
         playerName={game.playerName}
         onSetName={game.setPlayerName}
+        error={game.error}
+        onDismissError={game.dismissError}
       />
     );
   }
@@ -42,18 +66,50 @@ export default function App() {
     return (
       <PlayerBoard
         mode="multi"
+        preset={game.roomPreset}
+        money={{ ...game.roomMoney, locale }}
+        rakeTotal={game.rakeTotal}
         baseAmount={game.baseAmount}
         currentNet={game.currentNet}
-        lastActionAmount={game.lastActionAmount}
+        bankroll={game.bankroll}
+        history={game.actionLog}
+        roundCount={game.roundCount}
+        hasMoreHistory={game.hasMoreHistory}
+        onLoadMoreHistory={game.loadMoreHistory}
+        onLoadAllHistory={game.loadAllHistory}
+        canUndo={game.canUndo}
+        canRedo={game.canRedo}
         onSetBase={game.setPlayerBase}
         onAction={game.playerAction}
+        onLedger={game.playerLedger}
         onUndo={game.playerUndo}
+        onRedo={game.playerRedo}
         onExit={game.leaveRoom}
+        onExport={game.snapshotSession}
         roomId={game.roomId}
         playerName={game.playerName}
         onSetName={game.setPlayerName}
+        roundNumber={game.roundNumber}
+        roundPhase={game.roundPhase}
+        phaseEndsAt={game.phaseEndsAt}
+        sittingOut={game.sittingOut}
+        onToggleSitOut={game.toggleSitOut}
+        pendingEntryIds={game.pendingEntryIds}
+        pendingCount={game.pendingCount}
+        syncOffline={game.syncOffline}
         tiePromptActive={game.tiePromptActive}
         resolveTiePrompt={game.resolveTiePrompt}
+        editProposal={game.editProposal}
+        resolveEditProposal={game.resolveEditProposal}
+        onDispute={game.playerDispute}
+        disputeOutcome={game.disputeOutcome}
+        onDismissDisputeOutcome={game.dismissDisputeOutcome}
+        deviceUUID={game.deviceUUID}
+        roomStatus={game.roomStatus}
+        settlement={game.settlement}
+        onMarkTransferPaid={game.markTransferPaid}
+        error={game.error}
+        onDismissError={game.dismissError}
       />
     );
   }
@@ -64,11 +120,78 @@ export default function App() {
   if (game.mode === 'multi' && game.role === 'banker') {
     return (
       <BankerBoard
+        preset={game.roomPreset}
+        money={{ ...game.roomMoney, locale }}
+        rake={game.roomRake}
         bankerNet={game.bankerNet}
         players={game.players}
+        presence={game.presence}
         roomId={game.roomId}
+        deviceUUID={game.deviceUUID}
+        roomStatus={game.roomStatus}
+        settlement={game.settlement}
+        roundNumber={game.roundNumber}
+        roundOpen={game.roundOpen}
+        roundPhase={game.roundPhase}
+        phaseEndsAt={game.phaseEndsAt}
+        onAdvanceRound={game.advanceRound}
+        onFinishRound={game.finishRound}
         onExit={game.leaveRoom}
+        onExport={game.snapshotSession}
+        onSettle={game.settleRoom}
+        onMarkTransferPaid={game.markTransferPaid}
         promptPlayerTie={game.promptPlayerTie}
+        tiePrompts={game.tiePrompts}
+        onCancelTiePrompt={game.cancelTiePrompt}
+        onProposeEdit={game.proposeEdit}
+        editRequests={game.editRequests}
+        fetchRoundEdits={game.fetchRoundEdits}
+        onResolveDispute={game.resolvePlayerDispute}
+        fetchPlayerHistory={game.fetchPlayerHistory}
+        fetchRoomHistory={game.fetchRoomHistory}
+        fetchRoomUpdates={game.fetchRoomUpdates}
+        fetchRoomDisputes={game.fetchRoomDisputes}
+        error={game.error}
+        onDismissError={game.dismissError}
+      />
+    );
+  }
+
+  // =========================================================================
+  // MODE: Multiplayer — Spectator (read-only)
+  // =========================================================================
+  if (game.mode === 'multi' && game.role === 'spectator') {
+    return (
+      <SpectatorBoard
+        preset={game.roomPreset}
+        money={{ ...game.roomMoney, locale }}
+        bankerNet={game.bankerNet}
+        players={game.players}
+        roomId={game.roomId}
+        deviceUUID={game.deviceUUID}
+        roomStatus={game.roomStatus}
+        settlement={game.settlement}
+        roundNumber={game.roundNumber}
+        roundPhase={game.roundPhase}
+        phaseEndsAt={game.phaseEndsAt}
+        onExit={game.leaveRoom}
+      />
+    );
+  }
+
+  // =========================================================================
+  // MODE: Past games
+  // =========================================================================
+  if (game.mode === 'archive') {
+    return (
+      <PastGames
+        wholeUnits={game.wholeUnits}
+        sessions={game.archive}
+        onBack={() => game.setMode(null)}
+        onDelete={game.deleteArchivedSession}
+        onOpenRoom={game.fetchArchivedRoom}
+        onImport={game.importSession}
+        onResume={game.resumeSession}
       />
     );
   }
@@ -84,59 +207,207 @@ export default function App() {
           🎲♣️ Tracker♦️🎲
         </h1>
         <p className="text-gray-400 text-sm">
-          Real-time session tracker
+          {t('home.tagline')}
         </p>
       </div>
 
       {/* Mode Cards */}
       <div className="w-full max-w-sm space-y-4">
-        {/* Single Player */}
+        {/* Language — kept on this device */}
+        <div className="bg-gray-800/40 border border-gray-600/30 rounded-2xl p-4 flex items-center gap-3">
+          <p className="text-xs uppercase tracking-wider text-gray-400">{t('home.language')}</p>
+          <div className="flex-1 grid grid-cols-3 gap-2">
+            {LANGUAGES.map((l) => (
+              <button
+                key={l.code}
+                onClick={() => setLanguage(l.code)}
+                className={`py-2 rounded-xl text-sm font-bold transition-colors truncate ${language === l.code
+                  ? 'bg-blue-600 text-white'
+                  : 'bg-gray-900/60 text-gray-400 hover:text-gray-200'
+                  }`}
+              >
+                {l.name}
+              </button>
+            ))}
+          </div>
+        </div>
+
+        {/* Game preset — for the next single-player game or room */}
         <button
-          onClick={() => game.setMode('single')}
-          className="w-full bg-green-800/40 hover:bg-green-700/50 border border-green-600/30 rounded-2xl p-5 text-left transition-colors"
+          onClick={() => setShowPresets(true)}
+          className="w-full bg-gray-800/40 hover:bg-gray-700/50 border border-gray-600/30 rounded-2xl p-4 text-left transition-colors flex items-center justify-between gap-3"
         >
-          <p className="text-lg font-bold text-green-300">Single Player</p>
-          <p className="text-green-400/60 text-sm mt-1">
-            Track wins & losses locally. No account needed.
-          </p>
+          <div className="min-w-0">
+            <p className="text-xs uppercase tracking-wider text-gray-400">{t('home.game')}</p>
+            <p className="font-bold text-gray-100 truncate">{game.presetChoice.name}</p>
+            <p className="text-gray-500 text-xs truncate">{describePreset(game.presetChoice, t)}</p>
+          </div>
+          <span className="text-sm font-bold text-blue-400 shrink-0">{t('home.change')}</span>
         </button>
 
-        {/* Create Room */}
+        {/* Currency — for the next single-player game or room */}
+        <div className="bg-gray-800/40 border border-gray-600/30 rounded-2xl p-4 flex items-center gap-3">
+          <p className="text-xs uppercase tracking-wider text-gray-400">{t('home.currency')}</p>
+          <select
+            value={game.currencyChoice}
+            onChange={(e) => game.chooseCurrency(e.target.value)}
+            className="flex-1 min-w-0 bg-gray-900/60 border border-gray-600/30 rounded-xl px-3 py-2 text-sm text-white focus:outline-none focus:ring-2 focus:ring-blue-500/40"
+          >
+            {CURRENCIES.map((c) => (
+              <option key={c.code} value={c.code}>
+                {c.symbol} · {c.code} — {c.name}
+              </option>
+            ))}
+          </select>
+          <label className="flex items-center gap-1.5 text-xs text-gray-400 shrink-0">
+            <input
+              type="checkbox"
+              checked={game.wholeUnits}
+              onChange={(e) => game.setWholeUnits(e.target.checked)}
+              className="accent-blue-500"
+            />
+            {t('home.wholeUnits')}
+          </label>
+        </div>
+
+        {/* Single Player */}
         <button
-          onClick={game.createRoom}
-          disabled={game.loading}
-          className="w-full bg-yellow-800/40 hover:bg-yellow-700/50 border border-yellow-600/30 rounded-2xl p-5 text-left transition-colors disabled:opacity-50"
+          onClick={game.startSinglePlayer}
+          className="w-full bg-green-800/40 hover:bg-green-700/50 border border-green-600/30 rounded-2xl p-5 text-left transition-colors"
         >
-          <p className="text-lg font-bold text-yellow-300">Create Room (Banker)</p>
-          <p className="text-yellow-400/60 text-sm mt-1">
-            Start a multiplayer session. You'll be the Banker.
+          <p className="text-lg font-bold text-green-300">{t('home.single')}</p>
+          <p className="text-green-400/60 text-sm mt-1">
+            {t('home.singleHint')}
           </p>
         </button>
 
+        {/* Connection — where multiplayer rooms live */}
+        <div className="bg-gray-800/40 border border-gray-600/30 rounded-2xl p-4">
+          <p className="text-xs uppercase tracking-wider text-gray-400 mb-2">{t('home.connection')}</p>
+          <div className="grid grid-cols-2 gap-2">
+            {[
+              { kind: 'cloud', label: t('home.cloud') },
+              { kind: 'lan', label: t('home.lan') },
+            ].map((option) => (
+              <button
+                key={option.kind}
+                onClick={() => game.setConnection({ ...game.connection, kind: option.kind })}
+                className={`py-2 rounded-xl text-sm font-bold transition-colors ${game.connection.kind === option.kind
+                  ? 'bg-blue-600 text-white'
+                  : 'bg-gray-900/60 text-gray-400 hover:text-gray-200'
+                  }`}
+              >
+                {option.label}
+              </button>
+            ))}
+          </div>
+          {game.connection.kind === 'lan' && (
+            <input
+              type="text"
+              inputMode="url"
+              value={game.connection.lanUrl}
+              onChange={(e) => game.setConnection({ ...game.connection, lanUrl: e.target.value })}
+              placeholder={t('home.lanPlaceholder')}
+              className="mt-3 w-full bg-gray-900/60 border border-gray-600/30 rounded-xl px-4 py-2 font-mono text-white placeholder-gray-500 focus:outline-none focus:ring-2 focus:ring-blue-500/40"
+            />
+          )}
+        </div>
+
+        {/* Create Room, with the banker's rake */}
+        <div className="bg-yellow-800/40 border border-yellow-600/30 rounded-2xl overflow-hidden">
+          <button
+            onClick={game.createRoom}
+            disabled={game.loading}
+            className="w-full hover:bg-yellow-700/50 p-5 text-left transition-colors disabled:opacity-50"
+          >
+            <p className="text-lg font-bold text-yellow-300">{t('home.create')}</p>
+            <p className="text-yellow-400/60 text-sm mt-1">
+              {t('home.createHint')}
+            </p>
+          </button>
+          <div className="flex items-center gap-2 px-5 pb-4">
+            <span className="text-xs uppercase tracking-wider text-yellow-400/70 mr-1">{t('common.rake')}</span>
+            {[
+              { type: 'percent', label: t('home.rakePercent') },
+              { type: 'fixed', label: t('home.rakeFixed', { symbol: currencyInfo(game.currencyChoice).symbol }) },
+            ].map((option) => (
+              <button
+                key={option.type}
+                onClick={() => game.setRakeChoice({ ...game.rakeChoice, type: option.type })}
+                className={`px-2.5 py-1.5 rounded-lg text-xs font-bold transition-colors ${game.rakeChoice.type === option.type
+                  ? 'bg-yellow-500 text-yellow-950'
+                  : 'bg-yellow-950/60 text-yellow-300/70 hover:text-yellow-200'
+                  }`}
+              >
+                {option.label}
+              </button>
+            ))}
+            <input
+              type="number"
+              inputMode="decimal"
+              min="0"
+              value={game.rakeChoice.value}
+              onChange={(e) => game.setRakeChoice({ ...game.rakeChoice, value: e.target.value })}
+              placeholder={t('home.rakeNone')}
+              className="w-20 ml-auto bg-yellow-950/60 border border-yellow-600/30 rounded-lg px-2 py-1.5 text-sm font-mono text-white placeholder-yellow-500/40 focus:outline-none focus:ring-2 focus:ring-yellow-500/40"
+            />
+          </div>
+        </div>
+
         {/* Join Room */}
         <div className="bg-gray-800/40 border border-gray-600/30 rounded-2xl p-5">
-          <p className="text-lg font-bold text-gray-300 mb-3">Join Room</p>
+          <p className="text-lg font-bold text-gray-300 mb-3">{t('home.join')}</p>
           <div className="flex gap-3">
             <input
               type="text"
               inputMode="numeric"
               value={joinCode}
               onChange={(e) => setJoinCode(e.target.value)}
-              placeholder="Room code"
+              placeholder={t('home.roomCode')}
               maxLength={6}
               className="flex-1 bg-gray-900/60 border border-gray-600/30 rounded-xl px-4 py-3 text-lg font-mono text-white placeholder-gray-500 focus:outline-none focus:ring-2 focus:ring-blue-500/40"
             />
             <button
-              onClick={() => joinCode.trim() && game.joinRoom(joinCode.trim())}
+              onClick={() => joinCode.trim() && game.joinRoom(joinCode.trim(), { spectate: false })}
               disabled={game.loading || !joinCode.trim()}
               className="px-5 py-3 bg-blue-600 hover:bg-blue-500 disabled:bg-gray-700 disabled:text-gray-500 rounded-xl font-bold transition-colors"
             >
-              Join
+              {t('home.joinButton')}
+            </button>
+            <button
+              onClick={() => joinCode.trim() && game.joinRoom(joinCode.trim(), { spectate: true })}
+              disabled={game.loading || !joinCode.trim()}
+              className="px-4 py-3 bg-gray-700 hover:bg-gray-600 disabled:bg-gray-800 disabled:text-gray-600 rounded-xl font-bold transition-colors"
+              title={t('home.watchHint')}
+            >
+              {t('home.watchButton')}
             </button>
           </div>
         </div>
+
+        {/* Past Games */}
+        <button
+          onClick={() => game.setMode('archive')}
+          className="w-full py-3 bg-gray-800/40 hover:bg-gray-700/50 border border-gray-600/30 rounded-2xl text-gray-300 font-bold transition-colors"
+        >
+          {t('home.pastGames')}
+          {game.archive.length > 0 && (
+            <span className="ml-2 text-gray-500 font-mono text-sm">({game.archive.length})</span>
+          )}
+        </button>
       </div>
 
+      {showPresets && (
+        <PresetPicker
+          selected={game.presetChoice}
+          customPresets={game.customPresets}
+          onChoose={game.choosePreset}
+          onSaveCustom={game.saveCustomPreset}
+          onDeleteCustom={game.deleteCustomPreset}
+          onClose={() => setShowPresets(false)}
+        />
+      )}
+
       {/* Error display */}
       {game.error && (
         <div className="mt-6 px-4 py-3 bg-red-900/50 border border-red-500/30 rounded-xl text-red-300 text-sm max-w-sm w-full text-center">
@@ -146,7 +417,7 @@ export default function App() {
 
       {/* Device ID footer */}
       <p className="mt-12 text-gray-600 text-xs font-mono">
-        ID: {game.deviceUUID.slice(0, 8)}...
+        {t('home.deviceId', { id: game.deviceUUID.slice(0, 8) })}
       </p>
     </div>
   );
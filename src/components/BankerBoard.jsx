@@ -8,29 +8,122 @@
  * - Total room net amount (banker's net = negative sum of all player nets)
  * - Real-time updates via parent (Supabase subscription lives in the hook)
  * - Player count display
+ * - The game preset the room was created with (players' buttons follow it)
+ * - Rake: the room's total cut from player wins, on its own line
+ * - Money on table: every player's bankroll plus net (see lib/actionLog.js)
  * - Room code display for sharing
+ * - Round control: the Banker moves numbered rounds through their phases
+ *   (betting, closed, results — see lib/rounds.js), optionally on a
+ *   countdown, and each player is checked against the finished rounds for
+ *   missing or duplicate entries; a player who is Off Track can be prompted
+ *   to log ties, and the prompt shows as sent, seen, accepted, declined or
+ *   expired, to retry or cancel (see lib/tiePrompts.js)
+ * - Presence: each player shows as online, idle or offline with when they
+ *   were last seen; offline players are not flagged Off Track until they
+ *   return (see lib/presence.js)
+ * - Sitting out: paused players are listed apart and left out of the round
+ *   audit; the rounds they skip are logged as sat out when they return
+ * - Spectators: people following the room read-only are listed apart; they
+ *   take no seat and never count as players
+ * - Net over time: a chart of the banker's net and a sparkline per player,
+ *   caught up from the room's round history shortly after any player changes
+ *   (only the rounds added since, see refreshRoomHistory in lib/roundHistory.js)
+ * - Export the session as CSV or a JSON backup (alongside the JPEG summary)
+ * - Tap a player to page through their round history and see their stats
+ * - Correct a player's round from their history: the player approves or
+ *   rejects it, and every approved change shows in the Edits tab's audit
+ *   log (see lib/corrections.js)
+ * - Open disputes: every entry a player has disputed, to accept, amend or
+ *   reject (see lib/disputes.js); amendments show in the Edits tab too,
+ *   labelled as settling the player's dispute
+ * - End Game settles up: nets become a minimal list of transfers (optionally
+ *   rounded), which stays on screen until the Banker closes the room
  *
- * The Banker has NO action buttons — they only observe.
+ * Apart from round control, proposed corrections and resolving disputes the
+ * Banker only observes.
  */
 
 import { useState, useEffect, useRef } from 'react';
+import { flushSync } from 'react-dom';
 import html2canvas from 'html2canvas';
 import LedDisplay from './LedDisplay';
 import GameSummaryReport from './GameSummaryReport';
+import SettlementPanel from './SettlementPanel';
+import StatsPanel from './StatsPanel';
+import NetChart from './NetChart';
+import Sparkline from './Sparkline';
+import ExportDialog from './ExportDialog';
+import DisputeBadge from './DisputeBadge';
+import ErrorBanner from './ErrorBanner';
+import { entryLabel, formatClock, isLedgerEntry, isRoundEntry } from '../lib/actionLog';
+import { isCorrectable } from '../lib/corrections';
+import { DISPUTE_STATUSES, openDisputes } from '../lib/disputes';
+import { PRESENCE_STATUSES, isOffline } from '../lib/presence';
+import { TIE_PROMPT_STATUSES, isPromptPending, showPromptStatus } from '../lib/tiePrompts';
+import { PHASE_TIMERS, ROUND_PHASES, auditRounds, entryRounds, formatRoundList, nextPhase } from '../lib/rounds';
+import { DENOMINATIONS, settlementProgress } from '../lib/settlement';
+import { computeStats } from '../lib/stats';
+import { DEFAULT_PRESET, describePreset } from '../lib/presets';
+import { describeRake } from '../lib/rake';
+import { DEFAULT_MONEY, formatMoney, formatNet } from '../lib/money';
+import { bankerNetSeries, historyByPlayer, netSeries } from '../lib/netSeries';
+import { useTranslation } from '../hooks/useTranslation';
+import { formatCountdown, useCountdown } from '../hooks/useCountdown';
+
+// Wait for a burst of realtime changes to settle before re-reading the history
+const CHART_REFRESH_DELAY = 1500;
 
 export default function BankerBoard({
   // Data from useGameSession
   bankerNet,
   players,
+  presence = {}, // uuid → { status, lastSeen } (see lib/presence.js)
   roomId,
+  preset = DEFAULT_PRESET,
+  rake = null,
+  money = DEFAULT_MONEY, // the room's currency and display (see lib/money.js)
+  deviceUUID,
+  roomStatus,
+  settlement,
+  roundNumber,
+  roundOpen,
+  roundPhase = ROUND_PHASES.IDLE,
+  phaseEndsAt = null,
+  onAdvanceRound, // (seconds) — to the next phase, with a countdown of that length
+  onFinishRound,
   onExit,
+  onExport,
+  onSettle,
+  onMarkTransferPaid,
   promptPlayerTie,
+  tiePrompts = {}, // player uuid → latest tie prompt (see lib/tiePrompts.js)
+  onCancelTiePrompt,
+  onProposeEdit, // (playerUuid, entry, multiplier) — ask the player to approve a correction
+  editRequests = {}, // entry id → { proposalId, status } of the corrections proposed so far
+  fetchRoundEdits,
+  onResolveDispute, // (playerUuid, entry, status, multiplier) → resolved? — see lib/disputes.js
+  fetchPlayerHistory,
+  fetchRoomHistory,
+  fetchRoomUpdates, // (loaded) — the room history brought up to date (see lib/roundHistory.js)
+  fetchRoomDisputes,
+  error = null, // the session's latest error, until dismissed
+  onDismissError,
 }) {
+  const { t } = useTranslation();
+
   // ---- Timer ----
   const [elapsed, setElapsed] = useState(0);
   const [showExitConfirm, setShowExitConfirm] = useState(false);
+  const [denomination, setDenomination] = useState(DENOMINATIONS[0]);
   const [isGenerating, setIsGenerating] = useState(false);
+  const [reportHistory, setReportHistory] = useState([]);
+  const [historyPlayerId, setHistoryPlayerId] = useState(null);
+  const [roomHistory, setRoomHistory] = useState([]);
+  const [disputeEntries, setDisputeEntries] = useState([]);
+  const [showExport, setShowExport] = useState(false);
+  const [phaseTimer, setPhaseTimer] = useState(PHASE_TIMERS[0]); // countdown for the next betting / results phase
   const timerRef = useRef(null);
+  const roomHistoryRef = useRef([]);
   const reportRef = useRef(null);
 
   useEffect(() => {
@@ -56,12 +149,14 @@ export default function BankerBoard({
       : `${pad(mins)}:${pad(secs)}`;
   };
 
-  /** Format currency with sign */
-  const formatNet = (amount) => {
-    if (amount === 0) return '$0.00';
-    const sign = amount > 0 ? '+' : '';
-    return `${sign}$${amount.toFixed(2)}`;
-  };
+  const secondsLeft = useCountdown(phaseEndsAt);
+  const next = nextPhase(roundPhase, roundNumber);
+  const advanceLabel =
+    next.phase === ROUND_PHASES.BETTING
+      ? t('banker.openBetting', { n: next.roundNumber })
+      : next.phase === ROUND_PHASES.CLOSED
+        ? t('banker.closeBetting')
+        : t('banker.openResults');
 
   const netColor =
     bankerNet > 0
@@ -73,28 +168,61 @@ export default function BankerBoard({
   // Count active players (non-banker)
   const activePlayers = players.filter((p) => p.role === 'player');
   const playerCount = activePlayers.length;
+  // Part of the banker's net: the cut taken from every player win
+  const rakeTotal = activePlayers.reduce((sum, p) => sum + (p.rake_total || 0), 0);
+  // Chips in front of the players: what they brought plus what they won
+  const moneyOnTable = activePlayers.reduce((sum, p) => sum + (p.bankroll || 0) + (p.current_net || 0), 0);
+  const hasBankrolls = activePlayers.some((p) => p.bankroll);
 
-  // Calculate majority rounds
-  const roundCounts = activePlayers.map((p) => (p.round_history || []).length);
-  let majorityRounds = 0;
-  if (roundCounts.length > 0) {
-    const counts = {};
-    let maxCount = 0;
-    for (const rounds of roundCounts) {
-      counts[rounds] = (counts[rounds] || 0) + 1;
-      if (counts[rounds] > maxCount) {
-        maxCount = counts[rounds];
-        majorityRounds = rounds;
-      } else if (counts[rounds] === maxCount && rounds > majorityRounds) {
-        majorityRounds = rounds;
+  // Realtime carries only the totals, so the charts catch up on the history
+  // (and the open disputes are re-read) whenever a player's row version moves
+  const versionKey = activePlayers.map((p) => `${p.uuid}:${p.version}`).join(',');
+  useEffect(() => {
+    let cancelled = false;
+    const timer = setTimeout(async () => {
+      const [history, open] = await Promise.all([fetchRoomUpdates(roomHistoryRef.current), fetchRoomDisputes()]);
+      if (cancelled) return;
+      if (!history.error) {
+        roomHistoryRef.current = history.entries;
+        setRoomHistory(history.entries);
       }
-    }
-  }
+      if (!open.error) setDisputeEntries(open.entries);
+    }, CHART_REFRESH_DELAY);
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+    };
+  }, [versionKey, fetchRoomUpdates, fetchRoomDisputes]);
+
+  const playerLogs = historyByPlayer(roomHistory);
+  const disputes = openDisputes(disputeEntries);
+  const playerLabel = (uuid) => {
+    const idx = activePlayers.findIndex((p) => p.uuid === uuid);
+    return idx === -1 ? t('common.player') : activePlayers[idx].name || t('common.playerN', { n: idx + 1 });
+  };
+
+  // Players sitting out are listed apart, with no round audit
+  const playingPlayers = activePlayers.filter((p) => p.sitting_out_since == null);
+  const sittingOutPlayers = activePlayers.filter((p) => p.sitting_out_since != null);
+  const spectators = players.filter((p) => p.role === 'spectator');
+
+  // Exact per-round audit of every player at the table against the banker's
+  // closed rounds; a player who is offline is not expected to keep up until
+  // they return
+  const audits = Object.fromEntries(
+    playingPlayers.map((p) => [
+      p.uuid,
+      auditRounds(p.recorded_rounds || [], { roundNumber, roundOpen, joinedRound: p.joined_round }),
+    ])
+  );
 
   const handleGenerateReport = async () => {
     if (!reportRef.current || isGenerating) return;
     try {
       setIsGenerating(true);
+      // The report lists every round, so page through the whole room first
+      const { entries } = await fetchRoomHistory();
+      flushSync(() => setReportHistory(entries));
       const canvas = await html2canvas(reportRef.current, {
         scale: 2, // High resolution
         useCORS: true,
@@ -121,16 +249,22 @@ export default function BankerBoard({
           ref={reportRef}
           bankerNet={bankerNet}
           players={players}
+          history={reportHistory}
           roomId={roomId}
           elapsed={elapsed}
+          rake={rake}
+          money={money}
         />
       </div>
       {/* ---- Header ---- */}
       <header className="px-4 pt-6 pb-3 flex items-center justify-between">
         <div>
-          <h1 className="text-2xl font-bold tracking-tight">庄 Banker</h1>
+          <h1 className="text-2xl font-bold tracking-tight">{t('banker.title')}</h1>
           <p className="text-yellow-300 text-sm mt-0.5">
-            Room: <span className="font-mono font-bold text-lg">{roomId}</span>
+            {t('common.room')}: <span className="font-mono font-bold text-lg">{roomId}</span>
+          </p>
+          <p className="text-yellow-400/60 text-xs mt-0.5" title={describePreset(preset, t)}>
+            {preset.name}
           </p>
         </div>
         <div className="flex gap-2">
@@ -138,22 +272,28 @@ export default function BankerBoard({
             onClick={handleGenerateReport}
             disabled={isGenerating}
             className="px-3 py-2 bg-yellow-500 text-yellow-950 hover:bg-yellow-400 disabled:opacity-50 disabled:cursor-not-allowed rounded-xl text-sm font-bold shadow-lg shadow-yellow-900/20 transition-colors flex items-center gap-1.5"
-            title="Download Game Summary Report"
+            title={t('banker.summaryHint')}
           >
             {isGenerating ? (
               <>
                 <span className="w-3.5 h-3.5 border-2 border-yellow-900/30 border-t-yellow-900 rounded-full animate-spin"></span>
-                Generating...
+                {t('banker.generating')}
               </>
             ) : (
-              'Summary'
+              t('banker.summary')
             )}
           </button>
+          <button
+            onClick={() => setShowExport(true)}
+            className="px-3 py-2 bg-yellow-800/60 hover:bg-yellow-700/80 rounded-xl text-sm font-medium transition-colors border border-yellow-700/30"
+          >
+            {t('common.export')}
+          </button>
           <button
             onClick={() => setShowExitConfirm(true)}
             className="px-3 py-2 bg-yellow-800/60 hover:bg-yellow-700/80 rounded-xl text-sm font-medium transition-colors border border-yellow-700/30"
           >
-            End Game
+            {t('banker.endGame')}
           </button>
         </div>
       </header>
@@ -161,7 +301,7 @@ export default function BankerBoard({
       {/* ---- Timer ---- */}
       <div className="text-center pt-8 pb-2">
         <p className="text-yellow-300/80 text-xs uppercase tracking-widest mb-1">
-          Game Duration
+          {t('common.gameDuration')}
         </p>
         <p className="text-4xl font-mono font-bold tabular-nums">
           {formatTime(elapsed)}
@@ -171,21 +311,67 @@ export default function BankerBoard({
       {/* ---- Banker Net (the big number) ---- */}
       <div className="text-center py-6">
         <p className="text-yellow-300 text-sm uppercase tracking-widest mb-2">
-          Your Net (Banker)
+          {t('banker.net')}
         </p>
         <p className={`text-6xl font-extrabold tabular-nums ${netColor}`}>
-          {formatNet(bankerNet)}
+          {formatNet(bankerNet, money)}
         </p>
         <p className="text-yellow-400/60 text-xs mt-3 mb-6">
-          = −(sum of all player nets)
+          {t('banker.netFormula')}
         </p>
 
         <p className="text-yellow-300 text-sm uppercase tracking-widest mb-1">
-          Majority Rounds
-        </p>
-        <p className="text-3xl font-bold tabular-nums text-white">
-          {majorityRounds}
+          {t('common.round')}
         </p>
+        <div className="flex items-center justify-center gap-3">
+          <p className="text-3xl font-bold tabular-nums text-white">
+            {roundNumber || '—'}
+          </p>
+          {roundNumber > 0 && (
+            <span className={`text-xs uppercase font-bold tracking-wider px-2 py-0.5 rounded ${roundPhase === ROUND_PHASES.IDLE ? 'bg-yellow-900/60 text-yellow-400/80' : 'bg-green-600 text-white'}`}>
+              {t(`phase.${roundPhase}`)}
+            </span>
+          )}
+        </div>
+        {secondsLeft > 0 && (
+          <p className="text-yellow-200/80 text-sm font-mono tabular-nums mt-1">
+            {t('phase.endsIn', { time: formatCountdown(secondsLeft) })}
+          </p>
+        )}
+        <div className="flex justify-center gap-2 mt-4">
+          <button
+            onClick={() => onAdvanceRound(phaseTimer)}
+            className={`px-6 py-3 rounded-xl font-bold transition-colors shadow-lg ${next.phase === ROUND_PHASES.CLOSED
+              ? 'bg-red-600 hover:bg-red-500 text-white'
+              : 'bg-yellow-500 hover:bg-yellow-400 text-yellow-950'
+              }`}
+          >
+            {advanceLabel}
+          </button>
+          {roundPhase === ROUND_PHASES.RESULTS && (
+            <button
+              onClick={onFinishRound}
+              className="px-4 py-3 bg-yellow-800/60 hover:bg-yellow-700/80 rounded-xl font-medium transition-colors border border-yellow-700/30"
+            >
+              {t('banker.finishRound', { n: roundNumber })}
+            </button>
+          )}
+        </div>
+        <div className="flex items-center justify-center gap-1.5 mt-3">
+          <span className="text-yellow-400/60 text-xs uppercase tracking-wider mr-1">{t('banker.countdown')}</span>
+          {PHASE_TIMERS.map((seconds) => (
+            <button
+              key={seconds}
+              onClick={() => setPhaseTimer(seconds)}
+              className={`px-2 py-1 rounded-lg text-xs font-bold transition-colors ${phaseTimer === seconds
+                ? 'bg-yellow-500 text-yellow-950'
+                : 'bg-yellow-900/50 text-yellow-200/70 hover:bg-yellow-800/50'
+                }`}
+            >
+              {seconds === 0 ? t('banker.countdownOff') : t('banker.seconds', { count: seconds })}
+            </button>
+          ))}
+        </div>
       </div>
 
       {/* ---- LED Scrolling Display ---- */}
@@ -193,48 +379,109 @@ export default function BankerBoard({
         <LedDisplay role="banker" />
       </div>
 
+      {/* ---- Open Disputes ---- */}
+      {disputes.length > 0 && (
+        <div className="px-6 mb-6">
+          <DisputesPanel
+            disputes={disputes}
+            playerLabel={playerLabel}
+            preset={preset}
+            money={money}
+            onResolve={onResolveDispute}
+          />
+        </div>
+      )}
+
+      {/* ---- Banker Net Over Time ---- */}
+      <div className="px-6 mb-6">
+        <div className="bg-yellow-950/50 rounded-2xl p-5 border border-yellow-700/30">
+          <p className="text-yellow-400/60 text-xs uppercase tracking-wider mb-2">{t('common.netOverTime')}</p>
+          <NetChart series={bankerNetSeries(roomHistory)} money={money} />
+        </div>
+      </div>
+
       {/* ---- Room Stats ---- */}
       <div className="px-6">
         <div className="bg-yellow-950/50 rounded-2xl p-5 border border-yellow-700/30">
           <div className="flex justify-between items-center mb-4">
-            <span className="text-yellow-300/80 text-sm">Active Players</span>
+            <span className="text-yellow-300/80 text-sm">{t('banker.activePlayers')}</span>
             <span className="text-2xl font-bold">{playerCount}</span>
           </div>
 
+          {hasBankrolls && (
+            <div className="flex justify-between items-center mb-4">
+              <span className="text-yellow-300/80 text-sm">{t('banker.moneyOnTable')}</span>
+              <span className="text-xl font-bold font-mono tabular-nums text-yellow-200">{formatMoney(moneyOnTable, money)}</span>
+            </div>
+          )}
+
+          {rake && (
+            <div className="flex justify-between items-center mb-4">
+              <span className="text-yellow-300/80 text-sm">
+                {t('common.rake')} <span className="text-yellow-500/60 text-xs">({describeRake(rake, money, t)})</span>
+              </span>
+              <span className="text-xl font-bold font-mono tabular-nums text-yellow-200">{formatMoney(rakeTotal, money)}</span>
+            </div>
+          )}
+
           {/* Player breakdown list */}
           {players.length > 0 && (
             <div className="border-t border-yellow-700/30 pt-4 mt-2">
               <p className="text-yellow-400/60 text-xs uppercase tracking-wider mb-2">
-                Player Nets
+                {t('banker.playerNets')}
               </p>
               <div className="space-y-2 max-h-[40vh] overflow-y-auto pr-2 custom-scrollbar">
-                {activePlayers.map((p, idx) => {
-                  const pRounds = (p.round_history || []).length;
-                  const isBehind = pRounds < majorityRounds;
+                {playingPlayers.map((p) => {
+                  const idx = activePlayers.indexOf(p);
+                  const pRounds = p.round_count || 0;
+                  const { missing, duplicates } = audits[p.uuid];
+                  const isBehind = missing.length > 0 && !isOffline(presence[p.uuid]);
                   return (
                     <div
                       key={p.uuid}
                       className="flex justify-between items-center py-2 border-b border-yellow-700/20 last:border-0"
                     >
                       <div className="flex flex-col gap-0.5">
-                        <span className="text-yellow-200 text-sm font-medium truncate max-w-[120px]">
-                          {p.name || `Player ${idx + 1}`}
-                        </span>
+                        <button
+                          onClick={() => setHistoryPlayerId(p.uuid)}
+                          className="text-left text-yellow-200 hover:text-yellow-100 text-sm font-medium truncate max-w-[120px]"
+                          title={t('banker.showHistory')}
+                        >
+                          <PresenceDot presence={presence[p.uuid]} />
+                          {p.name || t('common.playerN', { n: idx + 1 })}
+                        </button>
+                        <PresenceLine presence={presence[p.uuid]} />
                         <div className="flex items-center gap-1.5">
                           <span className={`text-xs px-1.5 py-0.5 rounded font-mono ${isBehind ? 'bg-red-900/40 text-red-300 border border-red-700/50' : 'bg-yellow-900/30 text-yellow-500/80'}`}>
-                            {pRounds} R
+                            {t('banker.roundsShort', { count: pRounds })}
                           </span>
                           {isBehind && (
                             <button
-                              onClick={() => promptPlayerTie(p.uuid, majorityRounds - pRounds)}
+                              onClick={() => promptPlayerTie(p.uuid, missing)}
                               className="text-[10px] uppercase font-bold tracking-wider px-2 py-0.5 bg-red-600 hover:bg-red-500 text-white rounded transition-colors"
-                              title={`Prompt player to log ${majorityRounds - pRounds} missing round(s)`}
+                              title={t('banker.offTrackHint', { rounds: formatRoundList(missing) })}
                             >
-                              Off Track
+                              {t('banker.offTrack')}
                             </button>
                           )}
+                          {showPromptStatus(tiePrompts[p.uuid], isBehind ? missing : []) && (
+                            <TiePromptStatus
+                              prompt={tiePrompts[p.uuid]}
+                              onRetry={() => promptPlayerTie(p.uuid, missing)}
+                              onCancel={() => onCancelTiePrompt(p.uuid)}
+                            />
+                          )}
+                          {duplicates.length > 0 && (
+                            <span
+                              className="text-[10px] uppercase font-bold tracking-wider px-1.5 py-0.5 bg-orange-900/50 text-orange-300 border border-orange-700/50 rounded"
+                              title={t('banker.duplicateHint', { rounds: formatRoundList(duplicates) })}
+                            >
+                              {t('banker.duplicate', { rounds: formatRoundList(duplicates) })}
+                            </span>
+                          )}
                         </div>
                       </div>
+                      <Sparkline series={netSeries(playerLogs[p.uuid] || [])} />
                       <div className="text-right">
                         <span
                           className={`font-mono text-base font-bold ${p.current_net > 0
@@ -244,11 +491,11 @@ export default function BankerBoard({
                               : 'text-yellow-200/50'
                             }`}
                         >
-                          {formatNet(p.current_net || 0)}
+                          {formatNet(p.current_net || 0, money)}
                         </span>
                         {p.base_amount > 0 && (
                           <div className="text-yellow-500/40 text-xs font-mono mt-0.5">
-                            B: ${p.base_amount}
+                            {t('banker.baseShort', { amount: formatMoney(p.base_amount, money) })}
                           </div>
                         )}
                       </div>
@@ -256,12 +503,56 @@ export default function BankerBoard({
                   );
                 })}
               </div>
+
+              {sittingOutPlayers.length > 0 && (
+                <>
+                  <p className="text-yellow-400/60 text-xs uppercase tracking-wider mt-4 mb-2">
+                    {t('banker.sittingOut', { count: sittingOutPlayers.length })}
+                  </p>
+                  <div className="space-y-1">
+                    {sittingOutPlayers.map((p) => (
+                      <div key={p.uuid} className="flex justify-between items-center py-1.5 text-sm opacity-70">
+                        <div className="flex flex-col gap-0.5">
+                          <button
+                            onClick={() => setHistoryPlayerId(p.uuid)}
+                            className="text-left text-yellow-200 hover:text-yellow-100 font-medium truncate max-w-[120px]"
+                            title={t('banker.showHistory')}
+                          >
+                            <PresenceDot presence={presence[p.uuid]} />
+                            {playerLabel(p.uuid)}
+                          </button>
+                          <span className="text-[10px] text-yellow-500/60">
+                            {t('banker.sittingOutFrom', { n: p.sitting_out_since + 1 })}
+                          </span>
+                        </div>
+                        <span className="font-mono font-bold text-yellow-200/60">{formatNet(p.current_net || 0, money)}</span>
+                      </div>
+                    ))}
+                  </div>
+                </>
+              )}
+
+              {spectators.length > 0 && (
+                <>
+                  <p className="text-yellow-400/60 text-xs uppercase tracking-wider mt-4 mb-2">
+                    {t('banker.spectators', { count: spectators.length })}
+                  </p>
+                  <div className="flex flex-wrap gap-x-4 gap-y-1 text-sm text-yellow-200/70">
+                    {spectators.map((p) => (
+                      <span key={p.uuid} className="truncate max-w-[140px]" title={presence[p.uuid] && t(`presence.${presence[p.uuid].status}`)}>
+                        <PresenceDot presence={presence[p.uuid]} />
+                        {p.name || t('common.spectator')}
+                      </span>
+                    ))}
+                  </div>
+                </>
+              )}
             </div>
           )}
 
           {playerCount === 0 && (
             <p className="text-yellow-400/50 text-sm text-center pt-2">
-              Waiting for players to join...
+              {t('banker.waiting')}
             </p>
           )}
         </div>
@@ -270,37 +561,522 @@ export default function BankerBoard({
       {/* ---- Share prompt ---- */}
       <div className="mt-auto px-6 py-6 text-center">
         <p className="text-yellow-400/60 text-sm">
-          Share room code{' '}
+          {t('banker.shareLead')}{' '}
           <span className="font-mono font-bold text-yellow-200">{roomId}</span>{' '}
-          with players
+          {t('banker.shareTail')}
         </p>
       </div>
 
+      {/* ---- Player History Modal ---- */}
+      {historyPlayerId && activePlayers.some((p) => p.uuid === historyPlayerId) && (
+        <PlayerHistoryModal
+          player={activePlayers.find((p) => p.uuid === historyPlayerId)}
+          fetchPlayerHistory={fetchPlayerHistory}
+          fetchRoomHistory={fetchRoomHistory}
+          fetchRoundEdits={fetchRoundEdits}
+          preset={preset}
+          editRequests={editRequests}
+          onProposeEdit={onProposeEdit}
+          money={money}
+          onClose={() => setHistoryPlayerId(null)}
+        />
+      )}
+
+      <ErrorBanner error={error} onDismiss={onDismissError} />
+
+      {/* ---- Export ---- */}
+      {showExport && <ExportDialog getSession={onExport} onClose={() => setShowExport(false)} />}
+
       {/* ---- Exit Confirmation Modal ---- */}
       {showExitConfirm && (
         <div className="fixed inset-0 z-50 flex items-center justify-center p-4 bg-black/60 backdrop-blur-sm">
           <div className="bg-yellow-950 border border-yellow-700/50 rounded-2xl p-6 w-full max-w-sm shadow-2xl">
-            <h3 className="text-xl font-bold text-white mb-2">End Game?</h3>
-            <p className="text-yellow-200/70 mb-6 font-medium">
-              Are you sure you want to end this game? All players will be disconnected.
+            <h3 className="text-xl font-bold text-white mb-2">{t('banker.endTitle')}</h3>
+            <p className="text-yellow-200/70 mb-4 font-medium">
+              {t('banker.endBody')}
             </p>
+            <p className="text-yellow-400/60 text-xs uppercase tracking-wider mb-2">{t('banker.roundTransfers')}</p>
+            <div className="flex gap-2 mb-6">
+              {DENOMINATIONS.map((d) => (
+                <button
+                  key={d}
+                  onClick={() => setDenomination(d)}
+                  className={`flex-1 py-2 rounded-lg text-sm font-bold transition-colors ${denomination === d
+                    ? 'bg-yellow-500 text-yellow-950'
+                    : 'bg-yellow-900/50 text-yellow-200/70 hover:bg-yellow-800/50'
+                    }`}
+                >
+                  {d === 1 ? t('banker.exact') : formatMoney(d, { ...money, whole: true })}
+                </button>
+              ))}
+            </div>
             <div className="flex gap-3">
               <button
                 onClick={() => setShowExitConfirm(false)}
                 className="flex-1 px-4 py-3 bg-yellow-900/50 hover:bg-yellow-800/50 text-white rounded-xl font-medium transition-colors border border-yellow-700/30"
               >
-                Cancel
+                {t('common.cancel')}
               </button>
               <button
-                onClick={onExit}
+                onClick={() => {
+                  setShowExitConfirm(false);
+                  onSettle(denomination);
+                }}
                 className="flex-1 px-4 py-3 bg-red-600 hover:bg-red-500 text-white rounded-xl font-bold transition-colors shadow-lg"
               >
-                End Game
+                {t('banker.settleUp')}
               </button>
             </div>
           </div>
         </div>
       )}
+
+      {/* ---- Settlement ---- */}
+      {roomStatus === 'settling' && settlement && (
+        <SettlementPanel
+          settlement={settlement}
+          selfUuid={deviceUUID}
+          isBanker
+          onMarkPaid={onMarkTransferPaid}
+          money={money}
+        >
+          <button
+            onClick={onExit}
+            className="flex-1 px-4 py-3 bg-red-600 hover:bg-red-500 text-white rounded-xl font-bold transition-colors shadow-lg"
+          >
+            {settlementProgress(settlement).paid < settlementProgress(settlement).total
+              ? t('banker.closeRoomAnyway')
+              : t('banker.closeRoom')}
+          </button>
+        </SettlementPanel>
+      )}
+    </div>
+  );
+}
+
+const PROMPT_COLORS = {
+  [TIE_PROMPT_STATUSES.SENT]: 'text-yellow-300/70',
+  [TIE_PROMPT_STATUSES.DELIVERED]: 'text-yellow-200',
+  [TIE_PROMPT_STATUSES.ACCEPTED]: 'text-green-300',
+  [TIE_PROMPT_STATUSES.DECLINED]: 'text-red-300',
+  [TIE_PROMPT_STATUSES.EXPIRED]: 'text-gray-400',
+};
+
+/** Where a tie prompt stands: cancel it while it waits, retry it once answered no or expired */
+function TiePromptStatus({ prompt, onRetry, onCancel }) {
+  const { t } = useTranslation();
+  const pending = isPromptPending(prompt);
+  const canRetry = prompt.status === TIE_PROMPT_STATUSES.DECLINED || prompt.status === TIE_PROMPT_STATUSES.EXPIRED;
+  return (
+    <span className={`flex items-center gap-1 text-[10px] uppercase font-bold tracking-wider ${PROMPT_COLORS[prompt.status]}`}>
+      {t(`banker.prompt.${prompt.status}`)}
+      {pending && (
+        <button onClick={onCancel} className="px-1 text-yellow-400/60 hover:text-yellow-200" title={t('banker.prompt.cancel')}>
+          ✕
+        </button>
+      )}
+      {canRetry && (
+        <button onClick={onRetry} className="px-1 text-yellow-400/60 hover:text-yellow-200" title={t('banker.prompt.retry')}>
+          ↻
+        </button>
+      )}
+    </span>
+  );
+}
+
+const PRESENCE_COLORS = {
+  [PRESENCE_STATUSES.ONLINE]: 'bg-green-400',
+  [PRESENCE_STATUSES.IDLE]: 'bg-yellow-400',
+  [PRESENCE_STATUSES.OFFLINE]: 'bg-gray-500',
+};
+
+function PresenceDot({ presence }) {
+  const { t } = useTranslation();
+  if (!presence) return null;
+  return (
+    <span
+      className={`inline-block w-2 h-2 rounded-full mr-1.5 align-middle ${PRESENCE_COLORS[presence.status]}`}
+      title={t(`presence.${presence.status}`)}
+    />
+  );
+}
+
+/** Idle or offline players, with when they were last seen */
+function PresenceLine({ presence }) {
+  const { t } = useTranslation();
+  if (!presence || presence.status === PRESENCE_STATUSES.ONLINE) return null;
+  return (
+    <span className={`text-[10px] ${presence.status === PRESENCE_STATUSES.IDLE ? 'text-yellow-400/60' : 'text-gray-400'}`}>
+      {t(`presence.${presence.status}`)}
+      {presence.lastSeen && ` · ${t('presence.lastSeen', { time: formatClock(presence.lastSeen) })}`}
+    </span>
+  );
+}
+
+/**
+ * Every open dispute in the room, oldest first, each to accept, amend (at
+ * another multiplier) or reject. A dispute hides once the backend has
+ * resolved it (the list is re-read shortly after); one that failed stays,
+ * marked, to try again.
+ */
+function DisputesPanel({ disputes, playerLabel, preset, money, onResolve }) {
+  const { t } = useTranslation();
+  const [resolvedIds, setResolvedIds] = useState([]);
+  const [pendingId, setPendingId] = useState(null);
+  const [failedId, setFailedId] = useState(null);
+  const [amendingId, setAmendingId] = useState(null);
+
+  const choices = [...preset.multipliers.map((m) => -m).reverse(), 0, ...preset.multipliers];
+  const listed = disputes.filter((e) => !resolvedIds.includes(e.dispute.id));
+  if (listed.length === 0) return null;
+
+  const resolve = async (entry, status, multiplier) => {
+    const id = entry.dispute.id;
+    setAmendingId(null);
+    setFailedId(null);
+    setPendingId(id);
+    const resolved = await onResolve(entry.playerUuid, entry, status, multiplier);
+    setPendingId(null);
+    if (resolved) {
+      setResolvedIds((prev) => [...prev, id]);
+    } else {
+      setFailedId(id);
+    }
+  };
+
+  return (
+    <div className="bg-orange-950/40 rounded-2xl p-5 border border-orange-500/40">
+      <p className="text-orange-300/80 text-xs uppercase tracking-wider mb-2">
+        {t('banker.disputes', { count: listed.length })}
+      </p>
+      <div className="space-y-3 max-h-[40vh] overflow-y-auto pr-2 custom-scrollbar">
+        {listed.map((entry) => {
+          const rounds = entryRounds(entry);
+          const pending = pendingId === entry.dispute.id;
+          return (
+            <div key={entry.dispute.id} className="text-sm border-b border-orange-700/20 last:border-0 pb-3 last:pb-0">
+              <div className="flex justify-between items-center">
+                <span className="text-yellow-200 font-medium truncate max-w-[120px]">{playerLabel(entry.playerUuid)}</span>
+                <span className="text-white/90">
+                  {rounds.length > 0 && <span className="mr-1.5 text-yellow-400/70 font-mono text-xs">{formatRoundList(rounds)}</span>}
+                  {entryLabel(entry, money, t)}
+                  {isRoundEntry(entry) && (
+                    <span className="ml-1.5 font-bold tabular-nums">{formatNet(entry.amount, money)}</span>
+                  )}
+                </span>
+              </div>
+              {entry.dispute.note && (
+                <p className="mt-1 text-orange-100/80 text-xs italic break-words">“{entry.dispute.note}”</p>
+              )}
+              {failedId === entry.dispute.id && (
+                <p className="mt-1 text-red-300 text-xs">{t('banker.resolveFailed')}</p>
+              )}
+              <div className="flex gap-2 mt-2">
+                <button
+                  onClick={() => resolve(entry, DISPUTE_STATUSES.ACCEPTED)}
+                  disabled={pending}
+                  className="flex-1 py-1.5 rounded-lg text-xs font-bold bg-green-700/60 hover:bg-green-600/60 text-green-100 transition-colors disabled:opacity-50"
+                >
+                  {t('banker.accept')}
+                </button>
+                {isCorrectable(entry) && (
+                  <button
+                    onClick={() => setAmendingId(amendingId === entry.id ? null : entry.id)}
+                    disabled={pending}
+                    className="flex-1 py-1.5 rounded-lg text-xs font-bold bg-yellow-700/60 hover:bg-yellow-600/60 text-yellow-100 transition-colors disabled:opacity-50"
+                  >
+                    {t('banker.amend')}
+                  </button>
+                )}
+                <button
+                  onClick={() => resolve(entry, DISPUTE_STATUSES.REJECTED)}
+                  disabled={pending}
+                  className="flex-1 py-1.5 rounded-lg text-xs font-bold bg-red-800/60 hover:bg-red-700/60 text-red-100 transition-colors disabled:opacity-50"
+                >
+                  {t('banker.reject')}
+                </button>
+              </div>
+              {amendingId === entry.id && (
+                <div className="mt-2">
+                  <p className="text-yellow-400/60 text-xs uppercase tracking-wider mb-1">{t('banker.correctTo')}</p>
+                  <div className="flex flex-wrap gap-1">
+                    {choices
+                      .filter((m) => m !== entry.multiplier)
+                      .map((m) => (
+                        <button
+                          key={m}
+                          onClick={() => resolve(entry, DISPUTE_STATUSES.AMENDED, m)}
+                          className={`px-2 py-1 rounded-md text-xs font-bold transition-colors ${m > 0
+                            ? 'bg-green-800/60 text-green-200 hover:bg-green-700/60'
+                            : m < 0
+                              ? 'bg-red-900/60 text-red-200 hover:bg-red-800/60'
+                              : 'bg-yellow-900/60 text-yellow-200 hover:bg-yellow-800/60'
+                            }`}
+                        >
+                          {entryLabel({ multiplier: m }, money, t)}
+                        </button>
+                      ))}
+                  </div>
+                </div>
+              )}
+            </div>
+          );
+        })}
+      </div>
+    </div>
+  );
+}
+
+/**
+ * One player's round history, a page at a time, their stats and the
+ * corrections made to their rounds. The first page (or, on the stats and
+ * edits tabs, the whole list) is re-read whenever the player's row changes,
+ * since realtime only carries the totals.
+ */
+function PlayerHistoryModal({
+  player,
+  fetchPlayerHistory,
+  fetchRoomHistory,
+  fetchRoundEdits,
+  preset,
+  editRequests,
+  onProposeEdit,
+  money,
+  onClose,
+}) {
+  const { t } = useTranslation();
+  const [entries, setEntries] = useState([]);
+  const [hasMore, setHasMore] = useState(false);
+  const [loadingPage, setLoadingPage] = useState(true);
+  const [tab, setTab] = useState('history'); // 'history' | 'bankroll' | 'stats' | 'edits'
+  const [stats, setStats] = useState(null); // { stats } | { error }
+  const [audit, setAudit] = useState(null); // { records } | { error }
+  const [correctingId, setCorrectingId] = useState(null); // entry the multiplier picker is open for
+
+  // Every multiplier a round can be corrected to: losses, tie, wins
+  const choices = [...preset.multipliers.map((m) => -m).reverse(), 0, ...preset.multipliers];
+
+  useEffect(() => {
+    if (tab !== 'stats') return;
+    let cancelled = false;
+    fetchRoomHistory(player.uuid).then(({ entries: all, error }) => {
+      if (cancelled) return;
+      setStats(error ? { error } : { stats: computeStats(all) });
+    });
+    return () => {
+      cancelled = true;
+    };
+  }, [tab, player.uuid, player.version, fetchRoomHistory]);
+
+  useEffect(() => {
+    if (tab !== 'edits') return;
+    let cancelled = false;
+    fetchRoundEdits(player.uuid).then(({ records, error }) => {
+      if (!cancelled) setAudit(error ? { error } : { records });
+    });
+    return () => {
+      cancelled = true;
+    };
+  }, [tab, player.uuid, player.version, fetchRoundEdits]);
+
+  const propose = (record, multiplier) => {
+    setCorrectingId(null);
+    onProposeEdit(player.uuid, record, multiplier);
+  };
+
+  useEffect(() => {
+    let cancelled = false;
+    setLoadingPage(true);
+    fetchPlayerHistory(player.uuid).then((page) => {
+      if (cancelled) return;
+      setEntries(page.entries);
+      setHasMore(page.hasMore);
+      setLoadingPage(false);
+    });
+    return () => {
+      cancelled = true;
+    };
+  }, [player.uuid, player.version, fetchPlayerHistory]);
+
+  // Buy-ins and cash-outs get their own tab
+  const listed = entries.filter((e) => (tab === 'bankroll' ? isLedgerEntry(e) : !isLedgerEntry(e)));
+
+  const loadMore = async () => {
+    setLoadingPage(true);
+    const page = await fetchPlayerHistory(player.uuid, entries);
+    setEntries((prev) => [...prev, ...page.entries]);
+    setHasMore(page.hasMore);
+    setLoadingPage(false);
+  };
+
+  return (
+    <div className="fixed inset-0 z-50 flex items-center justify-center p-4 bg-black/60 backdrop-blur-sm">
+      <div className="bg-yellow-950 border border-yellow-700/50 rounded-2xl p-6 w-full max-w-sm shadow-2xl flex flex-col max-h-[80vh]">
+        <div className="flex justify-between items-center mb-4 shrink-0">
+          <h3 className="text-xl font-bold text-white truncate">{player.name || t('common.player')}</h3>
+          <span className="text-xs text-yellow-500/60 font-medium">{t('common.rounds', { count: player.round_count || 0 })}</span>
+        </div>
+        <div className="flex gap-2 mb-4 shrink-0">
+          {['history', 'bankroll', 'stats', 'edits'].map((name) => (
+            <button
+              key={name}
+              onClick={() => setTab(name)}
+              className={`flex-1 py-2 rounded-lg text-sm font-bold transition-colors ${tab === name
+                ? 'bg-yellow-500 text-yellow-950'
+                : 'bg-yellow-900/50 text-yellow-200/70 hover:bg-yellow-800/50'
+                }`}
+            >
+              {t(`banker.tab.${name}`)}
+            </button>
+          ))}
+        </div>
+        {tab === 'stats' ? (
+          <div className="overflow-y-auto pr-1 custom-scrollbar">
+            {!stats ? (
+              <p className="text-yellow-400/50 text-sm text-center py-4">{t('common.loading')}</p>
+            ) : stats.error ? (
+              <p className="text-red-300 text-sm text-center py-4">{t('banker.historyError')}</p>
+            ) : (
+              <StatsPanel stats={stats.stats} money={money} />
+            )}
+          </div>
+        ) : tab === 'edits' ? (
+          <div className="overflow-y-auto space-y-1 pr-1 custom-scrollbar">
+            {!audit ? (
+              <p className="text-yellow-400/50 text-sm text-center py-4">{t('common.loading')}</p>
+            ) : audit.error ? (
+              <p className="text-red-300 text-sm text-center py-4">{t('banker.historyError')}</p>
+            ) : audit.records.length === 0 ? (
+              <p className="text-yellow-400/50 text-sm text-center py-4">{t('banker.noEdits')}</p>
+            ) : (
+              audit.records.map((record) => (
+                <div key={record.id} className="text-sm py-1.5 border-b border-yellow-800/30 last:border-0">
+                  <div className="flex justify-between items-center">
+                    <span className="text-yellow-500/60 font-mono text-xs">
+                      {formatClock(record.ts)}
+                      {record.round != null && (
+                        <span className="ml-1.5 text-yellow-400/70">{formatRoundList([record.round])}</span>
+                      )}
+                    </span>
+                    <span className="font-medium text-white/90">
+                      {entryLabel(record.from, money, t)} → {entryLabel(record.to, money, t)}
+                    </span>
+                  </div>
+                  <div className="flex justify-between items-center text-xs mt-0.5">
+                    <span className="text-yellow-500/60">
+                      {t(record.disputeId ? 'banker.editByDispute' : 'banker.editBy', { name: player.name || t('common.player') })}
+                    </span>
+                    <span className="font-mono tabular-nums text-yellow-200/80">
+                      {formatNet(record.from.amount, money)} → {formatNet(record.to.amount, money)}
+                    </span>
+                  </div>
+                </div>
+              ))
+            )}
+          </div>
+        ) : (
+          <div className="overflow-y-auto space-y-1 pr-1 custom-scrollbar">
+            {tab === 'bankroll' && (
+              <div className="flex justify-between items-center text-sm pb-2 mb-1 border-b border-yellow-700/40">
+                <span className="text-yellow-300/80">{t('common.bankroll')} · {t('common.chips')}</span>
+                <span className="font-bold font-mono tabular-nums text-yellow-100">
+                  {formatMoney(player.bankroll || 0, money)} · {formatMoney((player.bankroll || 0) + (player.current_net || 0), money)}
+                </span>
+              </div>
+            )}
+            {listed.map((record) => {
+              const rounds = entryRounds(record);
+              const request = editRequests[record.id];
+              return (
+                <div key={record.id} className="text-sm py-1.5 border-b border-yellow-800/30 last:border-0">
+                  <div className="flex justify-between items-center">
+                    <span className="text-yellow-500/60 font-mono text-xs">
+                      {record.time}
+                      {rounds.length > 0 && <span className="ml-1.5 text-yellow-400/70">{formatRoundList(rounds)}</span>}
+                    </span>
+                    <span className="font-medium text-white/90">
+                      {entryLabel(record, money, t)}
+                      {record.rake > 0 && (
+                        <span className="ml-1 text-yellow-500/60 text-xs">{t('common.rakeAmount', { amount: formatMoney(record.rake, money) })}</span>
+                      )}
+                      {record.editedAt && (
+                        <span className="ml-1 text-yellow-300/70 text-xs" title={t('common.edited')}>✎</span>
+                      )}
+                      <DisputeBadge dispute={record.dispute} />
+                    </span>
+                    <span className="flex items-center gap-2">
+                      {isRoundEntry(record) || isLedgerEntry(record) ? (
+                        <span className={`font-bold tabular-nums ${record.amount === 0 ? 'text-gray-400' : record.amount > 0 ? 'text-green-400' : 'text-red-400'}`}>
+                          {formatNet(record.amount, money)}
+                        </span>
+                      ) : (
+                        <span className="text-yellow-500/40 text-xs">—</span>
+                      )}
+                      {isCorrectable(record) && (
+                        <button
+                          onClick={() => setCorrectingId(correctingId === record.id ? null : record.id)}
+                          title={t('banker.correct')}
+                          className="text-yellow-400/60 hover:text-yellow-200 text-xs transition-colors"
+                        >
+                          ✎
+                        </button>
+                      )}
+                    </span>
+                  </div>
+                  {request && request.status !== 'accepted' && (
+                    <p className={`text-xs mt-0.5 text-right ${request.status === 'rejected' ? 'text-red-300/80' : 'text-yellow-300/70'}`}>
+                      {t(request.status === 'rejected' ? 'banker.editRejected' : 'banker.editPending')}
+                    </p>
+                  )}
+                  {correctingId === record.id && (
+                    <div className="mt-1.5">
+                      <p className="text-yellow-400/60 text-xs uppercase tracking-wider mb-1">{t('banker.correctTo')}</p>
+                      <div className="flex flex-wrap gap-1">
+                        {choices
+                          .filter((m) => m !== record.multiplier)
+                          .map((m) => (
+                            <button
+                              key={m}
+                              onClick={() => propose(record, m)}
+                              className={`px-2 py-1 rounded-md text-xs font-bold transition-colors ${m > 0
+                                ? 'bg-green-800/60 text-green-200 hover:bg-green-700/60'
+                                : m < 0
+                                  ? 'bg-red-900/60 text-red-200 hover:bg-red-800/60'
+                                  : 'bg-yellow-900/60 text-yellow-200 hover:bg-yellow-800/60'
+                                }`}
+                            >
+                              {entryLabel({ multiplier: m }, money, t)}
+                            </button>
+                          ))}
+                      </div>
+                    </div>
+                  )}
+                </div>
+              );
+            })}
+            {!loadingPage && listed.length === 0 && (
+              <p className="text-yellow-400/50 text-sm text-center py-4">
+                {t(tab === 'bankroll' ? 'banker.noLedger' : 'banker.noRounds')}
+              </p>
+            )}
+            {hasMore && (
+              <button
+                onClick={loadMore}
+                disabled={loadingPage}
+                className="w-full py-2 text-xs font-bold uppercase tracking-wider text-yellow-300/70 hover:text-yellow-200 disabled:opacity-50 transition-colors"
+              >
+                {t('common.loadOlder')}
+              </button>
+            )}
+          </div>
+        )}
+        <button
+          onClick={onClose}
+          className="mt-4 shrink-0 px-4 py-3 bg-yellow-900/50 hover:bg-yellow-800/50 text-white rounded-xl font-medium transition-colors border border-yellow-700/30"
+        >
+          {t('common.close')}
+        </button>
+      </div>
     </div>
   );
 }
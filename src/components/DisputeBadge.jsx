@@ -0,0 +1,31 @@
+/**
+ * DisputeBadge.jsx
+ * =================
+ * Marker for an entry that was disputed (see lib/disputes.js): a flag while
+ * the dispute is open, then how the banker resolved it. The player's note
+ * shows on hover.
+ */
+
+import { DISPUTE_STATUSES } from '../lib/disputes';
+import { useTranslation } from '../hooks/useTranslation';
+
+const COLORS = {
+  [DISPUTE_STATUSES.OPEN]: 'text-orange-300',
+  [DISPUTE_STATUSES.ACCEPTED]: 'text-green-300/80',
+  [DISPUTE_STATUSES.AMENDED]: 'text-yellow-300/80',
+  [DISPUTE_STATUSES.REJECTED]: 'text-red-300/80',
+};
+
+export default function DisputeBadge({ dispute }) {
+  const { t } = useTranslation();
+  if (!dispute) return null;
+  const label = t(`dispute.${dispute.status}`);
+  return (
+    <span
+      className={`ml-1 text-xs font-medium ${COLORS[dispute.status] || 'text-white/60'}`}
+      title={dispute.note ? `${label}: ${dispute.note}` : label}
+    >
+      ⚑ {label}
+    </span>
+  );
+}
@@ -0,0 +1,30 @@
+/**
+ * ErrorBanner.jsx
+ * ================
+ * The session's latest error (a rejected action, a round or settlement
+ * that failed to save...) shown over a board until it is dismissed or the
+ * next attempt clears it.
+ */
+
+import { useTranslation } from '../hooks/useTranslation';
+
+export default function ErrorBanner({ error, onDismiss }) {
+  const { t } = useTranslation();
+  if (!error) return null;
+  return (
+    <div className="fixed top-4 inset-x-4 z-[80] flex justify-center">
+      <div
+        role="alert"
+        className="bg-red-950 border border-red-500/50 rounded-xl px-4 py-3 shadow-2xl flex items-center gap-3 max-w-sm w-full"
+      >
+        <span className="flex-1 text-sm text-red-200">{error}</span>
+        <button
+          onClick={onDismiss}
+          className="text-xs font-bold uppercase tracking-wider text-red-300/80 hover:text-red-200 transition-colors"
+        >
+          {t('common.close')}
+        </button>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,61 @@
+/**
+ * ExportDialog.jsx
+ * =================
+ * Export the current session (see lib/sessionExport.js): CSV for
+ * spreadsheets or a versioned JSON backup that Past Games can import.
+ *
+ * `getSession` resolves to the session in archive shape — in multiplayer
+ * that means paging in the whole history, hence the busy state.
+ */
+
+import { useState } from 'react';
+import { downloadSession } from '../lib/sessionExport';
+
+export default function ExportDialog({ getSession, onClose }) {
+  const [busy, setBusy] = useState(null); // null | 'csv' | 'json'
+
+  const handleExport = async (format) => {
+    setBusy(format);
+    try {
+      downloadSession(await getSession(), format);
+      onClose();
+    } catch (err) {
+      console.error('Failed to export session:', err);
+    } finally {
+      setBusy(null);
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 z-50 flex items-center justify-center p-4 bg-black/60 backdrop-blur-sm">
+      <div className="bg-neutral-950 border border-neutral-700/50 rounded-2xl p-6 w-full max-w-sm shadow-2xl">
+        <h3 className="text-xl font-bold text-white mb-2">Export Session</h3>
+        <p className="text-neutral-400 mb-6 text-sm">
+          Every round record with the room, players and base amounts. CSV opens in a
+          spreadsheet; JSON is a backup you can import into Past Games.
+        </p>
+        <div className="flex gap-3 mb-3">
+          {[
+            ['csv', 'CSV'],
+            ['json', 'JSON'],
+          ].map(([format, label]) => (
+            <button
+              key={format}
+              onClick={() => handleExport(format)}
+              disabled={busy !== null}
+              className="flex-1 px-4 py-3 bg-blue-600 hover:bg-blue-500 disabled:opacity-50 text-white rounded-xl font-bold transition-colors"
+            >
+              {busy === format ? 'Exporting...' : label}
+            </button>
+          ))}
+        </div>
+        <button
+          onClick={onClose}
+          className="w-full px-4 py-3 bg-neutral-800/60 hover:bg-neutral-700/60 text-white rounded-xl font-medium transition-colors border border-neutral-700/30"
+        >
+          Cancel
+        </button>
+      </div>
+    </div>
+  );
+}
@@ -1,4 +1,10 @@
 import { forwardRef } from 'react';
+import { entryRounds } from '../lib/rounds';
+import { describeRake } from '../lib/rake';
+import { ACTION_TYPES, entryLabel, entryType, isLedgerEntry } from '../lib/actionLog';
+import { DEFAULT_MONEY, formatMoney, formatNet } from '../lib/money';
+import { useTranslation } from '../hooks/useTranslation';
+import DisputeBadge from './DisputeBadge';
 
 const formatTime = (totalSeconds) => {
     const hrs = Math.floor(totalSeconds / 3600);
@@ -10,15 +16,41 @@ const formatTime = (totalSeconds) => {
         : `${pad(mins)}:${pad(secs)}`;
 };
 
-const formatNet = (amount) => {
-    if (amount === 0) return '$0.00';
-    const sign = amount > 0 ? '+' : '';
-    return `${sign}$${amount.toFixed(2)}`;
+// Every numbered round of the room, ascending: [{ round, results: [{ uuid, amount, rake, dispute, sitOut }] }]
+// A mass tie shows up as a tie in each round it covers, a sit-out as sat out in each;
+// a disputed entry keeps its marker.
+const groupByRound = (history) => {
+    const byRound = new Map();
+    for (const entry of history) {
+        for (const round of entryRounds(entry)) {
+            if (!byRound.has(round)) byRound.set(round, []);
+            byRound.get(round).push({
+                uuid: entry.playerUuid,
+                amount: entry.amount,
+                rake: entry.rake || 0,
+                dispute: entry.dispute || null,
+                sitOut: entryType(entry) === ACTION_TYPES.SIT_OUT,
+            });
+        }
+    }
+    return [...byRound.entries()]
+        .sort(([a], [b]) => a - b)
+        .map(([round, results]) => ({ round, results }));
 };
 
-const GameSummaryReport = forwardRef(({ bankerNet, players, roomId, elapsed }, ref) => {
+const GameSummaryReport = forwardRef(({ bankerNet, players, history = [], roomId, elapsed, rake = null, money = DEFAULT_MONEY }, ref) => {
+    const { t, locale } = useTranslation();
     const activePlayers = players.filter((p) => p.role === 'player');
+    const rakeTotal = activePlayers.reduce((sum, p) => sum + (p.rake_total || 0), 0);
     const playerCount = activePlayers.length;
+    const roundLog = groupByRound(history);
+    // Buy-ins and cash-outs, oldest first, kept apart from the rounds
+    const ledgerLog = history.filter(isLedgerEntry).reverse();
+    const showBankroll = ledgerLog.length > 0 || activePlayers.some((p) => p.bankroll);
+    const playerName = (uuid) => {
+        const idx = activePlayers.findIndex((p) => p.uuid === uuid);
+        return idx === -1 ? t('common.player') : activePlayers[idx].name || t('common.playerN', { n: idx + 1 });
+    };
 
     const netColor =
         bankerNet > 0
@@ -27,7 +59,7 @@ const GameSummaryReport = forwardRef(({ bankerNet, players, roomId, elapsed }, r
                 ? 'text-red-400'
                 : 'text-white';
 
-    const dateStr = new Date().toLocaleString();
+    const dateStr = new Date().toLocaleString(locale);
 
     return (
         <div
@@ -43,15 +75,15 @@ const GameSummaryReport = forwardRef(({ bankerNet, players, roomId, elapsed }, r
                     <h1 className="text-4xl font-extrabold text-yellow-400 tracking-tight flex items-center gap-3">
                         <span>LatteLedger</span>
                         <span className="text-yellow-600 font-light px-2">|</span>
-                        <span className="text-white">Game Summary</span>
+                        <span className="text-white">{t('report.title')}</span>
                     </h1>
                     <p className="text-yellow-500/80 mt-2 text-lg">
-                        Room ID: <span className="font-mono font-bold text-yellow-200">{roomId}</span>
+                        {t('report.roomId')}: <span className="font-mono font-bold text-yellow-200">{roomId}</span>
                     </p>
                 </div>
                 <div className="text-right">
                     <p className="text-yellow-600 uppercase tracking-widest text-sm font-bold mb-1">
-                        Generated On
+                        {t('report.generatedOn')}
                     </p>
                     <p className="text-yellow-200/80 font-mono text-sm">{dateStr}</p>
                 </div>
@@ -61,7 +93,7 @@ const GameSummaryReport = forwardRef(({ bankerNet, players, roomId, elapsed }, r
             <div className="flex gap-6 mb-12">
                 <div className="flex-1 bg-yellow-900/40 border border-yellow-700/30 rounded-2xl p-6 text-center">
                     <p className="text-yellow-500 uppercase tracking-widest text-sm font-bold mb-2">
-                        Game Duration
+                        {t('common.gameDuration')}
                     </p>
                     <p className="text-4xl font-mono text-white font-bold tabular-nums">
                         {formatTime(elapsed)}
@@ -70,22 +102,37 @@ const GameSummaryReport = forwardRef(({ bankerNet, players, roomId, elapsed }, r
                 <div className="flex-1 bg-yellow-900/40 border border-yellow-700/30 rounded-2xl p-6 text-center shadow-[0_0_30px_rgba(234,179,8,0.1)] relative overflow-hidden">
                     <div className="absolute top-0 left-0 w-full h-1 bg-gradient-to-r from-transparent via-yellow-500 to-transparent opacity-50"></div>
                     <p className="text-yellow-500 uppercase tracking-widest text-sm font-bold mb-2">
-                        Total Banker Net
+                        {t('report.bankerNet')}
                     </p>
                     <p className={`text-5xl font-extrabold tabular-nums ${netColor}`}>
-                        {formatNet(bankerNet)}
+                        {formatNet(bankerNet, money)}
                     </p>
                 </div>
             </div>
 
+            {/* Rake */}
+            {(rake || rakeTotal > 0) && (
+                <div className="flex justify-between items-center bg-yellow-900/40 border border-yellow-700/30 rounded-2xl px-6 py-4 -mt-6 mb-12">
+                    <p className="text-yellow-500 uppercase tracking-widest text-sm font-bold">
+                        {t('common.rake')}{' '}
+                        <span className="normal-case tracking-normal font-medium text-yellow-600">
+                            ({t('report.rakeNote', { rule: describeRake(rake, money, t) })})
+                        </span>
+                    </p>
+                    <p className="text-2xl font-extrabold font-mono tabular-nums text-yellow-200">
+                        {formatMoney(rakeTotal, money)}
+                    </p>
+                </div>
+            )}
+
             {/* Player Breakdown */}
             <div>
                 <div className="flex justify-between items-end mb-4 px-2">
                     <h2 className="text-2xl font-bold text-yellow-500 border-l-4 border-yellow-500 pl-3">
-                        Player Performance
+                        {t('report.performance')}
                     </h2>
                     <p className="text-yellow-600 font-medium text-sm">
-                        Total Players: <span className="text-white font-bold">{playerCount}</span>
+                        {t('report.totalPlayers')}: <span className="text-white font-bold">{playerCount}</span>
                     </p>
                 </div>
 
@@ -93,14 +140,16 @@ const GameSummaryReport = forwardRef(({ bankerNet, players, roomId, elapsed }, r
                     <table className="w-full text-left border-collapse">
                         <thead>
                             <tr className="bg-yellow-900/40 border-b border-yellow-700/50 text-yellow-500 text-sm uppercase tracking-wider">
-                                <th className="py-4 px-6 font-semibold">Player Name</th>
-                                <th className="py-4 px-6 font-semibold text-center">Rounds</th>
-                                <th className="py-4 px-6 font-semibold text-right">Final Net</th>
+                                <th className="py-4 px-6 font-semibold">{t('report.playerName')}</th>
+                                <th className="py-4 px-6 font-semibold text-center">{t('report.rounds')}</th>
+                                <th className="py-4 px-6 font-semibold text-right">{t('common.rake')}</th>
+                                {showBankroll && <th className="py-4 px-6 font-semibold text-right">{t('common.bankroll')}</th>}
+                                <th className="py-4 px-6 font-semibold text-right">{t('report.finalNet')}</th>
                             </tr>
                         </thead>
                         <tbody className="divide-y divide-yellow-700/30">
                             {activePlayers.map((p, idx) => {
-                                const pRounds = (p.round_history || []).length;
+                                const pRounds = p.round_count || 0;
                                 const pNet = p.current_net || 0;
                                 const isPositive = pNet > 0;
                                 const isNegative = pNet < 0;
@@ -110,11 +159,11 @@ const GameSummaryReport = forwardRef(({ bankerNet, players, roomId, elapsed }, r
                                         <td className="py-4 px-6">
                                             <div className="flex flex-col">
                                                 <span className="text-lg font-bold text-yellow-50">
-                                                    {p.name || `Player ${idx + 1}`}
+                                                    {p.name || t('common.playerN', { n: idx + 1 })}
                                                 </span>
                                                 {p.base_amount > 0 && (
                                                     <span className="text-xs text-yellow-600 font-mono mt-0.5">
-                                                        Base: ${p.base_amount}
+                                                        {t('common.base')}: {formatMoney(p.base_amount, money)}
                                                     </span>
                                                 )}
                                             </div>
@@ -124,6 +173,14 @@ const GameSummaryReport = forwardRef(({ bankerNet, players, roomId, elapsed }, r
                                                 {pRounds}
                                             </span>
                                         </td>
+                                        <td className="py-4 px-6 text-right align-middle font-mono text-yellow-300/80">
+                                            {formatMoney(p.rake_total || 0, money)}
+                                        </td>
+                                        {showBankroll && (
+                                            <td className="py-4 px-6 text-right align-middle font-mono text-yellow-300/80">
+                                                {formatMoney(p.bankroll || 0, money)}
+                                            </td>
+                                        )}
                                         <td className="py-4 px-6 text-right align-middle">
                                             <span
                                                 className={`text-2xl font-extrabold font-mono tabular-nums ${isPositive
@@ -133,7 +190,7 @@ const GameSummaryReport = forwardRef(({ bankerNet, players, roomId, elapsed }, r
                                                             : 'text-yellow-500/50'
                                                     }`}
                                             >
-                                                {formatNet(pNet)}
+                                                {formatNet(pNet, money)}
                                             </span>
                                         </td>
                                     </tr>
@@ -141,8 +198,8 @@ const GameSummaryReport = forwardRef(({ bankerNet, players, roomId, elapsed }, r
                             })}
                             {activePlayers.length === 0 && (
                                 <tr>
-                                    <td colSpan="3" className="py-12 text-center text-yellow-600/50 font-medium">
-                                        No players found
+                                    <td colSpan={showBankroll ? 5 : 4} className="py-12 text-center text-yellow-600/50 font-medium">
+                                        {t('report.noPlayers')}
                                     </td>
                                 </tr>
                             )}
@@ -151,10 +208,70 @@ const GameSummaryReport = forwardRef(({ bankerNet, players, roomId, elapsed }, r
                 </div>
             </div>
 
+            {/* Round Log */}
+            {roundLog.length > 0 && (
+                <div className="mt-12">
+                    <h2 className="text-2xl font-bold text-yellow-500 border-l-4 border-yellow-500 pl-3 mb-4">
+                        {t('report.roundLog')}
+                    </h2>
+                    <div className="bg-yellow-950/50 rounded-2xl border border-yellow-700/50 divide-y divide-yellow-700/30">
+                        {roundLog.map(({ round, results }) => (
+                            <div key={round} className="flex items-start gap-4 py-3 px-6">
+                                <span className="w-14 shrink-0 font-mono font-bold text-yellow-400">R{round}</span>
+                                <div className="flex flex-wrap gap-x-4 gap-y-1 text-sm">
+                                    {results.map((r, i) => (
+                                        <span key={i} className="text-yellow-100/80">
+                                            {playerName(r.uuid)}{' '}
+                                            <span
+                                                className={`font-mono font-bold ${r.sitOut
+                                                        ? 'text-yellow-100/40'
+                                                        : r.amount > 0
+                                                            ? 'text-green-400'
+                                                            : r.amount < 0
+                                                                ? 'text-red-400'
+                                                                : 'text-yellow-500/50'
+                                                    }`}
+                                            >
+                                                {r.sitOut ? t('common.satOut') : r.amount === 0 ? t('common.tie') : formatNet(r.amount, money)}
+                                            </span>
+                                            {r.rake > 0 && (
+                                                <span className="text-yellow-600 font-mono text-xs"> ({t('common.rakeAmount', { amount: formatMoney(r.rake, money) })})</span>
+                                            )}
+                                            <DisputeBadge dispute={r.dispute} />
+                                        </span>
+                                    ))}
+                                </div>
+                            </div>
+                        ))}
+                    </div>
+                </div>
+            )}
+
+            {/* Buy-ins & Cash-outs */}
+            {ledgerLog.length > 0 && (
+                <div className="mt-12">
+                    <h2 className="text-2xl font-bold text-yellow-500 border-l-4 border-yellow-500 pl-3 mb-4">
+                        {t('common.ledger')}
+                    </h2>
+                    <div className="bg-yellow-950/50 rounded-2xl border border-yellow-700/50 divide-y divide-yellow-700/30">
+                        {ledgerLog.map((entry) => (
+                            <div key={entry.id} className="flex items-center gap-4 py-3 px-6 text-sm">
+                                <span className="w-20 shrink-0 font-mono text-yellow-600">{entry.time}</span>
+                                <span className="flex-1 text-yellow-100/80">{playerName(entry.playerUuid)}</span>
+                                <span className={`font-mono font-bold ${entry.amount > 0 ? 'text-green-400' : 'text-orange-300'}`}>
+                                    {entryLabel(entry, money, t)}
+                                </span>
+                            </div>
+                        ))}
+                    </div>
+                </div>
+            )}
+
             {/* Footer */}
             <div className="mt-16 text-center border-t border-yellow-700/30 pt-6">
                 <p className="text-yellow-600/60 text-sm">
-                    Keep track of your games perfectly with <span className="font-bold text-yellow-500/80">LatteLedger</span>.
+                    {t('report.footerLead')} <span className="font-bold text-yellow-500/80">LatteLedger</span>
+                    {t('report.footerTail')}
                 </p>
             </div>
         </div>
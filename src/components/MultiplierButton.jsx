@@ -1,11 +1,11 @@
 import { useState } from 'react';
 import { motion } from 'framer-motion';
 
-export default function MultiplierButton({ multiplier, type, onClick }) {
+export default function MultiplierButton({ multiplier, type, onClick, disabled = false }) {
     const [isAnimating, setIsAnimating] = useState(false);
 
     const handleClick = () => {
-        if (isAnimating) return;
+        if (isAnimating || disabled) return;
         setIsAnimating(true);
 
         // Total animation time is 0.7s (0.3s zoom + 0.4s flip)
@@ -18,9 +18,11 @@ export default function MultiplierButton({ multiplier, type, onClick }) {
     const isPositive = type === 'positive';
     const label = isPositive ? `x${multiplier}` : `x${Math.abs(multiplier)}`;
 
-    const frontBgClass = isPositive
-        ? 'bg-green-600 hover:bg-green-500 active:bg-green-400'
-        : 'bg-red-700/80 hover:bg-red-600 active:bg-red-500';
+    const frontBgClass = disabled
+        ? 'bg-gray-700/60 text-white/40'
+        : isPositive
+            ? 'bg-green-600 hover:bg-green-500 active:bg-green-400'
+            : 'bg-red-700/80 hover:bg-red-600 active:bg-red-500';
 
     return (
         <motion.div
@@ -30,12 +32,12 @@ export default function MultiplierButton({ multiplier, type, onClick }) {
             transition={{ duration: 0.3, ease: "easeIn" }}
         >
             <motion.button
-                className={`w-full h-full relative outline-none ${isAnimating ? 'cursor-default' : 'cursor-pointer'}`}
+                className={`w-full h-full relative outline-none ${disabled ? 'cursor-not-allowed' : isAnimating ? 'cursor-default' : 'cursor-pointer'}`}
                 style={{ transformStyle: 'preserve-3d' }}
                 onClick={handleClick}
-                disabled={isAnimating}
-                whileHover={!isAnimating ? { scale: 1.05 } : {}}
-                whileTap={!isAnimating ? { scale: 0.95 } : {}}
+                disabled={isAnimating || disabled}
+                whileHover={!isAnimating && !disabled ? { scale: 1.05 } : {}}
+                whileTap={!isAnimating && !disabled ? { scale: 0.95 } : {}}
                 animate={isAnimating ? {
                     rotateY: 360,
                     scale: 1.1,
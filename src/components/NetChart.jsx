@@ -0,0 +1,47 @@
+/**
+ * NetChart.jsx
+ * =============
+ * Line chart of cumulative net by round (see lib/netSeries.js), drawn as
+ * inline SVG so it needs nothing from the network.
+ *
+ * - Dashed zero line; the line is coloured by where the net ended up
+ * - Highest and lowest net on the left, first and last round times below
+ */
+
+import { formatClock } from '../lib/actionLog';
+import { scaleSeries } from '../lib/netSeries';
+import { DEFAULT_MONEY, formatNet } from '../lib/money';
+
+const WIDTH = 300;
+const HEIGHT = 120;
+
+export default function NetChart({ series, money = DEFAULT_MONEY, emptyLabel = 'No rounds yet' }) {
+  if (series.length === 0) {
+    return <p className="text-white/50 text-sm text-center py-6">{emptyLabel}</p>;
+  }
+
+  const { path, zeroY } = scaleSeries(series, WIDTH, HEIGHT, 6);
+  const nets = series.map((p) => p.net);
+  const last = series[series.length - 1];
+  const formatAxis = (amount) => formatNet(amount, { ...money, whole: true });
+  const stroke = last.net > 0 ? '#4ade80' : last.net < 0 ? '#f87171' : '#e5e7eb';
+
+  return (
+    <div>
+      <div className="flex gap-2">
+        <div className="flex flex-col justify-between text-[10px] font-mono text-white/50 py-0.5 text-right">
+          <span>{formatAxis(Math.max(0, ...nets))}</span>
+          <span>{formatAxis(Math.min(0, ...nets))}</span>
+        </div>
+        <svg viewBox={`0 0 ${WIDTH} ${HEIGHT}`} className="flex-1 h-32 bg-black/20 rounded-lg" preserveAspectRatio="none">
+          <line x1="0" x2={WIDTH} y1={zeroY} y2={zeroY} stroke="rgba(255,255,255,0.25)" strokeDasharray="4 4" />
+          <path d={path} fill="none" stroke={stroke} strokeWidth="2" strokeLinejoin="round" vectorEffect="non-scaling-stroke" />
+        </svg>
+      </div>
+      <div className="flex justify-between text-[10px] font-mono text-white/50 mt-1 pl-8">
+        <span>{formatClock(series[0].ts)}</span>
+        <span>{formatClock(last.ts)}</span>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,382 @@
+/**
+ * PastGames.jsx
+ * ==============
+ * Browser for the sessions archived on this device (see lib/sessionArchive.js),
+ * reached from the home screen.
+ *
+ * - List: date, duration, role, base and final net of every session
+ * - Detail: the same plus the full round history (and, for the banker, each
+ *   player's final numbers and the settlement)
+ * - Multiplayer sessions can reopen their room read-only: the current rows
+ *   are fetched from the backend the game was played on
+ * - Export any session as CSV or JSON; import JSON backups, and resume a
+ *   player session in single-player mode
+ */
+
+import { useRef, useState } from 'react';
+import { entryLabel, isLedgerEntry, isRoundEntry } from '../lib/actionLog';
+import { entryRounds, formatRoundList } from '../lib/rounds';
+import { formatDuration } from '../lib/sessionArchive';
+import { downloadSession } from '../lib/sessionExport';
+import { DEFAULT_CURRENCY, formatMoney, formatNet } from '../lib/money';
+import { transferParty } from '../lib/settlement';
+import { useTranslation } from '../hooks/useTranslation';
+
+const netColor = (amount) =>
+  amount > 0 ? 'text-green-400' : amount < 0 ? 'text-red-400' : 'text-gray-400';
+
+const formatDate = (ts, locale) =>
+  new Date(ts).toLocaleString(locale, {
+    year: 'numeric',
+    month: 'short',
+    day: 'numeric',
+    hour: '2-digit',
+    minute: '2-digit',
+  });
+
+const sessionTitle = (session, t) =>
+  session.kind === 'single' ? t('home.single') : t('past.room', { id: session.roomId });
+
+const roleLabel = (session, t) => t(session.role === 'banker' ? 'banker.title' : 'player.title');
+
+// Each session is shown in the currency it was played in
+const sessionMoney = (session, wholeUnits) => ({ currency: session.currency || DEFAULT_CURRENCY, whole: wholeUnits });
+
+export default function PastGames({ sessions, wholeUnits = false, onBack, onDelete, onOpenRoom, onImport, onResume }) {
+  const { t, locale } = useTranslation();
+  const [selectedId, setSelectedId] = useState(null);
+  const [importError, setImportError] = useState(null);
+  const fileRef = useRef(null);
+  const selected = sessions.find((s) => s.id === selectedId);
+
+  const handleImport = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+    const { session, error } = await onImport(file);
+    setImportError(error || null);
+    if (session) setSelectedId(session.id);
+  };
+
+  if (selected) {
+    return (
+      <SessionDetail
+        session={selected}
+        money={{ ...sessionMoney(selected, wholeUnits), locale }}
+        onBack={() => setSelectedId(null)}
+        onDelete={() => {
+          onDelete(selected.id);
+          setSelectedId(null);
+        }}
+        onOpenRoom={onOpenRoom}
+        onResume={onResume}
+      />
+    );
+  }
+
+  return (
+    <div className="min-h-screen bg-gradient-to-b from-gray-900 via-gray-950 to-black text-white flex flex-col">
+      <header className="px-4 pt-6 pb-3 flex items-center justify-between">
+        <h1 className="text-2xl font-bold tracking-tight">{t('home.pastGames')}</h1>
+        <div className="flex gap-2">
+          <button
+            onClick={() => fileRef.current.click()}
+            className="px-3 py-2 bg-gray-800/60 hover:bg-gray-700/80 rounded-xl text-sm font-medium transition-colors border border-gray-700/30"
+          >
+            {t('past.import')}
+          </button>
+          <button
+            onClick={onBack}
+            className="px-3 py-2 bg-gray-800/60 hover:bg-gray-700/80 rounded-xl text-sm font-medium transition-colors border border-gray-700/30"
+          >
+            {t('common.back')}
+          </button>
+        </div>
+        <input ref={fileRef} type="file" accept="application/json,.json" onChange={handleImport} className="hidden" />
+      </header>
+
+      <div className="px-4 pb-6 space-y-3">
+        {importError && (
+          <div className="px-4 py-3 bg-red-900/50 border border-red-500/30 rounded-xl text-red-300 text-sm text-center">
+            {importError}
+          </div>
+        )}
+        {sessions.length === 0 && (
+          <p className="text-gray-500 text-sm text-center pt-12">
+            {t('past.empty')}
+          </p>
+        )}
+        {sessions.map((session) => (
+          <button
+            key={session.id}
+            onClick={() => setSelectedId(session.id)}
+            className="w-full bg-gray-800/40 hover:bg-gray-700/50 border border-gray-600/30 rounded-2xl p-4 text-left transition-colors"
+          >
+            <div className="flex justify-between items-start">
+              <div>
+                <p className="font-bold text-gray-100">
+                  {sessionTitle(session, t)}
+                  <span className={`ml-2 text-xs uppercase tracking-wider font-bold ${session.role === 'banker' ? 'text-yellow-400' : 'text-green-400'}`}>
+                    {roleLabel(session, t)}
+                  </span>
+                </p>
+                <p className="text-gray-500 text-xs mt-1">
+                  {formatDate(session.endedAt, locale)} · {formatDuration(session.endedAt - session.startedAt)}
+                </p>
+              </div>
+              <div className="text-right">
+                <p className={`font-mono font-bold ${netColor(session.finalNet)}`}>
+                  {formatNet(session.finalNet, { ...sessionMoney(session, wholeUnits), locale })}
+                </p>
+                {session.base > 0 && (
+                  <p className="text-gray-500 text-xs font-mono mt-0.5">
+                    {t('banker.baseShort', { amount: formatMoney(session.base, { ...sessionMoney(session, wholeUnits), locale }) })}
+                  </p>
+                )}
+              </div>
+            </div>
+          </button>
+        ))}
+      </div>
+    </div>
+  );
+}
+
+/** One archived session in full */
+function SessionDetail({ session, money, onBack, onDelete, onOpenRoom, onResume }) {
+  const { t, locale } = useTranslation();
+  const [confirmDelete, setConfirmDelete] = useState(false);
+  const [liveRoom, setLiveRoom] = useState(null); // { room, players, history } | { error }
+  const [opening, setOpening] = useState(false);
+
+  const handleOpenRoom = async () => {
+    setOpening(true);
+    setLiveRoom(await onOpenRoom(session));
+    setOpening(false);
+  };
+
+  // The banker's history covers everyone, so name the player on each row
+  const players = liveRoom && !liveRoom.error ? liveRoom.players : session.players || [];
+  const nameOf = (uuid) => {
+    const idx = players.findIndex((p) => p.uuid === uuid);
+    return idx === -1 ? null : players[idx].name || t('common.playerN', { n: idx + 1 });
+  };
+
+  // Buy-ins and cash-outs are listed apart from the rounds
+  const history = liveRoom && !liveRoom.error ? liveRoom.history : session.history || [];
+  const ledgerHistory = history.filter(isLedgerEntry);
+
+  return (
+    <div className="min-h-screen bg-gradient-to-b from-gray-900 via-gray-950 to-black text-white flex flex-col">
+      <header className="px-4 pt-6 pb-3 flex items-center justify-between">
+        <div>
+          <h1 className="text-2xl font-bold tracking-tight">{sessionTitle(session, t)}</h1>
+          <p className="text-gray-500 text-sm mt-0.5">{formatDate(session.startedAt, locale)}</p>
+        </div>
+        <button
+          onClick={onBack}
+          className="px-3 py-2 bg-gray-800/60 hover:bg-gray-700/80 rounded-xl text-sm font-medium transition-colors border border-gray-700/30"
+        >
+          {t('common.back')}
+        </button>
+      </header>
+
+      <div className="px-4 pb-6 space-y-4">
+        {/* Summary */}
+        <div className="grid grid-cols-2 gap-3 bg-gray-800/40 border border-gray-600/30 rounded-2xl p-4">
+          <Stat label={t('past.duration')} value={formatDuration(session.endedAt - session.startedAt)} />
+          <Stat label={t('past.role')} value={roleLabel(session, t)} />
+          <Stat label={t('common.base')} value={session.base > 0 ? formatMoney(session.base, money) : '—'} />
+          <Stat label={t('past.rounds')} value={session.roundCount || 0} />
+          {session.role === 'player' && ledgerHistory.length > 0 && (
+            <>
+              <Stat label={t('common.bankroll')} value={formatMoney(session.bankroll || 0, money)} />
+              <Stat label={t('common.chips')} value={formatMoney((session.bankroll || 0) + (session.finalNet || 0), money)} />
+            </>
+          )}
+          <div className="col-span-2 text-center pt-2 border-t border-gray-700/40">
+            <p className="text-gray-500 text-xs uppercase tracking-wider">{t('past.finalNet')}</p>
+            <p className={`text-3xl font-extrabold tabular-nums ${netColor(session.finalNet)}`}>
+              {formatNet(session.finalNet, money)}
+            </p>
+          </div>
+        </div>
+
+        {/* Read-only room, re-read from the backend */}
+        {session.kind === 'multi' && (
+          <div className="bg-gray-800/40 border border-gray-600/30 rounded-2xl p-4">
+            {!liveRoom || liveRoom.error ? (
+              <>
+                <button
+                  onClick={handleOpenRoom}
+                  disabled={opening}
+                  className="w-full py-3 bg-blue-600 hover:bg-blue-500 disabled:opacity-50 rounded-xl font-bold transition-colors"
+                >
+                  {opening ? t('past.opening') : t('past.openRoom')}
+                </button>
+                {liveRoom && liveRoom.error && (
+                  <p className="text-red-400 text-sm text-center mt-2">{liveRoom.error}</p>
+                )}
+              </>
+            ) : (
+              <p className="text-gray-400 text-sm text-center">
+                {t('past.room', { id: liveRoom.room.id })} ·{' '}
+                <span className="uppercase font-bold tracking-wider text-xs">{t(`past.status.${liveRoom.room.status}`)}</span>
+                {' '}· {t('past.readOnly')}
+              </p>
+            )}
+          </div>
+        )}
+
+        {/* Players (banker sessions, or a reopened room) */}
+        {players.filter((p) => p.role === 'player').length > 0 && (
+          <Section title={t('banker.playerNets')}>
+            {players
+              .filter((p) => p.role === 'player')
+              .map((p) => (
+                <div key={p.uuid} className="flex justify-between items-center py-2 border-b border-gray-700/30 last:border-0">
+                  <span className="text-gray-200 text-sm font-medium truncate max-w-[160px]">{nameOf(p.uuid)}</span>
+                  <span className={`font-mono font-bold ${netColor(p.current_net || 0)}`}>
+                    {formatNet(p.current_net || 0, money)}
+                  </span>
+                </div>
+              ))}
+          </Section>
+        )}
+
+        {/* Settlement */}
+        {(liveRoom?.room?.settlement || session.settlement) && (
+          <Section title={t('past.settlement')}>
+            {(liveRoom?.room?.settlement || session.settlement).transfers.map((transfer) => (
+              <div key={transfer.id} className="flex justify-between items-center py-1.5 text-sm">
+                <span className="text-gray-300">
+                  {transferParty(transfer, 'from', t)} → {transferParty(transfer, 'to', t)}
+                </span>
+                <span className="font-mono text-gray-200">
+                  {formatMoney(transfer.amount, money)}
+                  <span className={`ml-2 text-xs font-bold uppercase ${transfer.paid ? 'text-green-400' : 'text-gray-500'}`}>
+                    {transfer.paid ? t('settle.paid') : t('settle.unpaid')}
+                  </span>
+                </span>
+              </div>
+            ))}
+          </Section>
+        )}
+
+        {/* Full history */}
+        <Section title={t('past.history')}>
+          {history.filter((e) => !isLedgerEntry(e)).map((record) => {
+            const rounds = entryRounds(record);
+            const who = record.playerUuid ? nameOf(record.playerUuid) : null;
+            return (
+              <div
+                key={`${record.playerUuid || ''}|${record.id}`}
+                className="flex justify-between items-center text-sm py-1.5 border-b border-gray-700/30 last:border-0"
+              >
+                <span className="text-gray-500 font-mono text-xs">
+                  {record.time}
+                  {rounds.length > 0 && <span className="ml-1.5 text-gray-400">{formatRoundList(rounds)}</span>}
+                </span>
+                <span className="font-medium text-white/90 text-right">
+                  {who && <span className="text-gray-400 mr-1.5">{who}</span>}
+                  {entryLabel(record, money, t)}
+                </span>
+                {isRoundEntry(record) ? (
+                  <span className={`font-bold tabular-nums ${netColor(record.amount)}`}>
+                    {formatNet(record.amount, money)}
+                  </span>
+                ) : (
+                  <span className="text-gray-600 text-xs">—</span>
+                )}
+              </div>
+            );
+          })}
+        </Section>
+
+        {ledgerHistory.length > 0 && (
+          <Section title={t('common.ledger')}>
+            {ledgerHistory.map((record) => (
+              <div
+                key={`${record.playerUuid || ''}|${record.id}`}
+                className="flex justify-between items-center text-sm py-1.5 border-b border-gray-700/30 last:border-0"
+              >
+                <span className="text-gray-500 font-mono text-xs">{record.time}</span>
+                <span className="font-medium text-white/90 text-right">
+                  {record.playerUuid && <span className="text-gray-400 mr-1.5">{nameOf(record.playerUuid)}</span>}
+                  {entryLabel(record, money, t)}
+                </span>
+              </div>
+            ))}
+          </Section>
+        )}
+
+        {/* Export / resume */}
+        <div className="flex gap-3">
+          <button
+            onClick={() => downloadSession(session, 'csv')}
+            className="flex-1 px-4 py-3 bg-gray-800/60 hover:bg-gray-700/60 rounded-xl font-medium transition-colors border border-gray-700/30"
+          >
+            {t('past.exportCsv')}
+          </button>
+          <button
+            onClick={() => downloadSession(session, 'json')}
+            className="flex-1 px-4 py-3 bg-gray-800/60 hover:bg-gray-700/60 rounded-xl font-medium transition-colors border border-gray-700/30"
+          >
+            {t('past.exportJson')}
+          </button>
+        </div>
+        {session.role === 'player' && (
+          <button
+            onClick={() => onResume(session)}
+            className="w-full py-3 bg-green-600 hover:bg-green-500 rounded-xl font-bold transition-colors"
+          >
+            {t('past.resume')}
+          </button>
+        )}
+
+        {/* Delete */}
+        {confirmDelete ? (
+          <div className="flex gap-3">
+            <button
+              onClick={() => setConfirmDelete(false)}
+              className="flex-1 px-4 py-3 bg-gray-800/60 hover:bg-gray-700/60 rounded-xl font-medium transition-colors border border-gray-700/30"
+            >
+              {t('past.keep')}
+            </button>
+            <button
+              onClick={onDelete}
+              className="flex-1 px-4 py-3 bg-red-600 hover:bg-red-500 rounded-xl font-bold transition-colors"
+            >
+              {t('common.delete')}
+            </button>
+          </div>
+        ) : (
+          <button
+            onClick={() => setConfirmDelete(true)}
+            className="w-full py-3 text-red-400/80 hover:text-red-300 text-sm font-medium transition-colors"
+          >
+            {t('past.delete')}
+          </button>
+        )}
+      </div>
+    </div>
+  );
+}
+
+function Stat({ label, value }) {
+  return (
+    <div>
+      <p className="text-gray-500 text-xs uppercase tracking-wider">{label}</p>
+      <p className="text-gray-100 font-bold font-mono">{value}</p>
+    </div>
+  );
+}
+
+function Section({ title, children }) {
+  return (
+    <div className="bg-gray-800/40 border border-gray-600/30 rounded-2xl p-4">
+      <p className="text-gray-400 text-xs uppercase tracking-wider mb-2">{title}</p>
+      <div className="max-h-[50vh] overflow-y-auto pr-1 custom-scrollbar">{children}</div>
+    </div>
+  );
+}
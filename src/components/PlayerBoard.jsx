@@ -5,41 +5,110 @@
  *
  * Features:
  * - Base amount input (must be set before playing)
- * - 10 fat-finger-friendly multiplier buttons: x1..x10 and -x1..-x10
+ * - Fat-finger-friendly multiplier buttons, a win and a loss button for each
+ *   multiplier of the game preset (see lib/presets.js)
  * - Current net display (win/loss)
- * - Undo button (reverts last action, max 1 step)
+ * - Bankroll: buy-ins, top-ups and cash-outs, with chips = bankroll + net
+ * - Undo / Redo buttons (unlimited steps, backed by the action log)
+ * - Stats: net-over-time chart, win rate, streaks, drawdown and multiplier use
+ * - Export: the session as CSV or a JSON backup
+ * - Round phases: in multiplayer the buttons only work in the banker's results
+ *   window, once per round, with the banker's countdown if one is running
+ * - Sit Out: step away for a few hands; the rounds skipped are logged as sat
+ *   out on return (multiplayer only)
+ * - Sync status: in multiplayer, entries not yet on the server are marked pending
+ * - Banker corrections: approve or reject the banker's change to a logged
+ *   round; corrected rounds are marked in the history (multiplayer only)
+ * - Disputes: flag any history entry for the banker, with a note, and see
+ *   how the banker resolved it (multiplayer only, see lib/disputes.js)
+ * - Settlement: once the Banker ends the game, who pays whom (multiplayer only)
  * - Exit button
  *
  * Works in BOTH single-player and multiplayer modes.
  * The parent passes in the correct action handlers depending on mode.
  */
 
-import { useState } from 'react';
+import { useEffect, useRef, useState } from 'react';
 import LedDisplay from './LedDisplay';
 import StreakAnimation from './StreakAnimation';
 import MultiplierButton from './MultiplierButton';
+import SettlementPanel from './SettlementPanel';
+import StatsPanel from './StatsPanel';
+import NetChart from './NetChart';
+import ExportDialog from './ExportDialog';
+import DisputeBadge from './DisputeBadge';
+import ErrorBanner from './ErrorBanner';
 import { motion } from 'framer-motion';
+import { ACTION_TYPES, deriveNet, entryLabel, entryType, isLedgerEntry, newStreak } from '../lib/actionLog';
+import { ROUND_PHASES, entryRounds, formatRoundList, hasLoggedRound, resultsOpen } from '../lib/rounds';
+import { computeStats } from '../lib/stats';
+import { netSeries } from '../lib/netSeries';
+import { DEFAULT_PRESET } from '../lib/presets';
+import { DEFAULT_MONEY, formatMoney, formatNet, fromCents, parseMoney } from '../lib/money';
+import { MAX_NOTE_LENGTH, isDisputeOpen } from '../lib/disputes';
+import { useTranslation } from '../hooks/useTranslation';
+import { formatCountdown, useCountdown } from '../hooks/useCountdown';
 
 export default function PlayerBoard({
   // Current state
   baseAmount,
   currentNet,
-  lastActionAmount,
+  bankroll = 0, // buy-ins + top-ups − cash-outs
+  history = [], // action log, newest first (in multiplayer, the pages loaded so far)
+  roundCount = 0,
+  rakeTotal = 0, // banker's cut taken from this player's wins (multiplayer only)
+  hasMoreHistory = false,
+  onLoadMoreHistory,
+  onLoadAllHistory, // multiplayer: page in the rest of the log before showing stats
+  canUndo,
+  canRedo,
   // Actions — these are either single-player or multiplayer handlers
   onSetBase,
   onAction,
   onUndo,
+  onRedo,
+  onLedger, // (type, amount) — record a buy-in, top-up or cash-out
   onExit,
+  onExport, // resolves to the session in archive shape (see lib/sessionExport.js)
   // Optional: room info for multiplayer display
   roomId,
   mode, // 'single' | 'multi'
+  preset = DEFAULT_PRESET, // button set and payout math (set by the banker in multiplayer)
+  money = DEFAULT_MONEY, // currency and display (see lib/money.js); amounts are cents
   playerName,
   onSetName,
+  // Banker's round counter and phase (multiplayer only)
+  roundNumber = 0,
+  roundPhase = ROUND_PHASES.IDLE,
+  phaseEndsAt = null, // ISO end of the banker's countdown, if any
+  // Sitting out (multiplayer only): no rounds are logged meanwhile
+  sittingOut = false,
+  onToggleSitOut,
+  // Offline queue status (multiplayer only)
+  pendingEntryIds,
+  pendingCount = 0,
+  syncOffline = false,
   // New props for remote tie prompting
   tiePromptActive,
   resolveTiePrompt,
+  // The banker's oldest correction awaiting an answer (see lib/corrections.js)
+  editProposal = null,
+  resolveEditProposal,
+  // Disputes (multiplayer only): raise one, and the banker's latest outcome
+  onDispute, // (entryId, note)
+  disputeOutcome = null, // { round, status }
+  onDismissDisputeOutcome,
+  // End-of-game settlement (multiplayer only)
+  deviceUUID,
+  roomStatus,
+  settlement,
+  onMarkTransferPaid,
+  // The session's latest error, until dismissed
+  error = null,
+  onDismissError,
 }) {
-  const [baseInput, setBaseInput] = useState(baseAmount > 0 ? String(baseAmount) : '');
+  const { t } = useTranslation();
+  const [baseInput, setBaseInput] = useState(baseAmount > 0 ? String(fromCents(baseAmount)) : '');
   const [baseConfirmed, setBaseConfirmed] = useState(baseAmount > 0);
   const [showExitConfirm, setShowExitConfirm] = useState(false);
 
@@ -50,88 +119,80 @@ export default function PlayerBoard({
   // Streak animation state
   const [streakAnim, setStreakAnim] = useState(null);
 
-  // Round history from local storage
-  const [roundHistory, setRoundHistory] = useState(() => {
-    try {
-      const saved = localStorage.getItem('player_round_history');
-      if (saved) {
-        const parsed = JSON.parse(saved);
-        if (Array.isArray(parsed)) return []; // clear old array format
-        const currentSessionId = mode === 'single' ? 'single' : roomId;
-        if (parsed && parsed.sessionId === currentSessionId) {
-          return parsed.history || [];
-        }
-      }
-      return [];
-    } catch {
-      return [];
-    }
-  });
-
-  const saveHistory = (historyToSave) => {
-    const currentSessionId = mode === 'single' ? 'single' : roomId;
-    localStorage.setItem('player_round_history', JSON.stringify({
-      sessionId: currentSessionId,
-      history: historyToSave
-    }));
+  // Celebrate a win/loss streak of 3+ when a newly logged round lengthens
+  // it, however the round reached the log (see newStreak)
+  const lastHistoryRef = useRef(history);
+  useEffect(() => {
+    const streak = newStreak(lastHistoryRef.current, history);
+    lastHistoryRef.current = history;
+    if (streak) setStreakAnim({ ...streak, id: Date.now() });
+  }, [history]);
+
+  // Stats screen; 'loading' while older pages are fetched, 'partial' if that failed
+  const [statsView, setStatsView] = useState(null); // null | 'loading' | 'ready' | 'partial'
+  const [showExport, setShowExport] = useState(false);
+
+  // Bankroll entry being recorded
+  const [ledgerType, setLedgerType] = useState(null); // null | ACTION_TYPES.BUY_IN | TOP_UP | CASH_OUT
+  const [ledgerInput, setLedgerInput] = useState('');
+
+  // Entry being disputed, and the note for the banker
+  const [disputing, setDisputing] = useState(null);
+  const [disputeNote, setDisputeNote] = useState('');
+
+  const openDispute = (record) => {
+    setDisputeNote('');
+    setDisputing(record);
   };
 
-  const handleAction = (m) => {
-    const amount = m * baseAmount;
-    const newRecord = {
-      id: Date.now(),
-      multiplier: m,
-      amount: amount,
-      time: new Date().toLocaleTimeString('en-US', { hour12: false, hour: '2-digit', minute: '2-digit', second: '2-digit' })
-    };
-    const updatedHistory = [newRecord, ...roundHistory];
-
-    // Check for win/loss streak >= 3
-    if (updatedHistory.length >= 3 && updatedHistory[0].multiplier !== 0) {
-      const firstType = updatedHistory[0].multiplier > 0 ? 'win' : 'loss';
-      let count = 0;
-      for (const r of updatedHistory) {
-        if (r.multiplier === 0) break; // tie breaks the streak
-        const type = r.multiplier > 0 ? 'win' : 'loss';
-        if (type === firstType) count++;
-        else break;
-      }
-      if (count >= 3) {
-        // Trigger popup
-        setStreakAnim({ count, type: firstType, id: Date.now() });
-      }
-    }
-
-    onAction(m, updatedHistory);
-
-    setRoundHistory(updatedHistory);
-    saveHistory(updatedHistory);
+  const handleConfirmDispute = () => {
+    onDispute(disputing.id, disputeNote);
+    setDisputing(null);
   };
 
-  const handleUndo = () => {
-    if (roundHistory.length > 0) {
-      const updatedHistory = roundHistory.slice(1);
-      onUndo(updatedHistory);
-      setRoundHistory(updatedHistory);
-      saveHistory(updatedHistory);
+  const openStats = async () => {
+    if (!hasMoreHistory || !onLoadAllHistory) {
+      setStatsView('ready');
+      return;
     }
+    setStatsView('loading');
+    setStatsView((await onLoadAllHistory()) ? 'ready' : 'partial');
   };
 
-  const handleExit = () => {
-    onExit();
-    localStorage.removeItem('player_round_history');
-    setRoundHistory([]);
+  // Multiplayer: rounds are logged in the banker's results window, once each
+  const secondsLeft = useCountdown(phaseEndsAt);
+  const roundLogged = mode === 'multi' && hasLoggedRound(history, roundNumber);
+  const roundLocked = mode === 'multi' && (sittingOut || !resultsOpen(roundPhase, phaseEndsAt) || roundLogged);
+  const phaseMessage = sittingOut
+    ? t('phase.player.sittingOut')
+    : roundLogged
+      ? t('phase.player.logged', { n: roundNumber })
+      : roundPhase === ROUND_PHASES.RESULTS && secondsLeft === 0
+        ? t('phase.player.expired')
+        : t(`phase.player.${roundPhase}`);
+
+  const handleAction = (m) => {
+    if (roundLocked) return;
+    onAction(m);
   };
 
+  const lastEntry = history[0];
+
+  // Buy-ins and cash-outs are listed apart from the rounds
+  const ledgerHistory = history.filter(isLedgerEntry);
+  const roundHistory = history.filter((e) => !isLedgerEntry(e));
+  const chips = bankroll + currentNet;
+  const hasBoughtIn = bankroll > 0 || ledgerHistory.length > 0;
+
   // Positive multipliers (win)
-  const positiveMultipliers = [1, 2, 3, 4, 5];
+  const positiveMultipliers = preset.multipliers;
   // Negative multipliers (loss)
-  const negativeMultipliers = [-1, -2, -3, -4, -5];
+  const negativeMultipliers = preset.multipliers.map((m) => -m);
 
   /** Confirm the base amount */
   const handleConfirmBase = () => {
-    const val = parseFloat(baseInput);
-    if (isNaN(val) || val <= 0) return;
+    const val = parseMoney(baseInput);
+    if (!(val > 0)) return;
     onSetBase(val);
 
     // Also save name if they entered one during initial setup
@@ -142,19 +203,28 @@ export default function PlayerBoard({
     setBaseConfirmed(true);
   };
 
+  const openLedger = (type) => {
+    setLedgerInput('');
+    setLedgerType(type);
+  };
+
+  const ledgerAmount = parseMoney(ledgerInput);
+  const ledgerValid =
+    ledgerAmount > 0 && (ledgerType !== ACTION_TYPES.CASH_OUT || ledgerAmount <= chips);
+
+  /** Record the buy-in, top-up or cash-out being entered */
+  const handleConfirmLedger = () => {
+    if (!ledgerValid) return;
+    onLedger(ledgerType, ledgerAmount);
+    setLedgerType(null);
+  };
+
   /** Save edited name */
   const handleSaveName = () => {
     onSetName(nameInput.trim());
     setIsEditingName(false);
   };
 
-  /** Format net amount with +/- sign and color */
-  const formatNet = (amount) => {
-    if (amount === 0) return '$0.00';
-    const sign = amount > 0 ? '+' : '';
-    return `${sign}$${amount.toFixed(2)}`;
-  };
-
   const netColor =
     currentNet > 0
       ? 'text-yellow-300'
@@ -176,7 +246,7 @@ export default function PlayerBoard({
                 onChange={(e) => setNameInput(e.target.value)}
                 onKeyDown={(e) => e.key === 'Enter' && handleSaveName()}
                 className="bg-green-950/60 border border-green-600/40 rounded-lg px-2 py-1 text-sm text-white focus:outline-none focus:ring-2 focus:ring-green-400/50 w-full max-w-[150px]"
-                placeholder="Enter name..."
+                placeholder={t('player.namePlaceholder')}
                 maxLength={20}
               />
               <button
@@ -189,7 +259,7 @@ export default function PlayerBoard({
           ) : (
             <div className="flex items-center gap-2">
               <h1 className="text-2xl font-bold tracking-tight truncate max-w-[180px]">
-                {playerName || '闲 Player'}
+                {playerName || t('player.title')}
               </h1>
               <button
                 onClick={() => {
@@ -197,7 +267,7 @@ export default function PlayerBoard({
                   setIsEditingName(true);
                 }}
                 className="text-green-400/60 hover:text-green-300 transition-colors shrink-0"
-                title="Edit Name"
+                title={t('player.editName')}
               >
                 <svg xmlns="http://www.w3.org/2000/svg" width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round"><path d="M17 3a2.85 2.83 0 1 1 4 4L7.5 20.5 2 22l1.5-5.5Z"></path><path d="m15 5 4 4"></path></svg>
               </button>
@@ -206,7 +276,20 @@ export default function PlayerBoard({
 
           {roomId && (
             <p className="text-green-300 text-sm mt-0.5">
-              Room: <span className="font-mono font-bold">{roomId}</span>
+              {t('common.room')}: <span className="font-mono font-bold">{roomId}</span>
+              {roundNumber > 0 && (
+                <span className="ml-2 text-green-400/80">
+                  · <span className="font-bold">{t('common.roundN', { n: roundNumber })}</span>{' '}
+                  <span className={roundPhase === ROUND_PHASES.RESULTS ? 'text-green-200' : 'text-green-500/60'}>
+                    ({t(`phase.${roundPhase}`)})
+                  </span>
+                </span>
+              )}
+            </p>
+          )}
+          {pendingCount > 0 && (
+            <p className={`text-xs mt-0.5 font-medium ${syncOffline ? 'text-red-300' : 'text-yellow-300/80'}`}>
+              {t(syncOffline ? 'player.offlineQueued' : 'player.syncing', { count: pendingCount })}
             </p>
           )}
         </div>
@@ -214,27 +297,27 @@ export default function PlayerBoard({
           onClick={() => setShowExitConfirm(true)}
           className="px-4 py-2 bg-green-700/60 hover:bg-green-600/80 rounded-xl text-sm font-medium transition-colors"
         >
-          Exit
+          {t('common.exit')}
         </button>
       </header>
 
       {/* ---- Net Display ---- */}
       <div className="text-center py-6">
         <p className="text-green-300 text-sm uppercase tracking-widest mb-1">
-          Current Net
+          {t('player.currentNet')}
         </p>
         <p className={`text-5xl font-extrabold tabular-nums ${netColor}`}>
-          {formatNet(currentNet)}
+          {formatNet(currentNet, money)}
         </p>
         {baseConfirmed && (
           <div className="flex items-center justify-center gap-2 mt-2">
             <p className="text-green-400/70 text-sm font-medium">
-              Base: ${baseAmount.toFixed(2)}
+              {t('common.base')}: {formatMoney(baseAmount, money)}
             </p>
             <button
               onClick={() => setBaseConfirmed(false)}
               className="p-1.5 bg-green-800/40 hover:bg-green-700/60 rounded-lg text-green-300 transition-colors"
-              title="Change Base Amount"
+              title={t('player.changeBase')}
             >
               <svg xmlns="http://www.w3.org/2000/svg" width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round">
                 <path d="M17 3a2.85 2.83 0 1 1 4 4L7.5 20.5 2 22l1.5-5.5Z" />
@@ -243,6 +326,28 @@ export default function PlayerBoard({
             </button>
           </div>
         )}
+        {onLedger && (
+          <div className="flex items-center justify-center gap-2 mt-3">
+            <p className="text-green-300/80 text-sm font-medium tabular-nums">
+              {t('common.bankroll')} {formatMoney(bankroll, money)} · {t('common.chips')}{' '}
+              <span className={chips < 0 ? 'text-red-300' : 'text-white'}>{formatMoney(chips, money)}</span>
+            </p>
+            <button
+              onClick={() => openLedger(hasBoughtIn ? ACTION_TYPES.TOP_UP : ACTION_TYPES.BUY_IN)}
+              className="px-2.5 py-1 bg-green-800/40 hover:bg-green-700/60 rounded-lg text-xs font-bold uppercase tracking-wider text-green-200 transition-colors"
+            >
+              {t(hasBoughtIn ? 'ledger.top_up' : 'ledger.buy_in')}
+            </button>
+            {hasBoughtIn && (
+              <button
+                onClick={() => openLedger(ACTION_TYPES.CASH_OUT)}
+                className="px-2.5 py-1 bg-green-800/40 hover:bg-green-700/60 rounded-lg text-xs font-bold uppercase tracking-wider text-green-200 transition-colors"
+              >
+                {t('ledger.cash_out')}
+              </button>
+            )}
+          </div>
+        )}
       </div>
 
       {/* ---- LED Scrolling Display ---- */}
@@ -254,14 +359,14 @@ export default function PlayerBoard({
       {!baseConfirmed && (
         <div className="px-6 pb-6">
           <label className="block text-green-300 text-sm mb-2 font-medium">
-            Set your name and base amount to start
+            {t('player.setupPrompt')}
           </label>
           <div className="flex flex-col gap-3">
             <input
               type="text"
               value={nameInput}
               onChange={(e) => setNameInput(e.target.value)}
-              placeholder="Your Name (Optional)"
+              placeholder={t('player.nameOptional')}
               maxLength={20}
               className="w-full bg-green-950/60 border border-green-600/40 rounded-xl px-4 py-3 text-lg text-white placeholder-green-500/50 focus:outline-none focus:ring-2 focus:ring-green-400/50"
             />
@@ -271,14 +376,14 @@ export default function PlayerBoard({
                 inputMode="decimal"
                 value={baseInput}
                 onChange={(e) => setBaseInput(e.target.value)}
-                placeholder="Base Amount (e.g. 2)"
+                placeholder={t('player.basePlaceholder')}
                 className="flex-1 bg-green-950/60 border border-green-600/40 rounded-xl px-4 py-3 text-lg text-white placeholder-green-500/50 focus:outline-none focus:ring-2 focus:ring-green-400/50"
               />
               <button
                 onClick={handleConfirmBase}
                 className="px-6 py-3 bg-green-500 hover:bg-green-400 text-green-950 font-bold rounded-xl transition-colors shrink-0"
               >
-                Set
+                {t('player.set')}
               </button>
             </div>
           </div>
@@ -288,10 +393,39 @@ export default function PlayerBoard({
       {/* ---- Action Buttons (shown after base is set) ---- */}
       {baseConfirmed && (
         <div className="flex-1 px-4 pb-4 flex flex-col gap-4">
+          {/* Round phase (multiplayer) */}
+          {mode === 'multi' && (
+            <div
+              className={`flex justify-between items-center gap-3 rounded-xl px-4 py-2.5 text-sm font-medium border ${roundLocked
+                ? 'bg-green-950/50 border-green-700/30 text-green-300/70'
+                : 'bg-yellow-500/15 border-yellow-400/40 text-yellow-200'
+                }`}
+            >
+              <span>{phaseMessage}</span>
+              {secondsLeft > 0 && !sittingOut && (
+                <span className="font-mono font-bold tabular-nums shrink-0">{formatCountdown(secondsLeft)}</span>
+              )}
+              {onToggleSitOut && (
+                <button
+                  onClick={onToggleSitOut}
+                  className={`shrink-0 px-3 py-1 rounded-lg text-xs font-bold uppercase tracking-wider transition-colors ${sittingOut
+                    ? 'bg-green-500 hover:bg-green-400 text-green-950'
+                    : 'bg-green-800/60 hover:bg-green-700/60 text-green-200'
+                    }`}
+                >
+                  {sittingOut ? t('player.backIn') : t('player.sitOut')}
+                </button>
+              )}
+            </div>
+          )}
+
           {/* Win buttons (positive) */}
           <div>
             <p className="text-green-400/80 text-xs uppercase tracking-wider mb-2 px-1">
-              Win (+)
+              {t('player.win')} · {preset.name}
+              {preset.winPayout !== 1 && (
+                <span className="normal-case"> · {t('player.winPays', { ratio: preset.winPayout })}</span>
+              )}
             </p>
             <div className="grid grid-cols-5 gap-2">
               {positiveMultipliers.map((m) => (
@@ -299,6 +433,7 @@ export default function PlayerBoard({
                   key={`pos-${m}`}
                   multiplier={m}
                   type="positive"
+                  disabled={roundLocked}
                   onClick={() => handleAction(m)}
                 />
               ))}
@@ -308,7 +443,10 @@ export default function PlayerBoard({
           {/* Loss buttons (negative) */}
           <div>
             <p className="text-red-400/80 text-xs uppercase tracking-wider mb-2 px-1">
-              Loss (-)
+              {t('player.loss')}
+              {preset.commission > 0 && (
+                <span className="normal-case"> · {t('player.commission', { percent: Math.round(preset.commission * 100) })}</span>
+              )}
             </p>
             <div className="grid grid-cols-5 gap-2">
               {negativeMultipliers.map((m) => (
@@ -316,58 +454,123 @@ export default function PlayerBoard({
                   key={`neg-${m}`}
                   multiplier={m}
                   type="negative"
+                  disabled={roundLocked}
                   onClick={() => handleAction(m)}
                 />
               ))}
             </div>
           </div>
 
-          {/* Tie & Undo buttons */}
-          <div className="grid grid-cols-2 gap-3 mt-1 shrink-0">
+          {/* Tie, Undo & Redo buttons */}
+          <div className="grid grid-cols-3 gap-3 mt-1 shrink-0">
             {/* Tie button */}
             <motion.button
               whileTap={{ scale: 0.95 }}
               onClick={() => handleAction(0)}
-              className="w-full py-3 rounded-2xl text-lg font-bold transition-colors bg-gray-600 hover:bg-gray-500 active:bg-gray-400 text-white shadow-lg"
+              disabled={roundLocked}
+              className={`w-full py-3 rounded-2xl text-lg font-bold transition-colors ${roundLocked
+                ? 'bg-green-800/40 text-green-600/40 cursor-not-allowed'
+                : 'bg-gray-600 hover:bg-gray-500 active:bg-gray-400 text-white shadow-lg'
+                }`}
             >
-              Tie / 和局
+              {t('common.tie')}
             </motion.button>
 
             {/* Undo button */}
             <motion.button
               whileTap={{ scale: 0.95 }}
-              onClick={handleUndo}
-              disabled={lastActionAmount === 0 && (!roundHistory.length || roundHistory[0].multiplier !== 0)}
-              className={`w-full py-3 rounded-2xl text-lg font-bold transition-colors ${lastActionAmount !== 0 || (roundHistory.length > 0 && roundHistory[0].multiplier === 0)
+              onClick={onUndo}
+              disabled={!canUndo}
+              className={`w-full py-3 rounded-2xl text-lg font-bold transition-colors ${canUndo
                 ? 'bg-yellow-500/90 hover:bg-yellow-400 text-yellow-950 shadow-lg'
                 : 'bg-green-800/40 text-green-600/40 cursor-not-allowed'
                 }`}
             >
-              Undo
-              {lastActionAmount !== 0 && (
+              {t('player.undo')}
+              {canUndo && lastEntry && lastEntry.amount !== 0 && (
                 <span className="ml-1 text-sm font-normal opacity-80">
-                  ({lastActionAmount > 0 ? '+' : ''}${lastActionAmount.toFixed(2)})
+                  ({formatNet(lastEntry.amount, money)})
                 </span>
               )}
             </motion.button>
+
+            {/* Redo button */}
+            <motion.button
+              whileTap={{ scale: 0.95 }}
+              onClick={onRedo}
+              disabled={!canRedo}
+              className={`w-full py-3 rounded-2xl text-lg font-bold transition-colors ${canRedo
+                ? 'bg-green-600 hover:bg-green-500 text-white shadow-lg'
+                : 'bg-green-800/40 text-green-600/40 cursor-not-allowed'
+                }`}
+            >
+              {t('player.redo')}
+            </motion.button>
           </div>
 
           {/* Round History */}
           {roundHistory.length > 0 && (
             <div className="mt-1 bg-green-950/50 rounded-2xl p-4 border border-green-700/30 flex-1 min-h-[120px] max-h-[200px] flex flex-col">
               <div className="flex justify-between items-center mb-3 shrink-0">
-                <h3 className="text-green-300/80 text-sm font-bold uppercase tracking-wider">Round History</h3>
-                <span className="text-xs text-green-500/50 font-medium">{roundHistory.length} rounds</span>
+                <h3 className="text-green-300/80 text-sm font-bold uppercase tracking-wider">{t('player.roundHistory')}</h3>
+                <div className="flex items-center gap-3">
+                  <span className="text-xs text-green-500/50 font-medium">{t('common.rounds', { count: roundCount })}</span>
+                  {rakeTotal > 0 && (
+                    <span className="text-xs text-yellow-300/60 font-medium">{t('common.rake')} {formatMoney(rakeTotal, money)}</span>
+                  )}
+                  <button
+                    onClick={openStats}
+                    className="text-xs font-bold uppercase tracking-wider text-green-300/80 hover:text-green-200 transition-colors"
+                  >
+                    {t('common.stats')}
+                  </button>
+                  {onExport && (
+                    <button
+                      onClick={() => setShowExport(true)}
+                      className="text-xs font-bold uppercase tracking-wider text-green-300/80 hover:text-green-200 transition-colors"
+                    >
+                      {t('common.export')}
+                    </button>
+                  )}
+                </div>
               </div>
               <div className="overflow-y-auto space-y-2 pr-1 custom-scrollbar">
                 {roundHistory.map((record) => (
+                  <HistoryRow
+                    key={record.id}
+                    record={record}
+                    money={money}
+                    syncState={pendingEntryIds ? (pendingEntryIds.has(record.id) ? 'pending' : 'synced') : null}
+                    onDispute={onDispute && !isDisputeOpen(record) ? () => openDispute(record) : null}
+                  />
+                ))}
+                {hasMoreHistory && (
+                  <button
+                    onClick={onLoadMoreHistory}
+                    className="w-full py-2 text-xs font-bold uppercase tracking-wider text-green-300/70 hover:text-green-200 transition-colors"
+                  >
+                    {t('common.loadOlder')}
+                  </button>
+                )}
+              </div>
+            </div>
+          )}
+
+          {/* Bankroll — buy-ins, top-ups and cash-outs */}
+          {ledgerHistory.length > 0 && (
+            <div className="bg-green-950/50 rounded-2xl p-4 border border-green-700/30 max-h-[160px] flex flex-col">
+              <div className="flex justify-between items-center mb-3 shrink-0">
+                <h3 className="text-green-300/80 text-sm font-bold uppercase tracking-wider">{t('common.ledger')}</h3>
+                <span className="text-xs text-green-500/50 font-medium">{t('common.bankroll')} {formatMoney(bankroll, money)}</span>
+              </div>
+              <div className="overflow-y-auto space-y-2 pr-1 custom-scrollbar">
+                {ledgerHistory.map((record) => (
                   <div key={record.id} className="flex justify-between items-center text-sm py-1.5 border-b border-green-800/30 last:border-0">
                     <span className="text-green-500/60 font-mono text-xs">{record.time}</span>
-                    <span className="font-medium text-white/90">
-                      {record.multiplier === 0 ? 'Tie / 和局' : `x${Math.abs(record.multiplier)} ${record.multiplier > 0 ? '(Win)' : '(Loss)'}`}
-                    </span>
-                    <span className={`font-bold tabular-nums ${record.multiplier === 0 ? 'text-gray-400' : record.amount > 0 ? 'text-yellow-400' : 'text-red-400'}`}>
-                      {record.amount > 0 ? '+' : ''}${record.amount.toFixed(2)}
+                    <span className="font-medium text-white/90">{entryLabel(record, money, t)}</span>
+                    <span className={`font-bold tabular-nums ${record.amount > 0 ? 'text-green-300' : 'text-orange-300'}`}>
+                      {formatNet(record.amount, money)}
+                      <SyncMarker state={pendingEntryIds ? (pendingEntryIds.has(record.id) ? 'pending' : 'synced') : null} />
                     </span>
                   </div>
                 ))}
@@ -380,6 +583,145 @@ export default function PlayerBoard({
       {/* ---- Streak Animation Overlay ---- */}
       <StreakAnimation streak={streakAnim} onComplete={() => setStreakAnim(null)} />
 
+      {/* ---- Stats Modal ---- */}
+      {statsView && (
+        <div className="fixed inset-0 z-50 flex items-center justify-center p-4 bg-black/60 backdrop-blur-sm">
+          <div className="bg-green-950 border border-green-700/50 rounded-2xl p-6 w-full max-w-sm shadow-2xl flex flex-col max-h-[85vh]">
+            <div className="flex justify-between items-center mb-4 shrink-0">
+              <h3 className="text-xl font-bold text-white">{t('common.stats')}</h3>
+              <span className="text-xs text-green-500/60 font-medium">{t('common.rounds', { count: roundCount })}</span>
+            </div>
+            <div className="overflow-y-auto pr-1 custom-scrollbar">
+              {statsView === 'loading' ? (
+                <p className="text-green-300/60 text-sm text-center py-6">{t('player.loadingHistory')}</p>
+              ) : (
+                <>
+                  {statsView === 'partial' && (
+                    <p className="text-yellow-300/80 text-xs text-center mb-3">
+                      {t('player.statsPartial')}
+                    </p>
+                  )}
+                  <p className="text-green-300/70 text-xs uppercase tracking-wider mb-2">{t('common.netOverTime')}</p>
+                  <NetChart series={netSeries(history, currentNet - deriveNet(history))} money={money} />
+                  <div className="mt-5">
+                    <StatsPanel stats={computeStats(history)} money={money} />
+                  </div>
+                </>
+              )}
+            </div>
+            <button
+              onClick={() => setStatsView(null)}
+              className="mt-4 shrink-0 px-4 py-3 bg-green-900/50 hover:bg-green-800/50 text-white rounded-xl font-medium transition-colors border border-green-700/30"
+            >
+              {t('common.close')}
+            </button>
+          </div>
+        </div>
+      )}
+
+      {/* ---- Bankroll Entry Modal ---- */}
+      {ledgerType && (
+        <div className="fixed inset-0 z-50 flex items-center justify-center p-4 bg-black/60 backdrop-blur-sm">
+          <div className="bg-green-950 border border-green-700/50 rounded-2xl p-6 w-full max-w-sm shadow-2xl">
+            <h3 className="text-xl font-bold text-white mb-2">
+              {t(`ledger.${ledgerType}`)}
+            </h3>
+            <p className="text-green-200/70 mb-4 text-sm font-medium">
+              {ledgerType === ACTION_TYPES.CASH_OUT
+                ? t('player.cashOutHint', { chips: formatMoney(chips, money) })
+                : t('player.buyInHint')}
+            </p>
+            <input
+              type="number"
+              inputMode="decimal"
+              autoFocus
+              value={ledgerInput}
+              onChange={(e) => setLedgerInput(e.target.value)}
+              onKeyDown={(e) => e.key === 'Enter' && handleConfirmLedger()}
+              placeholder={t('player.amount')}
+              className="w-full mb-6 bg-green-900/60 border border-green-600/40 rounded-xl px-4 py-3 text-lg text-white placeholder-green-500/50 focus:outline-none focus:ring-2 focus:ring-green-400/50"
+            />
+            <div className="flex gap-3">
+              <button
+                onClick={() => setLedgerType(null)}
+                className="flex-1 px-4 py-3 bg-green-900/50 hover:bg-green-800/50 text-white rounded-xl font-medium transition-colors border border-green-700/30"
+              >
+                {t('common.cancel')}
+              </button>
+              <button
+                onClick={handleConfirmLedger}
+                disabled={!ledgerValid}
+                className="flex-1 px-4 py-3 bg-green-500 hover:bg-green-400 disabled:opacity-50 text-green-950 rounded-xl font-bold transition-colors"
+              >
+                {t('player.record')}
+              </button>
+            </div>
+          </div>
+        </div>
+      )}
+
+      {/* ---- Dispute Modal ---- */}
+      {disputing && (
+        <div className="fixed inset-0 z-50 flex items-center justify-center p-4 bg-black/60 backdrop-blur-sm">
+          <div className="bg-green-950 border border-green-700/50 rounded-2xl p-6 w-full max-w-sm shadow-2xl">
+            <h3 className="text-xl font-bold text-white mb-2">{t('player.disputeTitle')}</h3>
+            <p className="text-green-200/70 mb-4 text-sm font-medium">
+              {t('player.disputeBody', {
+                entry: [formatRoundList(entryRounds(disputing)), entryLabel(disputing, money, t)].filter(Boolean).join(' '),
+              })}
+            </p>
+            <textarea
+              autoFocus
+              rows={3}
+              maxLength={MAX_NOTE_LENGTH}
+              value={disputeNote}
+              onChange={(e) => setDisputeNote(e.target.value)}
+              placeholder={t('player.disputeNote')}
+              className="w-full mb-6 bg-green-900/60 border border-green-600/40 rounded-xl px-4 py-3 text-white placeholder-green-500/50 focus:outline-none focus:ring-2 focus:ring-green-400/50 resize-none"
+            />
+            <div className="flex gap-3">
+              <button
+                onClick={() => setDisputing(null)}
+                className="flex-1 px-4 py-3 bg-green-900/50 hover:bg-green-800/50 text-white rounded-xl font-medium transition-colors border border-green-700/30"
+              >
+                {t('common.cancel')}
+              </button>
+              <button
+                onClick={handleConfirmDispute}
+                className="flex-1 px-4 py-3 bg-orange-500 hover:bg-orange-400 text-orange-950 rounded-xl font-bold transition-colors"
+              >
+                {t('player.disputeSend')}
+              </button>
+            </div>
+          </div>
+        </div>
+      )}
+
+      <ErrorBanner error={error} onDismiss={onDismissError} />
+
+      {/* ---- Dispute Outcome ---- */}
+      {disputeOutcome && (
+        <div className="fixed bottom-4 inset-x-4 z-40 flex justify-center">
+          <div className="bg-green-950 border border-yellow-500/50 rounded-xl px-4 py-3 shadow-2xl flex items-center gap-3 max-w-sm w-full">
+            <span className="flex-1 text-sm text-green-100">
+              {t('player.disputeOutcome', {
+                round: disputeOutcome.round != null ? formatRoundList([disputeOutcome.round]) : t('common.round'),
+                outcome: t(`dispute.${disputeOutcome.status}`),
+              })}
+            </span>
+            <button
+              onClick={onDismissDisputeOutcome}
+              className="text-xs font-bold uppercase tracking-wider text-green-300/80 hover:text-green-200 transition-colors"
+            >
+              {t('common.close')}
+            </button>
+          </div>
+        </div>
+      )}
+
+      {/* ---- Export ---- */}
+      {showExport && <ExportDialog getSession={onExport} onClose={() => setShowExport(false)} />}
+
       {/* ---- Banker Tie Prompt Modal ---- */}
       {tiePromptActive && (
         <div className="fixed inset-0 z-[60] flex items-center justify-center p-4 bg-black/80 backdrop-blur-md">
@@ -389,13 +731,16 @@ export default function PlayerBoard({
               <span className="text-3xl">⚠️</span>
             </div>
 
-            <h3 className="text-2xl font-bold text-yellow-400 mb-2">Message from Banker</h3>
+            <h3 className="text-2xl font-bold text-yellow-400 mb-2">{t('player.tiePromptTitle')}</h3>
 
             <p className="text-green-100 mb-6 font-medium text-lg leading-snug">
-              Did you forget to update or pause the game?
+              {t('player.tiePromptQuestion')}
               <br />
               <span className="text-sm text-green-300/80 mt-2 block">
-                The Banker is asking you to log {typeof tiePromptActive === 'number' && tiePromptActive > 1 ? `${tiePromptActive} Ties (和局)` : 'a Tie (和局)'}.
+                {t('player.tiePromptAsk', {
+                  count: tiePromptActive.rounds.length,
+                  rounds: formatRoundList(tiePromptActive.rounds),
+                })}
               </span>
             </p>
 
@@ -404,51 +749,94 @@ export default function PlayerBoard({
                 onClick={() => resolveTiePrompt(false)}
                 className="flex-1 px-4 py-3 bg-red-900/50 hover:bg-red-800/80 text-red-200 rounded-xl font-medium transition-colors border border-red-700/30"
               >
-                Decline
+                {t('player.decline')}
               </button>
               <button
-                onClick={async () => {
-                  const missingCount = typeof tiePromptActive === 'number' ? tiePromptActive : 1;
-                  if (missingCount === 1) {
-                    resolveTiePrompt(false);
-                    handleAction(0);
-                  } else {
-                    const newHistory = await resolveTiePrompt(true, roundHistory);
-                    if (newHistory) {
-                      setRoundHistory(newHistory);
-                      saveHistory(newHistory);
-                    }
-                  }
-                }}
+                onClick={() => resolveTiePrompt(true)}
+                className="flex-1 px-4 py-3 bg-yellow-500 hover:bg-yellow-400 text-yellow-950 rounded-xl font-bold transition-colors shadow-lg"
+              >
+                {t('player.confirmTie')}
+              </button>
+            </div>
+          </div>
+        </div>
+      )}
+
+      {/* ---- Banker Correction Modal ---- */}
+      {editProposal && !tiePromptActive && (
+        <div className="fixed inset-0 z-[60] flex items-center justify-center p-4 bg-black/80 backdrop-blur-md">
+          <div className="bg-green-950 border-2 border-yellow-500/50 rounded-2xl p-6 w-full max-w-sm shadow-[0_0_30px_rgba(234,179,8,0.3)] flex flex-col items-center text-center">
+            <div className="w-16 h-16 bg-yellow-500/20 rounded-full flex items-center justify-center mb-4">
+              <span className="text-3xl">✎</span>
+            </div>
+
+            <h3 className="text-2xl font-bold text-yellow-400 mb-2">{t('player.editTitle')}</h3>
+
+            <p className="text-green-100 mb-6 font-medium text-lg leading-snug">
+              {t('player.editAsk', {
+                round: editProposal.round != null ? formatRoundList([editProposal.round]) : t('common.round'),
+              })}
+              <span className="text-base text-white mt-2 block">
+                {entryLabel(editProposal.from, money, t)} → {entryLabel({ multiplier: editProposal.multiplier }, money, t)}
+              </span>
+            </p>
+
+            <div className="flex gap-3 w-full">
+              <button
+                onClick={() => resolveEditProposal(false)}
+                className="flex-1 px-4 py-3 bg-red-900/50 hover:bg-red-800/80 text-red-200 rounded-xl font-medium transition-colors border border-red-700/30"
+              >
+                {t('player.decline')}
+              </button>
+              <button
+                onClick={() => resolveEditProposal(true)}
                 className="flex-1 px-4 py-3 bg-yellow-500 hover:bg-yellow-400 text-yellow-950 rounded-xl font-bold transition-colors shadow-lg"
               >
-                Confirm Tie
+                {t('player.approve')}
               </button>
             </div>
           </div>
         </div>
       )}
 
+      {/* ---- Settlement ---- */}
+      {(roomStatus === 'settling' || roomStatus === 'ended') && settlement && (
+        <SettlementPanel
+          settlement={settlement}
+          selfUuid={deviceUUID}
+          closed={roomStatus === 'ended'}
+          onMarkPaid={onMarkTransferPaid}
+          money={money}
+        >
+          <button
+            onClick={onExit}
+            className="flex-1 px-4 py-3 bg-green-900/50 hover:bg-green-800/80 text-white rounded-xl font-medium transition-colors border border-green-700/30"
+          >
+            {roomStatus === 'ended' ? t('common.exit') : t('player.leave')}
+          </button>
+        </SettlementPanel>
+      )}
+
       {/* ---- Exit Confirmation Modal ---- */}
       {showExitConfirm && (
         <div className="fixed inset-0 z-50 flex items-center justify-center p-4 bg-black/60 backdrop-blur-sm">
           <div className="bg-green-950 border border-green-700/50 rounded-2xl p-6 w-full max-w-sm shadow-2xl">
-            <h3 className="text-xl font-bold text-white mb-2">Exit Game?</h3>
+            <h3 className="text-xl font-bold text-white mb-2">{t('player.exitTitle')}</h3>
             <p className="text-green-200/70 mb-6 font-medium">
-              Are you sure you want to leave the game? Your current net will be lost unless you rejoin.
+              {t('player.exitBody')}
             </p>
             <div className="flex gap-3">
               <button
                 onClick={() => setShowExitConfirm(false)}
                 className="flex-1 px-4 py-3 bg-green-900/50 hover:bg-green-800/50 text-white rounded-xl font-medium transition-colors border border-green-700/30"
               >
-                Cancel
+                {t('common.cancel')}
               </button>
               <button
-                onClick={handleExit}
+                onClick={onExit}
                 className="flex-1 px-4 py-3 bg-red-600 hover:bg-red-500 text-white rounded-xl font-bold transition-colors shadow-lg"
               >
-                Exit
+                {t('common.exit')}
               </button>
             </div>
           </div>
@@ -457,3 +845,80 @@ export default function PlayerBoard({
     </div>
   );
 }
+
+/** Small marker showing whether an entry has reached the server */
+function SyncMarker({ state }) {
+  const { t } = useTranslation();
+  if (!state) return null;
+  return state === 'pending' ? (
+    <span className="ml-1.5 text-yellow-300/80" title={t('player.pending')}>⏳</span>
+  ) : (
+    <span className="ml-1.5 text-green-400/60" title={t('player.synced')}>✓</span>
+  );
+}
+
+/** One entry of the action log in the Round History list; `onDispute` adds a flag button */
+function HistoryRow({ record, money, syncState, onDispute }) {
+  const { t } = useTranslation();
+  const type = entryType(record);
+  const rounds = entryRounds(record);
+
+  // Base changes and rounds sat out: no amount
+  if (type === ACTION_TYPES.BASE || type === ACTION_TYPES.SIT_OUT) {
+    return (
+      <div className="flex justify-between items-center text-sm py-1.5 border-b border-green-800/30 last:border-0 opacity-70">
+        <span className="text-green-500/60 font-mono text-xs">
+          {record.time}
+          {rounds.length > 0 && <span className="ml-1.5 text-green-400/70">{formatRoundList(rounds)}</span>}
+        </span>
+        <span className="font-medium text-green-300/80">
+          {entryLabel(record, money, t)}
+          <DisputeBadge dispute={record.dispute} />
+        </span>
+        <span className="text-green-500/40 text-xs">
+          —<SyncMarker state={syncState} />
+          <DisputeButton onClick={onDispute} />
+        </span>
+      </div>
+    );
+  }
+
+  return (
+    <div className="flex justify-between items-center text-sm py-1.5 border-b border-green-800/30 last:border-0">
+      <span className="text-green-500/60 font-mono text-xs">
+        {record.time}
+        {rounds.length > 0 && <span className="ml-1.5 text-green-400/70">{formatRoundList(rounds)}</span>}
+      </span>
+      <span className="font-medium text-white/90">
+        {entryLabel(record, money, t)}
+        {record.rake > 0 && (
+          <span className="ml-1 text-yellow-300/60 text-xs">{t('common.rakeAmount', { amount: formatMoney(record.rake, money) })}</span>
+        )}
+        {record.editedAt && (
+          <span className="ml-1 text-yellow-300/70 text-xs" title={t('common.edited')}>✎</span>
+        )}
+        <DisputeBadge dispute={record.dispute} />
+      </span>
+      <span className={`font-bold tabular-nums ${record.amount === 0 ? 'text-gray-400' : record.amount > 0 ? 'text-yellow-400' : 'text-red-400'}`}>
+        {formatNet(record.amount, money)}
+        <SyncMarker state={syncState} />
+        <DisputeButton onClick={onDispute} />
+      </span>
+    </div>
+  );
+}
+
+/** Flag button that opens the dispute form for a history entry */
+function DisputeButton({ onClick }) {
+  const { t } = useTranslation();
+  if (!onClick) return null;
+  return (
+    <button
+      onClick={onClick}
+      title={t('player.dispute')}
+      className="ml-2 text-green-500/50 hover:text-orange-300 text-xs font-normal transition-colors"
+    >
+      ⚑
+    </button>
+  );
+}
@@ -0,0 +1,153 @@
+/**
+ * PresetPicker.jsx
+ * =================
+ * Choose the game preset (see lib/presets.js) for the next single-player
+ * game or room, from the built-in presets or this device's custom ones.
+ *
+ * The custom editor sets the multiplier buttons, the win payout ratio and
+ * the commission taken off banker wins.
+ */
+
+import { useState } from 'react';
+import { MAX_BUTTONS, PRESETS, describePreset, validatePreset } from '../lib/presets';
+import { useTranslation } from '../hooks/useTranslation';
+
+const EMPTY_DRAFT = { id: null, name: '', multipliers: '1, 2, 3, 4, 5', winPayout: '1', commission: '0' };
+
+export default function PresetPicker({ selected, customPresets, onChoose, onSaveCustom, onDeleteCustom, onClose }) {
+  const { t } = useTranslation();
+  const [draft, setDraft] = useState(null); // editor fields, or null while browsing
+  const [draftError, setDraftError] = useState(null);
+
+  const editPreset = (preset) => {
+    setDraftError(null);
+    setDraft(
+      preset
+        ? {
+          id: preset.id,
+          name: preset.name,
+          multipliers: preset.multipliers.join(', '),
+          winPayout: String(preset.winPayout),
+          commission: String(Math.round(preset.commission * 10000) / 100),
+        }
+        : EMPTY_DRAFT
+    );
+  };
+
+  const handleSave = () => {
+    const { preset, error } = validatePreset({
+      id: draft.id,
+      name: draft.name,
+      multipliers: draft.multipliers.split(/[\s,]+/).filter(Boolean),
+      winPayout: draft.winPayout,
+      commission: Number(draft.commission) / 100,
+      custom: true,
+    });
+    if (error) {
+      setDraftError(t(error, { max: MAX_BUTTONS }));
+      return;
+    }
+    onSaveCustom(preset);
+    onChoose(preset);
+    setDraft(null);
+  };
+
+  const field = (key, label, props = {}) => (
+    <label className="block">
+      <span className="text-gray-400 text-xs uppercase tracking-wider">{label}</span>
+      <input
+        value={draft[key]}
+        onChange={(e) => setDraft({ ...draft, [key]: e.target.value })}
+        className="mt-1 w-full bg-gray-900/60 border border-gray-600/30 rounded-xl px-3 py-2 text-white placeholder-gray-500 focus:outline-none focus:ring-2 focus:ring-blue-500/40"
+        {...props}
+      />
+    </label>
+  );
+
+  return (
+    <div className="fixed inset-0 z-50 flex items-center justify-center p-4 bg-black/60 backdrop-blur-sm">
+      <div className="bg-gray-950 border border-gray-700/50 rounded-2xl p-6 w-full max-w-sm shadow-2xl flex flex-col max-h-[85vh]">
+        <h3 className="text-xl font-bold text-white mb-4 shrink-0">{draft ? t('preset.customTitle') : t('preset.title')}</h3>
+
+        {draft ? (
+          <div className="space-y-3 overflow-y-auto pr-1 custom-scrollbar">
+            {field('name', t('preset.name'), { maxLength: 24, placeholder: t('preset.namePlaceholder') })}
+            {field('multipliers', t('preset.multipliers', { max: MAX_BUTTONS }), { placeholder: '1, 1.5, 2, 3' })}
+            {field('winPayout', t('preset.winPayout'), { type: 'number', inputMode: 'decimal', step: '0.05' })}
+            {field('commission', t('preset.commission'), { type: 'number', inputMode: 'decimal', step: '1' })}
+            {draftError && <p className="text-red-400 text-sm">{draftError}</p>}
+            <div className="flex gap-3 pt-2">
+              <button
+                onClick={() => setDraft(null)}
+                className="flex-1 px-4 py-3 bg-gray-800/60 hover:bg-gray-700/60 text-white rounded-xl font-medium transition-colors border border-gray-700/30"
+              >
+                {t('common.cancel')}
+              </button>
+              <button
+                onClick={handleSave}
+                className="flex-1 px-4 py-3 bg-blue-600 hover:bg-blue-500 text-white rounded-xl font-bold transition-colors"
+              >
+                {t('preset.save')}
+              </button>
+            </div>
+          </div>
+        ) : (
+          <>
+            <div className="space-y-2 overflow-y-auto pr-1 custom-scrollbar">
+              {[...PRESETS, ...customPresets].map((preset) => (
+                <div
+                  key={preset.id}
+                  className={`flex items-center gap-2 rounded-xl border px-3 py-2.5 ${selected.id === preset.id
+                    ? 'bg-blue-900/40 border-blue-500/50'
+                    : 'bg-gray-900/60 border-gray-700/40'
+                    }`}
+                >
+                  <button
+                    onClick={() => {
+                      onChoose(preset);
+                      onClose();
+                    }}
+                    className="flex-1 min-w-0 text-left"
+                  >
+                    <p className="font-bold text-white truncate">{preset.name}</p>
+                    <p className="text-gray-400 text-xs truncate">{describePreset(preset, t)}</p>
+                  </button>
+                  {preset.custom && (
+                    <>
+                      <button
+                        onClick={() => editPreset(preset)}
+                        className="text-xs font-bold uppercase tracking-wider text-gray-400 hover:text-gray-200"
+                      >
+                        {t('preset.edit')}
+                      </button>
+                      <button
+                        onClick={() => onDeleteCustom(preset.id)}
+                        className="text-xs font-bold uppercase tracking-wider text-red-400/80 hover:text-red-300"
+                      >
+                        {t('common.delete')}
+                      </button>
+                    </>
+                  )}
+                </div>
+              ))}
+            </div>
+            <div className="flex gap-3 mt-4 shrink-0">
+              <button
+                onClick={onClose}
+                className="flex-1 px-4 py-3 bg-gray-800/60 hover:bg-gray-700/60 text-white rounded-xl font-medium transition-colors border border-gray-700/30"
+              >
+                {t('common.close')}
+              </button>
+              <button
+                onClick={() => editPreset(null)}
+                className="flex-1 px-4 py-3 bg-blue-600 hover:bg-blue-500 text-white rounded-xl font-bold transition-colors"
+              >
+                {t('preset.new')}
+              </button>
+            </div>
+          </>
+        )}
+      </div>
+    </div>
+  );
+}
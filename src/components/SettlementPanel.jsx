@@ -0,0 +1,94 @@
+/**
+ * SettlementPanel.jsx
+ * ====================
+ * End-of-game settlement: who pays whom, shown full-screen on both the
+ * BankerBoard and every PlayerBoard once the banker ends the game.
+ *
+ * Transfers involving this device are highlighted. The payer, the payee or
+ * the banker can mark a transfer paid; the change reaches everyone through
+ * the room channel. Buttons for leaving / closing the room come from the
+ * parent as children.
+ */
+
+import { canMarkPaid, settlementProgress, transferParty } from '../lib/settlement';
+import { DEFAULT_MONEY, formatMoney } from '../lib/money';
+import { useTranslation } from '../hooks/useTranslation';
+
+export default function SettlementPanel({
+  settlement,
+  selfUuid,
+  isBanker = false,
+  closed = false, // the banker has closed the room
+  onMarkPaid,
+  money = DEFAULT_MONEY,
+  children,
+}) {
+  const { t } = useTranslation();
+  const transfers = settlement ? settlement.transfers : [];
+  const { paid, total } = settlementProgress(settlement);
+  const rounded = settlement && settlement.denomination > 1;
+
+  return (
+    <div className="fixed inset-0 z-[70] flex items-center justify-center p-4 bg-black/80 backdrop-blur-md">
+      <div className="bg-neutral-950 border-2 border-yellow-500/50 rounded-2xl p-6 w-full max-w-sm shadow-[0_0_30px_rgba(234,179,8,0.3)] flex flex-col max-h-[90vh]">
+        <div className="text-center mb-4 shrink-0">
+          <h3 className="text-2xl font-bold text-yellow-400">{t('settle.title')}</h3>
+          <p className="text-neutral-400 text-sm mt-1">
+            {closed
+              ? t('settle.closed')
+              : total === 0
+                ? t('settle.square')
+                : t('settle.progress', { paid, total })}
+          </p>
+          {rounded && (
+            <p className="text-neutral-500 text-xs mt-1">
+              {t('settle.rounded', {
+                amount: formatMoney(settlement.denomination, { ...money, whole: settlement.denomination % 100 === 0 }),
+              })}
+            </p>
+          )}
+        </div>
+
+        <div className="overflow-y-auto space-y-2 pr-1 custom-scrollbar">
+          {transfers.map((transfer) => {
+            const involved = transfer.from === selfUuid || transfer.to === selfUuid;
+            return (
+              <div
+                key={transfer.id}
+                className={`flex items-center justify-between gap-3 rounded-xl px-3 py-2.5 border ${involved
+                  ? 'bg-yellow-900/30 border-yellow-600/50'
+                  : 'bg-neutral-900/60 border-neutral-800'
+                  }`}
+              >
+                <div className="min-w-0">
+                  <p className={`text-sm truncate ${transfer.paid ? 'text-neutral-500 line-through' : 'text-white'}`}>
+                    <span className="font-bold">{transfer.from === selfUuid ? t('common.you') : transferParty(transfer, 'from', t)}</span>
+                    <span className="text-neutral-500"> → </span>
+                    <span className="font-bold">{transfer.to === selfUuid ? t('common.you') : transferParty(transfer, 'to', t)}</span>
+                  </p>
+                  <p className="font-mono font-bold text-yellow-300 tabular-nums">{formatMoney(transfer.amount, money)}</p>
+                </div>
+                {transfer.paid ? (
+                  <span className="shrink-0 text-xs uppercase font-bold tracking-wider px-2 py-1 rounded bg-green-700/60 text-green-200">
+                    {t('settle.paid')}
+                  </span>
+                ) : (
+                  canMarkPaid(transfer, selfUuid, isBanker) && !closed && (
+                    <button
+                      onClick={() => onMarkPaid(transfer.id)}
+                      className="shrink-0 text-xs uppercase font-bold tracking-wider px-2.5 py-1.5 rounded-lg bg-yellow-500 hover:bg-yellow-400 text-yellow-950 transition-colors"
+                    >
+                      {t('settle.markPaid')}
+                    </button>
+                  )
+                )}
+              </div>
+            );
+          })}
+        </div>
+
+        <div className="flex gap-3 w-full mt-5 shrink-0">{children}</div>
+      </div>
+    </div>
+  );
+}
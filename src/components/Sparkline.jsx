@@ -0,0 +1,26 @@
+/**
+ * Sparkline.jsx
+ * ==============
+ * A player's net over time in a few pixels — no axes, just the line and
+ * the zero mark. Same series and scaling as NetChart.
+ */
+
+import { scaleSeries } from '../lib/netSeries';
+
+const WIDTH = 64;
+const HEIGHT = 20;
+
+export default function Sparkline({ series }) {
+  if (series.length < 2) return <span className="inline-block" style={{ width: WIDTH, height: HEIGHT }} />;
+
+  const { path, zeroY } = scaleSeries(series, WIDTH, HEIGHT);
+  const last = series[series.length - 1].net;
+  const stroke = last > 0 ? '#4ade80' : last < 0 ? '#f87171' : '#e5e7eb';
+
+  return (
+    <svg width={WIDTH} height={HEIGHT} viewBox={`0 0 ${WIDTH} ${HEIGHT}`} className="shrink-0">
+      <line x1="0" x2={WIDTH} y1={zeroY} y2={zeroY} stroke="rgba(255,255,255,0.2)" strokeWidth="1" />
+      <path d={path} fill="none" stroke={stroke} strokeWidth="1.5" strokeLinejoin="round" />
+    </svg>
+  );
+}
@@ -0,0 +1,154 @@
+/**
+ * SpectatorBoard.jsx (观 — Spectator View)
+ * ==========================================
+ * Read-only view of a live room for anyone watching along.
+ *
+ * Features:
+ * - Room code and the game preset
+ * - The banker's net (negative sum of all player nets)
+ * - The banker's round and phase, with the countdown if one is running
+ * - Every player's net and rounds, sitting-out players marked
+ * - Settlement: who pays whom once the Banker ends the game (view only)
+ * - Exit button
+ *
+ * Spectators take no seat and log nothing; the players' rows and the
+ * round state reach them live through the hook's subscription.
+ */
+
+import SettlementPanel from './SettlementPanel';
+import { ROUND_PHASES } from '../lib/rounds';
+import { DEFAULT_PRESET } from '../lib/presets';
+import { DEFAULT_MONEY, formatNet } from '../lib/money';
+import { useTranslation } from '../hooks/useTranslation';
+import { formatCountdown, useCountdown } from '../hooks/useCountdown';
+
+function netColor(net) {
+  if (net > 0) return 'text-green-400';
+  if (net < 0) return 'text-red-400';
+  return 'text-gray-400';
+}
+
+export default function SpectatorBoard({
+  // Data from useGameSession
+  bankerNet,
+  players,
+  roomId,
+  preset = DEFAULT_PRESET,
+  money = DEFAULT_MONEY,
+  deviceUUID,
+  roomStatus,
+  settlement,
+  roundNumber = 0,
+  roundPhase = ROUND_PHASES.IDLE,
+  phaseEndsAt = null,
+  onExit,
+}) {
+  const { t } = useTranslation();
+  const secondsLeft = useCountdown(phaseEndsAt);
+  const activePlayers = players.filter((p) => p.role === 'player');
+
+  return (
+    <div className="min-h-screen bg-gradient-to-b from-gray-800 via-gray-900 to-gray-950 text-white flex flex-col">
+      {/* ---- Header ---- */}
+      <header className="px-4 pt-6 pb-3 flex items-center justify-between">
+        <div>
+          <h1 className="text-2xl font-bold tracking-tight">{t('spectator.title')}</h1>
+          <p className="text-gray-300 text-sm mt-0.5">
+            {t('common.room')}: <span className="font-mono font-bold text-lg">{roomId}</span>
+          </p>
+          <p className="text-gray-400/60 text-xs mt-0.5">{preset.name}</p>
+        </div>
+        <button
+          onClick={onExit}
+          className="px-3 py-2 bg-gray-700/60 hover:bg-gray-600/80 rounded-xl text-sm font-medium transition-colors border border-gray-600/30"
+        >
+          {t('common.exit')}
+        </button>
+      </header>
+
+      {/* ---- Banker Net and round ---- */}
+      <div className="text-center py-6">
+        <p className="text-gray-300 text-sm uppercase tracking-widest mb-2">
+          {t('spectator.bankerNet')}
+        </p>
+        <p className={`text-5xl font-extrabold tabular-nums ${bankerNet === 0 ? 'text-white' : netColor(bankerNet)}`}>
+          {formatNet(bankerNet, money)}
+        </p>
+
+        <p className="text-gray-300 text-sm uppercase tracking-widest mt-6 mb-1">
+          {t('common.round')}
+        </p>
+        <div className="flex items-center justify-center gap-3">
+          <p className="text-3xl font-bold tabular-nums text-white">
+            {roundNumber || '—'}
+          </p>
+          {roundNumber > 0 && (
+            <span className={`text-xs uppercase font-bold tracking-wider px-2 py-0.5 rounded ${roundPhase === ROUND_PHASES.IDLE ? 'bg-gray-700/60 text-gray-300/80' : 'bg-green-600 text-white'}`}>
+              {t(`phase.${roundPhase}`)}
+            </span>
+          )}
+        </div>
+        {secondsLeft > 0 && (
+          <p className="text-gray-300/80 text-sm font-mono tabular-nums mt-1">
+            {t('phase.endsIn', { time: formatCountdown(secondsLeft) })}
+          </p>
+        )}
+      </div>
+
+      {/* ---- Player nets ---- */}
+      <div className="px-4 pb-6">
+        <div className="bg-gray-800/40 border border-gray-600/30 rounded-2xl p-5">
+          <p className="text-gray-400/80 text-xs uppercase tracking-wider mb-2">
+            {t('banker.playerNets')}
+          </p>
+          {activePlayers.length === 0 ? (
+            <p className="text-gray-500 text-sm text-center pt-2">{t('banker.waiting')}</p>
+          ) : (
+            <div className="space-y-2 max-h-[50vh] overflow-y-auto pr-2 custom-scrollbar">
+              {activePlayers.map((p, idx) => (
+                <div
+                  key={p.uuid}
+                  className={`flex justify-between items-center py-2 border-b border-gray-700/40 last:border-0 ${p.sitting_out_since != null ? 'opacity-60' : ''}`}
+                >
+                  <div className="flex flex-col gap-0.5">
+                    <span className="text-gray-200 text-sm font-medium truncate max-w-[160px]">
+                      {p.name || t('common.playerN', { n: idx + 1 })}
+                    </span>
+                    <span className="text-[10px] text-gray-500 font-mono">
+                      {t('banker.roundsShort', { count: p.round_count || 0 })}
+                      {p.sitting_out_since != null && ` · ${t('spectator.sittingOut')}`}
+                    </span>
+                  </div>
+                  <span className={`font-mono text-base font-bold ${netColor(p.current_net || 0)}`}>
+                    {formatNet(p.current_net || 0, money)}
+                  </span>
+                </div>
+              ))}
+            </div>
+          )}
+        </div>
+      </div>
+
+      <p className="mt-auto px-6 py-6 text-center text-gray-500 text-xs">
+        {t('spectator.readOnly')}
+      </p>
+
+      {/* ---- Settlement ---- */}
+      {(roomStatus === 'settling' || roomStatus === 'ended') && settlement && (
+        <SettlementPanel
+          settlement={settlement}
+          selfUuid={deviceUUID}
+          closed={roomStatus === 'ended'}
+          money={money}
+        >
+          <button
+            onClick={onExit}
+            className="flex-1 px-4 py-3 bg-gray-700/60 hover:bg-gray-600/80 text-white rounded-xl font-medium transition-colors border border-gray-600/30"
+          >
+            {t('common.exit')}
+          </button>
+        </SettlementPanel>
+      )}
+    </div>
+  );
+}
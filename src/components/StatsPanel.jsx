@@ -0,0 +1,87 @@
+/**
+ * StatsPanel.jsx
+ * ===============
+ * One player's statistics (see lib/stats.js): outcome rates, average and
+ * largest win/loss, peak net, max drawdown, longest streaks and a bar per
+ * multiplier used.
+ *
+ * Drawn in translucent whites so it sits on any board's theme — the
+ * PlayerBoard's green and the BankerBoard's yellow.
+ */
+
+import { formatRate } from '../lib/stats';
+import { DEFAULT_MONEY, formatNet } from '../lib/money';
+
+const moneyColor = (amount) =>
+  amount > 0 ? 'text-yellow-300' : amount < 0 ? 'text-red-300' : 'text-white/80';
+
+export default function StatsPanel({ stats, money = DEFAULT_MONEY }) {
+  if (stats.rounds === 0) {
+    return <p className="text-white/50 text-sm text-center py-6">No rounds played yet</p>;
+  }
+
+  const mostUsed = Math.max(...stats.multipliers.map((m) => m.wins + m.losses), 1);
+
+  return (
+    <div className="space-y-4">
+      {/* Outcomes */}
+      <div className="grid grid-cols-3 gap-2 text-center">
+        <Tile label="Win" value={formatRate(stats.winRate)} detail={stats.wins} color="text-yellow-300" />
+        <Tile label="Loss" value={formatRate(stats.lossRate)} detail={stats.losses} color="text-red-300" />
+        <Tile label="Tie" value={formatRate(stats.tieRate)} detail={stats.ties} color="text-white/80" />
+      </div>
+
+      {/* Amounts */}
+      <div className="grid grid-cols-2 gap-2">
+        <Row label="Average win" value={formatNet(stats.averageWin, money)} color={moneyColor(stats.averageWin)} />
+        <Row label="Average loss" value={formatNet(stats.averageLoss, money)} color={moneyColor(stats.averageLoss)} />
+        <Row label="Largest win" value={formatNet(stats.largestWin, money)} color={moneyColor(stats.largestWin)} />
+        <Row label="Largest loss" value={formatNet(stats.largestLoss, money)} color={moneyColor(stats.largestLoss)} />
+        <Row label="Peak net" value={formatNet(stats.peakNet, money)} color={moneyColor(stats.peakNet)} />
+        <Row label="Max drawdown" value={formatNet(-stats.maxDrawdown, money)} color={moneyColor(-stats.maxDrawdown)} />
+        <Row label="Best streak" value={`${stats.longestWinStreak} wins`} color="text-yellow-300" />
+        <Row label="Worst streak" value={`${stats.longestLossStreak} losses`} color="text-red-300" />
+      </div>
+
+      {/* Multiplier distribution */}
+      {stats.multipliers.length > 0 && (
+        <div>
+          <p className="text-white/50 text-xs uppercase tracking-wider mb-2">Multipliers</p>
+          <div className="space-y-1.5">
+            {stats.multipliers.map((m) => (
+              <div key={m.multiplier} className="flex items-center gap-2 text-xs">
+                <span className="w-8 font-mono font-bold text-white/80">x{m.multiplier}</span>
+                <div className="flex-1 flex h-3 rounded-full overflow-hidden bg-black/30">
+                  <div className="bg-yellow-400/80" style={{ width: `${(m.wins / mostUsed) * 100}%` }} />
+                  <div className="bg-red-400/80" style={{ width: `${(m.losses / mostUsed) * 100}%` }} />
+                </div>
+                <span className="w-14 text-right font-mono text-white/60">
+                  {m.wins}W {m.losses}L
+                </span>
+              </div>
+            ))}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
+
+function Tile({ label, value, detail, color }) {
+  return (
+    <div className="bg-black/20 rounded-xl py-2">
+      <p className="text-white/50 text-xs uppercase tracking-wider">{label}</p>
+      <p className={`font-bold tabular-nums ${color}`}>{value}</p>
+      <p className="text-white/40 text-xs font-mono">{detail}</p>
+    </div>
+  );
+}
+
+function Row({ label, value, color }) {
+  return (
+    <div className="bg-black/20 rounded-xl px-3 py-2">
+      <p className="text-white/50 text-xs">{label}</p>
+      <p className={`font-bold tabular-nums text-sm ${color}`}>{value}</p>
+    </div>
+  );
+}
@@ -1,6 +1,7 @@
 import { motion, AnimatePresence } from 'framer-motion';
 import { useEffect } from 'react';
 import GoldenDragon from './GoldenDragon';
+import { useTranslation } from '../hooks/useTranslation';
 
 export default function StreakAnimation({ streak, onComplete }) {
     useEffect(() => {
@@ -23,12 +24,13 @@ export default function StreakAnimation({ streak, onComplete }) {
 }
 
 function StreakOverlay({ streak }) {
+    const { t } = useTranslation();
     const isWin = streak.type === 'win';
     const isEpicWin = isWin && streak.count >= 10;
 
-    // If it's 3 consecutive it says '3连胜!' etc.
-    const text = isWin ? `${streak.count}连胜!` : `${streak.count}连败!`;
-    const subtext = isEpicWin ? 'LEGENDARY STREAK' : isWin ? 'WIN STREAK' : 'LOSS STREAK';
+    // If it's 3 consecutive it says '3连胜!' (or '3 Wins!') etc.
+    const text = t(isWin ? 'streak.win' : 'streak.loss', { count: streak.count });
+    const subtext = t(isEpicWin ? 'streak.legendary' : isWin ? 'streak.winStreak' : 'streak.lossStreak');
 
     // Define colors based on win/loss
     const bgGradient = isEpicWin
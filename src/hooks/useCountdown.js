@@ -0,0 +1,31 @@
+/**
+ * useCountdown.js
+ * ================
+ * Seconds left until an ISO end time, re-rendering once a second while it
+ * runs (see phaseSecondsLeft in lib/rounds.js). null when there is no end time.
+ */
+
+import { useEffect, useState } from 'react';
+import { phaseSecondsLeft } from '../lib/rounds';
+
+export function useCountdown(endsAt) {
+  const [secondsLeft, setSecondsLeft] = useState(() => phaseSecondsLeft(endsAt));
+
+  useEffect(() => {
+    setSecondsLeft(phaseSecondsLeft(endsAt));
+    if (!endsAt) return;
+    const timer = setInterval(() => {
+      const left = phaseSecondsLeft(endsAt);
+      setSecondsLeft(left);
+      if (left === 0) clearInterval(timer);
+    }, 1000);
+    return () => clearInterval(timer);
+  }, [endsAt]);
+
+  return secondsLeft;
+}
+
+/** A countdown as text, e.g. "0:45" */
+export function formatCountdown(seconds) {
+  return `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`;
+}
@@ -7,14 +7,93 @@
  * 1. Device UUID — generate once, persist in localStorage.
  * 2. Single-player mode — all state local, no Supabase.
  * 3. Multiplayer mode — create/join rooms, CRUD on `players` table,
- *    and Supabase Realtime subscription for the Banker view.
+ *    and a realtime subscription for the Banker view (see lib/backend.js).
  *
  * Exports a single hook: useGameSession()
  */
 
-import { useState, useEffect, useCallback, useRef } from 'react';
+import { useState, useEffect, useCallback, useMemo, useRef } from 'react';
 import { v4 as uuidv4 } from 'uuid';
-import { supabase } from '../lib/supabase';
+import { defaultConnection, getBackend } from '../lib/backend';
+import { useTranslation } from './useTranslation';
+import {
+  ACTION_TYPES,
+  appendEntry,
+  canUndo,
+  countRounds,
+  createBaseEntry,
+  createLedgerEntry,
+  createMassTieEntry,
+  createRoundEntry,
+  createSitOutEntry,
+  correctRoundEntry,
+  deriveBase,
+  deriveBankroll,
+  deriveNet,
+  deriveRake,
+  entryToCents,
+  entryType,
+  logToCents,
+  redoEntry,
+  undoEntry,
+} from '../lib/actionLog';
+import {
+  applyOp,
+  createAppendOp,
+  createDisputeOp,
+  createEditOp,
+  createSitOutOp,
+  createUndoOp,
+  loadQueue,
+  pendingEntryIds,
+  rebaseLog,
+  saveQueue,
+  sittingOutSince,
+} from '../lib/actionQueue';
+import {
+  EMPTY_AGGREGATE,
+  aggregatePlayers,
+  applyPlayerChange,
+  mergeSnapshot,
+} from '../lib/roomAggregate';
+import {
+  fetchAllHistory,
+  fetchHistoryPage,
+  fetchOpenDisputes,
+  refreshRoomHistory,
+  seatPlayerRow,
+} from '../lib/roundHistory';
+import { ROUND_PHASES, hasLoggedRound, isRoundOpen, lastClosedRound, nextPhase, resultsOpen } from '../lib/rounds';
+import { createEditProposal, createEditRecord, editRowToRecord, isCorrectable } from '../lib/corrections';
+import { createDispute, createResolution, isDisputeOpen } from '../lib/disputes';
+import { HEARTBEAT_INTERVAL, IDLE_AFTER, createHeartbeat, heartbeatToSeen, playerPresence, rowChangeToSeen } from '../lib/presence';
+import {
+  PROMPT_TTL,
+  TIE_PROMPT_STATUSES,
+  applyPromptResponse,
+  createTiePrompt,
+  expirePrompt,
+  isPromptPending,
+} from '../lib/tiePrompts';
+import { createSettlement } from '../lib/settlement';
+import {
+  archiveSession,
+  clearSessionStart,
+  createSession,
+  loadArchive,
+  removeSession,
+  sessionStartedAt,
+  sessionToCents,
+} from '../lib/sessionArchive';
+import { parseSessionJSON } from '../lib/sessionExport';
+import {
+  DEFAULT_PRESET,
+  deleteCustomPreset as removeCustomPreset,
+  loadCustomPresets,
+  saveCustomPreset as storeCustomPreset,
+} from '../lib/presets';
+import { validateRake } from '../lib/rake';
+import { DEFAULT_CURRENCY, toCents } from '../lib/money';
 
 // ---------------------------------------------------------------------------
 // Helper: get or create the device UUID
@@ -38,48 +117,206 @@ function generateRoomCode() {
   return String(Math.floor(Math.random() * (max - min + 1)) + min);
 }
 
+// ---------------------------------------------------------------------------
+// Helper: read a JSON value from localStorage, tolerating corrupt data
+// ---------------------------------------------------------------------------
+function loadJSON(key, fallback) {
+  try {
+    const saved = localStorage.getItem(key);
+    return saved ? JSON.parse(saved) : fallback;
+  } catch {
+    return fallback;
+  }
+}
+
+// ---------------------------------------------------------------------------
+// Helper: load the single-player action log
+// ---------------------------------------------------------------------------
+function loadSingleLog() {
+  const saved = loadJSON('single_log', null);
+  if (Array.isArray(saved)) return saved;
+
+  // Sessions saved before the action log only kept a base, a net and the
+  // board's own round history. Rebuild a log from what is left of them.
+  const legacy = loadJSON('player_round_history', null);
+  const history = legacy && legacy.sessionId === 'single' ? logToCents(legacy.history || []) : [];
+  const base = toCents(localStorage.getItem('single_base'));
+  return base > 0 ? [...history, createBaseEntry(base)] : history;
+}
+
+// ---------------------------------------------------------------------------
+// Helper: convert amounts saved before money was kept in integer cents.
+// Runs once per device, before anything reads them.
+// ---------------------------------------------------------------------------
+function upgradeStoredMoney() {
+  if (localStorage.getItem('money_units') === 'cents') return;
+  const upgrade = (key, convert) => {
+    const saved = loadJSON(key, null);
+    if (saved) localStorage.setItem(key, JSON.stringify(convert(saved)));
+  };
+  upgrade('single_log', logToCents);
+  upgrade('single_redo', logToCents);
+  upgrade('redo_stack', (saved) => ({ ...saved, entries: logToCents(saved.entries || []) }));
+  upgrade('pending_actions', (saved) => ({
+    ...saved,
+    ops: (saved.ops || []).map((op) => (op.entry ? { ...op, entry: entryToCents(op.entry) } : op)),
+  }));
+  upgrade('session_archive', (sessions) => sessions.map(sessionToCents));
+  localStorage.setItem('money_units', 'cents');
+}
+
+// ---------------------------------------------------------------------------
+// Helper: send one queued op to its atomic backend call
+// ---------------------------------------------------------------------------
+function sendQueuedOp(backend, roomId, uuid, op) {
+  if (op.type === 'undo') {
+    return backend.undoPlayerAction(roomId, uuid, op.entryId);
+  }
+  if (op.type === 'edit') {
+    return backend.editPlayerAction(roomId, uuid, op.entry, op.edit);
+  }
+  if (op.type === 'dispute') {
+    return backend.disputePlayerAction(roomId, uuid, op.entryId, op.dispute);
+  }
+  if (op.type === 'sit_out') {
+    return backend.setSittingOut(roomId, uuid, op.since, op.entry);
+  }
+  if (entryType(op.entry) === ACTION_TYPES.MASS_TIE) {
+    return backend.recordMassTie(roomId, uuid, op.entry);
+  }
+  return backend.applyPlayerAction(roomId, uuid, op.entry);
+}
+
+// ---------------------------------------------------------------------------
+// Helper: per-room redo stack for multiplayer (survives a page reload)
+// ---------------------------------------------------------------------------
+function loadRedoStack(roomId) {
+  const saved = loadJSON('redo_stack', null);
+  return saved && saved.sessionId === roomId ? saved.entries || [] : [];
+}
+
+function saveRedoStack(roomId, entries) {
+  localStorage.setItem('redo_stack', JSON.stringify({ sessionId: roomId, entries }));
+}
+
+// ---------------------------------------------------------------------------
+// Helper: the player's row plus the newest page of their history
+// ---------------------------------------------------------------------------
+async function loadPlayerHistory(backend, roomId, uuid) {
+  const { data: row, error } = await backend.getPlayer(roomId, uuid);
+  if (error || !row) return null;
+  const page = await fetchHistoryPage(backend, roomId, uuid);
+  if (page.error) return null;
+  return { entries: page.entries, hasMore: page.hasMore, row };
+}
+
+const EMPTY_LOG = { log: [], redo: [] };
+// Server side of a player's log: the pages loaded so far and the players row
+const EMPTY_HISTORY = { entries: [], hasMore: false, row: null };
+
 // ---------------------------------------------------------------------------
 // The Hook
 // ---------------------------------------------------------------------------
 export function useGameSession() {
+  // Stored amounts must be in cents before any state below loads them
+  useState(upgradeStoredMoney);
+  // Errors are shown as they are set, so they are set in the device's language
+  const { t } = useTranslation();
+
   // ---- Identity ----
   const [deviceUUID] = useState(() => getDeviceUUID());
   const [playerName, setPlayerNameState] = useState(() => {
     return localStorage.getItem('player_name') || '';
   });
 
-  // ---- Mode selection: null | 'single' | 'multi' ----
+  // ---- Mode selection: null | 'single' | 'multi' | 'archive' (past games) ----
   const [mode, setMode] = useState(null);
 
+  // ---- Past sessions on this device ----
+  const [archive, setArchive] = useState(() => loadArchive());
+
+  // ---- Backend connection: { kind: 'cloud' | 'lan' | 'local', lanUrl } ----
+  const [connection, setConnectionState] = useState(
+    () => loadJSON('connection', null) || defaultConnection()
+  );
+  const backend = useMemo(() => getBackend(connection), [connection]);
+
+  // ---- Game presets: the home-screen choice, and this device's custom ones ----
+  const [presetChoice, setPresetChoice] = useState(() => loadJSON('preset_choice', DEFAULT_PRESET));
+  const [customPresets, setCustomPresets] = useState(() => loadCustomPresets());
+  // Rake for the next room, as entered: { type: 'percent' | 'fixed', value }
+  const [rakeChoice, setRakeChoiceState] = useState(() => loadJSON('rake_choice', { type: 'percent', value: '' }));
+  // Currency for the next single-player game or room, and whole-unit display (this device only)
+  const [currencyChoice, setCurrencyChoice] = useState(() => localStorage.getItem('currency_choice') || DEFAULT_CURRENCY);
+  const [wholeUnits, setWholeUnitsState] = useState(() => localStorage.getItem('whole_units') === 'true');
+
   // ---- Single-player state ----
-  const [singleBase, setSingleBase] = useState(() => {
-    const saved = localStorage.getItem('single_base');
-    return saved ? Number(saved) : 0;
-  });
-  const [singleNet, setSingleNet] = useState(() => {
-    const saved = localStorage.getItem('single_net');
-    return saved ? Number(saved) : 0;
-  });
-  const [singleLastAction, setSingleLastAction] = useState(() => {
-    const saved = localStorage.getItem('single_last_action');
-    return saved ? Number(saved) : 0;
-  });
+  const [singleState, setSingleState] = useState(() => ({
+    log: loadSingleLog(),
+    redo: loadJSON('single_redo', []),
+  }));
+  const [singlePreset, setSinglePreset] = useState(() => loadJSON('single_preset', DEFAULT_PRESET));
+  const [singleCurrency, setSingleCurrency] = useState(() => localStorage.getItem('single_currency') || DEFAULT_CURRENCY);
+  const singleBase = deriveBase(singleState.log);
+  const singleNet = deriveNet(singleState.log);
+  const singleBankroll = deriveBankroll(singleState.log);
 
   // ---- Multiplayer state ----
   const [roomId, setRoomId] = useState(null);
-  const [role, setRole] = useState(null); // 'banker' | 'player'
-  const [baseAmount, setBaseAmount] = useState(0);
-  const [currentNet, setCurrentNet] = useState(0);
-  const [lastActionAmount, setLastActionAmount] = useState(0);
-  const [bankerNet, setBankerNet] = useState(0); // for banker view
-  const [players, setPlayers] = useState([]); // full player list for banker
-  const [roomStatus, setRoomStatus] = useState(null); // 'active' | 'ended'
-  const [tiePromptActive, setTiePromptActive] = useState(false); // Can be a boolean or a number (number of missing rounds)
+  const [role, setRole] = useState(null); // 'banker' | 'player' | 'spectator'
+  const [playerLog, setPlayerLog] = useState(EMPTY_LOG); // { log, redo } for the player view
+  const [playerHistory, setPlayerHistory] = useState(EMPTY_HISTORY);
+  // Only the newest pages are loaded, so totals start from the server row and
+  // add whatever the still-pending ops change on top of it
+  const historyRow = playerHistory.row || {};
+  const baseAmount = deriveBase(playerLog.log, historyRow.base_amount || 0);
+  const currentNet =
+    (historyRow.current_net || 0) + deriveNet(playerLog.log) - deriveNet(playerHistory.entries);
+  const roundCount =
+    (historyRow.round_count || 0) + countRounds(playerLog.log) - countRounds(playerHistory.entries);
+  const rakeTotal =
+    (historyRow.rake_total || 0) + deriveRake(playerLog.log) - deriveRake(playerHistory.entries);
+  const bankroll =
+    (historyRow.bankroll || 0) + deriveBankroll(playerLog.log) - deriveBankroll(playerHistory.entries);
+  const [roomAggregate, setRoomAggregate] = useState(EMPTY_AGGREGATE); // banker view: players by uuid + total net
+  const players = useMemo(() => aggregatePlayers(roomAggregate), [roomAggregate]);
+  // Banker's net = negative sum of all players' current_net
+  const bankerNet = -roomAggregate.totalNet;
+  const [roomStatus, setRoomStatus] = useState(null); // 'active' | 'settling' | 'ended'
+  const [settlement, setSettlement] = useState(null); // who pays whom, once the banker ends the game
+  const [roomPreset, setRoomPreset] = useState(DEFAULT_PRESET); // chosen by the banker at creation
+  const [roomRake, setRoomRake] = useState(null); // rake rule, null = none
+  const [roomCurrency, setRoomCurrency] = useState(DEFAULT_CURRENCY);
+  const [roundNumber, setRoundNumber] = useState(0); // banker's round counter, 0 = none opened yet
+  const [roundPhase, setRoundPhase] = useState(ROUND_PHASES.IDLE); // see ROUND_PHASES
+  const [phaseEndsAt, setPhaseEndsAt] = useState(null); // ISO end of the phase countdown, null = none
+  const roundOpen = isRoundOpen(roundPhase);
+  const [tiePromptActive, setTiePromptActive] = useState(false); // player: false | { id, rounds } — the missing round numbers
+  const [tiePrompts, setTiePrompts] = useState({}); // banker: player uuid → latest prompt (see lib/tiePrompts.js)
+  const [editProposals, setEditProposals] = useState([]); // player: banker corrections awaiting an answer
+  const [editRequests, setEditRequests] = useState({}); // banker: entry id → { proposalId, status }
+  const [disputeOutcome, setDisputeOutcome] = useState(null); // player: { round, status } of the latest resolved dispute
+  const [presenceSeen, setPresenceSeen] = useState({}); // banker: uuid → latest heartbeat (see lib/presence.js)
+  const [presenceNow, setPresenceNow] = useState(() => Date.now()); // banker: clock the statuses are read against
+  const [pendingOps, setPendingOps] = useState([]); // queued player ops not yet on the server
+  const [syncOffline, setSyncOffline] = useState(false); // last replay attempt failed
+  const sittingOut = sittingOutSince(playerHistory.row, pendingOps) != null;
   const [error, setError] = useState(null);
   const [loading, setLoading] = useState(false);
+  const dismissError = useCallback(() => setError(null), []);
 
   // Ref to hold the realtime subscription so we can unsubscribe later
   const realtimeChannelRef = useRef(null);
+  // Latest room aggregate, so back-to-back payloads apply in order
+  const roomAggregateRef = useRef(EMPTY_AGGREGATE);
+  // Latest player log, so rapid taps never build on a stale closure
+  const playerLogRef = useRef(EMPTY_LOG);
+  const playerHistoryRef = useRef(EMPTY_HISTORY);
+  // Latest pending queue, and whether a replay is already in flight
+  const pendingOpsRef = useRef([]);
+  const syncingRef = useRef(false);
+  // Player: when this device was last touched, for the idle flag
+  const lastInputRef = useRef(Date.now());
 
   // =========================================================================
   // SINGLE-PLAYER ACTIONS
@@ -88,165 +325,342 @@ export function useGameSession() {
   /** Persist single-player state to localStorage whenever it changes */
   useEffect(() => {
     if (mode === 'single') {
-      localStorage.setItem('single_base', String(singleBase));
-      localStorage.setItem('single_net', String(singleNet));
-      localStorage.setItem('single_last_action', String(singleLastAction));
+      sessionStartedAt('single');
+      localStorage.setItem('single_log', JSON.stringify(singleState.log));
+      localStorage.setItem('single_redo', JSON.stringify(singleState.redo));
+      localStorage.setItem('single_preset', JSON.stringify(singlePreset));
+      localStorage.setItem('single_currency', singleCurrency);
     }
-  }, [mode, singleBase, singleNet, singleLastAction]);
+  }, [mode, singleState, singlePreset, singleCurrency]);
 
-  /** Set the base amount for single-player */
+  /** Open single-player; a new game takes the preset and currency chosen on the home screen */
+  const startSinglePlayer = useCallback(() => {
+    if (singleState.log.length === 0) {
+      setSinglePreset(presetChoice);
+      setSingleCurrency(currencyChoice);
+    }
+    setMode('single');
+  }, [singleState, presetChoice, currencyChoice]);
+
+  /** Set the base amount for single-player (logged so it can be undone) */
   const setSinglePlayerBase = useCallback((amount) => {
-    setSingleBase(amount);
+    setSingleState((prev) =>
+      deriveBase(prev.log) === amount ? prev : appendEntry(prev, createBaseEntry(amount))
+    );
   }, []);
 
   /** Apply a multiplier in single-player mode */
-  const singlePlayerAction = useCallback(
-    (multiplier) => {
-      if (singleBase <= 0) return;
-      const delta = singleBase * multiplier;
-      setSingleNet((prev) => prev + delta);
-      setSingleLastAction(delta);
-    },
-    [singleBase]
-  );
+  const singlePlayerAction = useCallback((multiplier) => {
+    setSingleState((prev) => {
+      const base = deriveBase(prev.log);
+      if (base <= 0) return prev;
+      return appendEntry(prev, createRoundEntry(multiplier, base, null, { preset: singlePreset }));
+    });
+  }, [singlePreset]);
+
+  /** Log a buy-in, top-up or cash-out in single-player mode */
+  const singleLedger = useCallback((type, amount) => {
+    if (!(amount > 0)) return;
+    setSingleState((prev) => appendEntry(prev, createLedgerEntry(type, amount)));
+  }, []);
 
-  /** Undo last single-player action (max 1 step) */
+  /** Undo the latest single-player action (unlimited steps) */
   const singlePlayerUndo = useCallback(() => {
-    if (singleLastAction === 0) return;
-    setSingleNet((prev) => prev - singleLastAction);
-    setSingleLastAction(0);
-  }, [singleLastAction]);
+    setSingleState(undoEntry);
+  }, []);
 
-  /** Reset single-player session */
+  /** Redo the most recently undone single-player action */
+  const singlePlayerRedo = useCallback(() => {
+    setSingleState(redoEntry);
+  }, []);
+
+  /** The single-player game as an archive session */
+  const singleSession = useCallback(
+    () =>
+      createSession({
+        kind: 'single',
+        role: 'player',
+        playerName,
+        preset: singlePreset,
+        currency: singleCurrency,
+        startedAt: sessionStartedAt('single'),
+        base: deriveBase(singleState.log),
+        bankroll: deriveBankroll(singleState.log),
+        finalNet: deriveNet(singleState.log),
+        roundCount: countRounds(singleState.log),
+        history: singleState.log,
+      }),
+    [singleState, singlePreset, singleCurrency, playerName]
+  );
+
+  /** Archive and reset the single-player session */
   const singlePlayerExit = useCallback(() => {
-    setSingleBase(0);
-    setSingleNet(0);
-    setSingleLastAction(0);
+    if (singleState.log.length > 0) {
+      setArchive(archiveSession(singleSession()));
+    }
+    clearSessionStart('single');
+    setSingleState(EMPTY_LOG);
+    localStorage.removeItem('single_log');
+    localStorage.removeItem('single_redo');
+    localStorage.removeItem('single_preset');
+    localStorage.removeItem('single_currency');
+    // Keys from before the action log
     localStorage.removeItem('single_base');
     localStorage.removeItem('single_net');
     localStorage.removeItem('single_last_action');
+    localStorage.removeItem('player_round_history');
     localStorage.removeItem('auto_join_room');
     setMode(null);
+  }, [singleState, singleSession]);
+
+  // =========================================================================
+  // MULTIPLAYER: BACKEND CONNECTION
+  // =========================================================================
+
+  /** Choose Cloud or LAN server for the next room (persisted per device) */
+  const setConnection = useCallback((next) => {
+    setConnectionState(next);
+    localStorage.setItem('connection', JSON.stringify(next));
+  }, []);
+
+  /** The LAN server needs an address before there is anything to talk to */
+  const connectionError = connection.kind === 'lan' && !connection.lanUrl.trim()
+    ? t('error.lanAddress')
+    : null;
+
+  // =========================================================================
+  // GAME PRESETS
+  // =========================================================================
+
+  /** Pick the preset for the next single-player game or room */
+  const choosePreset = useCallback((preset) => {
+    setPresetChoice(preset);
+    localStorage.setItem('preset_choice', JSON.stringify(preset));
+  }, []);
+
+  const saveCustomPreset = useCallback((preset) => {
+    setCustomPresets(storeCustomPreset(preset));
+  }, []);
+
+  const deleteCustomPreset = useCallback(
+    (id) => {
+      setCustomPresets(removeCustomPreset(id));
+      if (presetChoice.id === id) choosePreset(DEFAULT_PRESET);
+    },
+    [presetChoice, choosePreset]
+  );
+
+  /** Set the rake for the next room (persisted per device) */
+  const setRakeChoice = useCallback((next) => {
+    setRakeChoiceState(next);
+    localStorage.setItem('rake_choice', JSON.stringify(next));
+  }, []);
+
+  /** Pick the currency for the next single-player game or room */
+  const chooseCurrency = useCallback((code) => {
+    setCurrencyChoice(code);
+    localStorage.setItem('currency_choice', code);
+  }, []);
+
+  /** Show amounts in whole units on this device */
+  const setWholeUnits = useCallback((whole) => {
+    setWholeUnitsState(whole);
+    localStorage.setItem('whole_units', String(whole));
   }, []);
 
   // =========================================================================
   // MULTIPLAYER: CREATE ROOM
   // =========================================================================
   const createRoom = useCallback(async () => {
+    if (connectionError) {
+      setError(connectionError);
+      return;
+    }
+    const { rule: rake, error: rakeError } = validateRake(rakeChoice);
+    if (rakeError) {
+      setError(t(rakeError));
+      return;
+    }
     setLoading(true);
     setError(null);
     try {
       const code = generateRoomCode();
 
       // Insert room row — creator is the banker
-      const { error: roomErr } = await supabase
-        .from('rooms')
-        .insert({ id: code, banker_uuid: deviceUUID, status: 'active' });
+      const { error: roomErr } = await backend.createRoom({
+        id: code,
+        banker_uuid: deviceUUID,
+        status: 'active',
+        round_number: 0,
+        round_phase: ROUND_PHASES.IDLE,
+        phase_ends_at: null,
+        preset: presetChoice,
+        rake,
+        currency: currencyChoice,
+      });
 
       if (roomErr) throw roomErr;
 
       // Upsert the banker as a player record (handles if they were in a previous room)
-      const { error: playerErr } = await supabase.from('players').upsert({
+      const { error: playerErr } = await backend.upsertPlayer(seatPlayerRow({
         uuid: deviceUUID,
         room_id: code,
         role: 'banker',
         name: playerName || `Player ${uuidv4().slice(0, 4)}`, // fallback though it doesn't matter much for banker
-        base_amount: 0,
-        current_net: 0,
-        last_action_amount: 0,
-        round_history: [],
-      });
+        joined_round: 0,
+      }));
 
       if (playerErr) throw playerErr;
 
       setRoomId(code);
       setRole('banker');
       setRoomStatus('active');
+      setSettlement(null);
+      setRoomPreset(presetChoice);
+      setRoomRake(rake);
+      setRoomCurrency(currencyChoice);
+      setRoundNumber(0);
+      setRoundPhase(ROUND_PHASES.IDLE);
+      setPhaseEndsAt(null);
       setMode('multi');
+      sessionStartedAt(code);
       localStorage.setItem('auto_join_room', code);
     } catch (err) {
-      setError(err.message || 'Failed to create room');
+      setError(err.message || t('error.createFailed'));
     } finally {
       setLoading(false);
     }
-  }, [deviceUUID]);
+  }, [deviceUUID, backend, connectionError, presetChoice, rakeChoice, currencyChoice, t]);
 
   // =========================================================================
   // MULTIPLAYER: JOIN ROOM
   // =========================================================================
   const joinRoom = useCallback(
-    async (code) => {
+    /**
+     * `spectate: true` joins read-only, without taking a seat; `false` takes
+     * a seat even after watching. Left out, a device rejoins as it was.
+     */
+    async (code, { spectate } = {}) => {
+      if (connectionError) {
+        setError(connectionError);
+        return;
+      }
       setLoading(true);
       setError(null);
       try {
         // 1. Check if room exists and is active
-        const { data: room, error: roomErr } = await supabase
-          .from('rooms')
-          .select('*')
-          .eq('id', code)
-          .single();
+        const { data: room, error: roomErr } = await backend.getRoom(code);
 
-        if (roomErr || !room) throw new Error('Room not found');
-        if (room.status !== 'active') throw new Error('Room has ended');
+        if (roomErr && !roomErr.code) throw new Error(t('error.offline'));
+        if (roomErr || !room) throw new Error(t('error.roomNotFound'));
+        if (room.status === 'ended') throw new Error(t('error.roomEnded'));
 
         // 2. Check for reconnection — does this UUID already exist in the room?
-        const { data: existing } = await supabase
-          .from('players')
-          .select('*')
-          .eq('room_id', code)
-          .eq('uuid', deviceUUID)
-          .maybeSingle();
-
-        if (existing) {
-          // Reconnect — restore state
+        const { data: existing } = await backend.getPlayer(code, deviceUUID);
+
+        const seated = !!existing && existing.role !== 'spectator';
+        const watching = spectate ?? existing?.role === 'spectator';
+
+        // While settling up, only the people already at the table come back
+        if (room.status === 'settling' && !seated && !watching) throw new Error(t('error.roomEnded'));
+
+        if (!seated && watching && existing) {
+          // Spectators log nothing: the room's state is all there is to restore
+          setRoomId(code);
+          setRole('spectator');
+          setRoomStatus(room.status);
+          setSettlement(room.settlement || null);
+          setRoomPreset(room.preset || DEFAULT_PRESET);
+          setRoomRake(room.rake || null);
+          setRoomCurrency(room.currency || DEFAULT_CURRENCY);
+          setRoundNumber(room.round_number || 0);
+          setRoundPhase(room.round_phase || ROUND_PHASES.IDLE);
+          setPhaseEndsAt(room.phase_ends_at || null);
+          setMode('multi');
+          localStorage.setItem('auto_join_room', code);
+          return;
+        }
+
+        if (seated) {
+          // Reconnect — restore the newest page of the stored action log
+          const history = await loadPlayerHistory(backend, code, deviceUUID);
+          if (!history) throw new Error(t('error.offline'));
+          // Actions queued before a reload are replayed on top of the server row
+          const pending = loadQueue(code, deviceUUID);
+          const restored = { log: rebaseLog(history.entries, pending), redo: loadRedoStack(code) };
+          playerHistoryRef.current = history;
+          setPlayerHistory(history);
+          playerLogRef.current = restored;
+          setPlayerLog(restored);
+          pendingOpsRef.current = pending;
+          setPendingOps(pending);
+
           setRoomId(code);
           setRole(existing.role);
-          setBaseAmount(existing.base_amount || 0);
-          setCurrentNet(existing.current_net || 0);
-          setLastActionAmount(existing.last_action_amount || 0);
           setRoomStatus(room.status);
+          setSettlement(room.settlement || null);
+          setRoomPreset(room.preset || DEFAULT_PRESET);
+          setRoomRake(room.rake || null);
+          setRoomCurrency(room.currency || DEFAULT_CURRENCY);
+          setRoundNumber(room.round_number || 0);
+          setRoundPhase(room.round_phase || ROUND_PHASES.IDLE);
+          setPhaseEndsAt(room.phase_ends_at || null);
           setMode('multi');
+          sessionStartedAt(code);
           localStorage.setItem('auto_join_room', code);
           return;
         }
 
-        // 3. Check player count (max 15)
-        const { count } = await supabase
-          .from('players')
-          .select('uuid', { count: 'exact', head: true })
-          .eq('room_id', code);
+        // 3. Determine role — if banker_uuid matches, they're banker; otherwise player or spectator
+        let assignedRole = 'player';
+        if (room.banker_uuid === deviceUUID) assignedRole = 'banker';
+        else if (watching) assignedRole = 'spectator';
 
-        if (count >= 15) throw new Error('Room is full (max 15 players)');
+        // 4. Check player count (max 15) — spectators don't take a seat
+        if (assignedRole !== 'spectator') {
+          const { count } = await backend.countPlayers(code);
 
-        // 4. Determine role — if banker_uuid matches, they're banker; otherwise player
-        const assignedRole = room.banker_uuid === deviceUUID ? 'banker' : 'player';
+          if (count >= 15) throw new Error(t('error.roomFull', { max: 15 }));
+        }
 
         // 5. Upsert player (handles if they were in a previous room)
-        const { error: insertErr } = await supabase.from('players').upsert({
+        const { error: insertErr } = await backend.upsertPlayer(seatPlayerRow({
           uuid: deviceUUID,
           room_id: code,
           role: assignedRole,
           name: playerName,
-          base_amount: 0,
-          current_net: 0,
-          last_action_amount: 0,
-          round_history: [],
-        });
+          // Rounds up to and including this one were played before they sat down
+          joined_round: room.round_number || 0,
+        }));
 
         if (insertErr) throw insertErr;
 
+        playerHistoryRef.current = EMPTY_HISTORY;
+        setPlayerHistory(EMPTY_HISTORY);
+        playerLogRef.current = EMPTY_LOG;
+        setPlayerLog(EMPTY_LOG);
+        pendingOpsRef.current = [];
+        setPendingOps([]);
         setRoomId(code);
         setRole(assignedRole);
         setRoomStatus(room.status);
+        setSettlement(null);
+        setRoomPreset(room.preset || DEFAULT_PRESET);
+        setRoomRake(room.rake || null);
+        setRoomCurrency(room.currency || DEFAULT_CURRENCY);
+        setRoundNumber(room.round_number || 0);
+        setRoundPhase(room.round_phase || ROUND_PHASES.IDLE);
+        setPhaseEndsAt(room.phase_ends_at || null);
         setMode('multi');
+        if (assignedRole !== 'spectator') sessionStartedAt(code);
         localStorage.setItem('auto_join_room', code);
       } catch (err) {
-        setError(err.message || 'Failed to join room');
+        setError(err.message || t('error.joinFailed'));
       } finally {
         setLoading(false);
       }
     },
-    [deviceUUID]
+    [deviceUUID, backend, connectionError, t]
   );
 
   // =========================================================================
@@ -270,274 +684,912 @@ export function useGameSession() {
       localStorage.setItem('player_name', name);
       // If we are currently in a room as a player, update the DB
       if (mode === 'multi' && roomId && role === 'player') {
-        await supabase
-          .from('players')
-          .update({ name: name, updated_at: new Date().toISOString() })
-          .eq('uuid', deviceUUID)
-          .eq('room_id', roomId);
+        await backend.updatePlayer(roomId, deviceUUID, {
+          name: name,
+          updated_at: new Date().toISOString(),
+        });
       }
     },
-    [mode, roomId, role, deviceUUID]
+    [mode, roomId, role, deviceUUID, backend]
   );
 
-  /** Set the player's base amount and persist to Supabase */
-  const setPlayerBase = useCallback(
-    async (amount) => {
-      setBaseAmount(amount);
-      if (roomId) {
-        await supabase
-          .from('players')
-          .update({ base_amount: amount, room_id: roomId })
-          .eq('uuid', deviceUUID)
-          .eq('room_id', roomId);
-      }
+  /** Replace the pending queue (state, ref and localStorage together) */
+  const updateQueue = useCallback(
+    (ops) => {
+      pendingOpsRef.current = ops;
+      setPendingOps(ops);
+      saveQueue(roomId, deviceUUID, ops);
     },
-    [deviceUUID, roomId]
+    [roomId, deviceUUID]
   );
 
-  /** Apply a multiplier action in multiplayer mode */
-  const playerAction = useCallback(
-    async (multiplier, updatedHistory = null) => {
-      if (baseAmount <= 0 || role !== 'player') return;
-      const delta = baseAmount * multiplier;
-      const newNet = currentNet + delta;
-
-      // Optimistic update
-      setCurrentNet(newNet);
-      setLastActionAmount(delta);
-
-      const payload = {
-        current_net: newNet,
-        last_action_amount: delta,
-        room_id: roomId,
-        updated_at: new Date().toISOString(),
-      };
-      if (updatedHistory) {
-        payload.round_history = updatedHistory;
+  /** Show the authoritative server history, with still-pending ops replayed on top */
+  const applyServerHistory = useCallback((history) => {
+    playerHistoryRef.current = history;
+    setPlayerHistory(history);
+    const next = { ...playerLogRef.current, log: rebaseLog(history.entries, pendingOpsRef.current) };
+    playerLogRef.current = next;
+    setPlayerLog(next);
+  }, []);
+
+  /**
+   * Reconcile the local log with the server row and replay the pending queue.
+   * Ops are sent one at a time, in order, to the atomic database functions;
+   * each returns the authoritative row, which becomes the new base the rest
+   * of the queue is rebased onto. With nothing queued, the row and the newest
+   * history page are simply re-read so changes made elsewhere (another tab)
+   * show up.
+   */
+  const syncPlayerLog = useCallback(async () => {
+    if (!roomId || role !== 'player' || syncingRef.current) return;
+    syncingRef.current = true;
+    try {
+      // Re-read the row unless a successful replay hands it to us anyway
+      let needsRefresh = true;
+
+      while (pendingOpsRef.current.length > 0) {
+        const op = pendingOpsRef.current[0];
+        const { data: row, error: rpcErr } = await sendQueuedOp(backend, roomId, deviceUUID, op);
+
+        if (rpcErr && !rpcErr.code) {
+          // No response at all — we're offline. Keep the op and retry later.
+          setSyncOffline(true);
+          return;
+        }
+
+        // Either accepted, or rejected by the database (which a retry won't fix)
+        updateQueue(pendingOpsRef.current.filter((o) => o.id !== op.id));
+        if (rpcErr) {
+          setError(t('error.actionRejected', { message: rpcErr.message }));
+          needsRefresh = true;
+        } else {
+          // The server applied exactly this op to its log
+          const current = playerHistoryRef.current;
+          applyServerHistory({ ...current, entries: applyOp(current.entries, op), row });
+          needsRefresh = false;
+        }
       }
 
-      const { error: updateErr } = await supabase
-        .from('players')
-        .update(payload)
-        .eq('uuid', deviceUUID)
-        .eq('room_id', roomId);
-
-      if (updateErr) {
-        // Rollback optimistic update on error
-        setCurrentNet(currentNet);
-        setLastActionAmount(lastActionAmount);
-        setError('Failed to update. Please try again.');
+      if (needsRefresh) {
+        const history = await loadPlayerHistory(backend, roomId, deviceUUID);
+
+        if (!history) {
+          setSyncOffline(true);
+          return;
+        }
+        applyServerHistory(history);
       }
-    },
-    [baseAmount, role, currentNet, lastActionAmount, deviceUUID, roomId]
-  );
 
-  /** Undo the last multiplayer action (max 1 step) */
-  const playerUndo = useCallback(async (updatedHistory = null) => {
-    if (lastActionAmount === 0 || role !== 'player') return;
-    const newNet = currentNet - lastActionAmount;
-
-    // Optimistic update
-    setCurrentNet(newNet);
-    const prevLastAction = lastActionAmount;
-    setLastActionAmount(0);
-
-    const payload = {
-      current_net: newNet,
-      last_action_amount: 0,
-      room_id: roomId,
-      updated_at: new Date().toISOString(),
-    };
-    if (updatedHistory) {
-      payload.round_history = updatedHistory;
+      setSyncOffline(false);
+    } finally {
+      syncingRef.current = false;
     }
-
-    const { error: updateErr } = await supabase
-      .from('players')
-      .update(payload)
-      .eq('uuid', deviceUUID)
-      .eq('room_id', roomId);
-
-    if (updateErr) {
-      // Rollback
-      setCurrentNet(currentNet);
-      setLastActionAmount(prevLastAction);
-      setError('Undo failed. Please try again.');
+  }, [deviceUUID, roomId, role, backend, updateQueue, applyServerHistory, t]);
+
+  /** Load the next (older) page of the player's own history */
+  const loadMoreHistory = useCallback(async () => {
+    if (!roomId || !playerHistoryRef.current.hasMore) return false;
+    const page = await fetchHistoryPage(backend, roomId, deviceUUID, playerHistoryRef.current.entries);
+    if (page.error) return false;
+    const current = playerHistoryRef.current;
+    applyServerHistory({ ...current, entries: [...current.entries, ...page.entries], hasMore: page.hasMore });
+    return true;
+  }, [roomId, deviceUUID, backend, applyServerHistory]);
+
+  /** Page in the rest of the history (stats need all of it). False if a page failed. */
+  const loadAllHistory = useCallback(async () => {
+    while (playerHistoryRef.current.hasMore) {
+      if (!(await loadMoreHistory())) return false;
     }
-  }, [lastActionAmount, role, currentNet, deviceUUID, roomId]);
+    return true;
+  }, [loadMoreHistory]);
+
+  /**
+   * Optimistically apply a new { log, redo } state, queue the op that
+   * produced it and try to replay the queue straight away.
+   */
+  const commitPlayerLog = useCallback(
+    (next, op) => {
+      playerLogRef.current = next;
+      setPlayerLog(next);
+      saveRedoStack(roomId, next.redo);
+      updateQueue([...pendingOpsRef.current, op]);
+      return syncPlayerLog();
+    },
+    [roomId, updateQueue, syncPlayerLog]
+  );
 
-  /** Mass insert ties (for when player confirms multiple missing rounds) */
-  const playerMassTie = useCallback(async (count, currentRoundHistory = []) => {
-    if (count <= 0 || role !== 'player') return;
-
-    // Create 'count' number of tie records
-    const newRecords = [];
-    const now = Date.now();
-    for (let i = 0; i < count; i++) {
-      newRecords.push({
-        id: now + i,
-        multiplier: 0,
-        amount: 0,
-        time: new Date().toLocaleTimeString('en-US', { hour12: false, hour: '2-digit', minute: '2-digit', second: '2-digit' })
-      });
-    }
+  /** Retry the queue when the browser comes back online, and periodically while it is non-empty */
+  useEffect(() => {
+    if (mode !== 'multi' || role !== 'player') return;
+    window.addEventListener('online', syncPlayerLog);
+    const retry = pendingOps.length > 0 ? setInterval(syncPlayerLog, 15000) : null;
+    return () => {
+      window.removeEventListener('online', syncPlayerLog);
+      if (retry) clearInterval(retry);
+    };
+  }, [mode, role, pendingOps.length, syncPlayerLog]);
 
-    const updatedHistory = [...newRecords, ...currentRoundHistory];
+  /** Set the player's base amount (logged so it can be undone) */
+  const setPlayerBase = useCallback(
+    async (amount) => {
+      if (!roomId) return;
+      const current = playerLogRef.current;
+      const serverBase = playerHistoryRef.current.row?.base_amount || 0;
+      if (deriveBase(current.log, serverBase) === amount) return;
+      const entry = createBaseEntry(amount);
+      await commitPlayerLog(appendEntry(current, entry), createAppendOp(entry));
+    },
+    [roomId, commitPlayerLog]
+  );
 
-    // For net and last amount, we are just tying, so net doesn't change, lastAction is 0
-    setLastActionAmount(0);
+  /** Log a buy-in, top-up or cash-out in multiplayer mode */
+  const playerLedger = useCallback(
+    async (type, amount) => {
+      if (!(amount > 0) || role !== 'player') return;
+      const entry = createLedgerEntry(type, amount);
+      await commitPlayerLog(appendEntry(playerLogRef.current, entry), createAppendOp(entry));
+    },
+    [role, commitPlayerLog]
+  );
 
-    const payload = {
-      current_net: currentNet,
-      last_action_amount: 0,
-      room_id: roomId,
-      updated_at: new Date().toISOString(),
-      round_history: updatedHistory
-    };
+  /** Log a round entry for `round` in multiplayer mode, whatever the phase */
+  const logPlayerRound = useCallback(
+    async (multiplier, round) => {
+      const current = playerLogRef.current;
+      const base = deriveBase(current.log, playerHistoryRef.current.row?.base_amount || 0);
+      if (base <= 0 || role !== 'player') return;
+      const entry = createRoundEntry(multiplier, base, round, { preset: roomPreset, rake: roomRake });
+      await commitPlayerLog(appendEntry(current, entry), createAppendOp(entry));
+    },
+    [role, roomPreset, roomRake, commitPlayerLog]
+  );
 
-    const { error: updateErr } = await supabase
-      .from('players')
-      .update(payload)
-      .eq('uuid', deviceUUID)
-      .eq('room_id', roomId);
+  /**
+   * Apply a multiplier action in multiplayer mode, stamped with the banker's
+   * current round. Only while the results window is open, and only once per round.
+   */
+  const playerAction = useCallback(
+    async (multiplier) => {
+      if (!resultsOpen(roundPhase, phaseEndsAt) || sittingOut) return;
+      if (hasLoggedRound(playerLogRef.current.log, roundNumber)) return;
+      await logPlayerRound(multiplier, roundNumber || null);
+    },
+    [roundNumber, roundPhase, phaseEndsAt, sittingOut, logPlayerRound]
+  );
 
-    if (updateErr) {
-      setError('Failed to log missing rounds. Please try again.');
+  /**
+   * Sit out, or come back: every finished round skipped meanwhile that has
+   * no entry is logged as sat out, so the banker never sees it missing
+   */
+  const toggleSitOut = useCallback(async () => {
+    if (role !== 'player') return;
+    const current = playerLogRef.current;
+    const lastClosed = lastClosedRound(roundNumber, roundOpen);
+    const since = sittingOutSince(playerHistoryRef.current.row, pendingOpsRef.current);
+    if (since == null) {
+      await commitPlayerLog(current, createSitOutOp(lastClosed));
+      return;
+    }
+    const skipped = [];
+    for (let r = since + 1; r <= lastClosed; r++) {
+      if (!hasLoggedRound(current.log, r)) skipped.push(r);
     }
+    if (skipped.length === 0) {
+      await commitPlayerLog(current, createSitOutOp(null));
+      return;
+    }
+    const entry = createSitOutEntry(skipped);
+    await commitPlayerLog(appendEntry(current, entry), createSitOutOp(null, entry));
+  }, [role, roundNumber, roundOpen, commitPlayerLog]);
+
+  /** Undo the latest multiplayer action (unlimited steps) */
+  const playerUndo = useCallback(async () => {
+    if (role !== 'player') return;
+    // Undone past the loaded pages: fetch older entries first, and leave the
+    // last loaded entry alone if they can't be had
+    if (playerLogRef.current.log.length <= 1 && playerHistoryRef.current.hasMore) {
+      if (!(await loadMoreHistory())) return;
+    }
+    const current = playerLogRef.current;
+    if (!canUndo(current.log)) return;
+    await commitPlayerLog(undoEntry(current), createUndoOp(current.log[0].id));
+  }, [role, commitPlayerLog, loadMoreHistory]);
+
+  /** Redo the most recently undone multiplayer action */
+  const playerRedo = useCallback(async () => {
+    const current = playerLogRef.current;
+    if (current.redo.length === 0 || role !== 'player') return;
+    await commitPlayerLog(redoEntry(current), createAppendOp(current.redo[0]));
+  }, [role, commitPlayerLog]);
+
+  /** Flag one of the player's entries as disputed, with an optional note for the banker */
+  const playerDispute = useCallback(
+    async (entryId, note) => {
+      const current = playerLogRef.current;
+      const entry = current.log.find((e) => e.id === entryId);
+      if (!entry || isDisputeOpen(entry) || role !== 'player') return;
+      const op = createDisputeOp(entryId, createDispute(note));
+      await commitPlayerLog({ ...current, log: applyOp(current.log, op) }, op);
+    },
+    [role, commitPlayerLog]
+  );
 
-    return updatedHistory;
-  }, [role, currentNet, deviceUUID, roomId]);
+  /** Mass insert ties (for when player confirms multiple missing rounds) */
+  const playerMassTie = useCallback(
+    async (rounds) => {
+      if (rounds.length === 0 || role !== 'player') return;
+      const entry = createMassTieEntry(rounds);
+      await commitPlayerLog(appendEntry(playerLogRef.current, entry), createAppendOp(entry));
+    },
+    [role, commitPlayerLog]
+  );
 
   // =========================================================================
   // MULTIPLAYER: BANKER ACTIONS
   // =========================================================================
 
-  /** Force a tie for a specific player (usually if they forgot to record a round) */
-  const promptPlayerTie = useCallback(async (playerId, missingCount = 1) => {
-    if (role !== 'banker' || !realtimeChannelRef.current) return;
+  /**
+   * Move the room's round counter and phase, broadcast them to players and
+   * persist them on the room row so late joiners and reconnects pick them up.
+   * `seconds` puts a countdown on the phase.
+   */
+  const setRoundState = useCallback(
+    async (number, phase, seconds = 0) => {
+      if (role !== 'banker' || !roomId) return;
+      const endsAt = seconds > 0 ? new Date(Date.now() + seconds * 1000).toISOString() : null;
+      setRoundNumber(number);
+      setRoundPhase(phase);
+      setPhaseEndsAt(endsAt);
+
+      realtimeChannelRef.current?.send('round_state', {
+        round_number: number,
+        round_phase: phase,
+        phase_ends_at: endsAt,
+      });
+
+      const { error: roomErr } = await backend.updateRoom(roomId, {
+        round_number: number,
+        round_phase: phase,
+        phase_ends_at: endsAt,
+      });
 
-    realtimeChannelRef.current.send({
-      type: 'broadcast',
-      event: 'prompt_tie',
-      payload: { target_uuid: playerId, missedRounds: missingCount }
+      if (roomErr) {
+        setError(t('error.saveRound'));
+      }
+    },
+    [role, roomId, backend, t]
+  );
+
+  /**
+   * Move the room to its next phase: betting → closed → results → betting on
+   * the next round. A countdown only applies to betting and results.
+   */
+  const advanceRound = useCallback(
+    (seconds = 0) => {
+      const next = nextPhase(roundPhase, roundNumber);
+      const timed = next.phase === ROUND_PHASES.BETTING || next.phase === ROUND_PHASES.RESULTS;
+      return setRoundState(next.roundNumber, next.phase, timed ? seconds : 0);
+    },
+    [roundPhase, roundNumber, setRoundState]
+  );
+
+  /** Finish the current round without opening the next — from now on it counts towards missing rounds */
+  const finishRound = useCallback(
+    () => setRoundState(roundNumber, ROUND_PHASES.IDLE),
+    [roundNumber, setRoundState]
+  );
+
+  // A countdown running out on the banker's device closes betting, or ends
+  // the results window and with it the round
+  useEffect(() => {
+    if (role !== 'banker' || !phaseEndsAt) return;
+    const timer = setTimeout(() => {
+      if (roundPhase === ROUND_PHASES.BETTING) setRoundState(roundNumber, ROUND_PHASES.CLOSED);
+      else if (roundPhase === ROUND_PHASES.RESULTS) setRoundState(roundNumber, ROUND_PHASES.IDLE);
+    }, Math.max(0, Date.parse(phaseEndsAt) - Date.now()));
+    return () => clearTimeout(timer);
+  }, [role, phaseEndsAt, roundPhase, roundNumber, setRoundState]);
+
+  /**
+   * Ask a player to log ties for the exact rounds they are missing. Sending
+   * again retries: the new prompt replaces the last one.
+   */
+  const promptPlayerTie = useCallback(async (playerId, missingRounds) => {
+    if (role !== 'banker' || !realtimeChannelRef.current) return;
+    const prompt = createTiePrompt(missingRounds);
+    realtimeChannelRef.current.send('prompt_tie', {
+      target_uuid: playerId,
+      prompt: { id: prompt.id, rounds: prompt.rounds },
     });
+    setTiePrompts((prev) => ({ ...prev, [playerId]: prompt }));
   }, [role]);
 
-  const resolveTiePrompt = useCallback(async (accept, currentRoundHistory) => {
-    const missingCount = typeof tiePromptActive === 'number' ? tiePromptActive : 1;
-    setTiePromptActive(false);
+  /** Take a player's prompt back off their screen */
+  const cancelTiePrompt = useCallback((playerId) => {
+    const prompt = tiePrompts[playerId];
+    if (role !== 'banker' || !prompt) return;
+    realtimeChannelRef.current?.send('cancel_tie_prompt', { target_uuid: playerId, prompt_id: prompt.id });
+    setTiePrompts((prev) => {
+      const next = { ...prev };
+      delete next[playerId];
+      return next;
+    });
+  }, [role, tiePrompts]);
+
+  // A prompt left unanswered for PROMPT_TTL expires, and is taken off the
+  // player's screen in case it only reaches them now
+  useEffect(() => {
+    if (role !== 'banker') return;
+    const pending = Object.entries(tiePrompts).filter(([, prompt]) => isPromptPending(prompt));
+    if (pending.length === 0) return;
+    const next = Math.min(...pending.map(([, prompt]) => prompt.sentAt + PROMPT_TTL));
+    const timer = setTimeout(() => {
+      const expired = pending.filter(([, prompt]) => prompt.sentAt + PROMPT_TTL <= Date.now());
+      for (const [playerId, prompt] of expired) {
+        realtimeChannelRef.current?.send('cancel_tie_prompt', { target_uuid: playerId, prompt_id: prompt.id });
+      }
+      setTiePrompts((prev) => {
+        const nextPrompts = { ...prev };
+        for (const [playerId, prompt] of expired) {
+          if (nextPrompts[playerId]?.id === prompt.id) {
+            nextPrompts[playerId] = expirePrompt(nextPrompts[playerId]);
+          }
+        }
+        return nextPrompts;
+      });
+    }, Math.max(0, next - Date.now()));
+    return () => clearTimeout(timer);
+  }, [role, tiePrompts]);
+
+  /** Propose a correction of one of a player's rounds; the player approves or rejects it */
+  const proposeEdit = useCallback((playerId, entry, multiplier) => {
+    if (role !== 'banker' || !realtimeChannelRef.current || !isCorrectable(entry)) return;
+    const proposal = createEditProposal(entry, multiplier, deviceUUID);
+    realtimeChannelRef.current.send('propose_edit', { target_uuid: playerId, proposal });
+    setEditRequests((prev) => ({ ...prev, [entry.id]: { proposalId: proposal.id, status: 'pending' } }));
+  }, [role, deviceUUID]);
+
+  /**
+   * Resolve a player's open dispute as accepted, amended (played at
+   * `multiplier` instead) or rejected, and tell the player
+   */
+  const resolvePlayerDispute = useCallback(
+    async (playerId, entry, status, multiplier) => {
+      if (role !== 'banker' || !roomId || !isDisputeOpen(entry)) return false;
+      const resolution = createResolution(entry, status, deviceUUID, {
+        multiplier,
+        preset: roomPreset,
+        rake: roomRake,
+      });
+      const { error: resolveErr } = await backend.resolveDispute(roomId, playerId, entry.id, resolution);
 
-    if (accept) {
-      if (missingCount > 1) {
-        return await playerMassTie(missingCount, currentRoundHistory);
-      } else {
-        // Single tie fallback
-        // Note: PlayerBoard calls handleAction(0) directly for single ties, 
-        // so we might not use this fallback if handled at the component level.
-        // But for mass ties, having it here or relying on PlayerBoard is fine.
-        // We will return the missing count for PlayerBoard to use.
+      if (resolveErr) {
+        setError(resolveErr.code ? resolveErr.message : t('error.offline'));
+        return false;
       }
+      realtimeChannelRef.current?.send('dispute_resolved', {
+        target_uuid: playerId,
+        entry_id: entry.id,
+        round: entry.round ?? null,
+        status,
+      });
+      return true;
+    },
+    [role, roomId, deviceUUID, roomPreset, roomRake, backend, t]
+  );
+
+  /**
+   * End the game: work out who pays whom from every net (rounded to
+   * `denomination`), store it on the room and show it to everyone.
+   */
+  const settleRoom = useCallback(
+    async (denomination) => {
+      if (role !== 'banker' || !roomId) return;
+      const parties = [
+        // Names are translated where they are shown (see transferParty)
+        { uuid: deviceUUID, name: null, seat: 0, net: -roomAggregateRef.current.totalNet },
+        ...aggregatePlayers(roomAggregateRef.current)
+          .filter((p) => p.role === 'player')
+          .map((p, idx) => ({ uuid: p.uuid, name: p.name || null, seat: idx + 1, net: p.current_net || 0 })),
+      ];
+      const next = createSettlement(parties, denomination);
+
+      const { error: roomErr } = await backend.updateRoom(roomId, { status: 'settling', settlement: next });
+
+      if (roomErr) {
+        setError(t('error.settleFailed'));
+        return;
+      }
+      setRoomStatus('settling');
+      setSettlement(next);
+      realtimeChannelRef.current?.send('settlement', { status: 'settling', settlement: next });
+    },
+    [role, roomId, deviceUUID, backend, t]
+  );
+
+  /** Mark one settlement transfer paid (payer, payee or banker) */
+  const markTransferPaid = useCallback(
+    async (transferId) => {
+      if (!roomId) return;
+      const { data: room, error: markErr } = await backend.markTransferPaid(roomId, transferId, deviceUUID);
+
+      if (markErr || !room) {
+        setError(markErr && markErr.code ? markErr.message : t('error.offline'));
+        return;
+      }
+      setSettlement(room.settlement);
+      realtimeChannelRef.current?.send('settlement', { status: room.status, settlement: room.settlement });
+    },
+    [roomId, deviceUUID, backend, t]
+  );
+
+  /** Player's answer to a banker tie prompt — accepting logs the missing ties */
+  const resolveTiePrompt = useCallback(async (accept) => {
+    const rounds = tiePromptActive ? tiePromptActive.rounds : [];
+    setTiePromptActive(false);
+    if (tiePromptActive) {
+      realtimeChannelRef.current?.send('tie_prompt_response', {
+        prompt_id: tiePromptActive.id,
+        player_uuid: deviceUUID,
+        status: accept ? TIE_PROMPT_STATUSES.ACCEPTED : TIE_PROMPT_STATUSES.DECLINED,
+      });
+    }
+    if (!accept || rounds.length === 0) return;
+
+    if (rounds.length > 1) {
+      await playerMassTie(rounds);
+    } else {
+      await logPlayerRound(0, rounds[0]);
     }
-    return null;
-  }, [tiePromptActive, playerMassTie]);
+  }, [tiePromptActive, deviceUUID, playerMassTie, logPlayerRound]);
+
+  const dismissDisputeOutcome = useCallback(() => setDisputeOutcome(null), []);
+
+  /**
+   * Player's answer to the oldest banker correction. Approving rewrites the
+   * round through the queue; a round no longer in the log is turned down.
+   */
+  const resolveEditProposal = useCallback(async (accept) => {
+    const proposal = editProposals[0];
+    if (!proposal) return;
+    setEditProposals((prev) => prev.filter((p) => p.id !== proposal.id));
+
+    const findEntry = () => playerLogRef.current.log.find((e) => e.id === proposal.entryId);
+    let entry = accept ? findEntry() : null;
+    // Older than the pages loaded so far
+    if (accept && !entry && (await loadAllHistory())) entry = findEntry();
+    const accepted = !!entry && isCorrectable(entry);
+
+    realtimeChannelRef.current?.send('edit_response', {
+      proposal_id: proposal.id,
+      entry_id: proposal.entryId,
+      player_uuid: deviceUUID,
+      accepted,
+    });
+    if (!accepted) return;
+
+    const edit = createEditRecord(proposal);
+    const corrected = correctRoundEntry(entry, proposal.multiplier, { preset: roomPreset, rake: roomRake });
+    const op = createEditOp({ ...corrected, editedAt: edit.ts }, edit);
+    const current = playerLogRef.current;
+    await commitPlayerLog({ ...current, log: applyOp(current.log, op) }, op);
+  }, [editProposals, deviceUUID, roomPreset, roomRake, loadAllHistory, commitPlayerLog]);
 
   // =========================================================================
   // MULTIPLAYER: REALTIME SUBSCRIPTION (Banker View)
   // =========================================================================
 
-  /** Fetch all players in the room and compute banker net */
+  const updateRoomAggregate = useCallback((next) => {
+    roomAggregateRef.current = next;
+    setRoomAggregate(next);
+  }, []);
+
+  /** Full resync: fetch every player in the room */
   const fetchRoomPlayers = useCallback(async () => {
     if (!roomId) return;
-    const { data, error: fetchErr } = await supabase
-      .from('players')
-      .select('*')
-      .eq('room_id', roomId);
+    const { data, error: fetchErr } = await backend.listPlayers(roomId);
 
     if (!fetchErr && data) {
-      setPlayers(data);
-      // Banker's net = negative sum of all players' current_net
-      const totalPlayerNet = data.reduce((sum, p) => sum + (p.current_net || 0), 0);
-      setBankerNet(-totalPlayerNet);
+      updateRoomAggregate(mergeSnapshot(roomAggregateRef.current, data));
+    }
+  }, [roomId, backend, updateRoomAggregate]);
+
+  /** Apply one player row change in place; resync only if an event was missed */
+  const handlePlayerChange = useCallback((change) => {
+    // A write from a player still in the room counts as seeing them (see lib/presence.js)
+    if (change.new?.room_id === roomId) {
+      setPresenceSeen((prev) => ({ ...prev, [change.new.uuid]: rowChangeToSeen() }));
+    }
+    const { aggregate, gap } = applyPlayerChange(roomAggregateRef.current, change, roomId);
+    if (gap) {
+      fetchRoomPlayers();
+    } else if (aggregate !== roomAggregateRef.current) {
+      updateRoomAggregate(aggregate);
     }
-  }, [roomId]);
+  }, [roomId, fetchRoomPlayers, updateRoomAggregate]);
+
+  /** One page of a player's history (or the whole room's, with no uuid) for the banker */
+  const fetchPlayerHistory = useCallback(
+    (playerUuid, loaded = []) => fetchHistoryPage(backend, roomId, playerUuid, loaded),
+    [roomId, backend]
+  );
+
+  /** One player's corrections from the audit log, newest first, for the banker */
+  const fetchRoundEdits = useCallback(
+    async (playerUuid) => {
+      const { data, error: fetchErr } = await backend.listRoundEdits(roomId, { playerUuid });
+      return { records: (data || []).map(editRowToRecord), error: fetchErr || null };
+    },
+    [roomId, backend]
+  );
+
+  /**
+   * Every round of the room (or of one player), paged through in full — for
+   * the summary report and the per-player stats
+   */
+  const fetchRoomHistory = useCallback(
+    (playerUuid = null) => fetchAllHistory(backend, roomId, playerUuid),
+    [roomId, backend]
+  );
+
+  /**
+   * The room's history as loaded so far, brought up to date with the player
+   * rows — for the charts, without re-reading every round on each change
+   */
+  const fetchRoomUpdates = useCallback(
+    (loaded) => refreshRoomHistory(backend, roomId, loaded, aggregatePlayers(roomAggregateRef.current)),
+    [roomId, backend]
+  );
+
+  /** Every open dispute in the room, for the banker */
+  const fetchRoomDisputes = useCallback(() => fetchOpenDisputes(backend, roomId), [roomId, backend]);
+
+  /** Re-read the round counter, status and settlement from the room row */
+  const fetchRoomState = useCallback(async () => {
+    if (!roomId) return;
+    const { data, error: fetchErr } = await backend.getRoom(roomId);
+
+    if (!fetchErr && data) {
+      setRoundNumber(data.round_number || 0);
+      setRoundPhase(data.round_phase || ROUND_PHASES.IDLE);
+      setPhaseEndsAt(data.phase_ends_at || null);
+      setRoomStatus(data.status);
+      setSettlement(data.settlement || null);
+      setRoomPreset(data.preset || DEFAULT_PRESET);
+      setRoomRake(data.rake || null);
+      setRoomCurrency(data.currency || DEFAULT_CURRENCY);
+    }
+  }, [roomId, backend]);
+
+  /** Player or spectator: tell the banker this device is still here (see lib/presence.js) */
+  const sendHeartbeat = useCallback((left = false) => {
+    if ((role !== 'player' && role !== 'spectator') || !realtimeChannelRef.current) return;
+    const idle = document.hidden || Date.now() - lastInputRef.current > IDLE_AFTER;
+    realtimeChannelRef.current.send('heartbeat', createHeartbeat(deviceUUID, { idle, left }));
+  }, [role, deviceUUID]);
 
   /** Subscribe to realtime changes */
   useEffect(() => {
     if (mode !== 'multi' || !roomId) return;
 
-    if (role === 'banker') {
-      fetchRoomPlayers();
-    }
+    // Everyone follows the settlement: any side of a transfer can mark it paid
+    const onSettlement = (payload) => {
+      setRoomStatus(payload.status);
+      setSettlement(payload.settlement || null);
+    };
 
-    const channel = supabase.channel(`room-${roomId}`);
+    // Spectators follow the round and the settlement, and answer presence pings
+    const spectatorEvents = {
+      settlement: onSettlement,
+      round_state: (payload) => {
+        setRoundNumber(payload.round_number || 0);
+        setRoundPhase(payload.round_phase || ROUND_PHASES.IDLE);
+        setPhaseEndsAt(payload.phase_ends_at || null);
+      },
+      presence_ping: () => sendHeartbeat(),
+    };
 
-    if (role === 'banker') {
-      // Banker listens to postgres changes
-      channel.on(
-        'postgres_changes',
-        {
-          event: '*',
-          schema: 'public',
-          table: 'players',
-          filter: `room_id=eq.${roomId}`,
+    const channel = backend.subscribe(roomId, {
+      // Banker and spectators listen to player row changes
+      onPlayerChange: role === 'banker' || role === 'spectator' ? handlePlayerChange : undefined,
+      // Players (and spectators) listen to broadcast events
+      onBroadcast: role === 'spectator' ? spectatorEvents : role === 'player'
+        ? {
+          settlement: onSettlement,
+          prompt_tie: (payload) => {
+            if (payload.target_uuid !== deviceUUID || !payload.prompt) return;
+            setTiePromptActive({ id: payload.prompt.id, rounds: payload.prompt.rounds || [] });
+            channel.send('tie_prompt_response', {
+              prompt_id: payload.prompt.id,
+              player_uuid: deviceUUID,
+              status: TIE_PROMPT_STATUSES.DELIVERED,
+            });
+          },
+          cancel_tie_prompt: (payload) => {
+            if (payload.target_uuid !== deviceUUID) return;
+            setTiePromptActive((prev) => (prev && prev.id === payload.prompt_id ? false : prev));
+          },
+          round_state: (payload) => {
+            setRoundNumber(payload.round_number || 0);
+            setRoundPhase(payload.round_phase || ROUND_PHASES.IDLE);
+            setPhaseEndsAt(payload.phase_ends_at || null);
+          },
+          propose_edit: (payload) => {
+            if (payload.target_uuid === deviceUUID && payload.proposal) {
+              setEditProposals((prev) => [...prev, payload.proposal]);
+            }
+          },
+          // The banker changed the row: re-read it, then say how it went
+          dispute_resolved: (payload) => {
+            if (payload.target_uuid !== deviceUUID) return;
+            setDisputeOutcome({ round: payload.round ?? null, status: payload.status });
+            syncPlayerLog();
+          },
+          presence_ping: () => sendHeartbeat(),
+        }
+        : {
+          settlement: onSettlement,
+          tie_prompt_response: (payload) => {
+            if (!payload.player_uuid) return;
+            setTiePrompts((prev) => {
+              const prompt = applyPromptResponse(prev[payload.player_uuid], payload);
+              return prompt === prev[payload.player_uuid] ? prev : { ...prev, [payload.player_uuid]: prompt };
+            });
+          },
+          heartbeat: (payload) => {
+            if (!payload.player_uuid) return;
+            setPresenceSeen((prev) => ({ ...prev, [payload.player_uuid]: heartbeatToSeen(payload) }));
+          },
+          edit_response: (payload) => {
+            setEditRequests((prev) => {
+              const request = prev[payload.entry_id];
+              if (!request || request.proposalId !== payload.proposal_id) return prev;
+              return { ...prev, [payload.entry_id]: { ...request, status: payload.accepted ? 'accepted' : 'rejected' } };
+            });
+          },
         },
-        () => {
+      onStatus: (status) => {
+        // (Re)connected: broadcasts sent meanwhile are lost, so re-read the
+        // room's round, and reconcile the action queue against the server row
+        if (status === 'SUBSCRIBED' && role === 'player') {
+          fetchRoomState();
+          syncPlayerLog();
+          sendHeartbeat();
+        }
+        // Banker: changes made while unsubscribed were never delivered, and
+        // everyone's presence is unknown until they answer
+        if (status === 'SUBSCRIBED' && role === 'banker') {
           fetchRoomPlayers();
+          fetchRoomState();
+          channel.send('presence_ping', {});
         }
-      );
-    } else if (role === 'player') {
-      // Player listens to broadcast events
-      channel.on(
-        'broadcast',
-        { event: 'prompt_tie' },
-        (payload) => {
-          if (payload.payload?.target_uuid === deviceUUID) {
-            setTiePromptActive(payload.payload?.missedRounds || 1);
-          }
+        if (status === 'SUBSCRIBED' && role === 'spectator') {
+          fetchRoomPlayers();
+          fetchRoomState();
+          sendHeartbeat();
         }
-      );
-    }
-
-    channel.subscribe();
+      },
+    });
 
     realtimeChannelRef.current = channel;
 
     // Cleanup on unmount or room change
     return () => {
       if (realtimeChannelRef.current) {
-        supabase.removeChannel(realtimeChannelRef.current);
+        realtimeChannelRef.current.unsubscribe();
         realtimeChannelRef.current = null;
       }
     };
-  }, [mode, roomId, role, fetchRoomPlayers]);
+  }, [mode, roomId, role, deviceUUID, backend, handlePlayerChange, fetchRoomPlayers, fetchRoomState, syncPlayerLog, sendHeartbeat]);
+
+  // Player or spectator: a heartbeat every HEARTBEAT_INTERVAL, and at once whenever
+  // the app goes to or comes back from the background, or is touched after idling
+  useEffect(() => {
+    if (mode !== 'multi' || !roomId || (role !== 'player' && role !== 'spectator')) return;
+    const onInput = () => {
+      const wasIdle = Date.now() - lastInputRef.current > IDLE_AFTER;
+      lastInputRef.current = Date.now();
+      if (wasIdle) sendHeartbeat();
+    };
+    const onVisibility = () => {
+      if (!document.hidden) lastInputRef.current = Date.now();
+      sendHeartbeat();
+    };
+    const onPageHide = () => sendHeartbeat(true);
+    const timer = setInterval(() => sendHeartbeat(), HEARTBEAT_INTERVAL);
+    window.addEventListener('pointerdown', onInput);
+    window.addEventListener('keydown', onInput);
+    window.addEventListener('pagehide', onPageHide);
+    document.addEventListener('visibilitychange', onVisibility);
+    return () => {
+      clearInterval(timer);
+      window.removeEventListener('pointerdown', onInput);
+      window.removeEventListener('keydown', onInput);
+      window.removeEventListener('pagehide', onPageHide);
+      document.removeEventListener('visibilitychange', onVisibility);
+    };
+  }, [mode, roomId, role, sendHeartbeat]);
+
+  // Banker: re-read everyone's presence as time passes
+  useEffect(() => {
+    if (mode !== 'multi' || !roomId || role !== 'banker') return;
+    const timer = setInterval(() => setPresenceNow(Date.now()), HEARTBEAT_INTERVAL / 3);
+    return () => clearInterval(timer);
+  }, [mode, roomId, role]);
+
+  /** Banker: uuid → { status, lastSeen } for every player (see lib/presence.js) */
+  const presence = useMemo(
+    () => (role === 'banker'
+      ? Object.fromEntries(players.map((p) => [p.uuid, playerPresence(presenceSeen[p.uuid], presenceNow)]))
+      : {}),
+    [role, players, presenceSeen, presenceNow]
+  );
 
   // =========================================================================
   // MULTIPLAYER: LEAVE / END ROOM
   // =========================================================================
+  /** Save the room as this device saw it to the past-games archive */
+  const archiveRoom = useCallback(async () => {
+    const common = {
+      kind: 'multi',
+      role,
+      roomId,
+      connection,
+      preset: roomPreset,
+      rake: roomRake,
+      currency: roomCurrency,
+      startedAt: sessionStartedAt(roomId),
+      settlement,
+    };
+
+    if (role === 'banker') {
+      const roomPlayers = aggregatePlayers(roomAggregateRef.current).filter((p) => p.role === 'player');
+      const { entries } = await fetchAllHistory(backend, roomId);
+      return createSession({
+        ...common,
+        base: 0,
+        finalNet: -roomAggregateRef.current.totalNet,
+        roundCount: roundNumber,
+        history: entries,
+        players: roomPlayers.map(({ uuid, name, base_amount, current_net, round_count, rake_total, bankroll }) => ({
+          uuid, name, base_amount, current_net, round_count, rake_total, bankroll,
+        })),
+      });
+    }
+
+    // The whole log, not just the loaded pages; offline, what is loaded will do
+    const { entries, error: historyErr } = await fetchAllHistory(backend, roomId, deviceUUID);
+    const history = historyErr ? playerLogRef.current.log : rebaseLog(entries, pendingOpsRef.current);
+    return createSession({
+      ...common,
+      playerName,
+      base: baseAmount,
+      bankroll,
+      finalNet: currentNet,
+      roundCount,
+      history,
+    });
+  }, [role, roomId, connection, roomPreset, roomRake, roomCurrency, settlement, backend, deviceUUID, roundNumber, playerName, baseAmount, bankroll, currentNet, roundCount]);
+
   const leaveRoom = useCallback(async () => {
-    // If the Banker leaves, mark the room as ended
+    // Spectators played nothing, so there is nothing to archive
+    if (roomId && role && role !== 'spectator') {
+      setArchive(archiveSession(await archiveRoom()));
+      // A player stepping out of a live room may rejoin: same session, same archive entry
+      if (role === 'banker' || roomStatus !== 'active') clearSessionStart(roomId);
+    }
+
+    // If the Banker leaves, mark the room as ended and tell everyone still on the settlement
     if (role === 'banker' && roomId) {
-      await supabase.from('rooms').update({ status: 'ended' }).eq('id', roomId);
+      await backend.updateRoom(roomId, { status: 'ended' });
+      realtimeChannelRef.current?.send('settlement', { status: 'ended', settlement });
     }
 
+    // A player or spectator says goodbye, so the banker need not wait for the heartbeats to stop
+    sendHeartbeat(true);
+
     // Cleanup subscription
     if (realtimeChannelRef.current) {
-      supabase.removeChannel(realtimeChannelRef.current);
+      realtimeChannelRef.current.unsubscribe();
       realtimeChannelRef.current = null;
     }
     setRoomId(null);
     setRole(null);
-    setBaseAmount(0);
-    setCurrentNet(0);
-    setLastActionAmount(0);
-    setBankerNet(0);
-    setPlayers([]);
+    playerLogRef.current = EMPTY_LOG;
+    setPlayerLog(EMPTY_LOG);
+    playerHistoryRef.current = EMPTY_HISTORY;
+    setPlayerHistory(EMPTY_HISTORY);
+    // The queue itself stays in localStorage so rejoining the room replays it
+    pendingOpsRef.current = [];
+    setPendingOps([]);
+    setSyncOffline(false);
+    updateRoomAggregate(EMPTY_AGGREGATE);
     setRoomStatus(null);
+    setSettlement(null);
+    setRoomPreset(DEFAULT_PRESET);
+    setRoomRake(null);
+    setRoundNumber(0);
+    setRoundPhase(ROUND_PHASES.IDLE);
+    setPhaseEndsAt(null);
     setTiePromptActive(false);
+    setTiePrompts({});
+    setEditProposals([]);
+    setEditRequests({});
+    setDisputeOutcome(null);
+    setPresenceSeen({});
     setMode(null);
     setError(null);
     localStorage.removeItem('auto_join_room');
-  }, [role, roomId]);
+    localStorage.removeItem('redo_stack');
+  }, [role, roomId, roomStatus, backend, settlement, archiveRoom, updateRoomAggregate, sendHeartbeat]);
+
+  // =========================================================================
+  // PAST GAMES
+  // =========================================================================
+
+  const deleteArchivedSession = useCallback((id) => {
+    setArchive(removeSession(id));
+  }, []);
+
+  /**
+   * Re-read an archived room from the backend it was played on, for the
+   * read-only view. Resolves to { room, players, history } or { error }.
+   */
+  const fetchArchivedRoom = useCallback(async (session) => {
+    const archivedBackend = getBackend(session.connection);
+    const { data: room, error: roomErr } = await archivedBackend.getRoom(session.roomId);
+
+    if (roomErr && !roomErr.code) return { error: t('error.offline') };
+    if (roomErr || !room) return { error: t('error.roomNotFound') };
+
+    const { data: roomPlayers, error: playersErr } = await archivedBackend.listPlayers(session.roomId);
+    const { entries, error: historyErr } = await fetchAllHistory(archivedBackend, session.roomId);
+
+    if (playersErr || historyErr) return { error: t('error.offline') };
+    return { room, players: roomPlayers || [], history: entries };
+  }, [t]);
+
+  // =========================================================================
+  // EXPORT / IMPORT (see lib/sessionExport.js)
+  // =========================================================================
+
+  /** The session in progress, in archive shape, for CSV / JSON export */
+  const snapshotSession = useCallback(
+    () => (mode === 'single' ? Promise.resolve(singleSession()) : archiveRoom()),
+    [mode, singleSession, archiveRoom]
+  );
+
+  /**
+   * Add a JSON backup to the archive (replacing a session with the same id).
+   * Resolves to { session } or { error }, in the device's language.
+   */
+  const importSession = useCallback(async (file) => {
+    try {
+      const session = parseSessionJSON(await file.text());
+      setArchive(archiveSession(session));
+      return { session };
+    } catch (err) {
+      return { error: err.message ? t(err.message) : t('error.importFailed') };
+    }
+  }, [t]);
+
+  /**
+   * Carry on with an archived player session in single-player mode. A
+   * single-player game already in progress is archived first.
+   */
+  const resumeSession = useCallback(
+    (session) => {
+      if (session.role !== 'player') return;
+      if (singleState.log.length > 0) setArchive(archiveSession(singleSession()));
+      clearSessionStart('single');
+      setSingleState({ log: session.history, redo: [] });
+      setSinglePreset(session.preset || DEFAULT_PRESET);
+      setSingleCurrency(session.currency || DEFAULT_CURRENCY);
+      setMode('single');
+    },
+    [singleState, singleSession]
+  );
 
   // =========================================================================
   // RETURN API
@@ -552,13 +1604,47 @@ export function useGameSession() {
     mode,
     setMode,
 
+    // Past games
+    archive,
+    deleteArchivedSession,
+    fetchArchivedRoom,
+    importSession,
+    resumeSession,
+    snapshotSession,
+
+    // Backend connection
+    connection,
+    setConnection,
+
+    // Game presets, rake and currency
+    rakeChoice,
+    setRakeChoice,
+    presetChoice,
+    choosePreset,
+    customPresets,
+    saveCustomPreset,
+    deleteCustomPreset,
+    currencyChoice,
+    chooseCurrency,
+    wholeUnits,
+    setWholeUnits,
+
     // Single-player
+    startSinglePlayer,
+    singlePreset,
+    singleMoney: { currency: singleCurrency, whole: wholeUnits },
     singleBase,
     singleNet,
-    singleLastAction,
+    singleBankroll,
+    singleLedger,
+    singleActionLog: singleState.log,
+    singleRoundCount: countRounds(singleState.log),
+    singleCanUndo: canUndo(singleState.log),
+    singleCanRedo: singleState.redo.length > 0,
     setSinglePlayerBase,
     singlePlayerAction,
     singlePlayerUndo,
+    singlePlayerRedo,
     singlePlayerExit,
 
     // Multiplayer
@@ -566,11 +1652,32 @@ export function useGameSession() {
     role,
     baseAmount,
     currentNet,
-    lastActionAmount,
+    actionLog: playerLog.log,
+    hasMoreHistory: playerHistory.hasMore,
+    roundCount,
+    // Older entries may still be on the server even when the loaded log is empty
+    canUndo: canUndo(playerLog.log) || (playerHistory.hasMore && playerLog.log.length > 0),
+    canRedo: playerLog.redo.length > 0,
+    pendingCount: pendingOps.length,
+    pendingEntryIds: pendingEntryIds(pendingOps),
+    syncOffline,
+    sittingOut,
     bankerNet,
     players,
+    presence,
     roomStatus,
+    settlement,
+    roomPreset,
+    roomRake,
+    roomMoney: { currency: roomCurrency, whole: wholeUnits },
+    rakeTotal,
+    bankroll,
+    roundNumber,
+    roundOpen,
+    roundPhase,
+    phaseEndsAt,
     error,
+    dismissError,
     loading,
 
     // Multiplayer actions
@@ -578,11 +1685,35 @@ export function useGameSession() {
     joinRoom,
     setPlayerBase,
     playerAction,
+    playerLedger,
     playerUndo,
+    playerRedo,
     playerMassTie,
+    toggleSitOut,
+    loadMoreHistory,
+    loadAllHistory,
+    fetchPlayerHistory,
+    fetchRoomHistory,
+    fetchRoomUpdates,
+    fetchRoomDisputes,
+    advanceRound,
+    finishRound,
     promptPlayerTie,
+    tiePrompts,
+    cancelTiePrompt,
     tiePromptActive,
     resolveTiePrompt,
+    proposeEdit,
+    editRequests,
+    fetchRoundEdits,
+    editProposal: editProposals[0] || null,
+    resolveEditProposal,
+    playerDispute,
+    resolvePlayerDispute,
+    disputeOutcome,
+    dismissDisputeOutcome,
+    settleRoom,
+    markTransferPaid,
     leaveRoom,
   };
 }
@@ -0,0 +1,40 @@
+/**
+ * useTranslation.jsx
+ * ===================
+ * The device's UI language (see lib/i18n.js), shared through context so
+ * every component can translate without the boards passing it down.
+ *
+ * const { t, language, setLanguage, locale } = useTranslation();
+ *   t:      t(key, params) in the current language
+ *   locale: the language's number/date locale, for money.js and dates
+ */
+
+import { createContext, useCallback, useContext, useMemo, useState } from 'react';
+import { DEFAULT_LANGUAGE, createTranslator, languageInfo, loadLanguage, saveLanguage, translate } from '../lib/i18n';
+
+const I18nContext = createContext({
+  t: translate,
+  language: DEFAULT_LANGUAGE,
+  locale: languageInfo(DEFAULT_LANGUAGE).locale,
+  setLanguage: () => {},
+});
+
+export function I18nProvider({ children }) {
+  const [language, setLanguageState] = useState(loadLanguage);
+
+  const setLanguage = useCallback((code) => {
+    saveLanguage(code);
+    setLanguageState(code);
+  }, []);
+
+  const value = useMemo(
+    () => ({ t: createTranslator(language), language, locale: languageInfo(language).locale, setLanguage }),
+    [language, setLanguage]
+  );
+
+  return <I18nContext.Provider value={value}>{children}</I18nContext.Provider>;
+}
+
+export function useTranslation() {
+  return useContext(I18nContext);
+}
@@ -0,0 +1,305 @@
+/**
+ * actionLog.js
+ * =============
+ * Event-sourced action log shared by single-player and multiplayer modes.
+ *
+ * The log is an array of entries, newest first (the order history has
+ * always been shown in; in multiplayer it is stored as rows of the `rounds`
+ * table, see roundHistory.js). Net, base amount and round count are never stored on
+ * their own — they are derived from the log, so undo/redo is nothing more
+ * than moving entries between the log and a redo stack.
+ *
+ * Entry shape:
+ *   { id, type, multiplier, amount, rake, count, base, round, rounds, ts, time }
+ *   type: 'win' | 'loss' | 'tie' | 'mass_tie' | 'base'
+ *         | 'buy_in' | 'top_up' | 'cash_out'   (bankroll ledger, see below)
+ *         | 'sit_out'                          (rounds skipped while sitting out)
+ *   round / rounds: banker round number(s) the entry belongs to (see rounds.js)
+ *   rake: the banker's cut taken from a win, already out of `amount` (see rake.js)
+ *   amount / base / rake are integer cents (see money.js)
+ *   editedAt: set once the banker has corrected the round (see corrections.js)
+ *
+ * A sit-out entry records the rounds a player skipped while sitting out.
+ * It covers them (`rounds`) like a mass tie, but they were never played:
+ * no amount, and they do not count as rounds played.
+ *
+ * Bankroll ledger entries record money brought to or taken from the table.
+ * Their `amount` is signed (buy-ins and top-ups positive, cash-outs
+ * negative) and counts towards the bankroll, never the net: chips on the
+ * table = bankroll + net.
+ *
+ * Older records ({ id, multiplier, amount, time }) carry no
+ * `type`; entryType() infers it from the multiplier sign. Logs saved before
+ * amounts were kept in cents go through logToCents() once.
+ */
+
+import { v4 as uuidv4 } from 'uuid';
+import { payout } from './presets.js';
+import { computeRake } from './rake.js';
+import { DEFAULT_MONEY, formatMoney, toCents } from './money.js';
+import { translate } from './i18n.js';
+
+export const ACTION_TYPES = {
+  WIN: 'win',
+  LOSS: 'loss',
+  TIE: 'tie',
+  MASS_TIE: 'mass_tie',
+  BASE: 'base',
+  BUY_IN: 'buy_in',
+  TOP_UP: 'top_up',
+  CASH_OUT: 'cash_out',
+  SIT_OUT: 'sit_out',
+};
+
+const ROUND_TYPES = [ACTION_TYPES.WIN, ACTION_TYPES.LOSS, ACTION_TYPES.TIE, ACTION_TYPES.MASS_TIE];
+const LEDGER_TYPES = [ACTION_TYPES.BUY_IN, ACTION_TYPES.TOP_UP, ACTION_TYPES.CASH_OUT];
+
+/** HH:MM:SS clock string used for display in the history list */
+export function formatClock(ts) {
+  return new Date(ts).toLocaleTimeString('en-US', {
+    hour12: false,
+    hour: '2-digit',
+    minute: '2-digit',
+    second: '2-digit',
+  });
+}
+
+// ---------------------------------------------------------------------------
+// Entry factories
+// ---------------------------------------------------------------------------
+
+/**
+ * A single round played at `base` with the given multiplier (0 = tie). The
+ * amount follows the game preset's payout math (see presets.js), less the
+ * room's rake on a win (see rake.js).
+ */
+export function createRoundEntry(multiplier, base, round = null, { preset = null, rake = null } = {}) {
+  const ts = Date.now();
+  return {
+    id: uuidv4(),
+    ...roundOutcome(multiplier, base, preset, rake),
+    base,
+    round,
+    ts,
+    time: formatClock(ts),
+  };
+}
+
+/**
+ * The same round entry with another multiplier, worked out again from the
+ * entry's own base (see corrections.js). Id, round and time are kept.
+ */
+export function correctRoundEntry(entry, multiplier, { preset = null, rake = null } = {}) {
+  const { rake: _oldRake, ...rest } = entry;
+  return { ...rest, ...roundOutcome(multiplier, entry.base || 0, preset, rake) };
+}
+
+/** Type, multiplier, amount and rake of a round played at `base` */
+function roundOutcome(multiplier, base, preset, rake) {
+  const gross = payout(preset, base, multiplier);
+  const rakeAmount = computeRake(rake, gross);
+  return {
+    type: multiplier > 0 ? ACTION_TYPES.WIN : multiplier < 0 ? ACTION_TYPES.LOSS : ACTION_TYPES.TIE,
+    multiplier,
+    amount: gross - rakeAmount,
+    ...(rakeAmount > 0 && { rake: rakeAmount }),
+  };
+}
+
+/** Several tied rounds logged at once (e.g. after a banker prompt) */
+export function createMassTieEntry(rounds) {
+  const ts = Date.now();
+  return {
+    id: uuidv4(),
+    type: ACTION_TYPES.MASS_TIE,
+    multiplier: 0,
+    amount: 0,
+    count: rounds.length,
+    rounds,
+    ts,
+    time: formatClock(ts),
+  };
+}
+
+/** The rounds a player skipped while sitting out, logged when they return */
+export function createSitOutEntry(rounds) {
+  const ts = Date.now();
+  return {
+    id: uuidv4(),
+    type: ACTION_TYPES.SIT_OUT,
+    multiplier: 0,
+    amount: 0,
+    count: rounds.length,
+    rounds,
+    ts,
+    time: formatClock(ts),
+  };
+}
+
+/** A change of the player's base amount */
+export function createBaseEntry(base) {
+  const ts = Date.now();
+  return {
+    id: uuidv4(),
+    type: ACTION_TYPES.BASE,
+    multiplier: 0,
+    amount: 0,
+    base,
+    ts,
+    time: formatClock(ts),
+  };
+}
+
+/**
+ * Money brought to the table (buy-in, top-up) or taken off it (cash-out).
+ * `amount` is the positive sum handed over; the entry stores it signed.
+ */
+export function createLedgerEntry(type, amount) {
+  const ts = Date.now();
+  return {
+    id: uuidv4(),
+    type,
+    multiplier: 0,
+    amount: type === ACTION_TYPES.CASH_OUT ? -amount : amount,
+    ts,
+    time: formatClock(ts),
+  };
+}
+
+// ---------------------------------------------------------------------------
+// Derivations
+// ---------------------------------------------------------------------------
+
+export function entryType(entry) {
+  if (entry.type) return entry.type;
+  if (entry.multiplier > 0) return ACTION_TYPES.WIN;
+  if (entry.multiplier < 0) return ACTION_TYPES.LOSS;
+  return ACTION_TYPES.TIE;
+}
+
+export function isRoundEntry(entry) {
+  return ROUND_TYPES.includes(entryType(entry));
+}
+
+export function isLedgerEntry(entry) {
+  return LEDGER_TYPES.includes(entryType(entry));
+}
+
+/** Net = sum of every round amount in the log */
+export function deriveNet(log) {
+  return log.reduce((sum, e) => (isRoundEntry(e) ? sum + (e.amount || 0) : sum), 0);
+}
+
+/** Bankroll = buy-ins + top-ups − cash-outs */
+export function deriveBankroll(log) {
+  return log.reduce((sum, e) => (isLedgerEntry(e) ? sum + (e.amount || 0) : sum), 0);
+}
+
+/** Rake = sum of the banker's cut over every round in the log */
+export function deriveRake(log) {
+  return log.reduce((sum, e) => sum + (e.rake || 0), 0);
+}
+
+/** Base = the most recent base entry, or `fallback` if none was ever logged */
+export function deriveBase(log, fallback = 0) {
+  const latest = log.find((e) => entryType(e) === ACTION_TYPES.BASE);
+  return latest ? latest.base : fallback;
+}
+
+/**
+ * Short description for history lists, e.g. "x3 (Win)" or "Tie ×4", in the
+ * language of `t` (see i18n.js)
+ */
+export function entryLabel(entry, money = DEFAULT_MONEY, t = translate) {
+  const type = entryType(entry);
+  if (type === ACTION_TYPES.BASE) return t('entry.base', { amount: formatMoney(entry.base, money) });
+  if (type === ACTION_TYPES.CASH_OUT) return t('entry.cash_out', { amount: formatMoney(-entry.amount, money) });
+  if (isLedgerEntry(entry)) return t(`entry.${type}`, { amount: formatMoney(entry.amount, money) });
+  if (type === ACTION_TYPES.MASS_TIE) return t('entry.mass_tie', { count: entry.count });
+  if (type === ACTION_TYPES.SIT_OUT) return t('entry.sit_out', { count: entry.count });
+  if (type === ACTION_TYPES.TIE) return t('entry.tie');
+  return t(type === ACTION_TYPES.WIN ? 'entry.win' : 'entry.loss', { multiplier: Math.abs(entry.multiplier) });
+}
+
+/** Number of rounds played (a mass tie counts once per tied round) */
+export function countRounds(log) {
+  return log.reduce((sum, e) => {
+    if (!isRoundEntry(e)) return sum;
+    return sum + (entryType(e) === ACTION_TYPES.MASS_TIE ? e.count || 0 : 1);
+  }, 0);
+}
+
+/**
+ * The win/loss streak ending at the newest round.
+ * Ties break a streak; base changes and bankroll entries are skipped over.
+ * Returns { type: 'win' | 'loss', count } or null.
+ */
+export function currentStreak(log) {
+  let type = null;
+  let count = 0;
+  for (const e of log) {
+    const t = entryType(e);
+    if (!isRoundEntry(e)) continue;
+    if (t !== ACTION_TYPES.WIN && t !== ACTION_TYPES.LOSS) break;
+    if (type && t !== type) break;
+    type = t;
+    count++;
+  }
+  return type ? { type, count } : null;
+}
+
+/**
+ * The streak to celebrate going from `prevLog` to `log`: one of 3+ that a
+ * newly logged (or redone) entry lengthened. Undoing and paging in older
+ * entries never count. Returns a currentStreak() result or null.
+ */
+export function newStreak(prevLog, log) {
+  const newest = log[0];
+  if (!newest || prevLog.some((e) => e.id === newest.id)) return null;
+  const streak = currentStreak(log);
+  if (!streak || streak.count < 3) return null;
+  const before = currentStreak(prevLog);
+  return before && before.type === streak.type && before.count >= streak.count ? null : streak;
+}
+
+/** An entry saved while amounts were still whole units, in cents */
+export function entryToCents(entry) {
+  return {
+    ...entry,
+    amount: toCents(entry.amount),
+    ...(entry.rake != null && { rake: toCents(entry.rake) }),
+    ...(entry.base != null && { base: toCents(entry.base) }),
+  };
+}
+
+export function logToCents(log) {
+  return log.map(entryToCents);
+}
+
+// ---------------------------------------------------------------------------
+// Undo / redo
+// ---------------------------------------------------------------------------
+
+/**
+ * The first base entry of a session is the floor of the undo stack —
+ * undoing it would leave the board with no base to play against.
+ */
+export function canUndo(log) {
+  if (log.length === 0) return false;
+  return !(log.length === 1 && entryType(log[0]) === ACTION_TYPES.BASE);
+}
+
+/** Append a new entry. Any pending redo history is discarded. */
+export function appendEntry({ log }, entry) {
+  return { log: [entry, ...log], redo: [] };
+}
+
+export function undoEntry({ log, redo }) {
+  if (!canUndo(log)) return { log, redo };
+  return { log: log.slice(1), redo: [log[0], ...redo] };
+}
+
+export function redoEntry({ log, redo }) {
+  if (redo.length === 0) return { log, redo };
+  return { log: [redo[0], ...log], redo: redo.slice(1) };
+}
@@ -0,0 +1,71 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  ACTION_TYPES,
+  appendEntry,
+  canUndo,
+  createBaseEntry,
+  createRoundEntry,
+  currentStreak,
+  deriveNet,
+  newStreak,
+  redoEntry,
+  undoEntry,
+} from './actionLog.js';
+
+/** A { log, redo } state from multipliers, oldest first */
+function play(...multipliers) {
+  return multipliers.reduce((state, m) => appendEntry(state, createRoundEntry(m, 1000)), {
+    log: [createBaseEntry(1000)],
+    redo: [],
+  });
+}
+
+test('undo and redo walk the log and keep the net in step', () => {
+  const played = play(1, -2, 3);
+  assert.equal(deriveNet(played.log), 2000);
+
+  const undone = undoEntry(undoEntry(played));
+  assert.equal(deriveNet(undone.log), 1000);
+  assert.equal(undone.redo.length, 2);
+
+  const redone = redoEntry(undone);
+  assert.equal(deriveNet(redone.log), -1000);
+  assert.equal(redone.log[0].id, undone.redo[0].id);
+
+  // A new entry drops what was left to redo
+  assert.deepEqual(appendEntry(redone, createRoundEntry(1, 1000)).redo, []);
+});
+
+test('the first base entry is the floor of the undo stack', () => {
+  const start = play();
+  assert.equal(canUndo(start.log), false);
+  assert.deepEqual(undoEntry(start), start);
+  assert.deepEqual(redoEntry(start), start);
+});
+
+test('the current streak skips base changes and is broken by a tie', () => {
+  const { log } = appendEntry(play(1, 0, -1, -2), createBaseEntry(2000));
+  assert.deepEqual(currentStreak(log), { type: ACTION_TYPES.LOSS, count: 2 });
+  assert.equal(currentStreak(play(1, 0).log), null);
+});
+
+test('a newly logged round that makes a streak of three is celebrated', () => {
+  const before = play(1, 2);
+  const after = appendEntry(before, createRoundEntry(1, 1000));
+  assert.deepEqual(newStreak(before.log, after.log), { type: ACTION_TYPES.WIN, count: 3 });
+  assert.equal(newStreak(play(1).log, play(1, 2).log), null);
+});
+
+test('undoing back onto a streak is not celebrated', () => {
+  // Newest first: L, W, W, W — undoing the loss reveals three wins
+  const played = play(1, 1, 1, -1);
+  const undone = undoEntry(played);
+  assert.deepEqual(currentStreak(undone.log), { type: ACTION_TYPES.WIN, count: 3 });
+  assert.equal(newStreak(played.log, undone.log), null);
+});
+
+test('paging in older rounds does not celebrate a longer streak', () => {
+  const { log } = play(1, 1, 1, 1);
+  assert.equal(newStreak(log.slice(0, 3), log), null);
+});
@@ -0,0 +1,130 @@
+/**
+ * actionQueue.js
+ * ===============
+ * Durable queue of multiplayer log operations that have not reached the
+ * server yet.
+ *
+ * Every player action is recorded here first (in localStorage, one queue per
+ * room and device) and removed only once the server has accepted it, so
+ * switching rooms never drops or misdirects another room's pending ops. Ops are applied
+ * by entry id, so replaying one that already landed is a no-op — the
+ * queue can always be rebased onto whatever the server row holds.
+ *
+ * Op shape:
+ *   { id, type: 'append', entry, queuedAt }
+ *   { id, type: 'undo', entryId, queuedAt }
+ *   { id, type: 'edit', entry, edit, queuedAt }   banker correction (see corrections.js)
+ *   { id, type: 'dispute', entryId, dispute, queuedAt }   see disputes.js
+ *   { id, type: 'sit_out', since, entry, queuedAt }
+ *     sit out after round `since`, or with `since` null come back; `entry`
+ *     is the sit_out entry for the rounds skipped meanwhile (logged as sat
+ *     out rather than as ties), or null
+ */
+
+import { v4 as uuidv4 } from 'uuid';
+
+const STORAGE_KEY = 'pending_actions';
+
+const storageKey = (roomId, deviceUuid) => `${STORAGE_KEY}:${roomId}:${deviceUuid}`;
+
+export function createAppendOp(entry) {
+  return { id: uuidv4(), type: 'append', entry, queuedAt: Date.now() };
+}
+
+export function createUndoOp(entryId) {
+  return { id: uuidv4(), type: 'undo', entryId, queuedAt: Date.now() };
+}
+
+export function createEditOp(entry, edit) {
+  return { id: uuidv4(), type: 'edit', entry, edit, queuedAt: Date.now() };
+}
+
+export function createDisputeOp(entryId, dispute) {
+  return { id: uuidv4(), type: 'dispute', entryId, dispute, queuedAt: Date.now() };
+}
+
+export function createSitOutOp(since, entry = null) {
+  return { id: uuidv4(), type: 'sit_out', since, entry, queuedAt: Date.now() };
+}
+
+/** Apply one op to a log (newest first). Idempotent by entry id. */
+export function applyOp(log, op) {
+  if (op.type === 'append') {
+    return log.some((e) => e.id === op.entry.id) ? log : [op.entry, ...log];
+  }
+  if (op.type === 'sit_out') {
+    return !op.entry || log.some((e) => e.id === op.entry.id) ? log : [op.entry, ...log];
+  }
+  if (op.type === 'undo') {
+    return log.filter((e) => e.id !== op.entryId);
+  }
+  if (op.type === 'edit') {
+    return log.map((e) => (e.id === op.entry.id ? op.entry : e));
+  }
+  if (op.type === 'dispute') {
+    const { id, note, ts } = op.dispute;
+    return log.map((e) =>
+      e.id === op.entryId && e.dispute?.id !== id
+        ? { ...e, dispute: { id, status: 'open', note, raisedAt: ts, resolvedAt: null } }
+        : e
+    );
+  }
+  return log;
+}
+
+/** Replay pending ops, in order, on top of the server's log */
+export function rebaseLog(serverLog, ops) {
+  return ops.reduce(applyOp, serverLog);
+}
+
+/** Entry ids appended, corrected or disputed locally but not yet confirmed by the server */
+export function pendingEntryIds(ops) {
+  return new Set(
+    ops
+      .filter((op) => op.type !== 'undo')
+      .map((op) => op.entryId ?? op.entry?.id)
+      .filter((id) => id != null)
+  );
+}
+
+/**
+ * The round a player sat out after, or null while they play: the latest
+ * queued sit-out op, or else the server row
+ */
+export function sittingOutSince(row, ops) {
+  const latest = ops.filter((op) => op.type === 'sit_out').at(-1);
+  return latest ? latest.since : row?.sitting_out_since ?? null;
+}
+
+// ---------------------------------------------------------------------------
+// Persistence
+// ---------------------------------------------------------------------------
+
+export function loadQueue(roomId, deviceUuid) {
+  try {
+    moveLegacyQueue(roomId, deviceUuid);
+    const saved = JSON.parse(localStorage.getItem(storageKey(roomId, deviceUuid)));
+    return saved ? saved.ops || [] : [];
+  } catch {
+    return [];
+  }
+}
+
+/** An emptied queue has been flushed to the server, so only then is it dropped */
+export function saveQueue(roomId, deviceUuid, ops) {
+  if (ops.length === 0) {
+    localStorage.removeItem(storageKey(roomId, deviceUuid));
+    return;
+  }
+  localStorage.setItem(storageKey(roomId, deviceUuid), JSON.stringify({ ops }));
+}
+
+/** Queues saved under the old single key move to their room's own key */
+function moveLegacyQueue(roomId, deviceUuid) {
+  const saved = JSON.parse(localStorage.getItem(STORAGE_KEY));
+  if (!saved || saved.sessionId !== roomId) return;
+  if ((saved.ops || []).length > 0 && !localStorage.getItem(storageKey(roomId, deviceUuid))) {
+    localStorage.setItem(storageKey(roomId, deviceUuid), JSON.stringify({ ops: saved.ops }));
+  }
+  localStorage.removeItem(STORAGE_KEY);
+}
@@ -0,0 +1,90 @@
+/**
+ * backend.js
+ * ===========
+ * Picks the backend useGameSession talks to, from a connection setting:
+ *   { kind: 'cloud' }                 Supabase
+ *   { kind: 'lan', lanUrl }           self-hosted LAN room server
+ *   { kind: 'local' }                 tabs of this browser only
+ *
+ * Every backend implements the same interface. Reads and writes resolve to
+ * Supabase-style `{ data, error }` results; `error.code` is set when the
+ * backend rejected the request and empty when it could not be reached.
+ *
+ *   name                                    'cloud' | 'lan' | 'local'
+ *
+ *   getRoom(roomId)                         → { data: room | null, error }
+ *   createRoom(row)                         → { error }
+ *   updateRoom(roomId, patch)               → { error }
+ *   markTransferPaid(roomId, transferId, uuid)
+ *                                           → { data: room, error }  (atomic, see settlement.js)
+ *
+ *   getPlayer(roomId, uuid)                 → { data: player | null, error }
+ *   listPlayers(roomId)                     → { data: player[], error }
+ *   countPlayers(roomId)                    → { count, error }
+ *     seats taken: the banker and players, not spectators
+ *   upsertPlayer(row)                       → { error }
+ *   updatePlayer(roomId, uuid, patch)       → { error }
+ *
+ *   applyPlayerAction(roomId, uuid, entry)  → { data: player, error }  (atomic)
+ *   undoPlayerAction(roomId, uuid, entryId) → { data: player, error }  (atomic)
+ *   recordMassTie(roomId, uuid, entry)      → { data: player, error }  (atomic)
+ *   editPlayerAction(roomId, uuid, entry, edit)
+ *                                           → { data: player, error }  (atomic, see corrections.js)
+ *   disputePlayerAction(roomId, uuid, entryId, dispute)
+ *                                           → { data: player, error }  (atomic, see disputes.js)
+ *   resolveDispute(roomId, uuid, entryId, resolution)
+ *                                           → { data: player, error }  (atomic, banker only)
+ *   setSittingOut(roomId, uuid, since, entry)
+ *                                           → { data: player, error }  (atomic, see actionQueue.js)
+ *     sit out after round `since`, or with `since` null come back, logging
+ *     the rounds skipped as `entry` (a sit_out entry, or null)
+ *
+ *   listRounds(roomId, { playerUuid, before, after, disputeStatus, limit })
+ *                                           → { data: round[], error }
+ *     rows of the `rounds` table, newest first; `before` is a `seq` to page
+ *     below, `after` one to read above (rows added since), `disputeStatus`
+ *     e.g. 'open'; `playerUuid` omitted reads the whole room (see roundHistory.js)
+ *   listRoundEdits(roomId, { playerUuid })  → { data: edit[], error }
+ *     rows of the `round_edits` audit log, newest first (see corrections.js)
+ *
+ *   subscribe(roomId, { onPlayerChange, onBroadcast, onStatus })
+ *     → { send(event, payload), unsubscribe() }
+ *     onPlayerChange({ eventType, new, old })  postgres_changes-style payload
+ *     onBroadcast: { [event]: (payload) => void }
+ *     onStatus(status)                         'SUBSCRIBED' once connected
+ *
+ * Implementations: supabaseBackend (supabase.js), createLanBackend
+ * (lanBackend.js), createLocalBackend (localBackend.js).
+ */
+
+import { supabaseBackend } from './supabase';
+import { createLanBackend, normalizeLanUrl } from './lanBackend';
+import { createLocalBackend } from './localBackend';
+
+/**
+ * The connection a fresh device starts with. `?backend=local` in the URL
+ * wins over the VITE_BACKEND build setting. When the app is served by the
+ * LAN server itself, default to that server.
+ */
+export function defaultConnection() {
+  const fromUrl = new URLSearchParams(window.location.search).get('backend');
+  const kind = fromUrl || import.meta.env.VITE_BACKEND || 'cloud';
+  const servedByLan = window.location.port === '8787';
+  return {
+    kind: servedByLan && kind === 'cloud' ? 'lan' : kind,
+    lanUrl: servedByLan ? window.location.host : '',
+  };
+}
+
+// One instance per connection, so every caller shares its socket / channel
+const instances = new Map();
+
+export function getBackend({ kind, lanUrl } = {}) {
+  const key = kind === 'lan' ? `lan|${normalizeLanUrl(lanUrl)}` : kind;
+  if (!instances.has(key)) {
+    if (kind === 'lan') instances.set(key, createLanBackend(normalizeLanUrl(lanUrl)));
+    else if (kind === 'local') instances.set(key, createLocalBackend());
+    else instances.set(key, supabaseBackend);
+  }
+  return instances.get(key);
+}
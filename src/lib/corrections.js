@@ -0,0 +1,70 @@
+/**
+ * corrections.js
+ * ===============
+ * Banker corrections of a player's logged rounds, with an audit trail.
+ *
+ * A player can undo a mistyped round only until the next one is logged.
+ * After that the banker proposes a correction from the player's history,
+ * and the player approves or rejects it on their own device:
+ *
+ *   banker → 'propose_edit'  { target_uuid, proposal }
+ *   player → 'edit_response' { proposal_id, player_uuid, accepted }
+ *
+ * An approved proposal goes through the player's offline queue as an 'edit'
+ * op (see actionQueue.js). The backend rewrites the round in place — its
+ * amount worked out again from the entry's own base at the room's preset
+ * and rake (correctRoundEntry in actionLog.js) — and records the change in
+ * the `round_edits` audit log together with the values the round held
+ * before. Only single win, loss and tie rounds can be corrected.
+ *
+ * Proposal shape:
+ *   { id, entryId, round, from: { type, multiplier, amount }, multiplier, proposedBy, ts }
+ *
+ * Audit record shape (a `round_edits` row, see supabase/migrations):
+ *   { id, entryId, round, playerUuid, editedBy, disputeId, from, to, ts }
+ *   from / to: { type, multiplier, amount }
+ *   disputeId: the dispute it settled if the banker amended a disputed
+ *              round (see disputes.js), otherwise null
+ */
+
+import { v4 as uuidv4 } from 'uuid';
+import { ACTION_TYPES, entryType } from './actionLog.js';
+
+const CORRECTABLE_TYPES = [ACTION_TYPES.WIN, ACTION_TYPES.LOSS, ACTION_TYPES.TIE];
+
+export function isCorrectable(entry) {
+  return CORRECTABLE_TYPES.includes(entryType(entry));
+}
+
+/** The banker's proposal to play `entry` at `multiplier` instead */
+export function createEditProposal(entry, multiplier, bankerUuid) {
+  return {
+    id: uuidv4(),
+    entryId: entry.id,
+    round: entry.round ?? null,
+    from: { type: entryType(entry), multiplier: entry.multiplier, amount: entry.amount },
+    multiplier,
+    proposedBy: bankerUuid,
+    ts: Date.now(),
+  };
+}
+
+/** What the player's device sends with an approved proposal (see edit_player_action) */
+export function createEditRecord(proposal) {
+  return { id: proposal.id, edited_by: proposal.proposedBy, ts: Date.now() };
+}
+
+/** A `round_edits` row as an audit record */
+export function editRowToRecord(row) {
+  return {
+    id: row.id,
+    entryId: row.entry_id,
+    round: row.round_number ?? null,
+    playerUuid: row.player_uuid,
+    editedBy: row.edited_by,
+    disputeId: row.dispute_id ?? null,
+    from: { type: row.from_type, multiplier: Number(row.from_multiplier), amount: Number(row.from_amount) },
+    to: { type: row.to_type, multiplier: Number(row.to_multiplier), amount: Number(row.to_amount) },
+    ts: Number(row.ts),
+  };
+}
@@ -0,0 +1,55 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createEditProposal, createEditRecord, editRowToRecord, isCorrectable } from './corrections.js';
+import { ACTION_TYPES, createBaseEntry, createLedgerEntry, createMassTieEntry, createRoundEntry } from './actionLog.js';
+
+test('only single win, loss and tie rounds can be corrected', () => {
+  assert.equal(isCorrectable(createRoundEntry(2, 1000, 1)), true);
+  assert.equal(isCorrectable(createRoundEntry(-1, 1000, 1)), true);
+  assert.equal(isCorrectable(createRoundEntry(0, 1000, 1)), true);
+  assert.equal(isCorrectable(createMassTieEntry([1, 2])), false);
+  assert.equal(isCorrectable(createBaseEntry(1000)), false);
+  assert.equal(isCorrectable(createLedgerEntry(ACTION_TYPES.BUY_IN, 5000)), false);
+});
+
+test('a proposal keeps what the round held before', () => {
+  const entry = createRoundEntry(-1, 1000, 7);
+  const proposal = createEditProposal(entry, 2, 'banker-1');
+  assert.equal(proposal.entryId, entry.id);
+  assert.equal(proposal.round, 7);
+  assert.deepEqual(proposal.from, { type: ACTION_TYPES.LOSS, multiplier: -1, amount: -1000 });
+  assert.equal(proposal.multiplier, 2);
+  assert.equal(proposal.proposedBy, 'banker-1');
+
+  const record = createEditRecord(proposal);
+  assert.equal(record.id, proposal.id);
+  assert.equal(record.edited_by, 'banker-1');
+});
+
+test('a round_edits row reads back as an audit record with numeric amounts', () => {
+  const record = editRowToRecord({
+    id: 'e1',
+    entry_id: 'r1',
+    round_number: null,
+    player_uuid: 'p1',
+    edited_by: 'b1',
+    from_type: 'loss',
+    from_multiplier: '-1',
+    from_amount: '-1000',
+    to_type: 'win',
+    to_multiplier: '2',
+    to_amount: '2000',
+    ts: '1760000000000',
+  });
+  assert.deepEqual(record, {
+    id: 'e1',
+    entryId: 'r1',
+    round: null,
+    playerUuid: 'p1',
+    editedBy: 'b1',
+    disputeId: null,
+    from: { type: 'loss', multiplier: -1, amount: -1000 },
+    to: { type: 'win', multiplier: 2, amount: 2000 },
+    ts: 1760000000000,
+  });
+});
@@ -0,0 +1,68 @@
+/**
+ * disputes.js
+ * ============
+ * Contested rounds. A player flags any entry of their history as disputed,
+ * with an optional note; the banker sees every open dispute and resolves it:
+ *
+ *   accepted   the banker agrees with the entry as the player logged it
+ *   amended    the banker corrects it — rewritten and audited like any
+ *              banker correction (see corrections.js), no approval needed
+ *              since the player asked for it
+ *   rejected   the banker turns the dispute down; the entry stays as logged
+ *              and keeps the marker, so the disagreement is on record
+ *
+ * Raising a dispute goes through the player's offline queue as a 'dispute'
+ * op (see actionQueue.js). Resolving is one atomic backend call made by the
+ * banker, whose outcome is broadcast back to the player:
+ *
+ *   banker → 'dispute_resolved' { target_uuid, entry_id, round, status }
+ *
+ * The dispute lives on the entry's `rounds` row, so it travels with the
+ * entry into histories, archives, exports and the summary report.
+ *
+ * Entry field:
+ *   dispute: { id, status, note, raisedAt, resolvedAt }
+ */
+
+import { v4 as uuidv4 } from 'uuid';
+import { correctRoundEntry } from './actionLog.js';
+import { createEditRecord } from './corrections.js';
+
+export const DISPUTE_STATUSES = {
+  OPEN: 'open',
+  ACCEPTED: 'accepted',
+  AMENDED: 'amended',
+  REJECTED: 'rejected',
+};
+
+export const MAX_NOTE_LENGTH = 200;
+
+export function isDisputeOpen(entry) {
+  return entry.dispute?.status === DISPUTE_STATUSES.OPEN;
+}
+
+/** What the player's device sends to raise a dispute (see dispute_player_action) */
+export function createDispute(note = '') {
+  return { id: uuidv4(), note: note.trim().slice(0, MAX_NOTE_LENGTH), ts: Date.now() };
+}
+
+/** Every open dispute in a room's history, oldest first */
+export function openDisputes(history) {
+  return history.filter(isDisputeOpen).sort((a, b) => a.dispute.raisedAt - b.dispute.raisedAt);
+}
+
+/**
+ * The banker's resolution of `entry`'s dispute (see resolve_dispute). An
+ * amendment plays the entry at `multiplier` instead, at the room's preset
+ * and rake, and is logged as a correction.
+ */
+export function createResolution(entry, status, bankerUuid, { multiplier, preset = null, rake = null } = {}) {
+  const resolution = { dispute_id: entry.dispute.id, status, resolved_by: bankerUuid, ts: Date.now() };
+  if (status !== DISPUTE_STATUSES.AMENDED) return resolution;
+  const edit = createEditRecord({ id: uuidv4(), proposedBy: bankerUuid });
+  return {
+    ...resolution,
+    entry: { ...correctRoundEntry(entry, multiplier, { preset, rake }), editedAt: edit.ts },
+    edit,
+  };
+}
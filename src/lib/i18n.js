@@ -0,0 +1,66 @@
+/**
+ * i18n.js
+ * ========
+ * UI translations: English, 中文 and Bahasa Melayu.
+ *
+ * Each language is a flat table of keys (see locales/), e.g.
+ * 'player.currentNet' → 'Current Net'. A key missing from a language falls
+ * back to English, and a key missing from English shows as itself.
+ *
+ * Texts take `{name}` placeholders, filled from the params passed to t().
+ * With a `count` param, a `<key>_one` text is used when count is 1 (only
+ * English needs one). A few keys hold lists (the LED phrase packs) and are
+ * returned as they are.
+ *
+ * The language is a per-device choice kept in localStorage; the browser's
+ * own language is used until one is picked.
+ */
+
+import en from './locales/en.js';
+import zh from './locales/zh.js';
+import ms from './locales/ms.js';
+
+export const LANGUAGES = [
+  { code: 'en', name: 'English', locale: 'en-US' },
+  { code: 'zh', name: '中文', locale: 'zh-CN' },
+  { code: 'ms', name: 'Bahasa Melayu', locale: 'ms-MY' },
+];
+
+export const DEFAULT_LANGUAGE = 'en';
+
+const MESSAGES = { en, zh, ms };
+
+const LANGUAGE_KEY = 'language';
+
+export function languageInfo(code) {
+  return LANGUAGES.find((l) => l.code === code) || LANGUAGES.find((l) => l.code === DEFAULT_LANGUAGE);
+}
+
+/** The saved language, else the browser's if we have it, else English */
+export function loadLanguage() {
+  const saved = localStorage.getItem(LANGUAGE_KEY);
+  if (MESSAGES[saved]) return saved;
+  const browser = (navigator.language || '').slice(0, 2).toLowerCase();
+  return MESSAGES[browser] ? browser : DEFAULT_LANGUAGE;
+}
+
+export function saveLanguage(code) {
+  localStorage.setItem(LANGUAGE_KEY, code);
+}
+
+function lookup(messages, key, count) {
+  return (count === 1 ? messages[`${key}_one`] : undefined) ?? messages[key];
+}
+
+/** t(key, params) for one language */
+export function createTranslator(language) {
+  const messages = MESSAGES[language] || en;
+  return (key, params) => {
+    const text = lookup(messages, key, params?.count) ?? lookup(en, key, params?.count) ?? key;
+    if (typeof text !== 'string' || !params) return text;
+    return text.replace(/\{(\w+)\}/g, (match, name) => (name in params ? String(params[name]) : match));
+  };
+}
+
+/** English, for code that is not given a translator */
+export const translate = createTranslator(DEFAULT_LANGUAGE);
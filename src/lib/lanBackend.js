@@ -0,0 +1,176 @@
+/**
+ * lanBackend.js
+ * ==============
+ * Backend that talks to the self-hosted LAN room server (server/lanServer.js)
+ * over a WebSocket.
+ *
+ * Wire protocol (JSON messages):
+ *   → { type: 'call', id, method, args }        any backend.js method
+ *   ← { type: 'result', id, data, error }
+ *   → { type: 'subscribe', subId, roomId, playerChanges }
+ *   ← { type: 'subscribed', subId }
+ *   → { type: 'unsubscribe', subId }
+ *   ← { type: 'player_change', subId, change }   postgres_changes-style payload
+ *   ↔ { type: 'broadcast', roomId, event, payload } (server adds subId when relaying)
+ *
+ * The socket reconnects on its own while anything is subscribed, and every
+ * reconnect reports 'SUBSCRIBED' again so the hook can reconcile.
+ */
+
+const CONNECT_TIMEOUT_MS = 3000;
+const CALL_TIMEOUT_MS = 10000;
+const RECONNECT_DELAY_MS = 2000;
+
+/** "192.168.1.5:8787" → "ws://192.168.1.5:8787" */
+export function normalizeLanUrl(address) {
+  const trimmed = (address || '').trim();
+  if (!trimmed) return '';
+  return /^wss?:\/\//.test(trimmed) ? trimmed : `ws://${trimmed}`;
+}
+
+/** Result for a call that never reached the server (no `code`: treated as offline) */
+const unreachable = () => ({ data: null, error: { code: '', message: 'LAN server unreachable' } });
+
+export function createLanBackend(url) {
+  let socket = null;
+  let nextId = 1;
+  let reconnectTimer = null;
+  const calls = new Map(); // call id → resolve
+  const subs = new Map(); // subId → { roomId, onPlayerChange, onBroadcast, onStatus }
+
+  const sendRaw = (msg) => socket.send(JSON.stringify(msg));
+
+  const subscribeMessage = (subId, sub) => ({
+    type: 'subscribe',
+    subId,
+    roomId: sub.roomId,
+    playerChanges: !!sub.onPlayerChange,
+  });
+
+  function handleMessage(msg) {
+    const sub = subs.get(msg.subId);
+    switch (msg.type) {
+      case 'result':
+        calls.get(msg.id)?.({ data: msg.data, error: msg.error });
+        calls.delete(msg.id);
+        break;
+      case 'subscribed':
+        sub?.onStatus?.('SUBSCRIBED');
+        break;
+      case 'player_change':
+        sub?.onPlayerChange?.(msg.change);
+        break;
+      case 'broadcast':
+        sub?.onBroadcast[msg.event]?.(msg.payload || {});
+        break;
+      default:
+        break;
+    }
+  }
+
+  function connect() {
+    if (socket && socket.readyState <= WebSocket.OPEN) return;
+    clearTimeout(reconnectTimer);
+
+    socket = new WebSocket(url);
+    socket.onopen = () => {
+      for (const [subId, sub] of subs) sendRaw(subscribeMessage(subId, sub));
+    };
+    socket.onmessage = (event) => {
+      try {
+        handleMessage(JSON.parse(event.data));
+      } catch {
+        // Ignore malformed messages
+      }
+    };
+    socket.onclose = () => {
+      for (const resolve of calls.values()) resolve(unreachable());
+      calls.clear();
+      for (const sub of subs.values()) sub.onStatus?.('CLOSED');
+      if (subs.size > 0) reconnectTimer = setTimeout(connect, RECONNECT_DELAY_MS);
+    };
+  }
+
+  /** Resolve true once the socket is open, false if it does not open in time */
+  function waitForOpen() {
+    connect();
+    if (socket.readyState === WebSocket.OPEN) return Promise.resolve(true);
+    return new Promise((resolve) => {
+      const started = Date.now();
+      const check = setInterval(() => {
+        if (socket.readyState === WebSocket.OPEN || Date.now() - started > CONNECT_TIMEOUT_MS) {
+          clearInterval(check);
+          resolve(socket.readyState === WebSocket.OPEN);
+        }
+      }, 50);
+    });
+  }
+
+  async function call(method, ...args) {
+    if (!(await waitForOpen())) return unreachable();
+    const id = nextId++;
+    return new Promise((resolve) => {
+      calls.set(id, resolve);
+      sendRaw({ type: 'call', id, method, args });
+      setTimeout(() => {
+        if (calls.delete(id)) resolve(unreachable());
+      }, CALL_TIMEOUT_MS);
+    });
+  }
+
+  return {
+    name: 'lan',
+
+    // ---- rooms ----
+    getRoom: (roomId) => call('getRoom', roomId),
+    createRoom: (row) => call('createRoom', row),
+    updateRoom: (roomId, patch) => call('updateRoom', roomId, patch),
+    markTransferPaid: (roomId, transferId, uuid) => call('markTransferPaid', roomId, transferId, uuid),
+
+    // ---- players ----
+    getPlayer: (roomId, uuid) => call('getPlayer', roomId, uuid),
+    listPlayers: (roomId) => call('listPlayers', roomId),
+    countPlayers: async (roomId) => {
+      const { data, error } = await call('countPlayers', roomId);
+      return { count: data || 0, error };
+    },
+    upsertPlayer: (row) => call('upsertPlayer', row),
+    updatePlayer: (roomId, uuid, patch) => call('updatePlayer', roomId, uuid, patch),
+
+    // ---- atomic player actions ----
+    applyPlayerAction: (roomId, uuid, entry) => call('applyPlayerAction', roomId, uuid, entry),
+    undoPlayerAction: (roomId, uuid, entryId) => call('undoPlayerAction', roomId, uuid, entryId),
+    recordMassTie: (roomId, uuid, entry) => call('recordMassTie', roomId, uuid, entry),
+    editPlayerAction: (roomId, uuid, entry, edit) => call('editPlayerAction', roomId, uuid, entry, edit),
+    disputePlayerAction: (roomId, uuid, entryId, dispute) =>
+      call('disputePlayerAction', roomId, uuid, entryId, dispute),
+    resolveDispute: (roomId, uuid, entryId, resolution) => call('resolveDispute', roomId, uuid, entryId, resolution),
+    setSittingOut: (roomId, uuid, since, entry) => call('setSittingOut', roomId, uuid, since, entry),
+
+    // ---- history ----
+    listRounds: (roomId, options) => call('listRounds', roomId, options),
+    listRoundEdits: (roomId, options) => call('listRoundEdits', roomId, options),
+
+    // ---- realtime ----
+    subscribe(roomId, { onPlayerChange, onBroadcast = {}, onStatus } = {}) {
+      const subId = `sub-${nextId++}`;
+      const sub = { roomId, onPlayerChange, onBroadcast, onStatus };
+      subs.set(subId, sub);
+
+      connect();
+      if (socket.readyState === WebSocket.OPEN) sendRaw(subscribeMessage(subId, sub));
+
+      return {
+        send: (event, payload) => {
+          if (socket.readyState === WebSocket.OPEN) {
+            sendRaw({ type: 'broadcast', roomId, event, payload });
+          }
+        },
+        unsubscribe: () => {
+          subs.delete(subId);
+          if (socket.readyState === WebSocket.OPEN) sendRaw({ type: 'unsubscribe', subId });
+        },
+      };
+    },
+  };
+}
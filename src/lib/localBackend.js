@@ -0,0 +1,152 @@
+/**
+ * localBackend.js
+ * ================
+ * Offline backend: in-memory tables (memoryStore.js) replicated between
+ * browser tabs over a BroadcastChannel.
+ *
+ * Open the app in several tabs with `?backend=local` (or VITE_BACKEND=local)
+ * and they can act as banker and players with no network at all.
+ *
+ * Replication is row-based: after every write the tab posts the rows it
+ * changed, and the other tabs merge them into their own store. A tab that
+ * starts late asks for a snapshot first and waits briefly for one.
+ */
+
+import { createMemoryStore } from './memoryStore';
+
+const CHANNEL_NAME = 'gambling-tracker-local';
+const SNAPSHOT_WAIT_MS = 250;
+
+/** A BroadcastChannel, or a stand-in that goes nowhere where it is unsupported */
+function openBus() {
+  if (typeof BroadcastChannel !== 'undefined') return new BroadcastChannel(CHANNEL_NAME);
+  return { postMessage() {}, onmessage: null };
+}
+
+/** Turn a store call into the { data, error } result every backend returns */
+function toResult(fn) {
+  try {
+    return { data: fn(), error: null };
+  } catch (err) {
+    return { data: null, error: { code: err.code || 'XX000', message: err.message } };
+  }
+}
+
+export function createLocalBackend() {
+  const store = createMemoryStore();
+  const bus = openBus();
+  const subscriptions = new Set(); // { roomId, onPlayerChange, onBroadcast }
+
+  let resolveReady;
+  const ready = new Promise((resolve) => {
+    resolveReady = resolve;
+    setTimeout(resolve, SNAPSHOT_WAIT_MS); // first tab: nobody will answer
+  });
+
+  // Player changes — made here or merged from another tab — reach subscribers
+  store.onChange((change) => {
+    if (change.table !== 'players') return;
+    for (const sub of subscriptions) {
+      if (sub.onPlayerChange && (sub.roomId === change.new.room_id || sub.roomId === change.old.room_id)) {
+        sub.onPlayerChange(change);
+      }
+    }
+  });
+
+  bus.onmessage = ({ data: msg }) => {
+    switch (msg.type) {
+      case 'sync_request':
+        bus.postMessage({ type: 'snapshot', rows: store.snapshot() });
+        break;
+      case 'snapshot':
+        store.merge(msg.rows);
+        resolveReady();
+        break;
+      case 'rows':
+        store.merge(msg.rows);
+        break;
+      case 'broadcast':
+        for (const sub of subscriptions) {
+          const handler = sub.onBroadcast[msg.event];
+          if (handler && sub.roomId === msg.roomId) handler(msg.payload);
+        }
+        break;
+      default:
+        break;
+    }
+  };
+  bus.postMessage({ type: 'sync_request' });
+
+  /** Run a store write, then replicate every row it touched to the other tabs */
+  async function write(fn) {
+    await ready;
+    const touched = { rooms: [], players: [], rounds: [], round_edits: [], deletedRounds: [] };
+    const stopCollecting = store.onChange((change) => {
+      if (change.eventType === 'DELETE') touched.deletedRounds.push(change.old);
+      else touched[change.table].push(change.new);
+    });
+    const result = toResult(fn);
+    stopCollecting();
+    if (Object.values(touched).some((rows) => rows.length > 0)) {
+      bus.postMessage({ type: 'rows', rows: touched });
+    }
+    return result;
+  }
+
+  async function read(fn) {
+    await ready;
+    return toResult(fn);
+  }
+
+  return {
+    name: 'local',
+
+    // ---- rooms ----
+    getRoom: (roomId) => read(() => store.getRoom(roomId)),
+    createRoom: (row) => write(() => store.insertRoom(row)),
+    updateRoom: (roomId, patch) => write(() => store.updateRoom(roomId, patch)),
+    markTransferPaid: (roomId, transferId, uuid) =>
+      write(() => store.markTransferPaid(roomId, transferId, uuid)),
+
+    // ---- players ----
+    getPlayer: (roomId, uuid) => read(() => store.getPlayer(roomId, uuid)),
+    listPlayers: (roomId) => read(() => store.listPlayers(roomId)),
+    countPlayers: async (roomId) => {
+      const { data, error } = await read(() => store.listPlayers(roomId));
+      return { count: data ? data.filter((p) => p.role !== 'spectator').length : 0, error };
+    },
+    upsertPlayer: (row) => write(() => store.upsertPlayer(row)),
+    updatePlayer: (roomId, uuid, patch) => write(() => store.updatePlayer(roomId, uuid, patch)),
+
+    // ---- atomic player actions ----
+    applyPlayerAction: (roomId, uuid, entry) => write(() => store.applyPlayerAction(roomId, uuid, entry)),
+    undoPlayerAction: (roomId, uuid, entryId) => write(() => store.undoPlayerAction(roomId, uuid, entryId)),
+    recordMassTie: (roomId, uuid, entry) => write(() => store.recordMassTie(roomId, uuid, entry)),
+    editPlayerAction: (roomId, uuid, entry, edit) =>
+      write(() => store.editPlayerAction(roomId, uuid, entry, edit)),
+    disputePlayerAction: (roomId, uuid, entryId, dispute) =>
+      write(() => store.disputePlayerAction(roomId, uuid, entryId, dispute)),
+    resolveDispute: (roomId, uuid, entryId, resolution) =>
+      write(() => store.resolveDispute(roomId, uuid, entryId, resolution)),
+    setSittingOut: (roomId, uuid, since, entry) => write(() => store.setSittingOut(roomId, uuid, since, entry)),
+
+    // ---- history ----
+    listRounds: (roomId, options) => read(() => store.listRounds(roomId, options)),
+    listRoundEdits: (roomId, options) => read(() => store.listRoundEdits(roomId, options)),
+
+    // ---- realtime ----
+    subscribe(roomId, { onPlayerChange, onBroadcast = {}, onStatus } = {}) {
+      const sub = { roomId, onPlayerChange, onBroadcast };
+      subscriptions.add(sub);
+      ready.then(() => {
+        if (subscriptions.has(sub)) onStatus?.('SUBSCRIBED');
+      });
+
+      return {
+        // Like Supabase broadcast, the sender does not receive its own message
+        send: (event, payload) => bus.postMessage({ type: 'broadcast', roomId, event, payload }),
+        unsubscribe: () => subscriptions.delete(sub),
+      };
+    },
+  };
+}
@@ -0,0 +1,373 @@
+/**
+ * English — the fallback for every other language (see i18n.js).
+ */
+
+export default {
+  // ---- Shared ----
+  'common.cancel': 'Cancel',
+  'common.close': 'Close',
+  'common.exit': 'Exit',
+  'common.export': 'Export',
+  'common.stats': 'Stats',
+  'common.room': 'Room',
+  'common.round': 'Round',
+  'common.roundN': 'Round {n}',
+  'common.rounds': '{count} rounds',
+  'common.rounds_one': '{count} round',
+  'common.rake': 'Rake',
+  'common.rakeAmount': 'rake {amount}',
+  'common.bankroll': 'Bankroll',
+  'common.chips': 'Chips',
+  'common.base': 'Base',
+  'common.player': 'Player',
+  'common.playerN': 'Player {n}',
+  'common.tie': 'Tie',
+  'common.satOut': 'Sat out',
+  'common.spectator': 'Spectator',
+  'common.loading': 'Loading...',
+  'common.loadOlder': 'Load older rounds',
+  'common.netOverTime': 'Net over time',
+  'common.gameDuration': 'Game Duration',
+  'common.ledger': 'Buy-ins & Cash-outs',
+  'common.edited': 'Corrected by the banker',
+  'common.banker': 'Banker',
+  'common.you': 'You',
+  'common.back': 'Back',
+  'common.delete': 'Delete',
+  'dispute.open': 'Disputed',
+  'dispute.accepted': 'Dispute accepted',
+  'dispute.amended': 'Dispute amended',
+  'dispute.rejected': 'Dispute rejected',
+  'presence.online': 'Online',
+  'presence.idle': 'Idle',
+  'presence.offline': 'Offline',
+  'presence.lastSeen': 'last seen {time}',
+  'ledger.buy_in': 'Buy-in',
+  'ledger.top_up': 'Top-up',
+  'ledger.cash_out': 'Cash-out',
+
+  // ---- History entries (entryLabel in actionLog.js) ----
+  'entry.base': 'Base → {amount}',
+  'entry.buy_in': 'Buy-in {amount}',
+  'entry.top_up': 'Top-up {amount}',
+  'entry.cash_out': 'Cash-out {amount}',
+  'entry.mass_tie': 'Tie ×{count}',
+  'entry.sit_out': 'Sat out ×{count}',
+  'entry.tie': 'Tie',
+  'entry.win': 'x{multiplier} (Win)',
+  'entry.loss': 'x{multiplier} (Loss)',
+
+  // ---- Rake rule (describeRake in rake.js) ----
+  'rake.none': 'No rake',
+  'rake.fixed': '{amount} per win',
+  'rake.percent': '{percent}% of wins',
+
+  // ---- Presets (see presets.js) ----
+  'preset.title': 'Game Preset',
+  'preset.customTitle': 'Custom Preset',
+  'preset.name': 'Name',
+  'preset.namePlaceholder': 'e.g. Friday Baccarat',
+  'preset.multipliers': 'Multipliers (up to {max})',
+  'preset.winPayout': 'Win payout ratio',
+  'preset.commission': 'Commission on banker wins (%)',
+  'preset.edit': 'Edit',
+  'preset.save': 'Save',
+  'preset.new': 'New Custom',
+  'preset.winsPay': 'wins pay {ratio}x',
+  'preset.bankerWinsPay': 'banker wins pay {ratio}x',
+
+  // ---- Round phases (see rounds.js) ----
+  'phase.idle': 'No round',
+  'phase.betting': 'Betting',
+  'phase.closed': 'Closed',
+  'phase.results': 'Results',
+  'phase.endsIn': 'ends in {time}',
+  'phase.player.idle': 'Waiting for the banker to open a round',
+  'phase.player.betting': 'Betting is open — log your result once the banker opens results',
+  'phase.player.closed': 'Betting closed — results are coming',
+  'phase.player.results': 'Results are open — log your round',
+  'phase.player.expired': 'The results window has closed',
+  'phase.player.logged': 'Round {n} logged',
+  'phase.player.sittingOut': "You are sitting out — tap I'm Back to play again",
+
+  // ---- Home screen ----
+  'home.tagline': 'Real-time session tracker',
+  'home.language': 'Language',
+  'home.game': 'Game',
+  'home.change': 'Change',
+  'home.currency': 'Currency',
+  'home.wholeUnits': 'Whole units',
+  'home.single': 'Single Player',
+  'home.singleHint': 'Track wins & losses locally. No account needed.',
+  'home.connection': 'Multiplayer via',
+  'home.cloud': 'Cloud',
+  'home.lan': 'LAN server',
+  'home.lanPlaceholder': 'Server address (e.g. 192.168.1.5:8787)',
+  'home.create': 'Create Room (Banker)',
+  'home.createHint': "Start a multiplayer session. You'll be the Banker.",
+  'home.rakePercent': '% of win',
+  'home.rakeFixed': '{symbol} per win',
+  'home.rakeNone': 'None',
+  'home.join': 'Join Room',
+  'home.roomCode': 'Room code',
+  'home.joinButton': 'Join',
+  'home.watchButton': 'Watch',
+  'home.watchHint': 'Follow the room read-only, without taking a seat',
+  'home.pastGames': 'Past Games',
+  'home.deviceId': 'ID: {id}...',
+
+  // ---- Player board ----
+  'player.title': '闲 Player',
+  'player.editName': 'Edit Name',
+  'player.namePlaceholder': 'Enter name...',
+  'player.offlineQueued': 'Offline — {count} actions queued',
+  'player.offlineQueued_one': 'Offline — {count} action queued',
+  'player.syncing': 'Syncing {count} actions...',
+  'player.syncing_one': 'Syncing {count} action...',
+  'player.currentNet': 'Current Net',
+  'player.changeBase': 'Change Base Amount',
+  'player.setupPrompt': 'Set your name and base amount to start',
+  'player.nameOptional': 'Your Name (Optional)',
+  'player.basePlaceholder': 'Base Amount (e.g. 2)',
+  'player.set': 'Set',
+  'player.win': 'Win (+)',
+  'player.winPays': 'pays {ratio}x',
+  'player.loss': 'Loss (-)',
+  'player.commission': '{percent}% commission to banker',
+  'player.undo': 'Undo',
+  'player.redo': 'Redo',
+  'player.roundHistory': 'Round History',
+  'player.loadingHistory': 'Loading full history...',
+  'player.statsPartial': 'Offline — only the rounds loaded so far are counted',
+  'player.cashOutHint': 'Money taken off the table. You have {chips} in chips.',
+  'player.buyInHint': 'Money brought to the table. It adds to your bankroll, not your net.',
+  'player.amount': 'Amount',
+  'player.record': 'Record',
+  'player.tiePromptTitle': 'Message from Banker',
+  'player.tiePromptQuestion': 'Did you forget to update or pause the game?',
+  'player.tiePromptAsk': 'The Banker is asking you to log {count} Ties for {rounds}.',
+  'player.tiePromptAsk_one': 'The Banker is asking you to log a Tie for {rounds}.',
+  'player.decline': 'Decline',
+  'player.confirmTie': 'Confirm Tie',
+  'player.editTitle': 'Correction from Banker',
+  'player.editAsk': 'The Banker wants to correct {round}:',
+  'player.approve': 'Approve',
+  'player.sitOut': 'Sit Out',
+  'player.backIn': "I'm Back",
+  'player.dispute': 'Dispute this round',
+  'player.disputeTitle': 'Dispute Round',
+  'player.disputeBody': 'Tell the Banker what is wrong with {entry}.',
+  'player.disputeNote': 'Note (optional)',
+  'player.disputeSend': 'Send Dispute',
+  'player.disputeOutcome': 'Your dispute of {round}: {outcome}',
+  'player.leave': 'Leave',
+  'player.exitTitle': 'Exit Game?',
+  'player.exitBody': 'Are you sure you want to leave the game? Your current net will be lost unless you rejoin.',
+  'player.pending': 'Pending — will sync when online',
+  'player.synced': 'Synced',
+
+  // ---- Banker board ----
+  'banker.title': '庄 Banker',
+  'banker.summaryHint': 'Download Game Summary Report',
+  'banker.generating': 'Generating...',
+  'banker.summary': 'Summary',
+  'banker.endGame': 'End Game',
+  'banker.net': 'Your Net (Banker)',
+  'banker.netFormula': '= −(sum of all player nets)',
+  'banker.openBetting': 'Open Betting · Round {n}',
+  'banker.closeBetting': 'Close Betting',
+  'banker.openResults': 'Open Results',
+  'banker.finishRound': 'Finish Round {n}',
+  'banker.countdown': 'Countdown',
+  'banker.countdownOff': 'Off',
+  'banker.seconds': '{count}s',
+  'banker.activePlayers': 'Active Players',
+  'banker.moneyOnTable': 'Money on Table',
+  'banker.playerNets': 'Player Nets',
+  'banker.sittingOut': 'Sitting out · {count} players',
+  'banker.sittingOut_one': 'Sitting out · {count} player',
+  'banker.sittingOutFrom': 'from round {n}',
+  'banker.spectators': 'Watching · {count} spectators',
+  'banker.spectators_one': 'Watching · {count} spectator',
+  'banker.showHistory': 'Show round history',
+  'banker.roundsShort': '{count} R',
+  'banker.offTrack': 'Off Track',
+  'banker.offTrackHint': 'Prompt player to log missing {rounds}',
+  'banker.prompt.sent': 'Prompt sent',
+  'banker.prompt.delivered': 'Prompt seen',
+  'banker.prompt.accepted': 'Ties accepted',
+  'banker.prompt.declined': 'Prompt declined',
+  'banker.prompt.expired': 'No answer',
+  'banker.prompt.retry': 'Send the prompt again',
+  'banker.prompt.cancel': 'Cancel the prompt',
+  'banker.duplicate': 'Dup {rounds}',
+  'banker.duplicateHint': 'More than one entry for {rounds}',
+  'banker.baseShort': 'B: {amount}',
+  'banker.waiting': 'Waiting for players to join...',
+  'banker.shareLead': 'Share room code',
+  'banker.shareTail': 'with players',
+  'banker.endTitle': 'End Game?',
+  'banker.endBody': "Everyone's net is settled into who pays whom. No more rounds can be logged.",
+  'banker.roundTransfers': 'Round transfers to',
+  'banker.exact': 'Exact',
+  'banker.settleUp': 'Settle Up',
+  'banker.closeRoom': 'Close Room',
+  'banker.closeRoomAnyway': 'Close Room Anyway',
+  'banker.tab.history': 'History',
+  'banker.tab.bankroll': 'Bankroll',
+  'banker.tab.stats': 'Stats',
+  'banker.tab.edits': 'Edits',
+  'banker.historyError': "Could not load this player's history",
+  'banker.noLedger': 'No buy-ins or cash-outs loaded',
+  'banker.noRounds': 'No rounds yet',
+  'banker.correct': 'Correct this round',
+  'banker.correctTo': 'Change to',
+  'banker.editPending': 'Waiting for the player to approve',
+  'banker.editRejected': 'The player rejected this correction',
+  'banker.noEdits': 'No corrections yet',
+  'banker.editBy': 'Proposed by the banker · approved by {name}',
+  'banker.editByDispute': 'Disputed by {name} · amended by the banker',
+  'banker.disputes': '{count} open disputes',
+  'banker.disputes_one': '{count} open dispute',
+  'banker.accept': 'Accept',
+  'banker.amend': 'Amend',
+  'banker.reject': 'Reject',
+  'banker.resolveFailed': 'Could not resolve this dispute. Try again.',
+
+  // ---- Spectator board ----
+  'spectator.title': '观 Spectator',
+  'spectator.bankerNet': 'Banker Net',
+  'spectator.sittingOut': 'sitting out',
+  'spectator.readOnly': 'You are watching. Nothing you do here changes the game.',
+
+  // ---- Errors ----
+  'error.lanAddress': 'Enter the LAN server address first',
+  'error.offline': 'Cannot reach the server',
+  'error.roomNotFound': 'Room not found',
+  'error.roomEnded': 'Room has ended',
+  'error.roomFull': 'Room is full (max {max} players)',
+  'error.createFailed': 'Failed to create room',
+  'error.joinFailed': 'Failed to join room',
+  'error.actionRejected': 'An action was rejected by the server: {message}',
+  'error.saveRound': 'Failed to save round. Please try again.',
+  'error.settleFailed': 'Failed to start settlement. Please try again.',
+  'error.rakeNegative': 'Rake must be a positive number',
+  'error.rakeTooHigh': 'Rake must be under 100%',
+  'error.importFailed': 'Import failed',
+  'error.importNotJson': 'Not a JSON file',
+  'error.importNotBackup': 'Not a Latte Ledger session backup',
+  'error.importNoVersion': 'Backup has no valid version',
+  'error.importNewer': 'Backup is from a newer version of the app',
+  'error.importNoHistory': 'Backup holds no session history',
+  'error.importUnknownKind': 'Backup has an unknown session kind',
+  'error.presetName': 'Give the preset a name',
+  'error.presetNoMultipliers': 'Add at least one multiplier',
+  'error.presetTooMany': 'At most {max} multipliers',
+  'error.presetWinPayout': 'Win payout must be above 0',
+  'error.presetCommission': 'Commission must be between 0% and 100%',
+
+  // ---- Settlement ----
+  'settle.title': 'Settle Up',
+  'settle.closed': 'The banker has closed the room.',
+  'settle.square': 'Everyone is square.',
+  'settle.progress': '{paid} of {total} transfers paid',
+  'settle.rounded': 'Rounded to the nearest {amount}',
+  'settle.paid': 'Paid',
+  'settle.unpaid': 'Unpaid',
+  'settle.markPaid': 'Mark paid',
+
+  // ---- Past games ----
+  'past.import': 'Import',
+  'past.empty': 'No past games yet. Games you leave or finish show up here.',
+  'past.room': 'Room {id}',
+  'past.duration': 'Duration',
+  'past.role': 'Role',
+  'past.rounds': 'Rounds',
+  'past.finalNet': 'Final Net',
+  'past.opening': 'Opening...',
+  'past.openRoom': 'Open Room (read-only)',
+  'past.readOnly': 'read-only',
+  'past.status.active': 'Active',
+  'past.status.settling': 'Settling',
+  'past.status.ended': 'Ended',
+  'past.settlement': 'Settlement',
+  'past.history': 'Round History',
+  'past.exportCsv': 'Export CSV',
+  'past.exportJson': 'Export JSON',
+  'past.resume': 'Resume in Single Player',
+  'past.keep': 'Keep',
+  'past.delete': 'Delete from Past Games',
+
+  // ---- Summary report ----
+  'report.title': 'Game Summary',
+  'report.roomId': 'Room ID',
+  'report.generatedOn': 'Generated On',
+  'report.bankerNet': 'Total Banker Net',
+  'report.rakeNote': '{rule}, included in banker net',
+  'report.performance': 'Player Performance',
+  'report.totalPlayers': 'Total Players',
+  'report.playerName': 'Player Name',
+  'report.rounds': 'Rounds',
+  'report.finalNet': 'Final Net',
+  'report.noPlayers': 'No players found',
+  'report.roundLog': 'Round Log',
+  'report.footerLead': 'Keep track of your games perfectly with',
+  'report.footerTail': '.',
+
+  // ---- Streaks ----
+  'streak.win': '{count} Wins!',
+  'streak.loss': '{count} Losses!',
+  'streak.legendary': 'LEGENDARY STREAK',
+  'streak.winStreak': 'WIN STREAK',
+  'streak.lossStreak': 'LOSS STREAK',
+
+  // ---- LED display ----
+  'led.hint': 'Click to change text',
+  'led.tap': 'Tap to change',
+  'led.player': [
+    'PEK 9 Banker!',
+    "I'm Still Steady Bom Bi Bi!",
+    'Banker becomes a commoner.',
+    'Intercepting without mercy.',
+    'Banker give Ang Bao!',
+    'Beat you into a player.',
+    "You're Yan Tong Black Black.",
+    'Watch me bit you down.',
+    'Banker in cry cry.',
+    'God of Money follows me.',
+    'Change places to curse you.',
+    'Leave your money here, Banker.',
+    'Winning everything from you.',
+    'Banker becomes meow meow.',
+    'Need to borrow money?',
+    'Banker is dreaming.',
+    'Your winning streak is broken.',
+    'Banker go wash up and sleep.',
+    'Treating for dinner after winning.',
+    'Banker giving away money.',
+    'Happy Ending.',
+  ],
+  'led.banker': [
+    'Win 9 you ALL!!',
+    'Take all your money come!',
+    'Banker steady Bom Bi Bi.',
+    'Who else dares to object?',
+    "Don't hold back, everyone.",
+    'I am God of Money.',
+    'Winning streak until dawn.',
+    'Come all-in!',
+    'Players become bystanders.',
+    'Banker got money.',
+    'You guys are too green.',
+    'Banker aura Kuat Kuat!',
+    'Who brings me money?',
+    'Banker needs to celebrate New Year too.',
+    'Take all money from you guys!',
+    'Dare to raise the bet?',
+    'Banker never falls.',
+    'Are you guys bluffing?',
+    'Banker is collecting rent.',
+    'Thanks for yielding!',
+    'I want happy only!',
+  ],
+};
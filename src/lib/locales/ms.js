@@ -0,0 +1,366 @@
+/**
+ * Bahasa Melayu. Missing keys fall back to English (see i18n.js).
+ */
+
+export default {
+  // ---- Shared ----
+  'common.cancel': 'Batal',
+  'common.close': 'Tutup',
+  'common.exit': 'Keluar',
+  'common.export': 'Eksport',
+  'common.stats': 'Statistik',
+  'common.room': 'Bilik',
+  'common.round': 'Pusingan',
+  'common.roundN': 'Pusingan {n}',
+  'common.rounds': '{count} pusingan',
+  'common.rake': 'Potongan',
+  'common.rakeAmount': 'potongan {amount}',
+  'common.bankroll': 'Modal',
+  'common.chips': 'Cip',
+  'common.base': 'Asas',
+  'common.player': 'Pemain',
+  'common.playerN': 'Pemain {n}',
+  'common.tie': 'Seri',
+  'common.satOut': 'Berehat',
+  'common.spectator': 'Penonton',
+  'common.loading': 'Memuatkan...',
+  'common.loadOlder': 'Muatkan pusingan lama',
+  'common.netOverTime': 'Bersih mengikut masa',
+  'common.gameDuration': 'Tempoh Permainan',
+  'common.ledger': 'Beli Masuk & Tunaikan',
+  'common.edited': 'Dibetulkan oleh banker',
+  'common.banker': 'Banker',
+  'common.you': 'Anda',
+  'common.back': 'Kembali',
+  'common.delete': 'Padam',
+  'dispute.open': 'Dipertikai',
+  'dispute.accepted': 'Pertikaian diterima',
+  'dispute.amended': 'Pertikaian dibetulkan',
+  'dispute.rejected': 'Pertikaian ditolak',
+  'presence.online': 'Dalam talian',
+  'presence.idle': 'Melahu',
+  'presence.offline': 'Luar talian',
+  'presence.lastSeen': 'kali terakhir dilihat {time}',
+  'ledger.buy_in': 'Beli masuk',
+  'ledger.top_up': 'Tambah',
+  'ledger.cash_out': 'Tunaikan',
+
+  // ---- History entries ----
+  'entry.base': 'Asas → {amount}',
+  'entry.buy_in': 'Beli masuk {amount}',
+  'entry.top_up': 'Tambah {amount}',
+  'entry.cash_out': 'Tunaikan {amount}',
+  'entry.mass_tie': 'Seri ×{count}',
+  'entry.sit_out': 'Berehat ×{count}',
+  'entry.tie': 'Seri',
+  'entry.win': 'x{multiplier} (Menang)',
+  'entry.loss': 'x{multiplier} (Kalah)',
+
+  // ---- Rake rule ----
+  'rake.none': 'Tiada potongan',
+  'rake.fixed': '{amount} setiap kemenangan',
+  'rake.percent': '{percent}% daripada kemenangan',
+
+  // ---- Presets ----
+  'preset.title': 'Pratetap Permainan',
+  'preset.customTitle': 'Pratetap Tersuai',
+  'preset.name': 'Nama',
+  'preset.namePlaceholder': 'cth. Baccarat Jumaat',
+  'preset.multipliers': 'Pendarab (sehingga {max})',
+  'preset.winPayout': 'Nisbah bayaran menang',
+  'preset.commission': 'Komisen atas kemenangan banker (%)',
+  'preset.edit': 'Sunting',
+  'preset.save': 'Simpan',
+  'preset.new': 'Tersuai Baharu',
+  'preset.winsPay': 'menang bayar {ratio}x',
+  'preset.bankerWinsPay': 'banker menang bayar {ratio}x',
+
+  // ---- Round phases ----
+  'phase.idle': 'Tiada pusingan',
+  'phase.betting': 'Pertaruhan',
+  'phase.closed': 'Ditutup',
+  'phase.results': 'Keputusan',
+  'phase.endsIn': 'tamat dalam {time}',
+  'phase.player.idle': 'Menunggu banker membuka pusingan',
+  'phase.player.betting': 'Pertaruhan dibuka — rekod keputusan selepas banker membuka keputusan',
+  'phase.player.closed': 'Pertaruhan ditutup — keputusan akan tiba',
+  'phase.player.results': 'Keputusan dibuka — rekod pusingan anda',
+  'phase.player.expired': 'Tempoh keputusan sudah tamat',
+  'phase.player.logged': 'Pusingan {n} direkod',
+  'phase.player.sittingOut': 'Anda sedang berehat — tekan Saya Kembali untuk bermain semula',
+
+  // ---- Home screen ----
+  'home.tagline': 'Penjejak sesi masa nyata',
+  'home.language': 'Bahasa',
+  'home.game': 'Permainan',
+  'home.change': 'Tukar',
+  'home.currency': 'Mata wang',
+  'home.wholeUnits': 'Nombor bulat',
+  'home.single': 'Pemain Tunggal',
+  'home.singleHint': 'Jejak menang & kalah pada peranti ini. Tiada akaun diperlukan.',
+  'home.connection': 'Berbilang pemain melalui',
+  'home.cloud': 'Awan',
+  'home.lan': 'Pelayan LAN',
+  'home.lanPlaceholder': 'Alamat pelayan (cth. 192.168.1.5:8787)',
+  'home.create': 'Cipta Bilik (Banker)',
+  'home.createHint': 'Mulakan sesi berbilang pemain. Anda akan menjadi Banker.',
+  'home.rakePercent': '% kemenangan',
+  'home.rakeFixed': '{symbol} setiap menang',
+  'home.rakeNone': 'Tiada',
+  'home.join': 'Sertai Bilik',
+  'home.roomCode': 'Kod bilik',
+  'home.joinButton': 'Sertai',
+  'home.watchButton': 'Tonton',
+  'home.watchHint': 'Ikuti bilik secara baca sahaja, tanpa mengambil tempat',
+  'home.pastGames': 'Permainan Lepas',
+  'home.deviceId': 'ID: {id}...',
+
+  // ---- Player board ----
+  'player.title': '闲 Pemain',
+  'player.editName': 'Tukar Nama',
+  'player.namePlaceholder': 'Masukkan nama...',
+  'player.offlineQueued': 'Luar talian — {count} tindakan dalam giliran',
+  'player.syncing': 'Menyegerakkan {count} tindakan...',
+  'player.currentNet': 'Bersih Semasa',
+  'player.changeBase': 'Tukar Jumlah Asas',
+  'player.setupPrompt': 'Tetapkan nama dan jumlah asas untuk bermula',
+  'player.nameOptional': 'Nama Anda (Pilihan)',
+  'player.basePlaceholder': 'Jumlah Asas (cth. 2)',
+  'player.set': 'Tetap',
+  'player.win': 'Menang (+)',
+  'player.winPays': 'bayar {ratio}x',
+  'player.loss': 'Kalah (-)',
+  'player.commission': 'komisen {percent}% kepada banker',
+  'player.undo': 'Buat Asal',
+  'player.redo': 'Buat Semula',
+  'player.roundHistory': 'Sejarah Pusingan',
+  'player.loadingHistory': 'Memuatkan sejarah penuh...',
+  'player.statsPartial': 'Luar talian — hanya pusingan yang sudah dimuatkan dikira',
+  'player.cashOutHint': 'Wang yang diambil dari meja. Anda ada {chips} dalam cip.',
+  'player.buyInHint': 'Wang yang dibawa ke meja. Ia ditambah pada modal, bukan bersih anda.',
+  'player.amount': 'Jumlah',
+  'player.record': 'Rekod',
+  'player.tiePromptTitle': 'Mesej daripada Banker',
+  'player.tiePromptQuestion': 'Terlupa kemas kini atau jeda permainan?',
+  'player.tiePromptAsk': 'Banker meminta anda merekod {count} Seri untuk {rounds}.',
+  'player.decline': 'Tolak',
+  'player.confirmTie': 'Sahkan Seri',
+  'player.editTitle': 'Pembetulan daripada Banker',
+  'player.editAsk': 'Banker mahu membetulkan {round}:',
+  'player.approve': 'Luluskan',
+  'player.sitOut': 'Berehat',
+  'player.backIn': 'Saya Kembali',
+  'player.dispute': 'Pertikaikan pusingan ini',
+  'player.disputeTitle': 'Pertikaikan Pusingan',
+  'player.disputeBody': 'Beritahu Banker apa yang salah dengan {entry}.',
+  'player.disputeNote': 'Nota (pilihan)',
+  'player.disputeSend': 'Hantar Pertikaian',
+  'player.disputeOutcome': 'Pertikaian anda untuk {round}: {outcome}',
+  'player.leave': 'Tinggalkan',
+  'player.exitTitle': 'Keluar Permainan?',
+  'player.exitBody': 'Anda pasti mahu keluar? Bersih semasa anda akan hilang kecuali anda sertai semula.',
+  'player.pending': 'Belum segerak — akan disegerakkan apabila dalam talian',
+  'player.synced': 'Disegerakkan',
+
+  // ---- Banker board ----
+  'banker.title': '庄 Banker',
+  'banker.summaryHint': 'Muat turun Laporan Ringkasan Permainan',
+  'banker.generating': 'Menjana...',
+  'banker.summary': 'Ringkasan',
+  'banker.endGame': 'Tamat Permainan',
+  'banker.net': 'Bersih Anda (Banker)',
+  'banker.netFormula': '= −(jumlah bersih semua pemain)',
+  'banker.openBetting': 'Buka Pertaruhan · Pusingan {n}',
+  'banker.closeBetting': 'Tutup Pertaruhan',
+  'banker.openResults': 'Buka Keputusan',
+  'banker.finishRound': 'Tamatkan Pusingan {n}',
+  'banker.countdown': 'Kira detik',
+  'banker.countdownOff': 'Tiada',
+  'banker.seconds': '{count}s',
+  'banker.activePlayers': 'Pemain Aktif',
+  'banker.moneyOnTable': 'Wang di Meja',
+  'banker.playerNets': 'Bersih Pemain',
+  'banker.sittingOut': 'Berehat · {count} pemain',
+  'banker.sittingOutFrom': 'dari pusingan {n}',
+  'banker.spectators': 'Menonton · {count} penonton',
+  'banker.showHistory': 'Tunjuk sejarah pusingan',
+  'banker.roundsShort': '{count} P',
+  'banker.offTrack': 'Tertinggal',
+  'banker.offTrackHint': 'Minta pemain merekod {rounds} yang tertinggal',
+  'banker.prompt.sent': 'Gesaan dihantar',
+  'banker.prompt.delivered': 'Gesaan dilihat',
+  'banker.prompt.accepted': 'Seri diterima',
+  'banker.prompt.declined': 'Gesaan ditolak',
+  'banker.prompt.expired': 'Tiada jawapan',
+  'banker.prompt.retry': 'Hantar gesaan semula',
+  'banker.prompt.cancel': 'Batalkan gesaan',
+  'banker.duplicate': 'Berganda {rounds}',
+  'banker.duplicateHint': 'Lebih daripada satu rekod untuk {rounds}',
+  'banker.baseShort': 'A: {amount}',
+  'banker.waiting': 'Menunggu pemain menyertai...',
+  'banker.shareLead': 'Kongsi kod bilik',
+  'banker.shareTail': 'dengan pemain',
+  'banker.endTitle': 'Tamat Permainan?',
+  'banker.endBody': 'Bersih setiap orang diselesaikan menjadi siapa bayar siapa. Tiada lagi pusingan boleh direkod.',
+  'banker.roundTransfers': 'Bundarkan pindahan kepada',
+  'banker.exact': 'Tepat',
+  'banker.settleUp': 'Selesaikan',
+  'banker.closeRoom': 'Tutup Bilik',
+  'banker.closeRoomAnyway': 'Tutup Bilik Juga',
+  'banker.tab.history': 'Sejarah',
+  'banker.tab.bankroll': 'Modal',
+  'banker.tab.stats': 'Statistik',
+  'banker.tab.edits': 'Pindaan',
+  'banker.historyError': 'Tidak dapat memuatkan sejarah pemain ini',
+  'banker.noLedger': 'Tiada beli masuk atau tunaikan dimuatkan',
+  'banker.noRounds': 'Belum ada pusingan',
+  'banker.correct': 'Betulkan pusingan ini',
+  'banker.correctTo': 'Tukar kepada',
+  'banker.editPending': 'Menunggu kelulusan pemain',
+  'banker.editRejected': 'Pemain menolak pembetulan ini',
+  'banker.noEdits': 'Belum ada pembetulan',
+  'banker.editBy': 'Dicadangkan oleh banker · diluluskan oleh {name}',
+  'banker.editByDispute': 'Dipertikaikan oleh {name} · dipinda oleh banker',
+  'banker.disputes': '{count} pertikaian terbuka',
+  'banker.accept': 'Terima',
+  'banker.amend': 'Betulkan',
+  'banker.reject': 'Tolak',
+  'banker.resolveFailed': 'Tidak dapat menyelesaikan pertikaian ini. Cuba lagi.',
+
+  // ---- Spectator board ----
+  'spectator.title': '观 Penonton',
+  'spectator.bankerNet': 'Bersih Banker',
+  'spectator.sittingOut': 'sedang berehat',
+  'spectator.readOnly': 'Anda sedang menonton. Tiada apa di sini yang mengubah permainan.',
+
+  // ---- Errors ----
+  'error.lanAddress': 'Masukkan alamat pelayan LAN dahulu',
+  'error.offline': 'Tidak dapat menghubungi pelayan',
+  'error.roomNotFound': 'Bilik tidak dijumpai',
+  'error.roomEnded': 'Bilik telah tamat',
+  'error.roomFull': 'Bilik penuh (maksimum {max} pemain)',
+  'error.createFailed': 'Gagal mencipta bilik',
+  'error.joinFailed': 'Gagal menyertai bilik',
+  'error.actionRejected': 'Satu tindakan ditolak oleh pelayan: {message}',
+  'error.saveRound': 'Gagal menyimpan pusingan. Sila cuba lagi.',
+  'error.settleFailed': 'Gagal memulakan penyelesaian. Sila cuba lagi.',
+  'error.rakeNegative': 'Rake mestilah nombor positif',
+  'error.rakeTooHigh': 'Rake mestilah di bawah 100%',
+  'error.importFailed': 'Import gagal',
+  'error.importNotJson': 'Bukan fail JSON',
+  'error.importNotBackup': 'Bukan sandaran sesi Latte Ledger',
+  'error.importNoVersion': 'Sandaran tiada versi yang sah',
+  'error.importNewer': 'Sandaran daripada versi aplikasi yang lebih baharu',
+  'error.importNoHistory': 'Sandaran tiada sejarah sesi',
+  'error.importUnknownKind': 'Sandaran mempunyai jenis sesi yang tidak dikenali',
+  'error.presetName': 'Beri nama kepada pratetap',
+  'error.presetNoMultipliers': 'Tambah sekurang-kurangnya satu pendarab',
+  'error.presetTooMany': 'Paling banyak {max} pendarab',
+  'error.presetWinPayout': 'Bayaran menang mesti melebihi 0',
+  'error.presetCommission': 'Komisen mesti antara 0% dan 100%',
+
+  // ---- Settlement ----
+  'settle.title': 'Selesaikan',
+  'settle.closed': 'Banker telah menutup bilik.',
+  'settle.square': 'Semua sudah seri.',
+  'settle.progress': '{paid} daripada {total} pemindahan dibayar',
+  'settle.rounded': 'Dibundarkan kepada {amount} terdekat',
+  'settle.paid': 'Dibayar',
+  'settle.unpaid': 'Belum dibayar',
+  'settle.markPaid': 'Tanda dibayar',
+
+  // ---- Past games ----
+  'past.import': 'Import',
+  'past.empty': 'Belum ada permainan lepas. Permainan yang anda tinggalkan atau tamatkan akan dipaparkan di sini.',
+  'past.room': 'Bilik {id}',
+  'past.duration': 'Tempoh',
+  'past.role': 'Peranan',
+  'past.rounds': 'Pusingan',
+  'past.finalNet': 'Bersih Akhir',
+  'past.opening': 'Membuka...',
+  'past.openRoom': 'Buka Bilik (baca sahaja)',
+  'past.readOnly': 'baca sahaja',
+  'past.status.active': 'Aktif',
+  'past.status.settling': 'Menyelesaikan',
+  'past.status.ended': 'Tamat',
+  'past.settlement': 'Penyelesaian',
+  'past.history': 'Sejarah Pusingan',
+  'past.exportCsv': 'Eksport CSV',
+  'past.exportJson': 'Eksport JSON',
+  'past.resume': 'Sambung dalam Pemain Tunggal',
+  'past.keep': 'Simpan',
+  'past.delete': 'Padam daripada Permainan Lepas',
+
+  // ---- Summary report ----
+  'report.title': 'Ringkasan Permainan',
+  'report.roomId': 'ID Bilik',
+  'report.generatedOn': 'Dijana Pada',
+  'report.bankerNet': 'Jumlah Bersih Banker',
+  'report.rakeNote': '{rule}, termasuk dalam bersih banker',
+  'report.performance': 'Prestasi Pemain',
+  'report.totalPlayers': 'Jumlah Pemain',
+  'report.playerName': 'Nama Pemain',
+  'report.rounds': 'Pusingan',
+  'report.finalNet': 'Bersih Akhir',
+  'report.noPlayers': 'Tiada pemain',
+  'report.roundLog': 'Log Pusingan',
+  'report.footerLead': 'Jejak setiap permainan anda dengan sempurna bersama',
+  'report.footerTail': '.',
+
+  // ---- Streaks ----
+  'streak.win': '{count} Menang!',
+  'streak.loss': '{count} Kalah!',
+  'streak.legendary': 'RENTETAN LEGENDA',
+  'streak.winStreak': 'RENTETAN MENANG',
+  'streak.lossStreak': 'RENTETAN KALAH',
+
+  // ---- LED display ----
+  'led.hint': 'Klik untuk tukar teks',
+  'led.tap': 'Ketik untuk tukar',
+  'led.player': [
+    'Tumbangkan Banker dulu!',
+    'Saya masih steady!',
+    'Banker jadi rakyat biasa.',
+    'Potong jalan tanpa belas.',
+    'Banker bagi ang pau!',
+    'Kalahkan kau jadi pemain.',
+    'Nasib kau gelap hari ini.',
+    'Tengok saya tumpaskan kau.',
+    'Banker menangis teresak-esak.',
+    'Dewa Wang ikut saya.',
+    'Tukar tempat, sial untuk kau.',
+    'Tinggalkan duit kau, Banker.',
+    'Menang semua daripada kau.',
+    'Banker jadi musuh.',
+    'Nak pinjam duit beli beras?',
+    'Banker tengah bermimpi.',
+    'Rentetan menang kau dah putus.',
+    'Banker pergi mandi dan tidur.',
+    'Menang nanti belanja makan.',
+    'Banker bagi duit percuma.',
+    'Tamat dengan gembira.',
+  ],
+  'led.banker': [
+    'Banker sapu semua!',
+    'Bawa semua duit ke sini!',
+    'Banker steady macam gunung.',
+    'Siapa lagi tak puas hati?',
+    'Jangan segan, semua.',
+    'Sayalah Dewa Wang.',
+    'Menang berturut sampai subuh.',
+    'Mari all-in!',
+    'Pemain jadi penonton.',
+    'Banker tak kisah duit.',
+    'Kamu semua masih hijau.',
+    'Aura Banker kuat kuat!',
+    'Siapa nak hantar duit?',
+    'Banker pun nak sambut Tahun Baru.',
+    'Semua duit kamu saya ambil!',
+    'Berani naikkan taruhan?',
+    'Banker tak pernah jatuh.',
+    'Kamu semua bluf ke?',
+    'Banker kutip sewa.',
+    'Terima kasih kerana mengalah!',
+    'Saya nak gembira saja!',
+  ],
+};
@@ -0,0 +1,366 @@
+/**
+ * 中文 (简体). Missing keys fall back to English (see i18n.js).
+ */
+
+export default {
+  // ---- Shared ----
+  'common.cancel': '取消',
+  'common.close': '关闭',
+  'common.exit': '退出',
+  'common.export': '导出',
+  'common.stats': '统计',
+  'common.room': '房间',
+  'common.round': '当前局',
+  'common.roundN': '第 {n} 局',
+  'common.rounds': '{count} 局',
+  'common.rake': '抽水',
+  'common.rakeAmount': '抽水 {amount}',
+  'common.bankroll': '本金',
+  'common.chips': '筹码',
+  'common.base': '底注',
+  'common.player': '闲家',
+  'common.playerN': '闲家 {n}',
+  'common.tie': '和局',
+  'common.satOut': '暂停',
+  'common.spectator': '观众',
+  'common.loading': '加载中...',
+  'common.loadOlder': '加载更早的记录',
+  'common.netOverTime': '输赢走势',
+  'common.gameDuration': '游戏时长',
+  'common.ledger': '买入与兑现',
+  'common.edited': '已由庄家更正',
+  'common.banker': '庄家',
+  'common.you': '你',
+  'common.back': '返回',
+  'common.delete': '删除',
+  'dispute.open': '有异议',
+  'dispute.accepted': '异议已接受',
+  'dispute.amended': '异议已更正',
+  'dispute.rejected': '异议被驳回',
+  'presence.online': '在线',
+  'presence.idle': '闲置',
+  'presence.offline': '离线',
+  'presence.lastSeen': '最后在线 {time}',
+  'ledger.buy_in': '买入',
+  'ledger.top_up': '加码',
+  'ledger.cash_out': '兑现',
+
+  // ---- History entries ----
+  'entry.base': '底注 → {amount}',
+  'entry.buy_in': '买入 {amount}',
+  'entry.top_up': '加码 {amount}',
+  'entry.cash_out': '兑现 {amount}',
+  'entry.mass_tie': '和局 ×{count}',
+  'entry.sit_out': '暂停 ×{count}',
+  'entry.tie': '和局',
+  'entry.win': 'x{multiplier}（赢）',
+  'entry.loss': 'x{multiplier}（输）',
+
+  // ---- Rake rule ----
+  'rake.none': '不抽水',
+  'rake.fixed': '每赢一局 {amount}',
+  'rake.percent': '赢额的 {percent}%',
+
+  // ---- Presets ----
+  'preset.title': '游戏预设',
+  'preset.customTitle': '自定义预设',
+  'preset.name': '名称',
+  'preset.namePlaceholder': '例如：周五百家乐',
+  'preset.multipliers': '倍数（最多 {max} 个）',
+  'preset.winPayout': '赢钱赔率',
+  'preset.commission': '庄家赢钱佣金（%）',
+  'preset.edit': '编辑',
+  'preset.save': '保存',
+  'preset.new': '新建自定义',
+  'preset.winsPay': '赢钱赔 {ratio}x',
+  'preset.bankerWinsPay': '庄家赢钱赔 {ratio}x',
+
+  // ---- Round phases ----
+  'phase.idle': '未开局',
+  'phase.betting': '下注中',
+  'phase.closed': '停止下注',
+  'phase.results': '记录结果',
+  'phase.endsIn': '{time} 后结束',
+  'phase.player.idle': '等待庄家开局',
+  'phase.player.betting': '正在下注 — 庄家开放记录后再记结果',
+  'phase.player.closed': '已停止下注 — 结果马上揭晓',
+  'phase.player.results': '开放记录 — 请记录本局结果',
+  'phase.player.expired': '记录时间已结束',
+  'phase.player.logged': '第 {n} 局已记录',
+  'phase.player.sittingOut': '你正在暂停 — 点“我回来了”继续',
+
+  // ---- Home screen ----
+  'home.tagline': '实时牌局记账',
+  'home.language': '语言',
+  'home.game': '玩法',
+  'home.change': '更改',
+  'home.currency': '货币',
+  'home.wholeUnits': '只显示整数',
+  'home.single': '单人模式',
+  'home.singleHint': '在本机记录输赢，无需账号。',
+  'home.connection': '多人连接方式',
+  'home.cloud': '云端',
+  'home.lan': '局域网服务器',
+  'home.lanPlaceholder': '服务器地址（如 192.168.1.5:8787）',
+  'home.create': '开房（做庄）',
+  'home.createHint': '开始多人牌局，你就是庄家。',
+  'home.rakePercent': '按赢额 %',
+  'home.rakeFixed': '每赢一局 {symbol}',
+  'home.rakeNone': '无',
+  'home.join': '加入房间',
+  'home.roomCode': '房间号',
+  'home.joinButton': '加入',
+  'home.watchButton': '观战',
+  'home.watchHint': '只读观看房间，不占座位',
+  'home.pastGames': '历史牌局',
+  'home.deviceId': '设备 ID：{id}...',
+
+  // ---- Player board ----
+  'player.title': '闲家',
+  'player.editName': '修改名字',
+  'player.namePlaceholder': '输入名字...',
+  'player.offlineQueued': '离线 — {count} 条操作待同步',
+  'player.syncing': '正在同步 {count} 条操作...',
+  'player.currentNet': '当前输赢',
+  'player.changeBase': '修改底注',
+  'player.setupPrompt': '设置名字和底注后开始',
+  'player.nameOptional': '你的名字（可选）',
+  'player.basePlaceholder': '底注（如 2）',
+  'player.set': '确定',
+  'player.win': '赢 (+)',
+  'player.winPays': '赔 {ratio} 倍',
+  'player.loss': '输 (-)',
+  'player.commission': '庄家抽佣 {percent}%',
+  'player.undo': '撤销',
+  'player.redo': '重做',
+  'player.roundHistory': '牌局记录',
+  'player.loadingHistory': '正在加载全部记录...',
+  'player.statsPartial': '离线 — 只统计已加载的局数',
+  'player.cashOutHint': '从桌上拿走的钱。你现在有 {chips} 筹码。',
+  'player.buyInHint': '带上桌的钱。计入本金，不计入输赢。',
+  'player.amount': '金额',
+  'player.record': '记录',
+  'player.tiePromptTitle': '庄家提醒',
+  'player.tiePromptQuestion': '是不是忘了记录或暂停？',
+  'player.tiePromptAsk': '庄家请你为 {rounds} 记录 {count} 个和局。',
+  'player.decline': '拒绝',
+  'player.confirmTie': '确认和局',
+  'player.editTitle': '庄家更正',
+  'player.editAsk': '庄家想更正 {round}：',
+  'player.approve': '同意',
+  'player.sitOut': '暂停',
+  'player.backIn': '我回来了',
+  'player.dispute': '对这一局提出异议',
+  'player.disputeTitle': '提出异议',
+  'player.disputeBody': '告诉庄家 {entry} 有什么问题。',
+  'player.disputeNote': '备注（可选）',
+  'player.disputeSend': '提交异议',
+  'player.disputeOutcome': '你对{round}的异议：{outcome}',
+  'player.leave': '离开',
+  'player.exitTitle': '退出游戏？',
+  'player.exitBody': '确定要离开吗？除非重新加入，否则当前输赢将会丢失。',
+  'player.pending': '待同步 — 联网后自动同步',
+  'player.synced': '已同步',
+
+  // ---- Banker board ----
+  'banker.title': '庄家',
+  'banker.summaryHint': '下载牌局总结报告',
+  'banker.generating': '生成中...',
+  'banker.summary': '总结',
+  'banker.endGame': '结束游戏',
+  'banker.net': '你的输赢（庄家）',
+  'banker.netFormula': '= −（所有闲家输赢之和）',
+  'banker.openBetting': '开始下注 · 第 {n} 局',
+  'banker.closeBetting': '停止下注',
+  'banker.openResults': '开放记录结果',
+  'banker.finishRound': '结束第 {n} 局',
+  'banker.countdown': '倒计时',
+  'banker.countdownOff': '关',
+  'banker.seconds': '{count} 秒',
+  'banker.activePlayers': '在场闲家',
+  'banker.moneyOnTable': '桌上总额',
+  'banker.playerNets': '闲家输赢',
+  'banker.sittingOut': '暂停中 · {count} 人',
+  'banker.sittingOutFrom': '从第 {n} 局起',
+  'banker.spectators': '观战中 · {count} 人',
+  'banker.showHistory': '查看牌局记录',
+  'banker.roundsShort': '{count} 局',
+  'banker.offTrack': '漏记',
+  'banker.offTrackHint': '提醒闲家补记 {rounds}',
+  'banker.prompt.sent': '已发送',
+  'banker.prompt.delivered': '已查看',
+  'banker.prompt.accepted': '已接受和局',
+  'banker.prompt.declined': '已拒绝',
+  'banker.prompt.expired': '无回应',
+  'banker.prompt.retry': '重新发送',
+  'banker.prompt.cancel': '取消提示',
+  'banker.duplicate': '重复 {rounds}',
+  'banker.duplicateHint': '{rounds} 有多条记录',
+  'banker.baseShort': '底：{amount}',
+  'banker.waiting': '等待闲家加入...',
+  'banker.shareLead': '把房间号',
+  'banker.shareTail': '分享给闲家',
+  'banker.endTitle': '结束游戏？',
+  'banker.endBody': '所有人的输赢将结算成谁付给谁，之后不能再记录。',
+  'banker.roundTransfers': '转账取整到',
+  'banker.exact': '精确',
+  'banker.settleUp': '结算',
+  'banker.closeRoom': '关闭房间',
+  'banker.closeRoomAnyway': '仍然关闭房间',
+  'banker.tab.history': '记录',
+  'banker.tab.bankroll': '本金',
+  'banker.tab.stats': '统计',
+  'banker.tab.edits': '更正',
+  'banker.historyError': '无法加载该闲家的记录',
+  'banker.noLedger': '没有已加载的买入或兑现',
+  'banker.noRounds': '还没有牌局',
+  'banker.correct': '更正这一局',
+  'banker.correctTo': '改为',
+  'banker.editPending': '等待闲家同意',
+  'banker.editRejected': '闲家拒绝了这次更正',
+  'banker.noEdits': '还没有更正',
+  'banker.editBy': '庄家提出 · {name} 已同意',
+  'banker.editByDispute': '{name} 提出异议 · 庄家已修改',
+  'banker.disputes': '{count} 个待处理异议',
+  'banker.accept': '接受',
+  'banker.amend': '更正',
+  'banker.reject': '驳回',
+  'banker.resolveFailed': '无法处理此异议，请重试。',
+
+  // ---- Spectator board ----
+  'spectator.title': '观众',
+  'spectator.bankerNet': '庄家输赢',
+  'spectator.sittingOut': '暂停中',
+  'spectator.readOnly': '你正在观战，这里的操作不会影响牌局。',
+
+  // ---- Errors ----
+  'error.lanAddress': '请先输入局域网服务器地址',
+  'error.offline': '无法连接服务器',
+  'error.roomNotFound': '找不到房间',
+  'error.roomEnded': '房间已结束',
+  'error.roomFull': '房间已满（最多 {max} 名玩家）',
+  'error.createFailed': '创建房间失败',
+  'error.joinFailed': '加入房间失败',
+  'error.actionRejected': '服务器拒绝了一项操作：{message}',
+  'error.saveRound': '保存本局失败，请重试。',
+  'error.settleFailed': '开始结算失败，请重试。',
+  'error.rakeNegative': '抽水必须为正数',
+  'error.rakeTooHigh': '抽水必须低于 100%',
+  'error.importFailed': '导入失败',
+  'error.importNotJson': '不是 JSON 文件',
+  'error.importNotBackup': '不是 Latte Ledger 牌局备份',
+  'error.importNoVersion': '备份没有有效的版本号',
+  'error.importNewer': '备份来自更新版本的应用',
+  'error.importNoHistory': '备份中没有牌局记录',
+  'error.importUnknownKind': '备份的牌局类型未知',
+  'error.presetName': '请为预设命名',
+  'error.presetNoMultipliers': '至少添加一个倍数',
+  'error.presetTooMany': '最多 {max} 个倍数',
+  'error.presetWinPayout': '赢钱赔率必须大于 0',
+  'error.presetCommission': '佣金必须在 0% 到 100% 之间',
+
+  // ---- Settlement ----
+  'settle.title': '结算',
+  'settle.closed': '庄家已关闭房间。',
+  'settle.square': '大家已两清。',
+  'settle.progress': '已付 {paid} / {total} 笔',
+  'settle.rounded': '按 {amount} 取整',
+  'settle.paid': '已付',
+  'settle.unpaid': '未付',
+  'settle.markPaid': '标记已付',
+
+  // ---- Past games ----
+  'past.import': '导入',
+  'past.empty': '还没有历史牌局。离开或结束的牌局会显示在这里。',
+  'past.room': '房间 {id}',
+  'past.duration': '时长',
+  'past.role': '角色',
+  'past.rounds': '局数',
+  'past.finalNet': '最终输赢',
+  'past.opening': '正在打开...',
+  'past.openRoom': '打开房间（只读）',
+  'past.readOnly': '只读',
+  'past.status.active': '进行中',
+  'past.status.settling': '结算中',
+  'past.status.ended': '已结束',
+  'past.settlement': '结算',
+  'past.history': '对局记录',
+  'past.exportCsv': '导出 CSV',
+  'past.exportJson': '导出 JSON',
+  'past.resume': '在单人模式中继续',
+  'past.keep': '保留',
+  'past.delete': '从历史牌局中删除',
+
+  // ---- Summary report ----
+  'report.title': '牌局总结',
+  'report.roomId': '房间号',
+  'report.generatedOn': '生成时间',
+  'report.bankerNet': '庄家总输赢',
+  'report.rakeNote': '{rule}，已计入庄家输赢',
+  'report.performance': '闲家战绩',
+  'report.totalPlayers': '闲家人数',
+  'report.playerName': '闲家',
+  'report.rounds': '局数',
+  'report.finalNet': '最终输赢',
+  'report.noPlayers': '没有闲家',
+  'report.roundLog': '每局记录',
+  'report.footerLead': '用',
+  'report.footerTail': ' 完美记录每一局。',
+
+  // ---- Streaks ----
+  'streak.win': '{count}连胜!',
+  'streak.loss': '{count}连败!',
+  'streak.legendary': '传奇连胜',
+  'streak.winStreak': '势不可挡',
+  'streak.lossStreak': '手气不佳',
+
+  // ---- LED display ----
+  'led.hint': '点击切换文字',
+  'led.tap': '点击切换',
+  'led.player': [
+    '杀庄祭旗！',
+    '我还活着！',
+    '庄家变平民。',
+    '截胡不商量。',
+    '庄家发红包。',
+    '把你打成闲。',
+    '你印堂发黑。',
+    '看我收了你。',
+    '庄家泪两行。',
+    '财神跟我走。',
+    '换位克死你。',
+    '庄家钱留下。',
+    '把你赢到底。',
+    '庄家变冤家。',
+    '借钱买米不？',
+    '庄家在做梦。',
+    '你的龙断了。',
+    '庄家洗洗睡。',
+    '赢了请吃饭。',
+    '庄家大散财。',
+    '功德圆满啦。',
+  ],
+  'led.banker': [
+    '庄家通吃！',
+    '闲家送钱来。',
+    '庄家稳如山。',
+    '还有谁不服？',
+    '大家别客气。',
+    '我就是财神。',
+    '连庄到天亮。',
+    '梭哈我接了！',
+    '闲家变路人。',
+    '庄家不差钱。',
+    '你们太嫩了。',
+    '庄家气场强。',
+    '谁是送财童子？',
+    '庄家也要过年。',
+    '闲家全带走！',
+    '敢不敢加注？',
+    '庄家不倒翁。',
+    '你们在偷鸡？',
+    '庄家收租啦。',
+    '承让，承让！',
+    '只图开心！',
+  ],
+};
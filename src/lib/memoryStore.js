@@ -0,0 +1,390 @@
+/**
+ * memoryStore.js
+ * ===============
+ * In-memory copy of the `rooms` / `players` / `rounds` / `round_edits` tables.
+ *
+ * Implements the same semantics as the Supabase schema and the atomic
+ * player-action functions in supabase/migrations, so any backend that keeps
+ * its data in memory (the local BroadcastChannel backend, the LAN server)
+ * behaves exactly like the cloud one.
+ *
+ * All methods are synchronous. Failures throw a StoreError whose `code`
+ * matches the Postgres error code the real database would return.
+ * Like the `players_bump_version` trigger, every player write increments
+ * the row's `version`.
+ */
+
+import { ACTION_TYPES } from './actionLog.js';
+import { entryToRoundRow, roundRowToEntry, summarizeRounds } from './roundHistory.js';
+import { isCorrectable } from './corrections.js';
+import { DISPUTE_STATUSES, MAX_NOTE_LENGTH } from './disputes.js';
+import { canMarkPaid, markPaid } from './settlement.js';
+
+export class StoreError extends Error {
+  constructor(code, message) {
+    super(message);
+    this.name = 'StoreError';
+    this.code = code;
+  }
+}
+
+const ROOM_DEFAULTS = {
+  status: 'active',
+  round_number: 0,
+  round_phase: 'idle',
+  phase_ends_at: null,
+  settlement: null,
+  preset: null,
+  rake: null,
+  currency: null,
+};
+
+const PLAYER_DEFAULTS = {
+  name: null,
+  base_amount: 0,
+  current_net: 0,
+  last_action_amount: 0,
+  round_count: 0,
+  recorded_rounds: [],
+  rake_total: 0,
+  bankroll: 0,
+  joined_round: 0,
+  sitting_out_since: null,
+  version: 0,
+};
+
+const now = () => new Date().toISOString();
+
+export function createMemoryStore() {
+  const rooms = new Map(); // room id → row
+  const players = new Map(); // device uuid → row (the players table's primary key)
+  const rounds = new Map(); // "room|player|id" → row (the rounds table's primary key)
+  const edits = new Map(); // edit id → row of the round_edits audit log
+  let nextSeq = 1;
+  const listeners = new Set();
+
+  /** Notify listeners in the shape of a Supabase postgres_changes payload */
+  const emit = (table, row, old, eventType = old ? 'UPDATE' : 'INSERT') => {
+    const change = { table, eventType, new: row || {}, old: old || {} };
+    for (const listener of listeners) listener(change);
+  };
+
+  const roundKey = (row) => `${row.room_id}|${row.player_uuid}|${row.id}`;
+  // Rounds rows change after insert only by corrections and disputes
+  const roundChangedAt = (row) =>
+    Math.max(row.edited_at || 0, row.disputed_at || 0, row.dispute_resolved_at || 0);
+
+  function writeRoom(row) {
+    const old = rooms.get(row.id);
+    rooms.set(row.id, row);
+    emit('rooms', row, old);
+    return row;
+  }
+
+  function writePlayer(row) {
+    const old = players.get(row.uuid);
+    players.set(row.uuid, row);
+    emit('players', row, old);
+    return row;
+  }
+
+  /** A write made here (not merged from a peer): bump the version */
+  function savePlayer(row) {
+    const old = players.get(row.uuid);
+    return writePlayer({ ...row, version: ((old && old.version) || 0) + 1 });
+  }
+
+  function getPlayer(roomId, uuid) {
+    const row = players.get(uuid);
+    return row && row.room_id === roomId ? row : null;
+  }
+
+  /** The player's row, or P0002 — same as lock_player() in SQL */
+  function lockPlayer(roomId, uuid) {
+    const row = getPlayer(roomId, uuid);
+    if (!row) throw new StoreError('P0002', `Player ${uuid} is not in room ${roomId}`);
+    return row;
+  }
+
+  function writeRound(row) {
+    const old = rounds.get(roundKey(row));
+    rounds.set(roundKey(row), row);
+    nextSeq = Math.max(nextSeq, row.seq + 1);
+    emit('rounds', row, old);
+  }
+
+  function writeEdit(row) {
+    edits.set(row.id, row);
+    emit('round_edits', row, null);
+  }
+
+  function deleteRound(key) {
+    const old = rounds.get(key);
+    if (!old) return;
+    rounds.delete(key);
+    emit('rounds', null, old, 'DELETE');
+  }
+
+  /** Rows of the rounds table, newest first */
+  function listRounds(roomId, { playerUuid, before, after, disputeStatus, limit } = {}) {
+    const rows = [...rounds.values()]
+      .filter((r) => r.room_id === roomId && (!playerUuid || r.player_uuid === playerUuid))
+      .filter((r) => (before == null || r.seq < before) && (after == null || r.seq > after))
+      .filter((r) => !disputeStatus || r.dispute_status === disputeStatus)
+      .sort((a, b) => b.seq - a.seq);
+    return limit ? rows.slice(0, limit) : rows;
+  }
+
+  /** Recompute the row's summary columns from its rounds — refresh_player_summary() */
+  function refreshPlayerSummary(row) {
+    const log = listRounds(row.room_id, { playerUuid: row.uuid }).map(roundRowToEntry);
+    return savePlayer({ ...row, ...summarizeRounds(log, row.base_amount), updated_at: now() });
+  }
+
+  function applyPlayerAction(roomId, uuid, entry) {
+    if (!entry || entry.id == null) throw new StoreError('22023', 'Action entry has no id');
+    const row = lockPlayer(roomId, uuid);
+    const round = entryToRoundRow(entry, roomId, uuid);
+    if (rounds.has(roundKey(round))) return row;
+    writeRound({ ...round, seq: nextSeq });
+    return refreshPlayerSummary(row);
+  }
+
+  /**
+   * edit_player_action() — rewrite a round and log the change. `disputeId`
+   * is set only by resolveDispute, for an amended dispute.
+   */
+  function editPlayerAction(roomId, uuid, entry, edit, disputeId = null) {
+    if (!entry || entry.id == null || !edit || edit.id == null) {
+      throw new StoreError('22023', 'Correction has no entry or edit id');
+    }
+    if (!isCorrectable(entry)) throw new StoreError('22023', 'Only win, loss and tie rounds can be corrected');
+    const row = lockPlayer(roomId, uuid);
+    if (edits.has(edit.id)) return row;
+    const room = rooms.get(roomId);
+    if (!room || room.banker_uuid !== edit.edited_by) {
+      throw new StoreError('42501', 'Only the banker can correct a round');
+    }
+    const key = roundKey({ room_id: roomId, player_uuid: uuid, id: String(entry.id) });
+    const old = rounds.get(key);
+    if (!old) throw new StoreError('P0002', `Round ${entry.id} not found`);
+    if (!isCorrectable(old)) throw new StoreError('22023', 'Only win, loss and tie rounds can be corrected');
+
+    const editedAt = edit.ts || Date.now();
+    writeEdit({
+      id: edit.id,
+      room_id: roomId,
+      player_uuid: uuid,
+      entry_id: old.id,
+      round_number: old.round_number,
+      edited_by: edit.edited_by,
+      from_type: old.type,
+      from_multiplier: old.multiplier,
+      from_amount: old.amount,
+      to_type: entry.type,
+      to_multiplier: entry.multiplier || 0,
+      to_amount: entry.amount || 0,
+      dispute_id: disputeId,
+      ts: editedAt,
+    });
+    writeRound({
+      ...old,
+      type: entry.type,
+      multiplier: entry.multiplier || 0,
+      amount: entry.amount || 0,
+      rake: entry.rake || 0,
+      edited_at: editedAt,
+    });
+    return refreshPlayerSummary(row);
+  }
+
+  return {
+    // ---- rooms ----
+    getRoom: (id) => rooms.get(id) || null,
+
+    insertRoom(row) {
+      if (rooms.has(row.id)) throw new StoreError('23505', `Room ${row.id} already exists`);
+      return writeRoom({ ...ROOM_DEFAULTS, created_at: now(), ...row });
+    },
+
+    updateRoom(id, patch) {
+      const row = rooms.get(id);
+      return row ? writeRoom({ ...row, ...patch }) : null;
+    },
+
+    /** mark_transfer_paid() */
+    markTransferPaid(roomId, transferId, uuid) {
+      const room = rooms.get(roomId);
+      if (!room) throw new StoreError('P0002', `Room ${roomId} not found`);
+      if (room.status !== 'settling' || !room.settlement) {
+        throw new StoreError('55000', `Room ${roomId} is not settling up`);
+      }
+      const transfer = room.settlement.transfers.find((t) => t.id === transferId);
+      if (!transfer) throw new StoreError('P0002', `Transfer ${transferId} not found`);
+      if (!canMarkPaid(transfer, uuid, room.banker_uuid === uuid)) {
+        throw new StoreError('42501', 'Only the payer, the payee or the banker can mark a transfer paid');
+      }
+      if (transfer.paid) return room;
+      return writeRoom({ ...room, settlement: markPaid(room.settlement, transferId, uuid) });
+    },
+
+    // ---- players ----
+    getPlayer,
+
+    listPlayers: (roomId) => [...players.values()].filter((p) => p.room_id === roomId),
+
+    /** Seated in a room for the first time or anew: take up the rounds already logged there (players_seat_summary) */
+    upsertPlayer(row) {
+      const old = players.get(row.uuid);
+      const saved = savePlayer({ ...PLAYER_DEFAULTS, ...old, ...row, updated_at: now() });
+      return old && old.room_id === saved.room_id ? saved : refreshPlayerSummary(saved);
+    },
+
+    updatePlayer(roomId, uuid, patch) {
+      const row = getPlayer(roomId, uuid);
+      return row ? savePlayer({ ...row, ...patch }) : null;
+    },
+
+    // ---- atomic player actions ----
+    applyPlayerAction,
+
+    undoPlayerAction(roomId, uuid, entryId) {
+      const row = lockPlayer(roomId, uuid);
+      const key = roundKey({ room_id: roomId, player_uuid: uuid, id: String(entryId) });
+      if (!rounds.has(key)) return row;
+      deleteRound(key);
+      return refreshPlayerSummary(row);
+    },
+
+    recordMassTie(roomId, uuid, entry) {
+      if (entry?.type !== ACTION_TYPES.MASS_TIE || !(entry.count > 0) || (entry.amount || 0) !== 0) {
+        throw new StoreError('22023', 'Not a valid mass tie entry');
+      }
+      return applyPlayerAction(roomId, uuid, entry);
+    },
+
+    editPlayerAction,
+
+    /**
+     * set_sitting_out() — sit out after round `since`, or (since null) come
+     * back, logging the rounds skipped meanwhile as `entry`
+     */
+    setSittingOut(roomId, uuid, since, entry = null) {
+      if (since != null && (!Number.isInteger(since) || since < 0 || entry)) {
+        throw new StoreError('22023', 'Not a valid sit-out');
+      }
+      if (entry && (entry.type !== ACTION_TYPES.SIT_OUT || !(entry.count > 0) || (entry.amount || 0) !== 0)) {
+        throw new StoreError('22023', 'Not a valid sit-out entry');
+      }
+      let row = lockPlayer(roomId, uuid);
+      if (since != null) {
+        // Already sitting out (a replay): keep the round it started after
+        return row.sitting_out_since == null ? savePlayer({ ...row, sitting_out_since: since, updated_at: now() }) : row;
+      }
+      if (entry) row = applyPlayerAction(roomId, uuid, entry);
+      return row.sitting_out_since == null ? row : savePlayer({ ...row, sitting_out_since: null, updated_at: now() });
+    },
+
+    /** dispute_player_action() — flag a round as disputed */
+    disputePlayerAction(roomId, uuid, entryId, dispute) {
+      if (!dispute || dispute.id == null) throw new StoreError('22023', 'Dispute has no id');
+      const row = lockPlayer(roomId, uuid);
+      const key = roundKey({ room_id: roomId, player_uuid: uuid, id: String(entryId) });
+      const round = rounds.get(key);
+      if (!round) throw new StoreError('P0002', `Round ${entryId} not found`);
+      if (round.dispute_id === dispute.id) return row;
+      if (round.dispute_status === DISPUTE_STATUSES.OPEN) {
+        throw new StoreError('55000', `Round ${entryId} already has an open dispute`);
+      }
+      writeRound({
+        ...round,
+        dispute_id: dispute.id,
+        dispute_status: DISPUTE_STATUSES.OPEN,
+        dispute_note: String(dispute.note || '').slice(0, MAX_NOTE_LENGTH) || null,
+        disputed_at: dispute.ts || Date.now(),
+        dispute_resolved_at: null,
+      });
+      return refreshPlayerSummary(row);
+    },
+
+    /** resolve_dispute() — the banker's outcome, amending the round if need be */
+    resolveDispute(roomId, uuid, entryId, resolution) {
+      const status = resolution?.status;
+      if (![DISPUTE_STATUSES.ACCEPTED, DISPUTE_STATUSES.AMENDED, DISPUTE_STATUSES.REJECTED].includes(status)) {
+        throw new StoreError('22023', 'Not a valid dispute outcome');
+      }
+      const room = rooms.get(roomId);
+      if (!room || room.banker_uuid !== resolution.resolved_by) {
+        throw new StoreError('42501', 'Only the banker can resolve a dispute');
+      }
+      const row = lockPlayer(roomId, uuid);
+      const key = roundKey({ room_id: roomId, player_uuid: uuid, id: String(entryId) });
+      const round = rounds.get(key);
+      if (!round) throw new StoreError('P0002', `Round ${entryId} not found`);
+      if (round.dispute_id !== resolution.dispute_id) throw new StoreError('P0002', 'Dispute not found');
+      if (round.dispute_status === status) return row;
+      if (round.dispute_status !== DISPUTE_STATUSES.OPEN) {
+        throw new StoreError('55000', `Dispute on round ${entryId} is already resolved`);
+      }
+
+      if (status === DISPUTE_STATUSES.AMENDED) {
+        editPlayerAction(roomId, uuid, { ...resolution.entry, id: round.id }, resolution.edit, round.dispute_id);
+      }
+      writeRound({ ...rounds.get(key), dispute_status: status, dispute_resolved_at: resolution.ts || Date.now() });
+      return refreshPlayerSummary(lockPlayer(roomId, uuid));
+    },
+
+    // ---- history ----
+    listRounds,
+
+    /** Rows of the round_edits audit log, newest first */
+    listRoundEdits: (roomId, { playerUuid } = {}) =>
+      [...edits.values()]
+        .filter((e) => e.room_id === roomId && (!playerUuid || e.player_uuid === playerUuid))
+        .sort((a, b) => b.ts - a.ts),
+
+    // ---- replication ----
+
+    /** Every row, for handing to a peer that just started */
+    snapshot: () => ({
+      rooms: [...rooms.values()],
+      players: [...players.values()],
+      rounds: [...rounds.values()],
+      round_edits: [...edits.values()],
+    }),
+
+    /**
+     * Take rows from a peer as they are. A player row older than ours is
+     * ignored, and a rounds row only replaces ours when it was corrected or
+     * disputed later; `deletedRounds` are rounds rows the peer removed.
+     */
+    merge({
+      rooms: roomRows = [],
+      players: playerRows = [],
+      rounds: roundRows = [],
+      round_edits: editRows = [],
+      deletedRounds = [],
+    }) {
+      roomRows.forEach(writeRoom);
+      for (const row of roundRows) {
+        const existing = rounds.get(roundKey(row));
+        if (!existing || roundChangedAt(row) > roundChangedAt(existing)) writeRound(row);
+      }
+      for (const row of editRows) {
+        if (!edits.has(row.id)) writeEdit(row);
+      }
+      for (const row of deletedRounds) deleteRound(roundKey(row));
+      for (const row of playerRows) {
+        const existing = players.get(row.uuid);
+        if (existing && (existing.version || 0) >= (row.version || 0)) continue;
+        writePlayer(row);
+      }
+    },
+
+    /** listener({ table, eventType, new, old }) — returns an unsubscribe function */
+    onChange(listener) {
+      listeners.add(listener);
+      return () => listeners.delete(listener);
+    },
+  };
+}
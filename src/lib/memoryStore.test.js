@@ -0,0 +1,58 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createMemoryStore } from './memoryStore.js';
+import { seatPlayerRow } from './roundHistory.js';
+import { ACTION_TYPES, createLedgerEntry, createRoundEntry } from './actionLog.js';
+
+const DEVICE = '00000000-0000-4000-8000-000000000001';
+
+function seat(store, roomId) {
+  return store.upsertPlayer(seatPlayerRow({ uuid: DEVICE, room_id: roomId, role: 'player', name: 'Ann', joined_round: 0 }));
+}
+
+test('joining a second room starts the player row afresh', () => {
+  const store = createMemoryStore();
+  store.insertRoom({ id: '111111', banker_uuid: 'banker-a' });
+  store.insertRoom({ id: '222222', banker_uuid: 'banker-b' });
+
+  seat(store, '111111');
+  store.applyPlayerAction('111111', DEVICE, createLedgerEntry(ACTION_TYPES.BUY_IN, 10000));
+  store.applyPlayerAction('111111', DEVICE, createRoundEntry(2, 1000, 1, { rake: { type: 'percent', value: 5 } }));
+  store.applyPlayerAction('111111', DEVICE, createRoundEntry(-1, 1000, 2));
+  const before = store.setSittingOut('111111', DEVICE, 2, null);
+  assert.equal(before.round_count, 2);
+  assert.deepEqual(before.recorded_rounds, [1, 2]);
+  assert.ok(before.rake_total > 0);
+  assert.equal(before.bankroll, 10000);
+  assert.equal(before.sitting_out_since, 2);
+
+  const row = seat(store, '222222');
+  assert.equal(row.room_id, '222222');
+  assert.equal(row.current_net, 0);
+  assert.equal(row.last_action_amount, 0);
+  assert.equal(row.round_count, 0);
+  assert.deepEqual(row.recorded_rounds, []);
+  assert.equal(row.rake_total, 0);
+  assert.equal(row.bankroll, 0);
+  assert.equal(row.sitting_out_since, null);
+  assert.equal(store.getPlayer('111111', DEVICE), null);
+});
+
+test('coming back to a room picks up the rounds logged there', () => {
+  const store = createMemoryStore();
+  store.insertRoom({ id: '111111', banker_uuid: 'banker-a' });
+  store.insertRoom({ id: '222222', banker_uuid: 'banker-b' });
+
+  seat(store, '111111');
+  store.applyPlayerAction('111111', DEVICE, createRoundEntry(2, 1000, 1));
+  seat(store, '222222');
+
+  const row = seat(store, '111111');
+  assert.equal(row.current_net, 2000);
+  assert.equal(row.round_count, 1);
+  assert.deepEqual(row.recorded_rounds, [1]);
+
+  // The next action adds to it rather than bringing an old net back
+  const next = store.applyPlayerAction('111111', DEVICE, createRoundEntry(-1, 1000, 2));
+  assert.equal(next.current_net, 1000);
+});
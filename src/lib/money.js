@@ -0,0 +1,93 @@
+/**
+ * money.js
+ * =========
+ * Money is kept as integer minor units (cents) everywhere — log entries,
+ * player rows, settlements, archives — and only turned into text here, so
+ * summing a long session never drifts.
+ *
+ * Money format shape: { currency, whole, locale }
+ *   currency: a code from CURRENCIES; a room stores the banker's choice on
+ *             the room row, single-player keeps its own
+ *   whole:    show whole units only (rounded), a per-device display choice
+ *   locale:   for the digit grouping and decimal separator; the browser's
+ *             own when left out
+ *
+ * Every currency offered has two decimals, so one cent is always 1/100.
+ */
+
+export const CURRENCIES = [
+  { code: 'MYR', symbol: 'RM', name: 'Malaysian Ringgit' },
+  { code: 'SGD', symbol: 'S$', name: 'Singapore Dollar' },
+  { code: 'USD', symbol: '$', name: 'US Dollar' },
+  { code: 'RMB', symbol: '¥', name: 'Chinese Yuan' },
+  { code: 'HKD', symbol: 'HK$', name: 'Hong Kong Dollar' },
+  { code: 'THB', symbol: '฿', name: 'Thai Baht' },
+];
+
+export const DEFAULT_CURRENCY = 'USD';
+export const DEFAULT_MONEY = { currency: DEFAULT_CURRENCY, whole: false };
+
+const CENTS_PER_UNIT = 100;
+
+// Halves round away from zero, so -2.5 shows as -3 just as 2.5 shows as 3
+function roundHalfAway(value) {
+  return Math.sign(value) * Math.round(Math.abs(value));
+}
+
+export function currencyInfo(code) {
+  return CURRENCIES.find((c) => c.code === code) || CURRENCIES.find((c) => c.code === DEFAULT_CURRENCY);
+}
+
+/** Whole units (e.g. 2.5) → cents (250) */
+export function toCents(amount) {
+  return Math.round((Number(amount) || 0) * CENTS_PER_UNIT);
+}
+
+/** Cents → whole units, for inputs and charts */
+export function fromCents(cents) {
+  return (cents || 0) / CENTS_PER_UNIT;
+}
+
+/** Cents as a plain decimal string ("2.50"), for CSV */
+export function centsToDecimal(cents) {
+  return fromCents(Math.round(cents || 0)).toFixed(2);
+}
+
+/**
+ * Read an amount typed by the user ("2", "2.50", "1,000") into cents.
+ * Returns null if it is not a number.
+ */
+export function parseMoney(text) {
+  const value = Number(String(text ?? '').replace(/[\s,]/g, ''));
+  return String(text ?? '').trim() !== '' && Number.isFinite(value) ? toCents(value) : null;
+}
+
+const numberFormats = new Map();
+
+function numberFormat(locale, digits) {
+  const key = `${locale || ''}|${digits}`;
+  if (!numberFormats.has(key)) {
+    numberFormats.set(
+      key,
+      new Intl.NumberFormat(locale, { minimumFractionDigits: digits, maximumFractionDigits: digits })
+    );
+  }
+  return numberFormats.get(key);
+}
+
+/**
+ * Cents as text, e.g. "RM1,234.50". `signed` adds a "+" to positive
+ * amounts; negative amounts always carry a "-" before the symbol.
+ */
+export function formatMoney(cents, money = DEFAULT_MONEY, { signed = false } = {}) {
+  const { currency, whole, locale } = { ...DEFAULT_MONEY, ...money };
+  const rounded = whole ? roundHalfAway(fromCents(cents)) * CENTS_PER_UNIT : roundHalfAway(cents || 0);
+  const sign = rounded < 0 ? '-' : signed && rounded > 0 ? '+' : '';
+  const digits = whole ? 0 : 2;
+  return `${sign}${currencyInfo(currency).symbol}${numberFormat(locale, digits).format(Math.abs(fromCents(rounded)))}`;
+}
+
+/** A net: signed, "$0.00" when even */
+export function formatNet(cents, money = DEFAULT_MONEY) {
+  return formatMoney(cents, money, { signed: true });
+}
@@ -0,0 +1,13 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { formatMoney, formatNet } from './money.js';
+
+const WHOLE = { currency: 'USD', whole: true, locale: 'en-US' };
+
+test('whole units round halves away from zero on both sides', () => {
+  assert.equal(formatMoney(250, WHOLE), '$3');
+  assert.equal(formatMoney(-250, WHOLE), '-$3');
+  assert.equal(formatNet(150, WHOLE), '+$2');
+  assert.equal(formatNet(-150, WHOLE), '-$2');
+  assert.equal(formatNet(-49, WHOLE), '$0');
+});
@@ -0,0 +1,64 @@
+/**
+ * netSeries.js
+ * =============
+ * Net over time, for the charts: a series of { ts, net } points, oldest
+ * first, one per logged round, built from the stored round history (each
+ * entry carries its timestamp). Base changes add no point; a mass tie adds
+ * one flat point.
+ *
+ * Also the geometry the SVG charts share, so NetChart and Sparkline scale
+ * a series the same way.
+ */
+
+import { isRoundEntry } from './actionLog';
+
+/**
+ * Cumulative net after every round of `log` (newest first, as stored),
+ * starting from `startNet` — pass the net before the oldest loaded entry
+ * when only part of the history is loaded. The series opens with a point
+ * at `startNet` so a single round still draws a line.
+ */
+export function netSeries(log, startNet = 0) {
+  const points = [];
+  let net = startNet;
+  for (let i = log.length - 1; i >= 0; i--) {
+    const entry = log[i];
+    if (!isRoundEntry(entry)) continue;
+    net += entry.amount || 0;
+    points.push({ ts: entry.ts, net });
+  }
+  return points.length > 0 ? [{ ts: points[0].ts, net: startNet }, ...points] : [];
+}
+
+/** The banker's net over time from the whole room's history: −(sum of player nets) */
+export function bankerNetSeries(roomHistory) {
+  return netSeries(roomHistory).map((p) => ({ ...p, net: -p.net || 0 }));
+}
+
+/** Split a room's history (newest first) into each player's log, keyed by uuid */
+export function historyByPlayer(roomHistory) {
+  const logs = {};
+  for (const entry of roomHistory) {
+    if (!logs[entry.playerUuid]) logs[entry.playerUuid] = [];
+    logs[entry.playerUuid].push(entry);
+  }
+  return logs;
+}
+
+/**
+ * Scale a series into a width × height box (with `pad` px inside the
+ * edges). Points are spaced evenly by round; the vertical range always
+ * includes zero. Returns { points: [[x, y]], path, zeroY }.
+ */
+export function scaleSeries(series, width, height, pad = 2) {
+  const nets = series.map((p) => p.net);
+  const min = Math.min(0, ...nets);
+  const max = Math.max(0, ...nets);
+  const span = max - min || 1;
+  const step = series.length > 1 ? (width - pad * 2) / (series.length - 1) : 0;
+  const y = (net) => pad + ((max - net) / span) * (height - pad * 2);
+
+  const points = series.map((p, i) => [pad + i * step, y(p.net)]);
+  const path = points.map(([px, py], i) => `${i === 0 ? 'M' : 'L'}${px.toFixed(1)},${py.toFixed(1)}`).join(' ');
+  return { points, path, zeroY: y(0) };
+}
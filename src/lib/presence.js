@@ -0,0 +1,65 @@
+/**
+ * presence.js
+ * ============
+ * Who is still at the table. Every player's (and spectator's) device sends a
+ * heartbeat to the room while it is subscribed, the same way on every backend:
+ *
+ *   player → 'heartbeat'     { player_uuid, idle, left }
+ *   banker → 'presence_ping' {}   (after (re)subscribing: everyone answers at once)
+ *
+ * A player is `idle` while their app is in the background or untouched for
+ * IDLE_AFTER; `left` is their last heartbeat when they leave the room or
+ * close the page. A change to a player's row counts as a heartbeat too (a
+ * write means they are back). The banker stamps both with its own clock as
+ * they arrive, so device and server clocks never matter.
+ *
+ *   online   a heartbeat within OFFLINE_AFTER, not idle
+ *   idle     a heartbeat within OFFLINE_AFTER, idle
+ *   offline  nothing for OFFLINE_AFTER, or they left
+ *
+ * Offline players are left out of the round audit (no Off Track flag) until
+ * they come back.
+ */
+
+export const PRESENCE_STATUSES = {
+  ONLINE: 'online',
+  IDLE: 'idle',
+  OFFLINE: 'offline',
+};
+
+export const HEARTBEAT_INTERVAL = 15 * 1000;
+export const IDLE_AFTER = 3 * 60 * 1000;
+// Three missed heartbeats
+export const OFFLINE_AFTER = 3 * HEARTBEAT_INTERVAL + 5 * 1000;
+
+/** What a player's device sends */
+export function createHeartbeat(playerUuid, { idle = false, left = false } = {}) {
+  return { player_uuid: playerUuid, idle, left };
+}
+
+/** The banker's record of a heartbeat received at `now` */
+export function heartbeatToSeen(payload, now = Date.now()) {
+  return { lastSeen: now, idle: !!payload.idle, left: !!payload.left };
+}
+
+/** The banker's record of a change to the player's row received at `now` */
+export function rowChangeToSeen(now = Date.now()) {
+  return { lastSeen: now, idle: false, left: false };
+}
+
+/**
+ * A player's presence from the banker's record of them (`seen`, may be
+ * missing). Returns { status, lastSeen }; lastSeen is ms since epoch, or
+ * null if they were never seen.
+ */
+export function playerPresence(seen, now = Date.now()) {
+  const lastSeen = seen?.lastSeen ?? null;
+  if (seen?.left || lastSeen == null || now - lastSeen > OFFLINE_AFTER) {
+    return { status: PRESENCE_STATUSES.OFFLINE, lastSeen };
+  }
+  return { status: seen.idle ? PRESENCE_STATUSES.IDLE : PRESENCE_STATUSES.ONLINE, lastSeen };
+}
+
+export function isOffline(presence) {
+  return presence?.status === PRESENCE_STATUSES.OFFLINE;
+}
@@ -0,0 +1,36 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  IDLE_AFTER,
+  OFFLINE_AFTER,
+  PRESENCE_STATUSES,
+  createHeartbeat,
+  heartbeatToSeen,
+  playerPresence,
+  rowChangeToSeen,
+} from './presence.js';
+
+const NOW = 1_000_000_000;
+const P = '00000000-0000-4000-8000-000000000001';
+
+test('a player never seen is offline', () => {
+  assert.deepEqual(playerPresence(undefined, NOW), { status: PRESENCE_STATUSES.OFFLINE, lastSeen: null });
+});
+
+test('heartbeats are timed by the banker when they arrive', () => {
+  const seen = heartbeatToSeen(createHeartbeat(P), NOW);
+  assert.equal(playerPresence(seen, NOW + OFFLINE_AFTER).status, PRESENCE_STATUSES.ONLINE);
+  assert.equal(playerPresence(seen, NOW + OFFLINE_AFTER + 1).status, PRESENCE_STATUSES.OFFLINE);
+
+  const idle = heartbeatToSeen(createHeartbeat(P, { idle: true }), NOW + IDLE_AFTER);
+  assert.deepEqual(playerPresence(idle, NOW + IDLE_AFTER), { status: PRESENCE_STATUSES.IDLE, lastSeen: NOW + IDLE_AFTER });
+});
+
+test('a player who left is offline until their row changes again', () => {
+  const left = heartbeatToSeen(createHeartbeat(P, { left: true }), NOW);
+  assert.equal(playerPresence(left, NOW).status, PRESENCE_STATUSES.OFFLINE);
+  assert.deepEqual(playerPresence(rowChangeToSeen(NOW + 10), NOW + 10), {
+    status: PRESENCE_STATUSES.ONLINE,
+    lastSeen: NOW + 10,
+  });
+});
@@ -0,0 +1,108 @@
+/**
+ * presets.js
+ * ===========
+ * Game presets: the multiplier buttons a board shows and the payout math
+ * behind them.
+ *
+ * Preset shape:
+ *   { id, name, multipliers, winPayout, commission, custom }
+ *   multipliers: positive button values, e.g. [1, 1.5, 2, 3] — each also
+ *                gets a loss button
+ *   winPayout:   a player win pays base × multiplier × winPayout
+ *   commission:  taken off banker wins — a player loss costs
+ *                base × multiplier × (1 − commission)
+ *
+ * Amounts are integer cents (see money.js); a payout is rounded to the
+ * nearest cent. Entries store the amount they were logged with, so the net never
+ * depends on which preset is selected later. Single-player keeps its
+ * preset in localStorage; a multiplayer room stores the banker's choice on
+ * the room row and every player's board follows it.
+ */
+
+import { translate } from './i18n.js';
+
+export const MAX_BUTTONS = 10;
+
+export const PRESETS = [
+  { id: 'classic', name: 'Classic', multipliers: [1, 2, 3, 4, 5], winPayout: 1, commission: 0 },
+  { id: 'classic10', name: 'Classic x10', multipliers: [1, 2, 3, 4, 5, 6, 7, 8, 9, 10], winPayout: 1, commission: 0 },
+  { id: 'commission', name: 'Banker Commission', multipliers: [1, 2, 3, 4, 5], winPayout: 1, commission: 0.05 },
+  { id: 'blackjack', name: 'Blackjack', multipliers: [1, 1.5, 2, 3, 4], winPayout: 1, commission: 0 },
+];
+
+export const DEFAULT_PRESET = PRESETS[0];
+
+const CUSTOM_KEY = 'custom_presets';
+
+const roundRatio = (ratio) => Math.round(ratio * 100) / 100;
+
+/** Cents a round at `multiplier` (negative = loss, 0 = tie) is worth, for a base in cents */
+export function payout(preset, base, multiplier) {
+  const { winPayout = 1, commission = 0 } = preset || DEFAULT_PRESET;
+  if (multiplier > 0) return Math.round(base * multiplier * winPayout);
+  if (multiplier < 0) return Math.round(base * multiplier * (1 - commission));
+  return 0;
+}
+
+/** One-line summary, e.g. "x1 x2 x3 · banker wins pay 0.95x" */
+export function describePreset(preset, t = translate) {
+  const { multipliers, winPayout, commission } = preset;
+  const parts = [`x${multipliers.join(' x')}`];
+  if (winPayout !== 1) parts.push(t('preset.winsPay', { ratio: winPayout }));
+  if (commission > 0) parts.push(t('preset.bankerWinsPay', { ratio: roundRatio(1 - commission) }));
+  return parts.join(' · ');
+}
+
+/**
+ * Clean up a preset from the editor, a room row or an old backup.
+ * Returns { preset } or { error } — a translation key, which may use {max}
+ * (MAX_BUTTONS).
+ */
+export function validatePreset(raw) {
+  const name = String(raw.name || '').trim();
+  if (!name) return { error: 'error.presetName' };
+
+  const multipliers = [...new Set((raw.multipliers || []).map(Number))]
+    .filter((m) => Number.isFinite(m) && m > 0)
+    .sort((a, b) => a - b);
+  if (multipliers.length === 0) return { error: 'error.presetNoMultipliers' };
+  if (multipliers.length > MAX_BUTTONS) return { error: 'error.presetTooMany' };
+
+  const winPayout = Number(raw.winPayout);
+  if (!Number.isFinite(winPayout) || winPayout <= 0) return { error: 'error.presetWinPayout' };
+
+  const commission = Number(raw.commission);
+  if (!Number.isFinite(commission) || commission < 0 || commission >= 1) {
+    return { error: 'error.presetCommission' };
+  }
+
+  return {
+    preset: { id: raw.id || `custom-${Date.now()}`, name, multipliers, winPayout, commission, custom: !!raw.custom },
+  };
+}
+
+// ---------------------------------------------------------------------------
+// Custom presets, kept on this device
+// ---------------------------------------------------------------------------
+
+export function loadCustomPresets() {
+  try {
+    const saved = JSON.parse(localStorage.getItem(CUSTOM_KEY));
+    return Array.isArray(saved) ? saved : [];
+  } catch {
+    return [];
+  }
+}
+
+/** Add or replace a custom preset (by id). Returns the new list. */
+export function saveCustomPreset(preset) {
+  const presets = [...loadCustomPresets().filter((p) => p.id !== preset.id), { ...preset, custom: true }];
+  localStorage.setItem(CUSTOM_KEY, JSON.stringify(presets));
+  return presets;
+}
+
+export function deleteCustomPreset(id) {
+  const presets = loadCustomPresets().filter((p) => p.id !== id);
+  localStorage.setItem(CUSTOM_KEY, JSON.stringify(presets));
+  return presets;
+}
@@ -0,0 +1,42 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { DEFAULT_PRESET, MAX_BUTTONS, PRESETS, describePreset, payout, validatePreset } from './presets.js';
+
+const COMMISSION = PRESETS.find((p) => p.id === 'commission');
+
+test('a classic round pays base × multiplier either way', () => {
+  assert.equal(payout(DEFAULT_PRESET, 1000, 3), 3000);
+  assert.equal(payout(DEFAULT_PRESET, 1000, -3), -3000);
+  assert.equal(payout(DEFAULT_PRESET, 1000, 0), 0);
+  assert.equal(payout(null, 1000, 2), 2000);
+});
+
+test('commission comes off banker wins only', () => {
+  assert.equal(payout(COMMISSION, 1000, 2), 2000);
+  assert.equal(payout(COMMISSION, 1000, -2), -1900);
+});
+
+test('payouts are rounded to the cent', () => {
+  const preset = { ...DEFAULT_PRESET, winPayout: 0.95 };
+  assert.equal(payout(preset, 333, 1), 316);
+  assert.equal(payout({ ...DEFAULT_PRESET, commission: 0.05 }, 333, -1), -316);
+});
+
+test('the summary names non-default payouts', () => {
+  assert.equal(describePreset(DEFAULT_PRESET), 'x1 x2 x3 x4 x5');
+  assert.equal(describePreset(COMMISSION), 'x1 x2 x3 x4 x5 · banker wins pay 0.95x');
+});
+
+test('the editor cleans up multipliers and rejects what cannot be played', () => {
+  const { preset } = validatePreset({ name: ' Mine ', multipliers: ['3', '1', '3', '-2', 'x'], winPayout: '1', commission: 0 });
+  assert.equal(preset.name, 'Mine');
+  assert.deepEqual(preset.multipliers, [1, 3]);
+
+  const base = { name: 'Mine', multipliers: [1], winPayout: 1, commission: 0 };
+  assert.deepEqual(validatePreset({ ...base, name: ' ' }), { error: 'error.presetName' });
+  assert.deepEqual(validatePreset({ ...base, multipliers: [] }), { error: 'error.presetNoMultipliers' });
+  const tooMany = Array.from({ length: MAX_BUTTONS + 1 }, (_, i) => i + 1);
+  assert.deepEqual(validatePreset({ ...base, multipliers: tooMany }), { error: 'error.presetTooMany' });
+  assert.deepEqual(validatePreset({ ...base, winPayout: 0 }), { error: 'error.presetWinPayout' });
+  assert.deepEqual(validatePreset({ ...base, commission: 1 }), { error: 'error.presetCommission' });
+});
@@ -0,0 +1,49 @@
+/**
+ * rake.js
+ * ========
+ * The banker's "tea money": a cut taken from every winning round, set when
+ * the room is created and stored on the room row.
+ *
+ * Rake rule shape: { type: 'percent' | 'fixed', value } — `value` is a
+ * percentage of the win, or an amount per winning round in cents (see
+ * money.js). null = no rake.
+ *
+ * A round entry keeps the rake it paid (`entry.rake`) and its `amount` is
+ * the win after the rake, so nets and the banker's total stay plain sums.
+ */
+
+import { DEFAULT_MONEY, formatMoney, toCents } from './money.js';
+import { translate } from './i18n.js';
+
+export const RAKE_TYPES = { PERCENT: 'percent', FIXED: 'fixed' };
+
+/** Rake owed, in cents, on a round worth `winAmount` — never more than the win itself */
+export function computeRake(rule, winAmount) {
+  if (!rule || !(rule.value > 0) || !(winAmount > 0)) return 0;
+  const rake = rule.type === RAKE_TYPES.FIXED ? rule.value : Math.round((winAmount * rule.value) / 100);
+  return Math.min(rake, winAmount);
+}
+
+/** e.g. "5% of wins" or "$1.00 per win", in the language of `t` (see i18n.js) */
+export function describeRake(rule, money = DEFAULT_MONEY, t = translate) {
+  if (!rule || !(rule.value > 0)) return t('rake.none');
+  return rule.type === RAKE_TYPES.FIXED
+    ? t('rake.fixed', { amount: formatMoney(rule.value, money) })
+    : t('rake.percent', { percent: rule.value });
+}
+
+/**
+ * Clean up a rake rule as entered in the room setup — a fixed rake is
+ * typed in whole units and stored in cents.
+ * Returns { rule } (null for no rake) or { error } — a translation key.
+ */
+export function validateRake(raw) {
+  if (!raw || raw.value === '' || raw.value == null) return { rule: null };
+  const value = Number(raw.value);
+  if (!Number.isFinite(value) || value < 0) return { error: 'error.rakeNegative' };
+  if (raw.type === RAKE_TYPES.PERCENT && value >= 100) return { error: 'error.rakeTooHigh' };
+  if (value === 0) return { rule: null };
+  return raw.type === RAKE_TYPES.FIXED
+    ? { rule: { type: RAKE_TYPES.FIXED, value: toCents(value) } }
+    : { rule: { type: RAKE_TYPES.PERCENT, value } };
+}
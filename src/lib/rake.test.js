@@ -0,0 +1,41 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { RAKE_TYPES, computeRake, describeRake, validateRake } from './rake.js';
+import { createRoundEntry } from './actionLog.js';
+
+const PERCENT_5 = { type: RAKE_TYPES.PERCENT, value: 5 };
+const FIXED_2 = { type: RAKE_TYPES.FIXED, value: 200 };
+
+test('rake is taken from wins only', () => {
+  assert.equal(computeRake(PERCENT_5, 1000), 50);
+  assert.equal(computeRake(FIXED_2, 1000), 200);
+  assert.equal(computeRake(PERCENT_5, -1000), 0);
+  assert.equal(computeRake(PERCENT_5, 0), 0);
+  assert.equal(computeRake(null, 1000), 0);
+});
+
+test('rake never takes more than the win itself', () => {
+  assert.equal(computeRake(FIXED_2, 150), 150);
+  assert.equal(computeRake({ type: RAKE_TYPES.PERCENT, value: 99 }, 100), 99);
+});
+
+test('a raked win logs the amount after rake, and the rake apart', () => {
+  const entry = createRoundEntry(2, 1000, 1, { rake: PERCENT_5 });
+  assert.equal(entry.amount, 1900);
+  assert.equal(entry.rake, 100);
+  assert.equal(createRoundEntry(-2, 1000, 2, { rake: PERCENT_5 }).amount, -2000);
+});
+
+test('the room setup accepts a rake under 100% and a fixed rake in whole units', () => {
+  assert.deepEqual(validateRake({ type: RAKE_TYPES.FIXED, value: '2.5' }), { rule: { type: RAKE_TYPES.FIXED, value: 250 } });
+  assert.deepEqual(validateRake({ type: RAKE_TYPES.PERCENT, value: '5' }), { rule: PERCENT_5 });
+  assert.deepEqual(validateRake({ type: RAKE_TYPES.PERCENT, value: '0' }), { rule: null });
+  assert.deepEqual(validateRake({ type: RAKE_TYPES.PERCENT, value: '' }), { rule: null });
+  assert.deepEqual(validateRake({ type: RAKE_TYPES.PERCENT, value: '100' }), { error: 'error.rakeTooHigh' });
+  assert.deepEqual(validateRake({ type: RAKE_TYPES.FIXED, value: '-1' }), { error: 'error.rakeNegative' });
+});
+
+test('the rule is described for the board', () => {
+  assert.equal(describeRake(null), 'No rake');
+  assert.equal(describeRake(PERCENT_5), '5% of wins');
+});
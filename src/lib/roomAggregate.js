@@ -0,0 +1,76 @@
+/**
+ * roomAggregate.js
+ * =================
+ * The banker's view of a room: a map of player rows keyed by uuid plus a
+ * running total of their nets, kept current from realtime payloads instead
+ * of re-selecting the whole room on every change.
+ *
+ * Every players row carries a `version` that goes up by one on each write.
+ * That is how a missed event is noticed: an update that skips a version
+ * means something in between was lost, and the caller should resync.
+ *
+ * All functions are pure and return a new aggregate.
+ */
+
+export const EMPTY_AGGREGATE = { rows: new Map(), totalNet: 0 };
+
+const netOf = (row) => (row ? row.current_net || 0 : 0);
+
+/** Build from a full fetch of the room's players */
+export function createRoomAggregate(rows) {
+  const map = new Map(rows.map((row) => [row.uuid, row]));
+  return { rows: map, totalNet: rows.reduce((sum, row) => sum + netOf(row), 0) };
+}
+
+/**
+ * Replace the aggregate with a full fetch, except where a realtime payload
+ * that arrived while the fetch was in flight is already newer.
+ */
+export function mergeSnapshot(aggregate, rows) {
+  const merged = rows.map((row) => {
+    const current = aggregate.rows.get(row.uuid);
+    return current && (current.version || 0) > (row.version || 0) ? current : row;
+  });
+  return createRoomAggregate(merged);
+}
+
+function withRow(aggregate, uuid, row) {
+  const rows = new Map(aggregate.rows);
+  const previous = rows.get(uuid);
+  if (row) rows.set(uuid, row);
+  else rows.delete(uuid);
+  return { rows, totalNet: aggregate.totalNet - netOf(previous) + netOf(row) };
+}
+
+/**
+ * Apply one postgres_changes-style payload ({ eventType, new, old }).
+ * Returns { aggregate, gap } — `gap` is true when a version was skipped,
+ * in which case the change is not applied and the room should be resynced.
+ */
+export function applyPlayerChange(aggregate, change, roomId) {
+  if (change.eventType === 'DELETE') {
+    const uuid = change.old?.uuid;
+    return { aggregate: uuid ? withRow(aggregate, uuid, null) : aggregate, gap: false };
+  }
+
+  const row = change.new;
+  // A player who moved to another room leaves this one
+  if (row.room_id !== roomId) {
+    return { aggregate: withRow(aggregate, row.uuid, null), gap: false };
+  }
+
+  // Rows without a version (schema not migrated yet) are applied as they come
+  const known = aggregate.rows.get(row.uuid);
+  if (known && row.version != null) {
+    const knownVersion = known.version || 0;
+    if (row.version <= knownVersion) return { aggregate, gap: false }; // stale or duplicate
+    if (row.version > knownVersion + 1) return { aggregate, gap: true };
+  }
+
+  return { aggregate: withRow(aggregate, row.uuid, row), gap: false };
+}
+
+/** Player rows as an array, for rendering */
+export function aggregatePlayers(aggregate) {
+  return [...aggregate.rows.values()];
+}
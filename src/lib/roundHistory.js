@@ -0,0 +1,189 @@
+/**
+ * roundHistory.js
+ * ================
+ * The multiplayer action log as rows of the `rounds` table — one row per
+ * action, keyed by room, player and round number — read a page at a time.
+ *
+ * Row shape (see supabase/migrations):
+ *   { room_id, player_uuid, id, seq, type, round_number, rounds, count,
+ *     multiplier, amount, rake, base, ts, edited_at,
+ *     dispute_id, dispute_status, dispute_note, disputed_at, dispute_resolved_at }
+ * `seq` is assigned by the backend in insertion order; pages are newest
+ * first and the next page starts below the oldest `seq` already loaded.
+ */
+
+import {
+  countRounds,
+  deriveBankroll,
+  deriveBase,
+  deriveNet,
+  deriveRake,
+  formatClock,
+  isRoundEntry,
+} from './actionLog.js';
+import { logRoundNumbers } from './rounds.js';
+import { DISPUTE_STATUSES } from './disputes.js';
+
+export const HISTORY_PAGE_SIZE = 50;
+
+/** A log entry as a `rounds` row (the backend assigns `seq`) */
+export function entryToRoundRow(entry, roomId, playerUuid) {
+  // Mass ties and sit-outs cover several rounds
+  const massTie = entry.type === 'mass_tie' || entry.type === 'sit_out';
+  return {
+    room_id: roomId,
+    player_uuid: playerUuid,
+    id: String(entry.id),
+    type: entry.type,
+    round_number: massTie ? null : entry.round ?? null,
+    rounds: massTie ? entry.rounds || [] : null,
+    count: entry.count ?? null,
+    multiplier: entry.multiplier || 0,
+    amount: entry.amount || 0,
+    rake: entry.rake || 0,
+    base: entry.base ?? null,
+    ts: entry.ts || Date.now(),
+    edited_at: entry.editedAt ?? null,
+  };
+}
+
+/** A `rounds` row back in the log entry shape the boards render */
+export function roundRowToEntry(row) {
+  const ts = Number(row.ts);
+  return {
+    id: row.id,
+    seq: Number(row.seq),
+    type: row.type,
+    multiplier: Number(row.multiplier),
+    amount: Number(row.amount),
+    ...(Number(row.rake) > 0 && { rake: Number(row.rake) }),
+    base: row.base == null ? undefined : Number(row.base),
+    round: row.round_number ?? null,
+    rounds: row.rounds || undefined,
+    count: row.count ?? undefined,
+    playerUuid: row.player_uuid,
+    ts,
+    time: formatClock(ts),
+    ...(row.edited_at != null && { editedAt: Number(row.edited_at) }),
+    ...(row.dispute_status && {
+      dispute: {
+        id: row.dispute_id,
+        status: row.dispute_status,
+        note: row.dispute_note || '',
+        raisedAt: Number(row.disputed_at),
+        resolvedAt: row.dispute_resolved_at == null ? null : Number(row.dispute_resolved_at),
+      },
+    }),
+  };
+}
+
+/**
+ * The summary columns of a players row, from the player's full log (newest
+ * first) — mirrors refresh_player_summary() in SQL.
+ */
+export function summarizeRounds(log, fallbackBase = 0) {
+  const latestRound = log.find(isRoundEntry);
+  return {
+    current_net: deriveNet(log),
+    base_amount: deriveBase(log, fallbackBase),
+    last_action_amount: latestRound ? latestRound.amount || 0 : 0,
+    round_count: countRounds(log),
+    recorded_rounds: logRoundNumbers(log),
+    rake_total: deriveRake(log),
+    bankroll: deriveBankroll(log),
+  };
+}
+
+/**
+ * A players row for taking a seat in a room. The row is keyed by device, so
+ * everything summarised from the last room's log is reset, not left behind,
+ * and nobody sits down already sitting out. The backend then sums up any
+ * rounds the device already logged in this room (players_seat_summary), so
+ * coming back to a room picks up where its history left off.
+ */
+export function seatPlayerRow(fields) {
+  return { ...summarizeRounds([]), sitting_out_since: null, ...fields };
+}
+
+/** Lowest `seq` among loaded entries — where the next page starts */
+function oldestSeq(entries) {
+  const seqs = entries.map((e) => e.seq).filter((s) => s != null);
+  return seqs.length > 0 ? Math.min(...seqs) : undefined;
+}
+
+/**
+ * Fetch the page of history below what is already loaded.
+ * `playerUuid` null reads the whole room. Resolves to
+ * { entries, hasMore, error } — entries newest first, not yet in `loaded`.
+ */
+export async function fetchHistoryPage(backend, roomId, playerUuid, loaded = []) {
+  const { data, error } = await backend.listRounds(roomId, {
+    playerUuid,
+    before: oldestSeq(loaded),
+    limit: HISTORY_PAGE_SIZE + 1,
+  });
+  if (error || !data) return { entries: [], hasMore: false, error: error || null };
+
+  // Entries logged on this device carry no playerUuid; they are the player's own
+  const keyOf = (e) => `${e.playerUuid || playerUuid}|${e.id}`;
+  const known = new Set(loaded.map(keyOf));
+  const entries = data
+    .slice(0, HISTORY_PAGE_SIZE)
+    .map(roundRowToEntry)
+    .filter((e) => !known.has(keyOf(e)));
+  return { entries, hasMore: data.length > HISTORY_PAGE_SIZE, error: null };
+}
+
+/** Page through everything (for reports); resolves to { entries, error } */
+export async function fetchAllHistory(backend, roomId, playerUuid = null) {
+  let entries = [];
+  for (;;) {
+    const page = await fetchHistoryPage(backend, roomId, playerUuid, entries);
+    if (page.error) return { entries, error: page.error };
+    entries = [...entries, ...page.entries];
+    if (!page.hasMore) return { entries, error: null };
+  }
+}
+
+/** Highest `seq` among loaded entries — everything above it is new */
+function newestSeq(entries) {
+  const seqs = entries.map((e) => e.seq).filter((s) => s != null);
+  return seqs.length > 0 ? Math.max(...seqs) : undefined;
+}
+
+/** Whether a player's loaded entries still add up to their players row */
+function matchesSummary(log, row) {
+  return (
+    deriveNet(log) === (row.current_net || 0) &&
+    countRounds(log) === (row.round_count || 0) &&
+    deriveBankroll(log) === (row.bankroll || 0)
+  );
+}
+
+/**
+ * Bring the whole room's loaded history (newest first) up to date with
+ * `players` rows: only rows added since are read, and a player's history is
+ * re-read in full only when it no longer adds up to their row (an undo or a
+ * correction). Resolves to { entries, error }.
+ */
+export async function refreshRoomHistory(backend, roomId, loaded, players) {
+  const { data, error } = await backend.listRounds(roomId, { after: newestSeq(loaded) });
+  if (error || !data) return { entries: loaded, error: error || null };
+
+  let entries = [...data.map(roundRowToEntry), ...loaded];
+  for (const row of players) {
+    const log = entries.filter((e) => e.playerUuid === row.uuid);
+    if (matchesSummary(log, row)) continue;
+    const { entries: reread, error: rereadErr } = await fetchAllHistory(backend, roomId, row.uuid);
+    if (rereadErr) return { entries, error: rereadErr };
+    entries = [...entries.filter((e) => e.playerUuid !== row.uuid), ...reread];
+  }
+  return { entries: entries.sort((a, b) => b.seq - a.seq), error: null };
+}
+
+/** Every entry in the room with an open dispute; resolves to { entries, error } */
+export async function fetchOpenDisputes(backend, roomId) {
+  const { data, error } = await backend.listRounds(roomId, { disputeStatus: DISPUTE_STATUSES.OPEN });
+  if (error || !data) return { entries: [], error: error || null };
+  return { entries: data.map(roundRowToEntry), error: null };
+}
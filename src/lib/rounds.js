@@ -0,0 +1,133 @@
+/**
+ * rounds.js
+ * ==========
+ * Banker-driven round numbering.
+ *
+ * The banker opens and closes numbered rounds; every round entry a player
+ * logs is stamped with the round it belongs to (`round`, or `rounds` for a
+ * mass tie). Auditing a player is then an exact comparison against the
+ * rounds the banker has closed — no guessing from history lengths.
+ *
+ * Each round moves through phases, set by the banker and broadcast to the
+ * room (`rooms.round_phase`):
+ *   idle → betting → closed → results → betting (the next round) → …
+ *   betting: bets are being placed, no results yet
+ *   closed:  no more bets; the round is being played out
+ *   results: the only window in which players log the round, once each
+ *   idle:    no round in play (before the first, or after the banker
+ *            finishes one without opening the next)
+ * The banker may put a countdown on betting and results
+ * (`rooms.phase_ends_at`); when it runs out the banker's device moves the
+ * room on and players' buttons lock. The window is checked when a player
+ * taps, so an entry queued offline during results still syncs later.
+ */
+
+import { ACTION_TYPES, entryType, isRoundEntry } from './actionLog.js';
+
+/**
+ * Round numbers an entry covers (empty for base changes and unnumbered
+ * rounds). Rounds sat out are covered too, so they are never missing.
+ */
+export function entryRounds(entry) {
+  if (entryType(entry) === ACTION_TYPES.SIT_OUT) return entry.rounds || [];
+  if (!isRoundEntry(entry)) return [];
+  if (entryType(entry) === ACTION_TYPES.MASS_TIE) return entry.rounds || [];
+  return entry.round ? [entry.round] : [];
+}
+
+export const ROUND_PHASES = {
+  IDLE: 'idle',
+  BETTING: 'betting',
+  CLOSED: 'closed',
+  RESULTS: 'results',
+};
+
+/** Countdown lengths the banker can choose, in seconds (0 = none) */
+export const PHASE_TIMERS = [0, 15, 30, 60, 120];
+
+/** The phase the banker moves to next, and the round it belongs to — results reopen betting on the next round */
+export function nextPhase(phase, roundNumber) {
+  if (phase === ROUND_PHASES.BETTING) return { phase: ROUND_PHASES.CLOSED, roundNumber };
+  if (phase === ROUND_PHASES.CLOSED) return { phase: ROUND_PHASES.RESULTS, roundNumber };
+  return { phase: ROUND_PHASES.BETTING, roundNumber: roundNumber + 1 };
+}
+
+/** A round is in play from betting until the banker finishes it */
+export function isRoundOpen(phase) {
+  return !!phase && phase !== ROUND_PHASES.IDLE;
+}
+
+/** Whole seconds left on a phase countdown (ISO end time), or null if there is none */
+export function phaseSecondsLeft(endsAt, now = Date.now()) {
+  if (!endsAt) return null;
+  return Math.max(0, Math.ceil((Date.parse(endsAt) - now) / 1000));
+}
+
+/** Whether the results window is open: the results phase, with time left on any countdown */
+export function resultsOpen(phase, endsAt, now = Date.now()) {
+  return phase === ROUND_PHASES.RESULTS && phaseSecondsLeft(endsAt, now) !== 0;
+}
+
+/** Whether a log already holds an entry for `round` */
+export function hasLoggedRound(log, round) {
+  return !!round && log.some((e) => entryRounds(e).includes(round));
+}
+
+/** The newest round the banker has finished (a round still in play does not count) */
+export function lastClosedRound(roundNumber, roundOpen) {
+  return roundOpen ? roundNumber - 1 : roundNumber;
+}
+
+/** Every round number a log covers, ascending, with repeats */
+export function logRoundNumbers(log) {
+  return log.flatMap(entryRounds).sort((a, b) => a - b);
+}
+
+/**
+ * Compare the round numbers a player has recorded (logRoundNumbers(), or
+ * the `recorded_rounds` column of their row) with the banker's rounds.
+ *
+ * A player is expected to record every closed round after the one that was
+ * current when they joined (`joinedRound`), plus any earlier round they
+ * chose to record anyway.
+ *
+ * Returns { recorded, missing, duplicates }:
+ * - recorded:   Map of round number → number of entries for it
+ * - missing:    closed rounds with no entry, ascending
+ * - duplicates: rounds with more than one entry, ascending
+ */
+export function auditRounds(roundNumbers, { roundNumber, roundOpen, joinedRound = 0 }) {
+  const recorded = new Map();
+  for (const r of roundNumbers) {
+    recorded.set(r, (recorded.get(r) || 0) + 1);
+  }
+
+  const firstRecorded = recorded.size > 0 ? Math.min(...recorded.keys()) : Infinity;
+  const start = Math.min(firstRecorded, (joinedRound || 0) + 1);
+  const end = lastClosedRound(roundNumber, roundOpen);
+
+  const missing = [];
+  for (let r = start; r <= end; r++) {
+    if (!recorded.has(r)) missing.push(r);
+  }
+
+  const duplicates = [...recorded.entries()]
+    .filter(([, count]) => count > 1)
+    .map(([r]) => r)
+    .sort((a, b) => a - b);
+
+  return { recorded, missing, duplicates };
+}
+
+/** Compact label for a list of round numbers, e.g. [3, 4, 5, 8] → "R3–5, R8" */
+export function formatRoundList(rounds) {
+  const parts = [];
+  let i = 0;
+  while (i < rounds.length) {
+    let j = i;
+    while (j + 1 < rounds.length && rounds[j + 1] === rounds[j] + 1) j++;
+    parts.push(i === j ? `R${rounds[i]}` : `R${rounds[i]}–${rounds[j]}`);
+    i = j + 1;
+  }
+  return parts.join(', ');
+}
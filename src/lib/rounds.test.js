@@ -0,0 +1,59 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  ROUND_PHASES,
+  auditRounds,
+  formatRoundList,
+  hasLoggedRound,
+  isRoundOpen,
+  logRoundNumbers,
+  nextPhase,
+  resultsOpen,
+} from './rounds.js';
+import { createBaseEntry, createMassTieEntry, createRoundEntry, createSitOutEntry } from './actionLog.js';
+
+const { IDLE, BETTING, CLOSED, RESULTS } = ROUND_PHASES;
+
+test('phases cycle betting → closed → results, and results open the next round', () => {
+  assert.deepEqual(nextPhase(IDLE, 0), { phase: BETTING, roundNumber: 1 });
+  assert.deepEqual(nextPhase(BETTING, 1), { phase: CLOSED, roundNumber: 1 });
+  assert.deepEqual(nextPhase(CLOSED, 1), { phase: RESULTS, roundNumber: 1 });
+  assert.deepEqual(nextPhase(RESULTS, 1), { phase: BETTING, roundNumber: 2 });
+  assert.equal(isRoundOpen(IDLE), false);
+  assert.equal(isRoundOpen(null), false);
+  assert.equal(isRoundOpen(CLOSED), true);
+});
+
+test('results are open only in the results phase with time left', () => {
+  const now = Date.parse('2026-10-19T12:00:00Z');
+  assert.equal(resultsOpen(RESULTS, null, now), true);
+  assert.equal(resultsOpen(RESULTS, '2026-10-19T12:00:10Z', now), true);
+  assert.equal(resultsOpen(RESULTS, '2026-10-19T11:59:59Z', now), false);
+  assert.equal(resultsOpen(CLOSED, null, now), false);
+});
+
+test('mass ties and sit-outs cover their rounds; base changes cover none', () => {
+  const log = [createSitOutEntry([4, 5]), createMassTieEntry([2, 3]), createRoundEntry(1, 1000, 1), createBaseEntry(1000)];
+  assert.deepEqual(logRoundNumbers(log), [1, 2, 3, 4, 5]);
+  assert.equal(hasLoggedRound(log, 3), true);
+  assert.equal(hasLoggedRound(log, 6), false);
+  assert.equal(hasLoggedRound(log, null), false);
+});
+
+test('audit finds missing and duplicate rounds up to the last closed one', () => {
+  const audit = auditRounds([1, 2, 2, 5], { roundNumber: 6, roundOpen: true });
+  assert.deepEqual(audit.missing, [3, 4]);
+  assert.deepEqual(audit.duplicates, [2]);
+  assert.equal(audit.recorded.get(2), 2);
+});
+
+test('audit does not expect rounds from before the player joined', () => {
+  assert.deepEqual(auditRounds([], { roundNumber: 5, roundOpen: false, joinedRound: 3 }).missing, [4, 5]);
+  // A round recorded before joining still counts as the start
+  assert.deepEqual(auditRounds([2], { roundNumber: 4, roundOpen: false, joinedRound: 3 }).missing, [3, 4]);
+});
+
+test('round lists collapse runs', () => {
+  assert.equal(formatRoundList([3, 4, 5, 8]), 'R3–5, R8');
+  assert.equal(formatRoundList([]), '');
+});
@@ -0,0 +1,133 @@
+/**
+ * sessionArchive.js
+ * ==================
+ * Every session this device took part in — single-player games and
+ * multiplayer rooms — kept in localStorage so leaving a game no longer
+ * throws its history away.
+ *
+ * Session shape:
+ *   { id, kind: 'single' | 'multi', role: 'player' | 'banker',
+ *     roomId, connection, currency, startedAt, endedAt, base, finalNet, roundCount,
+ *     playerName,   // player sessions
+ *     bankroll,     // player sessions: buy-ins + top-ups − cash-outs
+ *     history,      // the device's full action log, newest first
+ *     players,      // banker only: [{ uuid, name, base_amount, current_net, round_count, rake_total, bankroll }]
+ *     settlement }  // multiplayer, if the room settled up
+ *
+ * Multiplayer sessions keep the connection they were played on, so an
+ * ended room can be reopened (read-only) from the same backend.
+ *
+ * Amounts are integer cents (see money.js); sessions archived before that
+ * go through sessionToCents() once.
+ */
+
+import { logToCents } from './actionLog.js';
+import { toCents } from './money.js';
+import { RAKE_TYPES } from './rake.js';
+
+const ARCHIVE_KEY = 'session_archive';
+const STARTED_KEY = 'session_started';
+
+export function loadArchive() {
+  try {
+    const saved = JSON.parse(localStorage.getItem(ARCHIVE_KEY));
+    return Array.isArray(saved) ? saved : [];
+  } catch {
+    return [];
+  }
+}
+
+function saveArchive(sessions) {
+  localStorage.setItem(ARCHIVE_KEY, JSON.stringify(sessions));
+  return sessions;
+}
+
+/** Add or replace a session (by id), newest first. Returns the new archive. */
+export function archiveSession(session) {
+  const rest = loadArchive().filter((s) => s.id !== session.id);
+  return saveArchive([session, ...rest].sort((a, b) => b.endedAt - a.endedAt));
+}
+
+export function removeSession(id) {
+  return saveArchive(loadArchive().filter((s) => s.id !== id));
+}
+
+// ---------------------------------------------------------------------------
+// Session start times, by session id ('single' or a room code)
+// ---------------------------------------------------------------------------
+
+function loadStarts() {
+  try {
+    return JSON.parse(localStorage.getItem(STARTED_KEY)) || {};
+  } catch {
+    return {};
+  }
+}
+
+/** When this session started; the first call for a session records now */
+export function sessionStartedAt(sessionId) {
+  const starts = loadStarts();
+  if (!starts[sessionId]) {
+    starts[sessionId] = Date.now();
+    localStorage.setItem(STARTED_KEY, JSON.stringify(starts));
+  }
+  return starts[sessionId];
+}
+
+export function clearSessionStart(sessionId) {
+  const starts = loadStarts();
+  delete starts[sessionId];
+  localStorage.setItem(STARTED_KEY, JSON.stringify(starts));
+}
+
+/** Fill in the fields every session has */
+export function createSession({ kind, roomId = null, startedAt, ...fields }) {
+  const endedAt = Date.now();
+  return {
+    id: `${kind}:${roomId || 'local'}:${startedAt}`,
+    kind,
+    roomId,
+    startedAt,
+    endedAt,
+    ...fields,
+  };
+}
+
+/** A session archived while amounts were still whole units, in cents */
+export function sessionToCents(session) {
+  const settlement = session.settlement;
+  return {
+    ...session,
+    base: toCents(session.base),
+    finalNet: toCents(session.finalNet),
+    ...(session.bankroll != null && { bankroll: toCents(session.bankroll) }),
+    ...(session.rake?.type === RAKE_TYPES.FIXED && { rake: { ...session.rake, value: toCents(session.rake.value) } }),
+    history: logToCents(session.history || []),
+    ...(session.players && {
+      players: session.players.map((p) => ({
+        ...p,
+        base_amount: toCents(p.base_amount),
+        current_net: toCents(p.current_net),
+        rake_total: toCents(p.rake_total),
+        bankroll: toCents(p.bankroll),
+      })),
+    }),
+    ...(settlement && {
+      settlement: {
+        ...settlement,
+        denomination: toCents(settlement.denomination),
+        transfers: settlement.transfers.map((t) => ({ ...t, amount: toCents(t.amount) })),
+      },
+    }),
+  };
+}
+
+/** HH:MM:SS (or MM:SS) between start and end */
+export function formatDuration(ms) {
+  const totalSeconds = Math.max(0, Math.floor(ms / 1000));
+  const hrs = Math.floor(totalSeconds / 3600);
+  const mins = Math.floor((totalSeconds % 3600) / 60);
+  const secs = totalSeconds % 60;
+  const pad = (n) => String(n).padStart(2, '0');
+  return hrs > 0 ? `${pad(hrs)}:${pad(mins)}:${pad(secs)}` : `${pad(mins)}:${pad(secs)}`;
+}
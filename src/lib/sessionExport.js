@@ -0,0 +1,153 @@
+/**
+ * sessionExport.js
+ * =================
+ * Structured export of a session (the same shape the archive keeps, see
+ * sessionArchive.js): CSV for spreadsheets and versioned JSON for backups,
+ * plus the JSON import that reads a backup back in.
+ *
+ * CSV: one row per round record, oldest first, with the room, the player,
+ * their base and their running net after the record. Amounts are written
+ * as plain decimals in the session's currency. Buy-ins, top-ups and
+ * cash-outs carry their signed amount but leave the net alone. A disputed
+ * record carries its dispute's status and the player's note.
+ *
+ * JSON: { format: 'latte-ledger-session', version, exportedAt, session }.
+ * `version` is bumped whenever the session shape changes; parseSessionJSON()
+ * upgrades older versions and refuses newer ones.
+ *
+ * Versions: 1 — amounts in whole units; 2 — amounts in integer cents and
+ * the session's currency (see money.js).
+ */
+
+import { entryType, formatClock, isLedgerEntry, isRoundEntry } from './actionLog.js';
+import { entryRounds } from './rounds.js';
+import { DEFAULT_CURRENCY, centsToDecimal } from './money.js';
+import { sessionToCents } from './sessionArchive.js';
+
+export const EXPORT_FORMAT = 'latte-ledger-session';
+export const EXPORT_VERSION = 2;
+
+const CSV_COLUMNS = [
+  'room',
+  'player',
+  'player_uuid',
+  'time',
+  'type',
+  'rounds',
+  'multiplier',
+  'base',
+  'amount',
+  'net_after',
+  'currency',
+  'dispute',
+  'dispute_note',
+];
+
+/** Quote a CSV field when it holds a comma, quote or line break */
+function csvField(value) {
+  const text = value == null ? '' : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/** The name and final base of a history entry's player */
+function playerInfo(session, entry) {
+  if (session.role !== 'banker') return { name: session.playerName || 'Player', base: session.base };
+  const players = session.players || [];
+  const idx = players.findIndex((p) => p.uuid === entry.playerUuid);
+  if (idx === -1) return { name: '', base: null };
+  return { name: players[idx].name || `Player ${idx + 1}`, base: players[idx].base_amount };
+}
+
+/** Every round record of the session as CSV text */
+export function sessionToCSV(session) {
+  const history = [...(session.history || [])].reverse();
+  const nets = {};
+  const bases = {};
+  const rows = history.map((entry) => {
+    const key = entry.playerUuid || 'self';
+    const type = entryType(entry);
+    const player = playerInfo(session, entry);
+    if (entry.base != null) bases[key] = entry.base;
+    if (isRoundEntry(entry)) nets[key] = (nets[key] || 0) + (entry.amount || 0);
+    return [
+      session.roomId || '',
+      player.name,
+      entry.playerUuid || '',
+      entry.ts ? new Date(entry.ts).toISOString() : entry.time || '',
+      type,
+      entryRounds(entry).join(' '),
+      isRoundEntry(entry) ? entry.multiplier : '',
+      // Before the first base entry seen (e.g. a partial log), the player's final base
+      centsToDecimal(bases[key] ?? player.base ?? 0),
+      isRoundEntry(entry) || isLedgerEntry(entry) ? centsToDecimal(entry.amount) : '',
+      centsToDecimal(nets[key] || 0),
+      session.currency || DEFAULT_CURRENCY,
+      entry.dispute?.status || '',
+      entry.dispute?.note || '',
+    ];
+  });
+  return [CSV_COLUMNS, ...rows].map((row) => row.map(csvField).join(',')).join('\r\n');
+}
+
+/** The session as a versioned JSON backup */
+export function sessionToJSON(session) {
+  return JSON.stringify(
+    { format: EXPORT_FORMAT, version: EXPORT_VERSION, exportedAt: new Date().toISOString(), session },
+    null,
+    2
+  );
+}
+
+/**
+ * Read a JSON backup. Returns the session, ready for the archive; throws
+ * an Error whose message is a translation key if the file is not a backup.
+ */
+export function parseSessionJSON(text) {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch {
+    throw new Error('error.importNotJson');
+  }
+
+  if (!data || data.format !== EXPORT_FORMAT) throw new Error('error.importNotBackup');
+  if (!Number.isInteger(data.version) || data.version < 1) throw new Error('error.importNoVersion');
+  if (data.version > EXPORT_VERSION) throw new Error('error.importNewer');
+
+  const session = data.session;
+  if (!session || !session.id || !Array.isArray(session.history)) {
+    throw new Error('error.importNoHistory');
+  }
+  if (!['single', 'multi'].includes(session.kind) || !['player', 'banker'].includes(session.role)) {
+    throw new Error('error.importUnknownKind');
+  }
+
+  // Version 1 backups kept amounts in whole units
+  const upgraded = data.version < 2 ? sessionToCents(session) : session;
+  return {
+    ...upgraded,
+    // Records written before `time` was stored still show a clock
+    history: upgraded.history.map((e) => (e.time || !e.ts ? e : { ...e, time: formatClock(e.ts) })),
+  };
+}
+
+/** File name for an export, e.g. "latte-ledger-room-1234-2026-10-19.csv" */
+export function exportFileName(session, extension) {
+  const day = new Date(session.endedAt || Date.now()).toISOString().slice(0, 10);
+  const what = session.kind === 'single' ? 'single' : `room-${session.roomId}`;
+  return `latte-ledger-${what}-${day}.${extension}`;
+}
+
+/** Hand the session to the browser as a CSV or JSON download */
+export function downloadSession(session, format) {
+  const isCSV = format === 'csv';
+  const blob = new Blob([isCSV ? sessionToCSV(session) : sessionToJSON(session)], {
+    type: isCSV ? 'text/csv;charset=utf-8' : 'application/json',
+  });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.download = exportFileName(session, isCSV ? 'csv' : 'json');
+  link.href = url;
+  link.click();
+  URL.revokeObjectURL(url);
+}
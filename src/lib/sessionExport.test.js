@@ -0,0 +1,74 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { EXPORT_FORMAT, parseSessionJSON, sessionToCSV, sessionToJSON } from './sessionExport.js';
+import { ACTION_TYPES, appendEntry, createBaseEntry, createLedgerEntry, createRoundEntry } from './actionLog.js';
+
+/** A newest-first log from entries given oldest first */
+const logOf = (...entries) => entries.reduce((state, e) => appendEntry(state, e), { log: [], redo: [] }).log;
+
+const session = (playerName = 'Ann') => ({
+  id: 'single:local:1',
+  kind: 'single',
+  role: 'player',
+  roomId: null,
+  currency: 'USD',
+  playerName,
+  base: 1000,
+  history: logOf(
+    createBaseEntry(1000),
+    createLedgerEntry(ACTION_TYPES.BUY_IN, 5000),
+    createRoundEntry(2, 1000, 1),
+    createRoundEntry(-1, 1000, 2)
+  ),
+});
+
+/** Rows of a CSV export without quoted fields */
+const csvRows = (text) => text.split('\r\n').map((line) => line.split(','));
+
+test('CSV rows run oldest first with a running net that ledger entries leave alone', () => {
+  const [header, ...rows] = csvRows(sessionToCSV(session()));
+  const col = (name) => header.indexOf(name);
+  assert.deepEqual(rows.map((r) => r[col('type')]), ['base', 'buy_in', 'win', 'loss']);
+  assert.deepEqual(rows.map((r) => r[col('amount')]), ['', '50.00', '20.00', '-10.00']);
+  assert.deepEqual(rows.map((r) => r[col('net_after')]), ['0.00', '0.00', '20.00', '10.00']);
+  assert.deepEqual(rows.map((r) => r[col('base')]), ['10.00', '10.00', '10.00', '10.00']);
+  assert.ok(rows.every((r) => r[col('currency')] === 'USD'));
+});
+
+test('CSV quotes fields holding commas or quotes', () => {
+  const line = sessionToCSV(session('Ann, "the Shark"')).split('\r\n')[1];
+  assert.ok(line.startsWith(',"Ann, ""the Shark""",'));
+});
+
+test('a JSON backup reads back to the same session', () => {
+  const original = session();
+  const text = sessionToJSON(original);
+  assert.equal(JSON.parse(text).format, EXPORT_FORMAT);
+  assert.deepEqual(parseSessionJSON(text), original);
+});
+
+test('a version 1 backup is upgraded to cents', () => {
+  const v1 = {
+    format: EXPORT_FORMAT,
+    version: 1,
+    session: { id: 's', kind: 'single', role: 'player', base: 10, finalNet: -2.5, history: [{ id: 'a', multiplier: -1, amount: -2.5, base: 10, ts: 1760000000000 }] },
+  };
+  const upgraded = parseSessionJSON(JSON.stringify(v1));
+  assert.equal(upgraded.base, 1000);
+  assert.equal(upgraded.finalNet, -250);
+  assert.equal(upgraded.history[0].amount, -250);
+  assert.ok(upgraded.history[0].time);
+});
+
+test('import errors are translation keys', () => {
+  const backup = (fields) => JSON.stringify({ format: EXPORT_FORMAT, version: 2, session: session(), ...fields });
+  assert.throws(() => parseSessionJSON('not json'), { message: 'error.importNotJson' });
+  assert.throws(() => parseSessionJSON(backup({ format: 'other' })), { message: 'error.importNotBackup' });
+  assert.throws(() => parseSessionJSON(backup({ version: 0 })), { message: 'error.importNoVersion' });
+  assert.throws(() => parseSessionJSON(backup({ version: 99 })), { message: 'error.importNewer' });
+  assert.throws(() => parseSessionJSON(backup({ session: { id: 's' } })), { message: 'error.importNoHistory' });
+  assert.throws(
+    () => parseSessionJSON(backup({ session: { ...session(), kind: 'league' } })),
+    { message: 'error.importUnknownKind' }
+  );
+});
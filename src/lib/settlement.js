@@ -0,0 +1,190 @@
+/**
+ * settlement.js
+ * ==============
+ * End-of-game settlement: turns every party's final net (players'
+ * `current_net` and the banker's net) into a list of who pays whom.
+ *
+ * - Nets, denominations and transfers are integer cents (see money.js).
+ * - Nets can be rounded to a denomination (e.g. the nearest $5) while still
+ *   summing to zero, using largest-remainder rounding.
+ * - The number of transfers is minimal: parties are split into as many
+ *   groups that sum to zero as possible (each group of k needs k − 1
+ *   transfers), found exactly with a subset DP — a room has at most 16
+ *   parties, so 2^16 subsets.
+ *
+ * Settlement shape (stored on the room row, see supabase/migrations):
+ *   { denomination, created_at,
+ *     transfers: [{ id, from, from_name, from_seat, to, to_name, to_seat,
+ *                   amount, paid, paid_by, paid_at }] }
+ * A name is the player's own, or null; unnamed parties are shown by seat
+ * (0 = the banker, else "Player n") in the reader's language.
+ */
+
+/** Rounding choices offered to the banker, in cents (1 = exact to the cent) */
+export const DENOMINATIONS = [1, 100, 500, 1000, 5000];
+
+// Above this many non-zero parties the exact search is skipped
+const MAX_EXACT_PARTIES = 20;
+
+/**
+ * Round every net to a multiple of `denomination` without breaking the
+ * zero sum: floor everything, then hand the missing units to the parties
+ * with the largest remainders.
+ */
+export function roundCents(cents, denomination) {
+  const unit = Math.max(1, Math.round(denomination));
+  if (unit === 1) return [...cents];
+
+  const floors = cents.map((c) => Math.floor(c / unit));
+  const remainders = cents.map((c, i) => c - floors[i] * unit);
+  const missing = Math.round(-floors.reduce((sum, f) => sum + f, 0));
+
+  const order = remainders
+    .map((r, i) => [r, i])
+    .sort((a, b) => b[0] - a[0])
+    .map(([, i]) => i);
+  for (let k = 0; k < Math.min(Math.max(missing, 0), order.length); k++) {
+    floors[order[k]] += 1;
+  }
+  return floors.map((f) => f * unit);
+}
+
+/** Settle one zero-sum group: largest debtor pays largest creditor until square */
+function settleGroup(group) {
+  const debtors = group.filter((p) => p.cents < 0).map((p) => ({ ...p, left: -p.cents }));
+  const creditors = group.filter((p) => p.cents > 0).map((p) => ({ ...p, left: p.cents }));
+  const transfers = [];
+
+  while (debtors.length > 0 && creditors.length > 0) {
+    debtors.sort((a, b) => b.left - a.left);
+    creditors.sort((a, b) => b.left - a.left);
+    const debtor = debtors[0];
+    const creditor = creditors[0];
+    const cents = Math.min(debtor.left, creditor.left);
+    transfers.push({ from: debtor, to: creditor, cents });
+    debtor.left -= cents;
+    creditor.left -= cents;
+    if (debtor.left === 0) debtors.shift();
+    if (creditor.left === 0) creditors.shift();
+  }
+  return transfers;
+}
+
+/**
+ * Split parties into the largest number of disjoint zero-sum groups.
+ * best[mask] = most zero-sum groups the parties in `mask` can be cut into;
+ * the parties, taken in the order the DP added them, close a group every
+ * time the running sum returns to zero.
+ */
+function zeroSumGroups(parties) {
+  const n = parties.length;
+  if (n === 0) return [];
+  if (n > MAX_EXACT_PARTIES) return [parties];
+
+  const size = 1 << n;
+  const sums = new Float64Array(size);
+  const best = new Int8Array(size);
+  const last = new Int8Array(size);
+
+  for (let mask = 1; mask < size; mask++) {
+    const low = 31 - Math.clz32(mask & -mask);
+    sums[mask] = sums[mask & (mask - 1)] + parties[low].cents;
+
+    let bestCount = -1;
+    for (let i = 0; i < n; i++) {
+      if (!(mask & (1 << i))) continue;
+      const count = best[mask ^ (1 << i)];
+      if (count > bestCount) {
+        bestCount = count;
+        last[mask] = i;
+      }
+    }
+    best[mask] = bestCount + (sums[mask] === 0 ? 1 : 0);
+  }
+
+  const order = [];
+  for (let mask = size - 1; mask; mask ^= 1 << last[mask]) order.unshift(parties[last[mask]]);
+
+  const groups = [];
+  let current = [];
+  let running = 0;
+  for (const party of order) {
+    current.push(party);
+    running += party.cents;
+    if (running === 0) {
+      groups.push(current);
+      current = [];
+    }
+  }
+  if (current.length > 0) groups.push(current);
+  return groups;
+}
+
+/**
+ * Minimal list of transfers for parties [{ uuid, name, seat, net }].
+ * Returns [{ from, from_name, from_seat, to, to_name, to_seat, amount }].
+ */
+export function minimalTransfers(parties, denomination = 1) {
+  const rounded = roundCents(parties.map((p) => Math.round(p.net || 0)), denomination);
+  const nonZero = parties
+    .map((p, i) => ({ uuid: p.uuid, name: p.name || null, seat: p.seat ?? null, cents: rounded[i] }))
+    .filter((p) => p.cents !== 0);
+
+  return zeroSumGroups(nonZero)
+    .flatMap(settleGroup)
+    .map(({ from, to, cents }) => ({
+      from: from.uuid,
+      from_name: from.name,
+      from_seat: from.seat,
+      to: to.uuid,
+      to_name: to.name,
+      to_seat: to.seat,
+      amount: cents,
+    }));
+}
+
+/** Who is on one side ('from' | 'to') of a transfer, through the translator `t` */
+export function transferParty(transfer, side, t) {
+  const name = transfer[`${side}_name`];
+  if (name) return name;
+  const seat = transfer[`${side}_seat`];
+  return seat === 0 ? t('common.banker') : t('common.playerN', { n: seat ?? '' });
+}
+
+/** A fresh settlement for the room row, every transfer unpaid */
+export function createSettlement(parties, denomination = 1) {
+  return {
+    denomination,
+    created_at: new Date().toISOString(),
+    transfers: minimalTransfers(parties, denomination).map((t, i) => ({
+      id: String(i + 1),
+      ...t,
+      paid: false,
+      paid_by: null,
+      paid_at: null,
+    })),
+  };
+}
+
+/** Mark one transfer paid — mirrors mark_transfer_paid() in SQL */
+export function markPaid(settlement, transferId, uuid) {
+  return {
+    ...settlement,
+    transfers: settlement.transfers.map((t) =>
+      t.id === transferId && !t.paid
+        ? { ...t, paid: true, paid_by: uuid, paid_at: new Date().toISOString() }
+        : t
+    ),
+  };
+}
+
+/** Only the two sides of a transfer, or the banker, may mark it paid */
+export function canMarkPaid(transfer, uuid, isBanker) {
+  return isBanker || transfer.from === uuid || transfer.to === uuid;
+}
+
+/** { paid, total } transfer counts */
+export function settlementProgress(settlement) {
+  const transfers = settlement ? settlement.transfers : [];
+  return { paid: transfers.filter((t) => t.paid).length, total: transfers.length };
+}
@@ -0,0 +1,98 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  canMarkPaid,
+  createSettlement,
+  markPaid,
+  minimalTransfers,
+  roundCents,
+  settlementProgress,
+  transferParty,
+} from './settlement.js';
+
+const sum = (values) => values.reduce((total, v) => total + v, 0);
+
+/** Each party's net once every transfer is paid: should be zero all round */
+function balances(parties, transfers) {
+  const left = Object.fromEntries(parties.map((p) => [p.uuid, 0]));
+  for (const t of transfers) {
+    left[t.from] -= t.amount;
+    left[t.to] += t.amount;
+  }
+  return left;
+}
+
+test('rounding to a denomination keeps the nets summing to zero', () => {
+  const nets = [1234, -2250, 730, 286];
+  const rounded = roundCents(nets, 500);
+  assert.equal(sum(rounded), 0);
+  for (const cents of rounded) assert.equal(Math.abs(cents % 500), 0);
+  assert.deepEqual(roundCents(nets, 1), nets);
+});
+
+test('transfers pay every net exactly', () => {
+  const parties = [
+    { uuid: 'b', seat: 0, net: -4500 },
+    { uuid: 'p1', seat: 1, net: 3000 },
+    { uuid: 'p2', seat: 2, net: 2500 },
+    { uuid: 'p3', seat: 3, net: -1000 },
+  ];
+  const transfers = minimalTransfers(parties);
+  const paidIn = balances(parties, transfers);
+  for (const p of parties) assert.equal(paidIn[p.uuid], p.net);
+  assert.ok(transfers.every((t) => t.amount > 0));
+});
+
+test('zero-sum pairs settle apart, with the fewest transfers', () => {
+  // {a, b} and {c, d} square off separately: two transfers, not three
+  const parties = [
+    { uuid: 'a', net: 1000 },
+    { uuid: 'b', net: -1000 },
+    { uuid: 'c', net: 700 },
+    { uuid: 'd', net: -700 },
+  ];
+  const transfers = minimalTransfers(parties);
+  assert.equal(transfers.length, 2);
+  assert.deepEqual(
+    transfers.map((t) => [t.from, t.to, t.amount]).sort(),
+    [['b', 'a', 1000], ['d', 'c', 700]]
+  );
+});
+
+test('rounded settlements still balance, and square parties pay nothing', () => {
+  const parties = [
+    { uuid: 'b', net: -1730 },
+    { uuid: 'p1', net: 1230 },
+    { uuid: 'p2', net: 500 },
+    { uuid: 'p3', net: 0 },
+  ];
+  const settlement = createSettlement(parties, 500);
+  const amounts = settlement.transfers.map((t) => t.amount);
+  assert.ok(amounts.every((a) => a % 500 === 0));
+  const paidIn = balances(parties, settlement.transfers);
+  assert.equal(sum(Object.values(paidIn)), 0);
+  assert.equal(paidIn.p3, 0);
+});
+
+test('marking paid is by the two sides or the banker, once', () => {
+  const settlement = createSettlement([
+    { uuid: 'b', net: -500 },
+    { uuid: 'p1', net: 500 },
+  ]);
+  const [transfer] = settlement.transfers;
+  assert.equal(canMarkPaid(transfer, 'p1', false), true);
+  assert.equal(canMarkPaid(transfer, 'p2', false), false);
+  assert.equal(canMarkPaid(transfer, 'p2', true), true);
+
+  const paid = markPaid(settlement, transfer.id, 'p1');
+  assert.deepEqual(settlementProgress(paid), { paid: 1, total: 1 });
+  assert.equal(markPaid(paid, transfer.id, 'b').transfers[0].paid_by, 'p1');
+});
+
+test('unnamed parties are shown by seat', () => {
+  const t = (key, params) => (params ? `${key}:${params.n}` : key);
+  const transfer = { from_name: null, from_seat: 0, to_name: 'Ann', to_seat: 1 };
+  assert.equal(transferParty(transfer, 'from', t), 'common.banker');
+  assert.equal(transferParty(transfer, 'to', t), 'Ann');
+  assert.equal(transferParty({ ...transfer, to_name: null }, 'to', t), 'common.playerN:1');
+});
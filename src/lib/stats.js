@@ -0,0 +1,108 @@
+/**
+ * stats.js
+ * =========
+ * Player statistics derived from an action log (see actionLog.js), the same
+ * way net and base are: nothing is stored, everything is recomputed from
+ * the rounds.
+ *
+ * The log is newest first; stats walk it oldest first so the running net,
+ * its peak and the drawdown from that peak follow the order rounds were
+ * played. A mass tie counts as `count` tied rounds. Ties break a streak,
+ * base changes are skipped over — as in currentStreak().
+ */
+
+import { ACTION_TYPES, entryType, isRoundEntry } from './actionLog.js';
+
+const rate = (part, whole) => (whole > 0 ? part / whole : 0);
+
+/**
+ * Everything the stats screens show, for one player's log:
+ *   { rounds, wins, losses, ties, winRate, lossRate, tieRate,
+ *     averageWin, averageLoss, largestWin, largestLoss,
+ *     net, peakNet, maxDrawdown, longestWinStreak, longestLossStreak,
+ *     multipliers: [{ multiplier, wins, losses }] }   // by |multiplier|, ascending
+ * Loss amounts (averageLoss, largestLoss) are negative; maxDrawdown is positive.
+ * Amounts are cents, like the log (averages may fall between cents).
+ */
+export function computeStats(log) {
+  let wins = 0;
+  let losses = 0;
+  let ties = 0;
+  let winTotal = 0;
+  let lossTotal = 0;
+  let largestWin = 0;
+  let largestLoss = 0;
+  let net = 0;
+  let peakNet = 0;
+  let maxDrawdown = 0;
+  let streakType = null;
+  let streak = 0;
+  let longestWinStreak = 0;
+  let longestLossStreak = 0;
+  const multipliers = new Map();
+
+  for (let i = log.length - 1; i >= 0; i--) {
+    const entry = log[i];
+    if (!isRoundEntry(entry)) continue;
+    const type = entryType(entry);
+
+    if (type === ACTION_TYPES.TIE || type === ACTION_TYPES.MASS_TIE) {
+      ties += type === ACTION_TYPES.MASS_TIE ? entry.count || 0 : 1;
+      streakType = null;
+      streak = 0;
+      continue;
+    }
+
+    const amount = entry.amount || 0;
+    const key = Math.abs(entry.multiplier);
+    const bucket = multipliers.get(key) || { multiplier: key, wins: 0, losses: 0 };
+
+    if (type === ACTION_TYPES.WIN) {
+      wins++;
+      winTotal += amount;
+      largestWin = Math.max(largestWin, amount);
+      bucket.wins++;
+    } else {
+      losses++;
+      lossTotal += amount;
+      largestLoss = Math.min(largestLoss, amount);
+      bucket.losses++;
+    }
+    multipliers.set(key, bucket);
+
+    streak = type === streakType ? streak + 1 : 1;
+    streakType = type;
+    if (type === ACTION_TYPES.WIN) longestWinStreak = Math.max(longestWinStreak, streak);
+    else longestLossStreak = Math.max(longestLossStreak, streak);
+
+    net += amount;
+    peakNet = Math.max(peakNet, net);
+    maxDrawdown = Math.max(maxDrawdown, peakNet - net);
+  }
+
+  const rounds = wins + losses + ties;
+  return {
+    rounds,
+    wins,
+    losses,
+    ties,
+    winRate: rate(wins, rounds),
+    lossRate: rate(losses, rounds),
+    tieRate: rate(ties, rounds),
+    averageWin: rate(winTotal, wins),
+    averageLoss: rate(lossTotal, losses),
+    largestWin,
+    largestLoss,
+    net,
+    peakNet,
+    maxDrawdown,
+    longestWinStreak,
+    longestLossStreak,
+    multipliers: [...multipliers.values()].sort((a, b) => a.multiplier - b.multiplier),
+  };
+}
+
+/** 0.4567 → "45.7%" */
+export function formatRate(value) {
+  return `${(value * 100).toFixed(1)}%`;
+}
@@ -0,0 +1,49 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { computeStats, formatRate } from './stats.js';
+import { ACTION_TYPES, appendEntry, createBaseEntry, createLedgerEntry, createMassTieEntry, createRoundEntry } from './actionLog.js';
+
+/** A newest-first log from entries given oldest first */
+const logOf = (...entries) => entries.reduce((state, e) => appendEntry(state, e), { log: [], redo: [] }).log;
+const round = (m) => createRoundEntry(m, 1000);
+
+test('an empty log has no rates and no streaks', () => {
+  const stats = computeStats([createBaseEntry(1000)]);
+  assert.equal(stats.rounds, 0);
+  assert.equal(stats.winRate, 0);
+  assert.equal(stats.maxDrawdown, 0);
+  assert.deepEqual(stats.multipliers, []);
+});
+
+test('drawdown is the deepest fall from a running peak, in play order', () => {
+  // +2000, +1000 (peak 3000), -4000, -1000 (trough -2000), +3000
+  const stats = computeStats(logOf(round(2), round(1), round(-4), round(-1), round(3)));
+  assert.equal(stats.net, 1000);
+  assert.equal(stats.peakNet, 3000);
+  assert.equal(stats.maxDrawdown, 5000);
+  assert.equal(stats.largestWin, 3000);
+  assert.equal(stats.largestLoss, -4000);
+});
+
+test('streaks are broken by ties and skip base changes and bankroll entries', () => {
+  const stats = computeStats(logOf(
+    round(1), round(2), createBaseEntry(2000), round(1),
+    createLedgerEntry(ACTION_TYPES.BUY_IN, 10000),
+    round(0), round(-1), round(-1), createMassTieEntry([9, 10]), round(-1)
+  ));
+  assert.equal(stats.longestWinStreak, 3);
+  assert.equal(stats.longestLossStreak, 2);
+  assert.equal(stats.ties, 3);
+  assert.equal(stats.rounds, 9);
+});
+
+test('rates and the multiplier breakdown count every round', () => {
+  const stats = computeStats(logOf(round(1), round(-1), round(2), round(0)));
+  assert.equal(stats.winRate, 0.5);
+  assert.equal(formatRate(stats.tieRate), '25.0%');
+  assert.equal(stats.averageWin, 1500);
+  assert.deepEqual(stats.multipliers, [
+    { multiplier: 1, wins: 1, losses: 1 },
+    { multiplier: 2, wins: 1, losses: 0 },
+  ]);
+});
@@ -4,6 +4,9 @@
  * Single point of configuration for the Supabase JS client.
  * Replace the placeholder URL and anon key with your actual Supabase project credentials.
  * These should ideally come from environment variables (VITE_SUPABASE_URL, VITE_SUPABASE_ANON_KEY).
+ *
+ * Also exports `supabaseBackend`, the cloud implementation of the backend
+ * interface described in backend.js.
  */
 import { createClient } from '@supabase/supabase-js';
 
@@ -11,3 +14,98 @@ const supabaseUrl = import.meta.env.VITE_SUPABASE_URL || 'https://YOUR_PROJECT.s
 const supabaseAnonKey = import.meta.env.VITE_SUPABASE_ANON_KEY || 'YOUR_ANON_KEY';
 
 export const supabase = createClient(supabaseUrl, supabaseAnonKey);
+
+export const supabaseBackend = {
+  name: 'cloud',
+
+  // ---- rooms ----
+  getRoom: (roomId) => supabase.from('rooms').select('*').eq('id', roomId).maybeSingle(),
+  createRoom: (row) => supabase.from('rooms').insert(row),
+  updateRoom: (roomId, patch) => supabase.from('rooms').update(patch).eq('id', roomId),
+  markTransferPaid: (roomId, transferId, uuid) =>
+    supabase.rpc('mark_transfer_paid', { p_room_id: roomId, p_transfer_id: transferId, p_uuid: uuid }),
+
+  // ---- players ----
+  getPlayer: (roomId, uuid) =>
+    supabase.from('players').select('*').eq('room_id', roomId).eq('uuid', uuid).maybeSingle(),
+  listPlayers: (roomId) => supabase.from('players').select('*').eq('room_id', roomId),
+  countPlayers: (roomId) =>
+    supabase
+      .from('players')
+      .select('uuid', { count: 'exact', head: true })
+      .eq('room_id', roomId)
+      .neq('role', 'spectator'),
+  upsertPlayer: (row) => supabase.from('players').upsert(row),
+  updatePlayer: (roomId, uuid, patch) =>
+    supabase.from('players').update(patch).eq('uuid', uuid).eq('room_id', roomId),
+
+  // ---- atomic player actions (supabase/migrations) ----
+  applyPlayerAction: (roomId, uuid, entry) =>
+    supabase.rpc('apply_player_action', { p_room_id: roomId, p_uuid: uuid, p_entry: entry }),
+  undoPlayerAction: (roomId, uuid, entryId) =>
+    supabase.rpc('undo_player_action', { p_room_id: roomId, p_uuid: uuid, p_entry_id: String(entryId) }),
+  recordMassTie: (roomId, uuid, entry) =>
+    supabase.rpc('record_mass_tie', { p_room_id: roomId, p_uuid: uuid, p_entry: entry }),
+  editPlayerAction: (roomId, uuid, entry, edit) =>
+    supabase.rpc('edit_player_action', { p_room_id: roomId, p_uuid: uuid, p_entry: entry, p_edit: edit }),
+  disputePlayerAction: (roomId, uuid, entryId, dispute) =>
+    supabase.rpc('dispute_player_action', {
+      p_room_id: roomId,
+      p_uuid: uuid,
+      p_entry_id: String(entryId),
+      p_dispute: dispute,
+    }),
+  setSittingOut: (roomId, uuid, since, entry) =>
+    supabase.rpc('set_sitting_out', { p_room_id: roomId, p_uuid: uuid, p_since: since, p_entry: entry }),
+  resolveDispute: (roomId, uuid, entryId, resolution) =>
+    supabase.rpc('resolve_dispute', {
+      p_room_id: roomId,
+      p_uuid: uuid,
+      p_entry_id: String(entryId),
+      p_resolution: resolution,
+    }),
+
+  // ---- history ----
+  listRounds: (roomId, { playerUuid, before, after, disputeStatus, limit } = {}) => {
+    let query = supabase.from('rounds').select('*').eq('room_id', roomId);
+    if (playerUuid) query = query.eq('player_uuid', playerUuid);
+    if (before != null) query = query.lt('seq', before);
+    if (after != null) query = query.gt('seq', after);
+    if (disputeStatus) query = query.eq('dispute_status', disputeStatus);
+    query = query.order('seq', { ascending: false });
+    return limit ? query.limit(limit) : query;
+  },
+  listRoundEdits: (roomId, { playerUuid } = {}) => {
+    let query = supabase.from('round_edits').select('*').eq('room_id', roomId);
+    if (playerUuid) query = query.eq('player_uuid', playerUuid);
+    return query.order('ts', { ascending: false });
+  },
+
+  // ---- realtime ----
+  subscribe(roomId, { onPlayerChange, onBroadcast = {}, onStatus } = {}) {
+    const channel = supabase.channel(`room-${roomId}`);
+
+    if (onPlayerChange) {
+      channel.on(
+        'postgres_changes',
+        {
+          event: '*',
+          schema: 'public',
+          table: 'players',
+          filter: `room_id=eq.${roomId}`,
+        },
+        onPlayerChange
+      );
+    }
+    for (const [event, handler] of Object.entries(onBroadcast)) {
+      channel.on('broadcast', { event }, (message) => handler(message.payload || {}));
+    }
+
+    channel.subscribe((status) => onStatus?.(status));
+
+    return {
+      send: (event, payload) => channel.send({ type: 'broadcast', event, payload }),
+      unsubscribe: () => supabase.removeChannel(channel),
+    };
+  },
+};
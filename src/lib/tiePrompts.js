@@ -0,0 +1,78 @@
+/**
+ * tiePrompts.js
+ * ==============
+ * The banker's prompts asking a player to log ties for the rounds they are
+ * missing, tracked from sending to the player's answer:
+ *
+ *   banker → 'prompt_tie'          { target_uuid, prompt: { id, rounds } }
+ *   player → 'tie_prompt_response' { prompt_id, player_uuid, status }
+ *            status 'delivered' when the prompt shows, then 'accepted' or 'declined'
+ *   banker → 'cancel_tie_prompt'   { target_uuid, prompt_id }
+ *
+ * Lifecycle, as the banker sees it:
+ *   sent → delivered → accepted | declined
+ *   sent | delivered → expired   (no answer within PROMPT_TTL, e.g. the player is offline)
+ * The banker can retry a prompt (a new one replaces it) or cancel it, which
+ * takes it off the player's screen. The outcome stays on the banker's board
+ * for ANSWER_SHOWN_FOR after the answer, even once the player has caught up.
+ *
+ * Banker's record per player:
+ *   { id, rounds, status, sentAt, answeredAt }
+ *   answeredAt: when it was accepted, declined or expired; null while pending
+ */
+
+import { v4 as uuidv4 } from 'uuid';
+
+export const TIE_PROMPT_STATUSES = {
+  SENT: 'sent',
+  DELIVERED: 'delivered',
+  ACCEPTED: 'accepted',
+  DECLINED: 'declined',
+  EXPIRED: 'expired',
+};
+
+export const PROMPT_TTL = 60 * 1000;
+export const ANSWER_SHOWN_FOR = 10 * 1000;
+
+/** A new prompt for `rounds`, and the banker's record of it */
+export function createTiePrompt(rounds) {
+  return { id: uuidv4(), rounds, status: TIE_PROMPT_STATUSES.SENT, sentAt: Date.now(), answeredAt: null };
+}
+
+/** Still waiting for the player's answer */
+export function isPromptPending(prompt) {
+  return prompt?.status === TIE_PROMPT_STATUSES.SENT || prompt?.status === TIE_PROMPT_STATUSES.DELIVERED;
+}
+
+/**
+ * The record after the player's response at `now`. Responses for an older
+ * prompt, or that would move an answered one backwards, change nothing.
+ */
+export function applyPromptResponse(prompt, response, now = Date.now()) {
+  if (!prompt || prompt.id !== response.prompt_id) return prompt;
+  if (response.status === TIE_PROMPT_STATUSES.DELIVERED && prompt.status !== TIE_PROMPT_STATUSES.SENT) return prompt;
+  if (!Object.values(TIE_PROMPT_STATUSES).includes(response.status)) return prompt;
+  if (response.status === TIE_PROMPT_STATUSES.DELIVERED) return { ...prompt, status: response.status };
+  return { ...prompt, status: response.status, answeredAt: now };
+}
+
+/** The record once it went unanswered for PROMPT_TTL */
+export function expirePrompt(prompt, now = Date.now()) {
+  return isPromptPending(prompt) ? { ...prompt, status: TIE_PROMPT_STATUSES.EXPIRED, answeredAt: now } : prompt;
+}
+
+/** Whether a prompt is about any of the rounds a player is missing now */
+export function promptCovers(prompt, missing) {
+  return !!prompt && prompt.rounds.some((r) => missing.includes(r));
+}
+
+/**
+ * Whether the banker's board shows where a prompt stands: while it is about
+ * rounds the player is still missing, and for ANSWER_SHOWN_FOR after the
+ * answer whatever they are missing.
+ */
+export function showPromptStatus(prompt, missing, now = Date.now()) {
+  if (!prompt) return false;
+  if (promptCovers(prompt, missing)) return true;
+  return prompt.answeredAt != null && now - prompt.answeredAt < ANSWER_SHOWN_FOR;
+}
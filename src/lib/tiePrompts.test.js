@@ -0,0 +1,49 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  ANSWER_SHOWN_FOR,
+  TIE_PROMPT_STATUSES,
+  applyPromptResponse,
+  createTiePrompt,
+  expirePrompt,
+  isPromptPending,
+  showPromptStatus,
+} from './tiePrompts.js';
+
+const respond = (prompt, status, now) => applyPromptResponse(prompt, { prompt_id: prompt.id, status }, now);
+
+test('a prompt moves from sent to delivered to answered, never backwards', () => {
+  const sent = createTiePrompt([3, 4]);
+  const delivered = respond(sent, TIE_PROMPT_STATUSES.DELIVERED, 10);
+  assert.equal(delivered.status, TIE_PROMPT_STATUSES.DELIVERED);
+  assert.equal(delivered.answeredAt, null);
+
+  const accepted = respond(delivered, TIE_PROMPT_STATUSES.ACCEPTED, 20);
+  assert.equal(accepted.status, TIE_PROMPT_STATUSES.ACCEPTED);
+  assert.equal(accepted.answeredAt, 20);
+  assert.equal(isPromptPending(accepted), false);
+
+  // A late 'delivered' and a response to another prompt change nothing
+  assert.equal(respond(accepted, TIE_PROMPT_STATUSES.DELIVERED, 30), accepted);
+  assert.equal(applyPromptResponse(accepted, { prompt_id: 'other', status: TIE_PROMPT_STATUSES.DECLINED }), accepted);
+});
+
+test('only a pending prompt expires', () => {
+  const expired = expirePrompt(createTiePrompt([1]), 50);
+  assert.equal(expired.status, TIE_PROMPT_STATUSES.EXPIRED);
+  assert.equal(expired.answeredAt, 50);
+  assert.equal(expirePrompt(expired, 60), expired);
+});
+
+test('an accepted prompt stays on the board for a while after the player caught up', () => {
+  const accepted = respond(createTiePrompt([3]), TIE_PROMPT_STATUSES.ACCEPTED, 1000);
+  assert.equal(showPromptStatus(accepted, [], 1000 + ANSWER_SHOWN_FOR - 1), true);
+  assert.equal(showPromptStatus(accepted, [], 1000 + ANSWER_SHOWN_FOR), false);
+});
+
+test('a pending prompt shows only while it covers missing rounds', () => {
+  const sent = createTiePrompt([3]);
+  assert.equal(showPromptStatus(sent, [3, 5]), true);
+  assert.equal(showPromptStatus(sent, [5]), false);
+  assert.equal(showPromptStatus(undefined, [3]), false);
+});
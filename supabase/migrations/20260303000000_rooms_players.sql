@@ -0,0 +1,34 @@
+-- =============================================================================
+-- Rooms & players — baseline schema
+-- =============================================================================
+-- The tables useGameSession has been reading and writing so far, captured
+-- as a migration so later changes have something to build on.
+-- See PRD.md for what each column means.
+
+create table if not exists public.rooms (
+  id            text primary key,                       -- 4-6 digit room code
+  banker_uuid   uuid not null,
+  created_at    timestamptz not null default now(),
+  status        text not null default 'active'
+                check (status in ('active', 'ended')),
+  round_number  integer not null default 0,             -- banker's round counter
+  round_open    boolean not null default false
+);
+
+create table if not exists public.players (
+  uuid                uuid primary key,                 -- device UUID
+  room_id             text references public.rooms (id) on delete cascade,
+  role                text not null check (role in ('banker', 'player')),
+  name                text,
+  base_amount         numeric not null default 0,
+  current_net         numeric not null default 0,
+  last_action_amount  numeric not null default 0,
+  round_history       jsonb not null default '[]'::jsonb, -- action log, newest first
+  joined_round        integer not null default 0,
+  updated_at          timestamptz not null default now()
+);
+
+create index if not exists players_room_id_idx on public.players (room_id);
+
+-- The banker's board subscribes to postgres_changes on players
+alter publication supabase_realtime add table public.players;
@@ -0,0 +1,194 @@
+-- =============================================================================
+-- Atomic player actions
+-- =============================================================================
+-- apply_player_action, undo_player_action and record_mass_tie each lock the
+-- player's row, change the action log (round_history) and recompute
+-- current_net / base_amount from it in a single transaction, then return the
+-- authoritative row. The client never writes an absolute net again, so a
+-- stale closure, a second tab or a double tap cannot overwrite a good value.
+--
+-- All three are idempotent by entry id: the offline queue may replay an op
+-- whose response was lost, and the replay must be a no-op.
+
+-- -----------------------------------------------------------------------------
+-- Derivations — mirror deriveNet / deriveBase in src/lib/actionLog.js
+-- -----------------------------------------------------------------------------
+
+-- Net = sum of every round amount. Entries without a type are pre-log rounds.
+create or replace function public.action_log_net(p_log jsonb)
+returns numeric
+language sql
+immutable
+as $$
+  select coalesce(sum((e ->> 'amount')::numeric), 0)
+  from jsonb_array_elements(coalesce(p_log, '[]'::jsonb)) as e
+  where coalesce(e ->> 'type', 'tie') in ('win', 'loss', 'tie', 'mass_tie');
+$$;
+
+-- Base = the newest base entry, or the fallback if none was ever logged
+create or replace function public.action_log_base(p_log jsonb, p_fallback numeric)
+returns numeric
+language sql
+immutable
+as $$
+  select coalesce(
+    (
+      select (e ->> 'base')::numeric
+      from jsonb_array_elements(coalesce(p_log, '[]'::jsonb)) with ordinality as t (e, i)
+      where e ->> 'type' = 'base'
+      order by i
+      limit 1
+    ),
+    p_fallback
+  );
+$$;
+
+-- -----------------------------------------------------------------------------
+-- Internal: lock the player's row and replace its log
+-- -----------------------------------------------------------------------------
+create or replace function public.write_player_log(
+  p_room_id text,
+  p_uuid uuid,
+  p_log jsonb
+)
+returns public.players
+language plpgsql
+as $$
+declare
+  v_row public.players;
+begin
+  update public.players
+  set round_history      = p_log,
+      current_net        = public.action_log_net(p_log),
+      base_amount        = public.action_log_base(p_log, base_amount),
+      last_action_amount = coalesce((
+        select (e ->> 'amount')::numeric
+        from jsonb_array_elements(p_log) with ordinality as t (e, i)
+        where coalesce(e ->> 'type', 'tie') in ('win', 'loss', 'tie', 'mass_tie')
+        order by i
+        limit 1
+      ), 0),
+      updated_at         = now()
+  where uuid = p_uuid and room_id = p_room_id
+  returning * into v_row;
+
+  return v_row;
+end;
+$$;
+
+create or replace function public.lock_player(p_room_id text, p_uuid uuid)
+returns public.players
+language plpgsql
+as $$
+declare
+  v_row public.players;
+begin
+  select * into v_row
+  from public.players
+  where uuid = p_uuid and room_id = p_room_id
+  for update;
+
+  if not found then
+    raise exception 'Player % is not in room %', p_uuid, p_room_id
+      using errcode = 'P0002';
+  end if;
+
+  return v_row;
+end;
+$$;
+
+-- -----------------------------------------------------------------------------
+-- apply_player_action — prepend a win/loss/tie/base entry
+-- -----------------------------------------------------------------------------
+create or replace function public.apply_player_action(
+  p_room_id text,
+  p_uuid uuid,
+  p_entry jsonb
+)
+returns public.players
+language plpgsql
+as $$
+declare
+  v_row public.players;
+begin
+  if p_entry ->> 'id' is null then
+    raise exception 'Action entry has no id' using errcode = '22023';
+  end if;
+
+  v_row := public.lock_player(p_room_id, p_uuid);
+
+  if exists (
+    select 1 from jsonb_array_elements(v_row.round_history) as e
+    where e ->> 'id' = p_entry ->> 'id'
+  ) then
+    return v_row;
+  end if;
+
+  return public.write_player_log(
+    p_room_id, p_uuid, jsonb_build_array(p_entry) || v_row.round_history
+  );
+end;
+$$;
+
+-- -----------------------------------------------------------------------------
+-- undo_player_action — remove an entry by id
+-- -----------------------------------------------------------------------------
+create or replace function public.undo_player_action(
+  p_room_id text,
+  p_uuid uuid,
+  p_entry_id text
+)
+returns public.players
+language plpgsql
+as $$
+declare
+  v_row public.players;
+begin
+  v_row := public.lock_player(p_room_id, p_uuid);
+
+  if not exists (
+    select 1 from jsonb_array_elements(v_row.round_history) as e
+    where e ->> 'id' = p_entry_id
+  ) then
+    return v_row;
+  end if;
+
+  return public.write_player_log(
+    p_room_id,
+    p_uuid,
+    coalesce((
+      select jsonb_agg(e order by i)
+      from jsonb_array_elements(v_row.round_history) with ordinality as t (e, i)
+      where e ->> 'id' <> p_entry_id
+    ), '[]'::jsonb)
+  );
+end;
+$$;
+
+-- -----------------------------------------------------------------------------
+-- record_mass_tie — prepend a mass_tie entry covering several rounds
+-- -----------------------------------------------------------------------------
+create or replace function public.record_mass_tie(
+  p_room_id text,
+  p_uuid uuid,
+  p_entry jsonb
+)
+returns public.players
+language plpgsql
+as $$
+begin
+  if p_entry ->> 'type' <> 'mass_tie'
+     or coalesce((p_entry ->> 'count')::integer, 0) <= 0
+     or coalesce((p_entry ->> 'amount')::numeric, 0) <> 0 then
+    raise exception 'Not a valid mass tie entry' using errcode = '22023';
+  end if;
+
+  return public.apply_player_action(p_room_id, p_uuid, p_entry);
+end;
+$$;
+
+grant execute on function
+  public.apply_player_action(text, uuid, jsonb),
+  public.undo_player_action(text, uuid, text),
+  public.record_mass_tie(text, uuid, jsonb)
+to anon, authenticated;
@@ -0,0 +1,28 @@
+-- =============================================================================
+-- Player row versions
+-- =============================================================================
+-- Every write to a players row bumps `version` by one. The banker applies
+-- realtime payloads incrementally (src/lib/roomAggregate.js); an update that
+-- skips a version means an event was lost and the room is re-fetched.
+
+alter table public.players
+  add column if not exists version integer not null default 0;
+
+create or replace function public.players_bump_version()
+returns trigger
+language plpgsql
+as $$
+begin
+  if tg_op = 'UPDATE' then
+    new.version := old.version + 1;
+  else
+    new.version := 1;
+  end if;
+  return new;
+end;
+$$;
+
+drop trigger if exists players_bump_version on public.players;
+create trigger players_bump_version
+  before insert or update on public.players
+  for each row execute function public.players_bump_version();
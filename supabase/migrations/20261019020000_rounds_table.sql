@@ -0,0 +1,228 @@
+-- =============================================================================
+-- Rounds table
+-- =============================================================================
+-- Every action a player logs used to be stored in players.round_history, a
+-- JSON array rewritten in full — and sent in full over realtime — on every
+-- tap. It now lives in `rounds`, one row per action, keyed by room, player
+-- and round number. Clients page through it newest first (by `seq`).
+--
+-- The players row keeps only what the boards need at a glance, recomputed
+-- from `rounds` inside the same transaction as every write:
+--   current_net, base_amount, last_action_amount  as before
+--   round_count       rounds played (a mass tie counts once per round)
+--   recorded_rounds   every banker round number logged, ascending, with
+--                     repeats — what the banker's missing/duplicate audit needs
+
+create table if not exists public.rounds (
+  room_id       text not null references public.rooms (id) on delete cascade,
+  player_uuid   uuid not null references public.players (uuid) on delete cascade,
+  id            text not null,                          -- action log entry id
+  seq           bigint generated always as identity,    -- insertion order, for paging
+  type          text not null
+                check (type in ('win', 'loss', 'tie', 'mass_tie', 'base')),
+  round_number  integer,                                -- banker round, null if unnumbered
+  rounds        integer[],                              -- mass tie: every round it covers
+  count         integer,                                -- mass tie: number of rounds
+  multiplier    numeric not null default 0,
+  amount        numeric not null default 0,
+  base          numeric,
+  ts            bigint not null,                        -- client time, ms since epoch
+  primary key (room_id, player_uuid, id)
+);
+
+create index if not exists rounds_player_seq_idx
+  on public.rounds (room_id, player_uuid, seq desc);
+create index if not exists rounds_player_round_idx
+  on public.rounds (room_id, player_uuid, round_number);
+create index if not exists rounds_room_seq_idx
+  on public.rounds (room_id, seq desc);
+
+alter table public.players
+  add column if not exists round_count integer not null default 0,
+  add column if not exists recorded_rounds integer[] not null default '{}';
+
+-- -----------------------------------------------------------------------------
+-- Move existing round_history arrays into rounds
+-- -----------------------------------------------------------------------------
+
+-- Rows from before the action log have a base_amount but no base entry
+insert into public.rounds (room_id, player_uuid, id, type, base, ts)
+select p.room_id, p.uuid, gen_random_uuid()::text, 'base', p.base_amount,
+       (extract(epoch from p.updated_at) * 1000)::bigint
+from public.players p
+where p.room_id is not null
+  and p.base_amount > 0
+  and not exists (
+    select 1 from jsonb_array_elements(p.round_history) as e
+    where e ->> 'type' = 'base'
+  );
+
+-- Oldest first, so seq follows the order the entries were logged in.
+-- Entries without a type are pre-log rounds; the multiplier sign says which.
+insert into public.rounds (
+  room_id, player_uuid, id, type, round_number, rounds, count,
+  multiplier, amount, base, ts
+)
+select
+  p.room_id,
+  p.uuid,
+  coalesce(e ->> 'id', gen_random_uuid()::text),
+  coalesce(
+    e ->> 'type',
+    case
+      when (e ->> 'multiplier')::numeric > 0 then 'win'
+      when (e ->> 'multiplier')::numeric < 0 then 'loss'
+      else 'tie'
+    end
+  ),
+  (e ->> 'round')::integer,
+  case
+    when jsonb_typeof(e -> 'rounds') = 'array'
+    then array(select jsonb_array_elements_text(e -> 'rounds')::integer)
+  end,
+  (e ->> 'count')::integer,
+  coalesce((e ->> 'multiplier')::numeric, 0),
+  coalesce((e ->> 'amount')::numeric, 0),
+  (e ->> 'base')::numeric,
+  coalesce((e ->> 'ts')::bigint, (extract(epoch from p.updated_at) * 1000)::bigint)
+from public.players p
+cross join lateral jsonb_array_elements(p.round_history) with ordinality as t (e, i)
+where p.room_id is not null
+order by p.uuid, t.i desc
+on conflict do nothing;
+
+-- -----------------------------------------------------------------------------
+-- Player summary — mirrors summarizeRounds() in src/lib/roundHistory.js
+-- -----------------------------------------------------------------------------
+drop function if exists public.write_player_log(text, uuid, jsonb);
+drop function if exists public.action_log_net(jsonb);
+drop function if exists public.action_log_base(jsonb, numeric);
+
+create or replace function public.refresh_player_summary(p_room_id text, p_uuid uuid)
+returns public.players
+language plpgsql
+as $$
+declare
+  v_row public.players;
+begin
+  update public.players p
+  set current_net        = coalesce((
+        select sum(r.amount) from public.rounds r
+        where r.room_id = p_room_id and r.player_uuid = p_uuid and r.type <> 'base'
+      ), 0),
+      base_amount        = coalesce((
+        select r.base from public.rounds r
+        where r.room_id = p_room_id and r.player_uuid = p_uuid and r.type = 'base'
+        order by r.seq desc
+        limit 1
+      ), p.base_amount),
+      last_action_amount = coalesce((
+        select r.amount from public.rounds r
+        where r.room_id = p_room_id and r.player_uuid = p_uuid and r.type <> 'base'
+        order by r.seq desc
+        limit 1
+      ), 0),
+      round_count        = coalesce((
+        select sum(case when r.type = 'mass_tie' then coalesce(r.count, 0) else 1 end)
+        from public.rounds r
+        where r.room_id = p_room_id and r.player_uuid = p_uuid and r.type <> 'base'
+      ), 0),
+      recorded_rounds    = coalesce((
+        select array_agg(n order by n)
+        from public.rounds r
+        cross join lateral unnest(
+          case when r.type = 'mass_tie' then r.rounds else array[r.round_number] end
+        ) as n
+        where r.room_id = p_room_id and r.player_uuid = p_uuid
+          and r.type <> 'base' and n is not null
+      ), '{}'),
+      updated_at         = now()
+  where p.uuid = p_uuid and p.room_id = p_room_id
+  returning * into v_row;
+
+  return v_row;
+end;
+$$;
+
+select public.refresh_player_summary(room_id, uuid)
+from public.players
+where room_id is not null;
+
+alter table public.players drop column if exists round_history;
+
+-- -----------------------------------------------------------------------------
+-- apply_player_action / undo_player_action now write rows instead of the log
+-- -----------------------------------------------------------------------------
+create or replace function public.apply_player_action(
+  p_room_id text,
+  p_uuid uuid,
+  p_entry jsonb
+)
+returns public.players
+language plpgsql
+as $$
+declare
+  v_row public.players;
+begin
+  if p_entry ->> 'id' is null then
+    raise exception 'Action entry has no id' using errcode = '22023';
+  end if;
+
+  v_row := public.lock_player(p_room_id, p_uuid);
+
+  insert into public.rounds (
+    room_id, player_uuid, id, type, round_number, rounds, count,
+    multiplier, amount, base, ts
+  )
+  values (
+    p_room_id,
+    p_uuid,
+    p_entry ->> 'id',
+    p_entry ->> 'type',
+    case when p_entry ->> 'type' <> 'mass_tie' then (p_entry ->> 'round')::integer end,
+    case
+      when jsonb_typeof(p_entry -> 'rounds') = 'array'
+      then array(select jsonb_array_elements_text(p_entry -> 'rounds')::integer)
+    end,
+    (p_entry ->> 'count')::integer,
+    coalesce((p_entry ->> 'multiplier')::numeric, 0),
+    coalesce((p_entry ->> 'amount')::numeric, 0),
+    (p_entry ->> 'base')::numeric,
+    coalesce((p_entry ->> 'ts')::bigint, (extract(epoch from now()) * 1000)::bigint)
+  )
+  on conflict do nothing;
+
+  -- Already applied (a replay): nothing changed
+  if not found then
+    return v_row;
+  end if;
+
+  return public.refresh_player_summary(p_room_id, p_uuid);
+end;
+$$;
+
+create or replace function public.undo_player_action(
+  p_room_id text,
+  p_uuid uuid,
+  p_entry_id text
+)
+returns public.players
+language plpgsql
+as $$
+declare
+  v_row public.players;
+begin
+  v_row := public.lock_player(p_room_id, p_uuid);
+
+  delete from public.rounds
+  where room_id = p_room_id and player_uuid = p_uuid and id = p_entry_id;
+
+  if not found then
+    return v_row;
+  end if;
+
+  return public.refresh_player_summary(p_room_id, p_uuid);
+end;
+$$;
+
+-- record_mass_tie is unchanged: it validates, then calls apply_player_action
@@ -0,0 +1,86 @@
+-- =============================================================================
+-- End-of-game settlement
+-- =============================================================================
+-- "End Game" no longer closes the room straight away. The banker's client
+-- computes who pays whom (src/lib/settlement.js) and stores it on the room,
+-- which moves to 'settling'. Players mark transfers paid, then the banker
+-- closes the room ('ended').
+
+alter table public.rooms drop constraint if exists rooms_status_check;
+alter table public.rooms
+  add constraint rooms_status_check check (status in ('active', 'settling', 'ended'));
+
+alter table public.rooms
+  add column if not exists settlement jsonb;   -- { denomination, created_at, transfers: [...] }
+
+-- -----------------------------------------------------------------------------
+-- mark_transfer_paid — flip one transfer to paid. Only its payer, its payee or
+-- the banker may do so. Runs under a row lock so two players marking at once
+-- cannot overwrite each other's change. Mirrors markPaid() in settlement.js.
+-- -----------------------------------------------------------------------------
+create or replace function public.mark_transfer_paid(
+  p_room_id text,
+  p_transfer_id text,
+  p_uuid uuid
+)
+returns public.rooms
+language plpgsql
+as $$
+declare
+  v_room public.rooms;
+  v_transfer jsonb;
+begin
+  select * into v_room
+  from public.rooms
+  where id = p_room_id
+  for update;
+
+  if not found then
+    raise exception 'Room % not found', p_room_id using errcode = 'P0002';
+  end if;
+
+  if v_room.status <> 'settling' or v_room.settlement is null then
+    raise exception 'Room % is not settling up', p_room_id using errcode = '55000';
+  end if;
+
+  select t into v_transfer
+  from jsonb_array_elements(v_room.settlement -> 'transfers') as t
+  where t ->> 'id' = p_transfer_id;
+
+  if v_transfer is null then
+    raise exception 'Transfer % not found', p_transfer_id using errcode = 'P0002';
+  end if;
+
+  if p_uuid::text not in (v_transfer ->> 'from', v_transfer ->> 'to', v_room.banker_uuid::text) then
+    raise exception 'Only the payer, the payee or the banker can mark a transfer paid'
+      using errcode = '42501';
+  end if;
+
+  if (v_transfer ->> 'paid')::boolean then
+    return v_room;
+  end if;
+
+  update public.rooms
+  set settlement = jsonb_set(
+        settlement,
+        '{transfers}',
+        (
+          select jsonb_agg(
+            case
+              when t ->> 'id' = p_transfer_id
+              then t || jsonb_build_object('paid', true, 'paid_by', p_uuid, 'paid_at', now())
+              else t
+            end
+            order by i
+          )
+          from jsonb_array_elements(settlement -> 'transfers') with ordinality as x (t, i)
+        )
+      )
+  where id = p_room_id
+  returning * into v_room;
+
+  return v_room;
+end;
+$$;
+
+grant execute on function public.mark_transfer_paid(text, text, uuid) to anon, authenticated;
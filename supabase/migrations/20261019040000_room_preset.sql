@@ -0,0 +1,10 @@
+-- =============================================================================
+-- Game presets
+-- =============================================================================
+-- The banker picks a preset (multiplier buttons and payout math, see
+-- src/lib/presets.js) when creating the room; every player's board reads it
+-- from here. Rounds store the amount they were logged with, so the database
+-- never applies the payout math itself.
+
+alter table public.rooms
+  add column if not exists preset jsonb;   -- { id, name, multipliers, winPayout, commission }; null = Classic
@@ -0,0 +1,123 @@
+-- =============================================================================
+-- Banker rake ("tea money")
+-- =============================================================================
+-- The banker sets a rake when creating the room: a percentage of each
+-- winning round or a fixed amount per winning round (src/lib/rake.js). The
+-- player's client takes it off the win when logging the round, so `amount`
+-- stays the player's net change and `rake` records the cut. The players row
+-- gains rake_total so the banker can show the room's total without reading
+-- every round.
+
+alter table public.rooms
+  add column if not exists rake jsonb;   -- { type: 'percent' | 'fixed', value }; null = no rake
+
+alter table public.rounds
+  add column if not exists rake numeric not null default 0;
+
+alter table public.players
+  add column if not exists rake_total numeric not null default 0;
+
+-- -----------------------------------------------------------------------------
+-- refresh_player_summary — now also sums the rake. Mirrors summarizeRounds().
+-- -----------------------------------------------------------------------------
+create or replace function public.refresh_player_summary(p_room_id text, p_uuid uuid)
+returns public.players
+language plpgsql
+as $$
+declare
+  v_row public.players;
+begin
+  update public.players p
+  set current_net        = coalesce((
+        select sum(r.amount) from public.rounds r
+        where r.room_id = p_room_id and r.player_uuid = p_uuid and r.type <> 'base'
+      ), 0),
+      base_amount        = coalesce((
+        select r.base from public.rounds r
+        where r.room_id = p_room_id and r.player_uuid = p_uuid and r.type = 'base'
+        order by r.seq desc
+        limit 1
+      ), p.base_amount),
+      last_action_amount = coalesce((
+        select r.amount from public.rounds r
+        where r.room_id = p_room_id and r.player_uuid = p_uuid and r.type <> 'base'
+        order by r.seq desc
+        limit 1
+      ), 0),
+      round_count        = coalesce((
+        select sum(case when r.type = 'mass_tie' then coalesce(r.count, 0) else 1 end)
+        from public.rounds r
+        where r.room_id = p_room_id and r.player_uuid = p_uuid and r.type <> 'base'
+      ), 0),
+      recorded_rounds    = coalesce((
+        select array_agg(n order by n)
+        from public.rounds r
+        cross join lateral unnest(
+          case when r.type = 'mass_tie' then r.rounds else array[r.round_number] end
+        ) as n
+        where r.room_id = p_room_id and r.player_uuid = p_uuid
+          and r.type <> 'base' and n is not null
+      ), '{}'),
+      rake_total         = coalesce((
+        select sum(r.rake) from public.rounds r
+        where r.room_id = p_room_id and r.player_uuid = p_uuid
+      ), 0),
+      updated_at         = now()
+  where p.uuid = p_uuid and p.room_id = p_room_id
+  returning * into v_row;
+
+  return v_row;
+end;
+$$;
+
+-- -----------------------------------------------------------------------------
+-- apply_player_action — stores the entry's rake alongside its amount
+-- -----------------------------------------------------------------------------
+create or replace function public.apply_player_action(
+  p_room_id text,
+  p_uuid uuid,
+  p_entry jsonb
+)
+returns public.players
+language plpgsql
+as $$
+declare
+  v_row public.players;
+begin
+  if p_entry ->> 'id' is null then
+    raise exception 'Action entry has no id' using errcode = '22023';
+  end if;
+
+  v_row := public.lock_player(p_room_id, p_uuid);
+
+  insert into public.rounds (
+    room_id, player_uuid, id, type, round_number, rounds, count,
+    multiplier, amount, rake, base, ts
+  )
+  values (
+    p_room_id,
+    p_uuid,
+    p_entry ->> 'id',
+    p_entry ->> 'type',
+    case when p_entry ->> 'type' <> 'mass_tie' then (p_entry ->> 'round')::integer end,
+    case
+      when jsonb_typeof(p_entry -> 'rounds') = 'array'
+      then array(select jsonb_array_elements_text(p_entry -> 'rounds')::integer)
+    end,
+    (p_entry ->> 'count')::integer,
+    coalesce((p_entry ->> 'multiplier')::numeric, 0),
+    coalesce((p_entry ->> 'amount')::numeric, 0),
+    coalesce((p_entry ->> 'rake')::numeric, 0),
+    (p_entry ->> 'base')::numeric,
+    coalesce((p_entry ->> 'ts')::bigint, (extract(epoch from now()) * 1000)::bigint)
+  )
+  on conflict do nothing;
+
+  -- Already applied (a replay): nothing changed
+  if not found then
+    return v_row;
+  end if;
+
+  return public.refresh_player_summary(p_room_id, p_uuid);
+end;
+$$;
@@ -0,0 +1,79 @@
+-- =============================================================================
+-- Bankroll ledger: buy-ins, top-ups and cash-outs
+-- =============================================================================
+-- Players log money brought to or taken off the table as rows of `rounds`
+-- with their own types (see createLedgerEntry() in src/lib/actionLog.js).
+-- `amount` is signed — cash-outs negative — and counts towards the new
+-- players.bankroll column, never current_net. Chips on the table are
+-- bankroll + current_net.
+
+alter table public.rounds drop constraint if exists rounds_type_check;
+alter table public.rounds
+  add constraint rounds_type_check
+  check (type in ('win', 'loss', 'tie', 'mass_tie', 'base', 'buy_in', 'top_up', 'cash_out'));
+
+alter table public.players
+  add column if not exists bankroll numeric not null default 0;
+
+-- -----------------------------------------------------------------------------
+-- refresh_player_summary — round columns now only read round rows (there are
+-- more non-round types than 'base'), and the ledger sums into bankroll.
+-- Mirrors summarizeRounds() in src/lib/roundHistory.js.
+-- -----------------------------------------------------------------------------
+create or replace function public.refresh_player_summary(p_room_id text, p_uuid uuid)
+returns public.players
+language plpgsql
+as $$
+declare
+  v_row public.players;
+begin
+  update public.players p
+  set current_net        = coalesce((
+        select sum(r.amount) from public.rounds r
+        where r.room_id = p_room_id and r.player_uuid = p_uuid
+          and r.type in ('win', 'loss', 'tie', 'mass_tie')
+      ), 0),
+      base_amount        = coalesce((
+        select r.base from public.rounds r
+        where r.room_id = p_room_id and r.player_uuid = p_uuid and r.type = 'base'
+        order by r.seq desc
+        limit 1
+      ), p.base_amount),
+      last_action_amount = coalesce((
+        select r.amount from public.rounds r
+        where r.room_id = p_room_id and r.player_uuid = p_uuid
+          and r.type in ('win', 'loss', 'tie', 'mass_tie')
+        order by r.seq desc
+        limit 1
+      ), 0),
+      round_count        = coalesce((
+        select sum(case when r.type = 'mass_tie' then coalesce(r.count, 0) else 1 end)
+        from public.rounds r
+        where r.room_id = p_room_id and r.player_uuid = p_uuid
+          and r.type in ('win', 'loss', 'tie', 'mass_tie')
+      ), 0),
+      recorded_rounds    = coalesce((
+        select array_agg(n order by n)
+        from public.rounds r
+        cross join lateral unnest(
+          case when r.type = 'mass_tie' then r.rounds else array[r.round_number] end
+        ) as n
+        where r.room_id = p_room_id and r.player_uuid = p_uuid
+          and r.type in ('win', 'loss', 'tie', 'mass_tie') and n is not null
+      ), '{}'),
+      rake_total         = coalesce((
+        select sum(r.rake) from public.rounds r
+        where r.room_id = p_room_id and r.player_uuid = p_uuid
+      ), 0),
+      bankroll           = coalesce((
+        select sum(r.amount) from public.rounds r
+        where r.room_id = p_room_id and r.player_uuid = p_uuid
+          and r.type in ('buy_in', 'top_up', 'cash_out')
+      ), 0),
+      updated_at         = now()
+  where p.uuid = p_uuid and p.room_id = p_room_id
+  returning * into v_row;
+
+  return v_row;
+end;
+$$;
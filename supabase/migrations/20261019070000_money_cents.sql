@@ -0,0 +1,50 @@
+-- =============================================================================
+-- Money in integer cents, and a currency per room
+-- =============================================================================
+-- Every amount is now an integer number of cents (see src/lib/money.js), so
+-- long sessions sum without rounding drift. Existing rows are converted in
+-- place: numeric columns become bigint cents, and the amounts inside the
+-- settlement and rake jsonb follow. The database functions keep working
+-- unchanged — their sums land in bigint columns.
+--
+-- rooms.currency holds the banker's currency code (e.g. 'MYR'); null shows
+-- as the app's default.
+
+alter table public.rooms
+  add column if not exists currency text;
+
+alter table public.players
+  alter column base_amount        type bigint using round(base_amount * 100),
+  alter column current_net        type bigint using round(current_net * 100),
+  alter column last_action_amount type bigint using round(last_action_amount * 100),
+  alter column rake_total         type bigint using round(rake_total * 100),
+  alter column bankroll           type bigint using round(bankroll * 100);
+
+alter table public.rounds
+  alter column amount type bigint using round(amount * 100),
+  alter column rake   type bigint using round(rake * 100),
+  alter column base   type bigint using round(base * 100);
+
+-- Fixed rakes are an amount per win; percentages stay as they are
+update public.rooms
+set rake = jsonb_set(rake, '{value}', to_jsonb(round((rake ->> 'value')::numeric * 100)::bigint))
+where rake ->> 'type' = 'fixed';
+
+-- Settlement denomination and transfer amounts
+update public.rooms
+set settlement = jsonb_set(
+      jsonb_set(
+        settlement,
+        '{denomination}',
+        to_jsonb(round(coalesce((settlement ->> 'denomination')::numeric, 0.01) * 100)::bigint)
+      ),
+      '{transfers}',
+      coalesce((
+        select jsonb_agg(
+          t || jsonb_build_object('amount', round((t ->> 'amount')::numeric * 100)::bigint)
+          order by i
+        )
+        from jsonb_array_elements(settlement -> 'transfers') with ordinality as x (t, i)
+      ), '[]'::jsonb)
+    )
+where settlement is not null;
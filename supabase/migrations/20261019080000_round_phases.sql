@@ -0,0 +1,23 @@
+-- =============================================================================
+-- Round phases
+-- =============================================================================
+-- The banker now moves each round through phases instead of a plain
+-- open/closed flag (see src/lib/rounds.js):
+--   idle → betting → closed → results → betting (next round) → …
+-- Players log a round only during `results`. phase_ends_at is the end of an
+-- optional countdown on the current phase, null when there is none.
+--
+-- A round that was open under the old flag is the one players were logging,
+-- so it carries on as `results`.
+
+alter table public.rooms
+  add column if not exists round_phase text not null default 'idle'
+    check (round_phase in ('idle', 'betting', 'closed', 'results')),
+  add column if not exists phase_ends_at timestamptz;
+
+update public.rooms
+set round_phase = 'results'
+where round_open;
+
+alter table public.rooms
+  drop column if exists round_open;
@@ -0,0 +1,174 @@
+-- =============================================================================
+-- Banker corrections and the round_edits audit log
+-- =============================================================================
+-- The banker can propose a correction to any round in a player's history;
+-- once the player approves it, their device calls edit_player_action(),
+-- which rewrites the round in place and records the change — who made it,
+-- when, and the values the round held before — in `round_edits`
+-- (see src/lib/corrections.js). The audit log is only ever appended to.
+--
+-- rounds.edited_at marks a corrected round (client time, ms since epoch).
+
+alter table public.rounds
+  add column if not exists edited_at bigint;
+
+create table if not exists public.round_edits (
+  id               text primary key,                        -- the banker's proposal id
+  room_id          text not null references public.rooms (id) on delete cascade,
+  player_uuid      uuid not null references public.players (uuid) on delete cascade,
+  entry_id         text not null,                           -- rounds.id of the corrected round
+  round_number     integer,
+  edited_by        uuid not null,                           -- the banker who proposed it
+  from_type        text not null,
+  from_multiplier  numeric not null,
+  from_amount      numeric not null,
+  to_type          text not null,
+  to_multiplier    numeric not null,
+  to_amount        numeric not null,
+  ts               bigint not null                          -- client time of approval
+);
+
+create index if not exists round_edits_player_ts_idx
+  on public.round_edits (room_id, player_uuid, ts desc);
+
+-- -----------------------------------------------------------------------------
+-- apply_player_action — keeps edited_at, so redoing a corrected round
+-- still shows it as corrected
+-- -----------------------------------------------------------------------------
+create or replace function public.apply_player_action(
+  p_room_id text,
+  p_uuid uuid,
+  p_entry jsonb
+)
+returns public.players
+language plpgsql
+as $$
+declare
+  v_row public.players;
+begin
+  if p_entry ->> 'id' is null then
+    raise exception 'Action entry has no id' using errcode = '22023';
+  end if;
+
+  v_row := public.lock_player(p_room_id, p_uuid);
+
+  insert into public.rounds (
+    room_id, player_uuid, id, type, round_number, rounds, count,
+    multiplier, amount, rake, base, ts, edited_at
+  )
+  values (
+    p_room_id,
+    p_uuid,
+    p_entry ->> 'id',
+    p_entry ->> 'type',
+    case when p_entry ->> 'type' <> 'mass_tie' then (p_entry ->> 'round')::integer end,
+    case
+      when jsonb_typeof(p_entry -> 'rounds') = 'array'
+      then array(select jsonb_array_elements_text(p_entry -> 'rounds')::integer)
+    end,
+    (p_entry ->> 'count')::integer,
+    coalesce((p_entry ->> 'multiplier')::numeric, 0),
+    coalesce((p_entry ->> 'amount')::numeric, 0),
+    coalesce((p_entry ->> 'rake')::numeric, 0),
+    (p_entry ->> 'base')::numeric,
+    coalesce((p_entry ->> 'ts')::bigint, (extract(epoch from now()) * 1000)::bigint),
+    (p_entry ->> 'editedAt')::bigint
+  )
+  on conflict do nothing;
+
+  -- Already applied (a replay): nothing changed
+  if not found then
+    return v_row;
+  end if;
+
+  return public.refresh_player_summary(p_room_id, p_uuid);
+end;
+$$;
+
+-- -----------------------------------------------------------------------------
+-- edit_player_action — p_entry is the corrected round, p_edit
+-- { id, edited_by, ts }. Replaying an edit id already logged is a no-op.
+-- -----------------------------------------------------------------------------
+create or replace function public.edit_player_action(
+  p_room_id text,
+  p_uuid uuid,
+  p_entry jsonb,
+  p_edit jsonb
+)
+returns public.players
+language plpgsql
+as $$
+declare
+  v_row public.players;
+  v_round public.rounds;
+  v_ts bigint;
+begin
+  if p_entry ->> 'id' is null or p_edit ->> 'id' is null then
+    raise exception 'Correction has no entry or edit id' using errcode = '22023';
+  end if;
+
+  if p_entry ->> 'type' not in ('win', 'loss', 'tie') then
+    raise exception 'Only win, loss and tie rounds can be corrected' using errcode = '22023';
+  end if;
+
+  v_row := public.lock_player(p_room_id, p_uuid);
+
+  if exists (select 1 from public.round_edits where id = p_edit ->> 'id') then
+    return v_row;
+  end if;
+
+  if not exists (
+    select 1 from public.rooms
+    where id = p_room_id and banker_uuid::text = p_edit ->> 'edited_by'
+  ) then
+    raise exception 'Only the banker can correct a round' using errcode = '42501';
+  end if;
+
+  select * into v_round
+  from public.rounds
+  where room_id = p_room_id and player_uuid = p_uuid and id = p_entry ->> 'id'
+  for update;
+
+  if not found then
+    raise exception 'Round % not found', p_entry ->> 'id' using errcode = 'P0002';
+  end if;
+
+  if v_round.type not in ('win', 'loss', 'tie') then
+    raise exception 'Only win, loss and tie rounds can be corrected' using errcode = '22023';
+  end if;
+
+  v_ts := coalesce((p_edit ->> 'ts')::bigint, (extract(epoch from now()) * 1000)::bigint);
+
+  insert into public.round_edits (
+    id, room_id, player_uuid, entry_id, round_number, edited_by,
+    from_type, from_multiplier, from_amount, to_type, to_multiplier, to_amount, ts
+  )
+  values (
+    p_edit ->> 'id',
+    p_room_id,
+    p_uuid,
+    v_round.id,
+    v_round.round_number,
+    (p_edit ->> 'edited_by')::uuid,
+    v_round.type,
+    v_round.multiplier,
+    v_round.amount,
+    p_entry ->> 'type',
+    coalesce((p_entry ->> 'multiplier')::numeric, 0),
+    coalesce((p_entry ->> 'amount')::numeric, 0),
+    v_ts
+  );
+
+  update public.rounds
+  set type       = p_entry ->> 'type',
+      multiplier = coalesce((p_entry ->> 'multiplier')::numeric, 0),
+      amount     = coalesce((p_entry ->> 'amount')::numeric, 0),
+      rake       = coalesce((p_entry ->> 'rake')::numeric, 0),
+      edited_at  = v_ts
+  where room_id = p_room_id and player_uuid = p_uuid and id = v_round.id;
+
+  return public.refresh_player_summary(p_room_id, p_uuid);
+end;
+$$;
+
+grant execute on function public.edit_player_action(text, uuid, jsonb, jsonb) to anon, authenticated;
@@ -0,0 +1,153 @@
+-- =============================================================================
+-- Disputed rounds
+-- =============================================================================
+-- A player can flag any entry of their history as disputed, with an
+-- optional note; the banker resolves it as accepted, amended (the round is
+-- corrected through edit_player_action, so it lands in round_edits) or
+-- rejected. See src/lib/disputes.js.
+--
+-- The dispute is kept on the entry's own row so it travels with it into
+-- histories, exports and the summary report. Times are client time, ms
+-- since epoch, like rounds.ts.
+
+alter table public.rounds
+  add column if not exists dispute_id text,
+  add column if not exists dispute_status text
+    check (dispute_status in ('open', 'accepted', 'amended', 'rejected')),
+  add column if not exists dispute_note text,
+  add column if not exists disputed_at bigint,
+  add column if not exists dispute_resolved_at bigint;
+
+create index if not exists rounds_open_disputes_idx
+  on public.rounds (room_id)
+  where dispute_status = 'open';
+
+-- -----------------------------------------------------------------------------
+-- dispute_player_action — p_dispute is { id, note, ts }. Replaying a dispute
+-- id already on the row is a no-op; the row is touched so the banker's
+-- realtime feed sees a new version.
+-- -----------------------------------------------------------------------------
+create or replace function public.dispute_player_action(
+  p_room_id text,
+  p_uuid uuid,
+  p_entry_id text,
+  p_dispute jsonb
+)
+returns public.players
+language plpgsql
+as $$
+declare
+  v_row public.players;
+  v_round public.rounds;
+begin
+  if p_dispute ->> 'id' is null then
+    raise exception 'Dispute has no id' using errcode = '22023';
+  end if;
+
+  v_row := public.lock_player(p_room_id, p_uuid);
+
+  select * into v_round
+  from public.rounds
+  where room_id = p_room_id and player_uuid = p_uuid and id = p_entry_id
+  for update;
+
+  if not found then
+    raise exception 'Round % not found', p_entry_id using errcode = 'P0002';
+  end if;
+
+  if v_round.dispute_id = p_dispute ->> 'id' then
+    return v_row;
+  end if;
+
+  if v_round.dispute_status = 'open' then
+    raise exception 'Round % already has an open dispute', p_entry_id using errcode = '55000';
+  end if;
+
+  update public.rounds
+  set dispute_id          = p_dispute ->> 'id',
+      dispute_status      = 'open',
+      dispute_note        = nullif(left(coalesce(p_dispute ->> 'note', ''), 200), ''),
+      disputed_at         = coalesce((p_dispute ->> 'ts')::bigint, (extract(epoch from now()) * 1000)::bigint),
+      dispute_resolved_at = null
+  where room_id = p_room_id and player_uuid = p_uuid and id = p_entry_id;
+
+  return public.refresh_player_summary(p_room_id, p_uuid);
+end;
+$$;
+
+-- -----------------------------------------------------------------------------
+-- resolve_dispute — p_resolution is
+--   { dispute_id, status, resolved_by, ts }            accepted / rejected
+--   { ..., entry, edit }                                amended (see edit_player_action)
+-- Only the room's banker may resolve. Repeating the same outcome is a no-op.
+-- -----------------------------------------------------------------------------
+create or replace function public.resolve_dispute(
+  p_room_id text,
+  p_uuid uuid,
+  p_entry_id text,
+  p_resolution jsonb
+)
+returns public.players
+language plpgsql
+as $$
+declare
+  v_row public.players;
+  v_round public.rounds;
+  v_status text := p_resolution ->> 'status';
+begin
+  if v_status is null or v_status not in ('accepted', 'amended', 'rejected') then
+    raise exception 'Not a valid dispute outcome' using errcode = '22023';
+  end if;
+
+  if not exists (
+    select 1 from public.rooms
+    where id = p_room_id and banker_uuid::text = p_resolution ->> 'resolved_by'
+  ) then
+    raise exception 'Only the banker can resolve a dispute' using errcode = '42501';
+  end if;
+
+  v_row := public.lock_player(p_room_id, p_uuid);
+
+  select * into v_round
+  from public.rounds
+  where room_id = p_room_id and player_uuid = p_uuid and id = p_entry_id
+  for update;
+
+  if not found then
+    raise exception 'Round % not found', p_entry_id using errcode = 'P0002';
+  end if;
+
+  if v_round.dispute_id is distinct from p_resolution ->> 'dispute_id' then
+    raise exception 'Dispute not found' using errcode = 'P0002';
+  end if;
+
+  if v_round.dispute_status = v_status then
+    return v_row;
+  end if;
+
+  if v_round.dispute_status <> 'open' then
+    raise exception 'Dispute on round % is already resolved', p_entry_id using errcode = '55000';
+  end if;
+
+  if v_status = 'amended' then
+    perform public.edit_player_action(
+      p_room_id,
+      p_uuid,
+      jsonb_set(p_resolution -> 'entry', '{id}', to_jsonb(p_entry_id)),
+      p_resolution -> 'edit'
+    );
+  end if;
+
+  update public.rounds
+  set dispute_status      = v_status,
+      dispute_resolved_at = coalesce((p_resolution ->> 'ts')::bigint, (extract(epoch from now()) * 1000)::bigint)
+  where room_id = p_room_id and player_uuid = p_uuid and id = p_entry_id;
+
+  return public.refresh_player_summary(p_room_id, p_uuid);
+end;
+$$;
+
+grant execute on function
+  public.dispute_player_action(text, uuid, text, jsonb),
+  public.resolve_dispute(text, uuid, text, jsonb)
+to anon, authenticated;
@@ -0,0 +1,146 @@
+-- =============================================================================
+-- Sitting out
+-- =============================================================================
+-- A player can sit out for a few hands. players.sitting_out_since is the
+-- last round the banker had finished when they sat out (null while they
+-- play); the banker leaves them out of the round audit meanwhile.
+--
+-- Coming back logs the rounds skipped as one `sit_out` row covering them
+-- (`rounds`, like a mass tie, see createSitOutEntry() in
+-- src/lib/actionLog.js). Those rounds count as recorded, never as played.
+
+alter table public.rounds drop constraint if exists rounds_type_check;
+alter table public.rounds
+  add constraint rounds_type_check
+  check (type in ('win', 'loss', 'tie', 'mass_tie', 'base', 'buy_in', 'top_up', 'cash_out', 'sit_out'));
+
+alter table public.players
+  add column if not exists sitting_out_since integer;
+
+-- -----------------------------------------------------------------------------
+-- refresh_player_summary — recorded_rounds also holds the rounds sat out.
+-- Mirrors summarizeRounds() in src/lib/roundHistory.js.
+-- -----------------------------------------------------------------------------
+create or replace function public.refresh_player_summary(p_room_id text, p_uuid uuid)
+returns public.players
+language plpgsql
+as $$
+declare
+  v_row public.players;
+begin
+  update public.players p
+  set current_net        = coalesce((
+        select sum(r.amount) from public.rounds r
+        where r.room_id = p_room_id and r.player_uuid = p_uuid
+          and r.type in ('win', 'loss', 'tie', 'mass_tie')
+      ), 0),
+      base_amount        = coalesce((
+        select r.base from public.rounds r
+        where r.room_id = p_room_id and r.player_uuid = p_uuid and r.type = 'base'
+        order by r.seq desc
+        limit 1
+      ), p.base_amount),
+      last_action_amount = coalesce((
+        select r.amount from public.rounds r
+        where r.room_id = p_room_id and r.player_uuid = p_uuid
+          and r.type in ('win', 'loss', 'tie', 'mass_tie')
+        order by r.seq desc
+        limit 1
+      ), 0),
+      round_count        = coalesce((
+        select sum(case when r.type = 'mass_tie' then coalesce(r.count, 0) else 1 end)
+        from public.rounds r
+        where r.room_id = p_room_id and r.player_uuid = p_uuid
+          and r.type in ('win', 'loss', 'tie', 'mass_tie')
+      ), 0),
+      recorded_rounds    = coalesce((
+        select array_agg(n order by n)
+        from public.rounds r
+        cross join lateral unnest(
+          case when r.type in ('mass_tie', 'sit_out') then r.rounds else array[r.round_number] end
+        ) as n
+        where r.room_id = p_room_id and r.player_uuid = p_uuid
+          and r.type in ('win', 'loss', 'tie', 'mass_tie', 'sit_out') and n is not null
+      ), '{}'),
+      rake_total         = coalesce((
+        select sum(r.rake) from public.rounds r
+        where r.room_id = p_room_id and r.player_uuid = p_uuid
+      ), 0),
+      bankroll           = coalesce((
+        select sum(r.amount) from public.rounds r
+        where r.room_id = p_room_id and r.player_uuid = p_uuid
+          and r.type in ('buy_in', 'top_up', 'cash_out')
+      ), 0),
+      updated_at         = now()
+  where p.uuid = p_uuid and p.room_id = p_room_id
+  returning * into v_row;
+
+  return v_row;
+end;
+$$;
+
+-- -----------------------------------------------------------------------------
+-- set_sitting_out — p_since is the last finished round when the player sits
+-- out; null brings them back, logging p_entry (a sit_out entry, or null)
+-- through apply_player_action. Replays are no-ops.
+-- -----------------------------------------------------------------------------
+create or replace function public.set_sitting_out(
+  p_room_id text,
+  p_uuid uuid,
+  p_since integer,
+  p_entry jsonb
+)
+returns public.players
+language plpgsql
+as $$
+declare
+  v_row public.players;
+begin
+  if p_since is not null and (p_since < 0 or p_entry is not null) then
+    raise exception 'Not a valid sit-out' using errcode = '22023';
+  end if;
+
+  if p_entry is not null and (
+    p_entry ->> 'type' is distinct from 'sit_out'
+    or coalesce((p_entry ->> 'count')::integer, 0) <= 0
+    or coalesce((p_entry ->> 'amount')::numeric, 0) <> 0
+  ) then
+    raise exception 'Not a valid sit-out entry' using errcode = '22023';
+  end if;
+
+  v_row := public.lock_player(p_room_id, p_uuid);
+
+  if p_since is not null then
+    -- Already sitting out (a replay): keep the round it started after
+    if v_row.sitting_out_since is not null then
+      return v_row;
+    end if;
+
+    update public.players
+    set sitting_out_since = p_since,
+        updated_at        = now()
+    where uuid = p_uuid and room_id = p_room_id
+    returning * into v_row;
+
+    return v_row;
+  end if;
+
+  if p_entry is not null then
+    v_row := public.apply_player_action(p_room_id, p_uuid, p_entry);
+  end if;
+
+  if v_row.sitting_out_since is null then
+    return v_row;
+  end if;
+
+  update public.players
+  set sitting_out_since = null,
+      updated_at        = now()
+  where uuid = p_uuid and room_id = p_room_id
+  returning * into v_row;
+
+  return v_row;
+end;
+$$;
+
+grant execute on function public.set_sitting_out(text, uuid, integer, jsonb) to anon, authenticated;
@@ -0,0 +1,12 @@
+-- =============================================================================
+-- Spectators
+-- =============================================================================
+-- Anyone can follow a room read-only by joining it as a spectator. They get
+-- a players row (so they reconnect like anyone else and the banker can list
+-- them) but never log anything, and they do not take one of the room's
+-- seats: the client counts only banker and player rows against the cap.
+
+alter table public.players drop constraint if exists players_role_check;
+alter table public.players
+  add constraint players_role_check
+  check (role in ('banker', 'player', 'spectator'));
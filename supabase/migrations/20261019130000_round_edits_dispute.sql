@@ -0,0 +1,84 @@
+-- =============================================================================
+-- Amended disputes in the round_edits audit log
+-- =============================================================================
+-- An amended dispute is corrected through edit_player_action like any banker
+-- correction. round_edits.dispute_id names the dispute it settled, so the
+-- audit log tells it apart from a correction the banker proposed and the
+-- player approved (null). See src/lib/corrections.js.
+
+alter table public.round_edits
+  add column if not exists dispute_id text;
+
+-- -----------------------------------------------------------------------------
+-- resolve_dispute — as before, and an amendment's audit row records the
+-- dispute it settled
+-- -----------------------------------------------------------------------------
+create or replace function public.resolve_dispute(
+  p_room_id text,
+  p_uuid uuid,
+  p_entry_id text,
+  p_resolution jsonb
+)
+returns public.players
+language plpgsql
+as $$
+declare
+  v_row public.players;
+  v_round public.rounds;
+  v_status text := p_resolution ->> 'status';
+begin
+  if v_status is null or v_status not in ('accepted', 'amended', 'rejected') then
+    raise exception 'Not a valid dispute outcome' using errcode = '22023';
+  end if;
+
+  if not exists (
+    select 1 from public.rooms
+    where id = p_room_id and banker_uuid::text = p_resolution ->> 'resolved_by'
+  ) then
+    raise exception 'Only the banker can resolve a dispute' using errcode = '42501';
+  end if;
+
+  v_row := public.lock_player(p_room_id, p_uuid);
+
+  select * into v_round
+  from public.rounds
+  where room_id = p_room_id and player_uuid = p_uuid and id = p_entry_id
+  for update;
+
+  if not found then
+    raise exception 'Round % not found', p_entry_id using errcode = 'P0002';
+  end if;
+
+  if v_round.dispute_id is distinct from p_resolution ->> 'dispute_id' then
+    raise exception 'Dispute not found' using errcode = 'P0002';
+  end if;
+
+  if v_round.dispute_status = v_status then
+    return v_row;
+  end if;
+
+  if v_round.dispute_status <> 'open' then
+    raise exception 'Dispute on round % is already resolved', p_entry_id using errcode = '55000';
+  end if;
+
+  if v_status = 'amended' then
+    perform public.edit_player_action(
+      p_room_id,
+      p_uuid,
+      jsonb_set(p_resolution -> 'entry', '{id}', to_jsonb(p_entry_id)),
+      p_resolution -> 'edit'
+    );
+
+    update public.round_edits
+    set dispute_id = v_round.dispute_id
+    where id = p_resolution -> 'edit' ->> 'id';
+  end if;
+
+  update public.rounds
+  set dispute_status      = v_status,
+      dispute_resolved_at = coalesce((p_resolution ->> 'ts')::bigint, (extract(epoch from now()) * 1000)::bigint)
+  where room_id = p_room_id and player_uuid = p_uuid and id = p_entry_id;
+
+  return public.refresh_player_summary(p_room_id, p_uuid);
+end;
+$$;
@@ -0,0 +1,25 @@
+-- =============================================================================
+-- Taking a seat in a room picks up the rounds already logged there
+-- =============================================================================
+-- A players row is keyed by device and moves from room to room. Taking a
+-- seat resets its summary columns (seatPlayerRow in src/lib/roundHistory.js),
+-- but the device's rounds in a room it comes back to are still there. Sum
+-- them up at once, so the row's net matches its history from the start
+-- instead of jumping back on the next refresh_player_summary().
+
+create or replace function public.players_seat_summary()
+returns trigger
+language plpgsql
+as $$
+begin
+  if tg_op = 'INSERT' or old.room_id is distinct from new.room_id then
+    perform public.refresh_player_summary(new.room_id, new.uuid);
+  end if;
+  return null;
+end;
+$$;
+
+drop trigger if exists players_seat_summary on public.players;
+create trigger players_seat_summary
+  after insert or update of room_id on public.players
+  for each row execute function public.players_seat_summary();